@@ -0,0 +1,29 @@
+const { dispatchQueueOffers } = require('../services/consultantQueue');
+const { scheduleInterval } = require('./scheduler');
+const { QUEUE_POLICY } = require('../utils/constants');
+
+/**
+ * 상담사 대기열 처리 (5초 주기)
+ * - 시간이 지난 시작 제안 만료
+ * - 대기 상태로 돌아온 상담사의 맨 앞 고객에게 시작 제안
+ * - 상담사 상태/대기 순번 변경을 실시간 스트림으로 전송
+ */
+
+/**
+ * 주기 실행 예약 (server.js 시작시 호출)
+ */
+const scheduleConsultantQueue = () => {
+  scheduleInterval('대기열 처리', QUEUE_POLICY.DISPATCH_SECONDS * 1000, async () => {
+    const result = await dispatchQueueOffers();
+
+    if (result.offered === 0 && result.expired === 0) {
+      return null;
+    }
+
+    return `시작 제안 ${result.offered}건, 만료 ${result.expired}건`;
+  });
+};
+
+module.exports = {
+  scheduleConsultantQueue
+};
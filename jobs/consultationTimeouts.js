@@ -0,0 +1,28 @@
+const { expireConsultationRequests } = require('../services/consultationState');
+const { scheduleInterval } = require('./scheduler');
+const { CONSULTATION_REQUEST_POLICY } = require('../utils/constants');
+
+/**
+ * 상담 요청 제한 시간 정리 (15초 주기)
+ * - 상담사가 응답하지 않은 요청: 부재
+ * - 수락 후 연결되지 않은 상담: 취소
+ */
+
+/**
+ * 주기 실행 예약 (server.js 시작시 호출)
+ */
+const scheduleConsultationTimeouts = () => {
+  scheduleInterval('상담 요청 만료 처리', CONSULTATION_REQUEST_POLICY.TIMEOUT_SWEEP_SECONDS * 1000, async () => {
+    const result = await expireConsultationRequests();
+
+    if (result.missed === 0 && result.cancelled === 0) {
+      return null;
+    }
+
+    return `부재 ${result.missed}건, 연결 취소 ${result.cancelled}건`;
+  });
+};
+
+module.exports = {
+  scheduleConsultationTimeouts
+};
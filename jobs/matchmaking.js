@@ -0,0 +1,28 @@
+const { advanceMatches } = require('../services/matchmaking');
+const { scheduleInterval } = require('./scheduler');
+const { MATCH_POLICY } = require('../utils/constants');
+
+/**
+ * 랜덤 매칭 진행 (5초 주기)
+ * - 현재 후보가 수락: 매칭 완료
+ * - 거절/부재(응답 제한 시간 초과): 다음 후보에게 요청
+ */
+
+/**
+ * 주기 실행 예약 (server.js 시작시 호출)
+ */
+const scheduleMatchmaking = () => {
+  scheduleInterval('랜덤 매칭 진행', MATCH_POLICY.SWEEP_SECONDS * 1000, async () => {
+    const result = await advanceMatches();
+
+    if (Object.values(result).every(count => count === 0)) {
+      return null;
+    }
+
+    return `매칭 ${result.matched}건, 재요청 ${result.retried}건, 실패 ${result.failed}건, 취소 ${result.cancelled}건`;
+  });
+};
+
+module.exports = {
+  scheduleMatchmaking
+};
@@ -0,0 +1,23 @@
+const { publishBalanceChanges } = require('../services/presence');
+const { scheduleInterval } = require('./scheduler');
+const { PRESENCE_POLICY } = require('../utils/constants');
+
+/**
+ * 실시간 잔액 동기화 (5초 주기)
+ * - 접속 중인 사용자의 링 잔액이 바뀌면 balance.updated 전송
+ */
+
+/**
+ * 주기 실행 예약 (server.js 시작시 호출)
+ */
+const schedulePresenceSync = () => {
+  // 전송 건수는 접속자 수에 비례하므로 로그를 남기지 않음
+  scheduleInterval('실시간 잔액 동기화', PRESENCE_POLICY.SYNC_SECONDS * 1000, async () => {
+    await publishBalanceChanges();
+    return null;
+  });
+};
+
+module.exports = {
+  schedulePresenceSync
+};
@@ -0,0 +1,22 @@
+const { runReconciliation } = require('../services/reconciliation');
+const { scheduleDaily } = require('./scheduler');
+
+/**
+ * 링 정산 대사 작업 (매일 04:00 KST)
+ * 결과는 reconciliation_runs / reconciliation_discrepancies에 저장되며
+ * GET /api/admin/reconciliation/runs/:id 에서 확인합니다.
+ */
+
+/**
+ * 매일 실행 예약 (server.js 시작시 호출)
+ */
+const scheduleReconciliation = () => {
+  scheduleDaily('링 정산 대사', { hour: 4, minute: 0 }, async () => {
+    const result = await runReconciliation({ triggerType: 'scheduled' });
+    return `실행 #${result.run_id}, 사용자 ${result.total_users}명 중 불일치 ${result.discrepancy_count}명`;
+  });
+};
+
+module.exports = {
+  scheduleReconciliation
+};
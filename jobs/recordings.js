@@ -0,0 +1,22 @@
+const { purgeExpiredRecordings } = require('../services/recordings');
+const { scheduleDaily } = require('./scheduler');
+const { RECORDING_POLICY } = require('../utils/constants');
+
+/**
+ * 통화 녹음 보관 기간 정리 (매일 03:30 KST)
+ * 보관 기간이 지난 녹음 파일을 삭제합니다 (진행 중인 분쟁이 있는 상담은 결정 후 삭제).
+ */
+
+/**
+ * 매일 실행 예약 (server.js 시작시 호출)
+ */
+const scheduleRecordingRetention = () => {
+  scheduleDaily('통화 녹음 보관 기간 정리', RECORDING_POLICY.PURGE_AT, async () => {
+    const result = await purgeExpiredRecordings();
+    return `삭제 ${result.deleted}건, 분쟁 보관 ${result.held}건, 실패 ${result.failed}건`;
+  });
+};
+
+module.exports = {
+  scheduleRecordingRetention
+};
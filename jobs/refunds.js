@@ -0,0 +1,27 @@
+const { resolveStuckRefunds } = require('../services/refundService');
+const { scheduleInterval } = require('./scheduler');
+const { REFUND_RECOVERY_POLICY } = require('../utils/constants');
+
+/**
+ * 처리 중 환불 확정 (5분 주기)
+ * - PG 응답 유실, PG 취소 후 링 회수 실패로 processing에 남은 환불을 PG 조회 결과로 완료/실패 처리
+ */
+
+/**
+ * 주기 실행 예약 (server.js 시작시 호출)
+ */
+const scheduleRefundRecovery = () => {
+  scheduleInterval('처리 중 환불 확정', REFUND_RECOVERY_POLICY.SWEEP_MINUTES * 60 * 1000, async () => {
+    const result = await resolveStuckRefunds();
+
+    if (result.completed === 0 && result.failed === 0 && result.errors === 0) {
+      return null;
+    }
+
+    return `완료 ${result.completed}건, 실패 ${result.failed}건, 오류 ${result.errors}건`;
+  });
+};
+
+module.exports = {
+  scheduleRefundRecovery
+};
@@ -0,0 +1,28 @@
+const { processReservationDeadlines } = require('../services/reservations');
+const { scheduleInterval } = require('./scheduler');
+const { RESERVATION_POLICY } = require('../utils/constants');
+
+/**
+ * 예약 기한 처리 (1분 주기)
+ * - 시작 전 알림 발송
+ * - 입장 유예 시간이 지난 예약 노쇼 처리 (정책에 따른 부분 환불/상담사 보상)
+ */
+
+/**
+ * 주기 실행 예약 (server.js 시작시 호출)
+ */
+const scheduleReservationDeadlines = () => {
+  scheduleInterval('예약 기한 처리', RESERVATION_POLICY.JOB_INTERVAL_SECONDS * 1000, async () => {
+    const result = await processReservationDeadlines();
+
+    if (result.reminded === 0 && result.noShows === 0) {
+      return null;
+    }
+
+    return `알림 ${result.reminded}건, 노쇼 ${result.noShows}건`;
+  });
+};
+
+module.exports = {
+  scheduleReservationDeadlines
+};
@@ -0,0 +1,86 @@
+const { pool } = require('../config/database');
+const { expireRingLot } = require('../services/ringLedger');
+const { scheduleDaily } = require('./scheduler');
+
+/**
+ * 링 로트 만료 작업 (매일 00:05 KST)
+ * 만료일이 지난 로트의 잔여 링을 소멸시키고 로트별 expiry 원장 항목을 기록합니다.
+ *
+ * 단독 실행: npm run job:expire-rings
+ */
+
+// 한 번에 처리할 로트 수
+const BATCH_SIZE = 500;
+
+/**
+ * 만료 대상 로트 일괄 처리 (로트마다 별도 트랜잭션)
+ * @returns {Promise<{expiredLots: number, expiredRings: number}>}
+ */
+const runRingLotExpiry = async () => {
+  let expiredLots = 0;
+  let expiredRings = 0;
+  let lastLotId = 0;
+
+  for (;;) {
+    const [lots] = await pool.execute(
+      `SELECT id FROM ring_lots
+       WHERE id > ? AND expired_at IS NULL AND expires_at IS NOT NULL AND expires_at <= NOW()
+       ORDER BY id ASC LIMIT ${BATCH_SIZE}`,
+      [lastLotId]
+    );
+
+    if (lots.length === 0) {
+      break;
+    }
+
+    for (const lot of lots) {
+      lastLotId = lot.id;
+      const connection = await pool.getConnection();
+
+      try {
+        await connection.beginTransaction();
+        const entry = await expireRingLot(connection, lot.id);
+        await connection.commit();
+
+        expiredLots++;
+        if (entry) {
+          expiredRings += -entry.delta;
+        }
+      } catch (error) {
+        await connection.rollback();
+        console.error(`링 로트 만료 처리 에러 (lot #${lot.id}):`, error);
+      } finally {
+        connection.release();
+      }
+    }
+  }
+
+  return { expiredLots, expiredRings };
+};
+
+/**
+ * 매일 실행 예약 (server.js 시작시 호출)
+ */
+const scheduleRingLotExpiry = () => {
+  scheduleDaily('링 로트 만료 처리', { hour: 0, minute: 5 }, async () => {
+    const result = await runRingLotExpiry();
+    return `로트 ${result.expiredLots}개, 링 ${result.expiredRings}개`;
+  });
+};
+
+if (require.main === module) {
+  runRingLotExpiry()
+    .then((result) => {
+      console.log(`링 로트 만료 처리 완료: 로트 ${result.expiredLots}개, 링 ${result.expiredRings}개`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('링 로트 만료 작업 에러:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runRingLotExpiry,
+  scheduleRingLotExpiry
+};
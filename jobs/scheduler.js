@@ -0,0 +1,77 @@
+/**
+ * 정기 작업 예약 유틸리티 (KST 기준 매일 실행 / 짧은 주기 반복 실행)
+ * 작업 실패는 로그만 남기고 다음 실행을 예약합니다.
+ */
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+/**
+ * 다음 실행 시각까지 남은 시간 (ms)
+ */
+const msUntilNextRun = (hourKst, minuteKst, now = new Date()) => {
+  const kstNow = new Date(now.getTime() + KST_OFFSET_MS);
+  const nextRun = new Date(Date.UTC(
+    kstNow.getUTCFullYear(),
+    kstNow.getUTCMonth(),
+    kstNow.getUTCDate(),
+    hourKst,
+    minuteKst
+  ) - KST_OFFSET_MS);
+
+  if (nextRun <= now) {
+    nextRun.setUTCDate(nextRun.getUTCDate() + 1);
+  }
+
+  return nextRun.getTime() - now.getTime();
+};
+
+/**
+ * 매일 지정 시각(KST)에 작업 실행
+ *
+ * @param {string} name - 로그용 작업 이름
+ * @param {{hour: number, minute: number}} at - 실행 시각 (KST)
+ * @param {Function} task - async 작업, 반환값은 로그 요약 문자열
+ */
+const scheduleDaily = (name, { hour, minute }, task) => {
+  const run = async () => {
+    try {
+      const summary = await task();
+      console.log(`⏰ ${name} 완료${summary ? `: ${summary}` : ''}`);
+    } catch (error) {
+      console.error(`${name} 에러:`, error);
+    }
+    setTimeout(run, msUntilNextRun(hour, minute)).unref();
+  };
+
+  setTimeout(run, msUntilNextRun(hour, minute)).unref();
+};
+
+/**
+ * 일정 주기로 작업 실행 (이전 실행이 끝난 뒤 다음 실행 예약, 중복 실행 없음)
+ * 처리한 건이 있을 때만 요약을 로그로 남깁니다.
+ *
+ * @param {string} name - 로그용 작업 이름
+ * @param {number} intervalMs - 실행 주기 (ms)
+ * @param {Function} task - async 작업, 반환값은 로그 요약 문자열 (없으면 로그 생략)
+ */
+const scheduleInterval = (name, intervalMs, task) => {
+  const run = async () => {
+    try {
+      const summary = await task();
+      if (summary) {
+        console.log(`⏰ ${name} 완료: ${summary}`);
+      }
+    } catch (error) {
+      console.error(`${name} 에러:`, error);
+    }
+    setTimeout(run, intervalMs).unref();
+  };
+
+  setTimeout(run, intervalMs).unref();
+};
+
+module.exports = {
+  msUntilNextRun,
+  scheduleDaily,
+  scheduleInterval
+};
@@ -0,0 +1,27 @@
+const { sweepStaleSessions } = require('../services/staleSessions');
+const { scheduleInterval } = require('./scheduler');
+const { STALE_SESSION_POLICY } = require('../utils/constants');
+
+/**
+ * 방치된 상담 정리 (1분 주기)
+ * - 하트비트/통화 기록이 끊긴 상담중 상담: 마지막 활동 시각으로 종료 후 관리자 확인 대상으로 표시
+ */
+
+/**
+ * 주기 실행 예약 (server.js 시작시 호출)
+ */
+const scheduleStaleSessionSweep = () => {
+  scheduleInterval('방치된 상담 정리', STALE_SESSION_POLICY.SWEEP_SECONDS * 1000, async () => {
+    const result = await sweepStaleSessions();
+
+    if (result.closed === 0 && result.failed === 0) {
+      return null;
+    }
+
+    return `종료 ${result.closed}건, 실패 ${result.failed}건`;
+  });
+};
+
+module.exports = {
+  scheduleStaleSessionSweep
+};
@@ -3,6 +3,36 @@ const { pool } = require('../config/database');
 const { errorResponse } = require('../utils/helpers');
 const { RESPONSE_CODES, HTTP_STATUS, USER_STATUS } = require('../utils/constants');
 
+/**
+ * JWT 토큰 → 사용자 정보 (사용자가 없으면 null, 토큰 오류는 jwt 에러 그대로 throw)
+ * HTTP 미들웨어와 실시간(WebSocket) 연결 인증에서 함께 사용합니다.
+ */
+const findTokenUser = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const [users] = await pool.execute(
+    'SELECT id, login_id, username, email, nickname, role, status, role_level FROM users WHERE id = ?',
+    [decoded.userId]
+  );
+
+  if (users.length === 0) {
+    return null;
+  }
+
+  const user = users[0];
+
+  return {
+    id: user.id,
+    login_id: user.login_id,
+    username: user.username,
+    email: user.email,
+    nickname: user.nickname,
+    role: user.role,
+    status: user.status,
+    role_level: user.role_level
+  };
+};
+
 /**
  * JWT 토큰 인증 미들웨어
  */
@@ -20,16 +50,10 @@ const authenticateToken = async (req, res, next) => {
       );
     }
 
-    // JWT 토큰 검증
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // 사용자 정보 조회 및 상태 확인
-    const [users] = await pool.execute(
-      'SELECT id, login_id, username, email, nickname, role, status, role_level FROM users WHERE id = ?',
-      [decoded.userId]
-    );
+    // JWT 토큰 검증 + 사용자 정보 조회
+    const user = await findTokenUser(token);
 
-    if (users.length === 0) {
+    if (!user) {
       return errorResponse(
         res,
         '사용자를 찾을 수 없습니다.',
@@ -38,8 +62,6 @@ const authenticateToken = async (req, res, next) => {
       );
     }
 
-    const user = users[0];
-
     // 사용자 상태 확인
     if (user.status !== USER_STATUS.ACTIVE) {
       return errorResponse(
@@ -51,16 +73,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // 요청 객체에 사용자 정보 추가
-    req.user = {
-      id: user.id,
-      login_id: user.login_id,
-      username: user.username,
-      email: user.email,
-      nickname: user.nickname,
-      role: user.role,
-      status: user.status,
-      role_level: user.role_level
-    };
+    req.user = user;
 
     next();
   } catch (error) {
@@ -137,6 +150,7 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  findTokenUser,
   authenticateToken,
   optionalAuth
 };
\ No newline at end of file
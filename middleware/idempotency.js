@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { errorResponse } = require('../utils/helpers');
+const { RESPONSE_CODES, HTTP_STATUS } = require('../utils/constants');
+
+// 저장된 응답 보관 기간 (시간)
+const IDEMPOTENCY_TTL_HOURS = 24;
+
+// 처리 중(processing) 선점 유효 시간 (초). 프로세스 중단 등으로 응답을 저장하지 못한 키는 이후 재시도가 다시 선점
+const IDEMPOTENCY_LEASE_SECONDS = 60;
+
+/**
+ * 키 순서와 무관한 JSON 문자열화 (요청 바디 비교용)
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * 요청 해시 생성 (메서드 + 경로 + 바디)
+ */
+const hashRequest = (method, path, body) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${method} ${path} ${stableStringify(body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * 멱등성 키 선점 (만료된 키는 삭제 후 재사용, 선점 유효 시간이 지난 처리 중 키는 같은 요청이 다시 선점)
+ * @returns {Promise<object|null>} 이미 존재하는 키 정보 (선점 성공시 null)
+ */
+const claimKey = async (userId, key, method, path, requestHash) => {
+  try {
+    await pool.execute(
+      `INSERT INTO idempotency_keys (
+        user_id, idempotency_key, request_method, request_path, request_hash, status, processing_started_at, expires_at
+       ) VALUES (?, ?, ?, ?, ?, 'processing', NOW(), DATE_ADD(NOW(), INTERVAL ${IDEMPOTENCY_TTL_HOURS} HOUR))`,
+      [userId, key, method, path, requestHash]
+    );
+    return null;
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT request_hash, status, response_status, response_body, expires_at < NOW() as is_expired,
+     processing_started_at < NOW() - INTERVAL ${IDEMPOTENCY_LEASE_SECONDS} SECOND as is_lease_expired
+     FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?`,
+    [userId, key]
+  );
+
+  if (rows.length > 0 && rows[0].is_expired) {
+    await pool.execute(
+      'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND expires_at < NOW()',
+      [userId, key]
+    );
+    return claimKey(userId, key, method, path, requestHash);
+  }
+
+  if (rows.length > 0 && rows[0].status === 'processing' && rows[0].is_lease_expired && rows[0].request_hash === requestHash) {
+    const [reclaimed] = await pool.execute(
+      `UPDATE idempotency_keys SET processing_started_at = NOW()
+       WHERE user_id = ? AND idempotency_key = ? AND status = 'processing'
+         AND processing_started_at < NOW() - INTERVAL ${IDEMPOTENCY_LEASE_SECONDS} SECOND`,
+      [userId, key]
+    );
+
+    if (reclaimed.affectedRows > 0) {
+      return null;
+    }
+  }
+
+  return rows[0] || null;
+};
+
+/**
+ * Idempotency-Key 헤더 기반 멱등성 미들웨어 (금전 이동 라우트용)
+ * - 같은 키 + 같은 요청: 최초 응답을 그대로 재전송 (Idempotent-Replayed: true)
+ * - 같은 키 + 다른 요청: 422 거부
+ * - 최초 요청 처리 중 재요청: 409 (선점 후 IDEMPOTENCY_LEASE_SECONDS가 지나면 재시도가 다시 처리)
+ * - 5xx 응답이나 res.json 이외의 방법으로 끝난 응답은 저장하지 않으므로 같은 키로 재시도 가능
+ *
+ * authenticateToken 뒤에 위치해야 하며, 키는 사용자별로 관리됩니다.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.required] - 헤더 필수 여부 (기본값: 선택, 없으면 그대로 통과)
+ */
+const idempotency = ({ required = false } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      if (required) {
+        return errorResponse(
+          res,
+          'Idempotency-Key 헤더가 필요합니다.',
+          RESPONSE_CODES.VALIDATION_ERROR,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+      return next();
+    }
+
+    if (key.length > 255) {
+      return errorResponse(
+        res,
+        'Idempotency-Key는 255자 이하여야 합니다.',
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    try {
+      const userId = req.user ? req.user.id : 0;
+      const path = req.originalUrl.split('?')[0];
+      const requestHash = hashRequest(req.method, path, req.body);
+
+      const existing = await claimKey(userId, key, req.method, path, requestHash);
+
+      if (existing) {
+        if (existing.request_hash !== requestHash) {
+          return errorResponse(
+            res,
+            '같은 Idempotency-Key로 다른 요청을 보낼 수 없습니다.',
+            RESPONSE_CODES.VALIDATION_ERROR,
+            HTTP_STATUS.UNPROCESSABLE_ENTITY
+          );
+        }
+
+        if (existing.status !== 'completed') {
+          return errorResponse(
+            res,
+            '같은 요청이 처리 중입니다. 잠시 후 다시 시도해주세요.',
+            RESPONSE_CODES.DUPLICATE_ERROR,
+            HTTP_STATUS.CONFLICT
+          );
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        const body = typeof existing.response_body === 'string'
+          ? JSON.parse(existing.response_body)
+          : existing.response_body;
+        return res.status(existing.response_status).json(body);
+      }
+
+      // res.json을 거치지 않고 끝난 응답(send/스트림 등)은 키를 해제해 재시도 가능하게 함
+      let handled = false;
+      res.on('finish', () => {
+        if (handled) {
+          return;
+        }
+
+        pool.execute(
+          `DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND status = 'processing'`,
+          [userId, key]
+        ).catch(error => console.error('멱등성 키 해제 에러:', error));
+      });
+
+      // 응답을 저장한 뒤 전송 (재요청이 processing 상태를 보지 않도록)
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        handled = true;
+
+        const persist = res.statusCode >= HTTP_STATUS.INTERNAL_SERVER_ERROR
+          ? pool.execute(
+            'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+            [userId, key]
+          )
+          : pool.execute(
+            `UPDATE idempotency_keys
+             SET status = 'completed', response_status = ?, response_body = ?, completed_at = NOW()
+             WHERE user_id = ? AND idempotency_key = ?`,
+            [res.statusCode, JSON.stringify(body), userId, key]
+          );
+
+        persist
+          .catch(error => console.error('멱등성 응답 저장 에러:', error))
+          .then(() => originalJson(body));
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      console.error('멱등성 키 처리 에러:', error);
+      errorResponse(
+        res,
+        '요청 처리 중 오류가 발생했습니다.',
+        RESPONSE_CODES.DATABASE_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR
+      );
+    }
+  };
+};
+
+module.exports = { idempotency, hashRequest };
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { errorResponse } = require('../utils/helpers');
+const { RESPONSE_CODES, HTTP_STATUS } = require('../utils/constants');
+
+/**
+ * HMAC 서명 생성 (hex, sha256)
+ * 서명 대상: `${timestamp}.${rawBody}`
+ */
+const createSignature = (secret, timestamp, rawBody) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+};
+
+/**
+ * 외부 시스템 서명 검증 미들웨어 (웹훅, 통화 시스템 등)
+ * - server.js의 express.json verify 옵션으로 저장한 req.rawBody 기준으로 검증
+ * - 타임스탬프 허용 범위를 벗어난 요청은 재전송 공격으로 보고 거부
+ */
+const verifySignature = ({
+  secretEnv,
+  signatureHeader = 'x-signature',
+  timestampHeader = 'x-timestamp',
+  toleranceSeconds = 300
+}) => {
+  return (req, res, next) => {
+    const secret = process.env[secretEnv];
+
+    if (!secret) {
+      console.error(`서명 검증 실패: ${secretEnv} 환경변수가 설정되지 않았습니다.`);
+      return errorResponse(
+        res,
+        '서명 검증을 할 수 없습니다.',
+        RESPONSE_CODES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR
+      );
+    }
+
+    const signature = req.get(signatureHeader) || '';
+    const timestamp = parseInt(req.get(timestampHeader));
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    if (!signature || !timestamp || Math.abs(nowSeconds - timestamp) > toleranceSeconds) {
+      return errorResponse(
+        res,
+        '유효하지 않은 서명입니다.',
+        RESPONSE_CODES.AUTHENTICATION_ERROR,
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const expected = createSignature(secret, timestamp, req.rawBody ? req.rawBody.toString('utf8') : '');
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const signatureBuffer = Buffer.from(signature, 'hex');
+
+    if (expectedBuffer.length !== signatureBuffer.length || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+      return errorResponse(
+        res,
+        '유효하지 않은 서명입니다.',
+        RESPONSE_CODES.AUTHENTICATION_ERROR,
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createSignature,
+  verifySignature
+};
@@ -1,6 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { errorResponse } = require('../utils/helpers');
-const { RESPONSE_CODES, HTTP_STATUS } = require('../utils/constants');
+const { RESPONSE_CODES, HTTP_STATUS, SPENDING_LIMIT_TYPES, SPENDING_LIMIT_PERIODS } = require('../utils/constants');
 
 /**
  * 유효성 검사 결과 처리 미들웨어
@@ -212,18 +212,93 @@ const validateId = [
  * 링 구매 유효성 검사
  */
 const validateRingPurchase = [
-  body('amount')
-    .isInt({ min: 1 })
-    .withMessage('구매 금액은 1 이상이어야 합니다.'),
-    
-  body('rings')
+  body('package_id')
     .isInt({ min: 1 })
-    .withMessage('링 개수는 1 이상이어야 합니다.'),
-    
+    .withMessage('유효한 링 상품 ID가 아닙니다.'),
+
   body('payment_method')
     .isIn(['card', 'bank', 'mobile'])
     .withMessage('유효한 결제 방법을 선택해주세요.'),
-    
+
+  body('user_coupon_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('유효한 쿠폰 ID가 아닙니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 링 상품 등록/수정 유효성 검사 (관리자)
+ */
+const validateRingPackage = [
+  body('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('상품명은 1-100자 사이여야 합니다.'),
+
+  body('price')
+    .isInt({ min: 100 })
+    .withMessage('상품 가격은 100원 이상이어야 합니다.'),
+
+  body('base_rings')
+    .isInt({ min: 1 })
+    .withMessage('기본 링은 1 이상이어야 합니다.'),
+
+  body('bonus_rings')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('보너스 링은 0 이상이어야 합니다.'),
+
+  body('starts_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('판매 시작일은 ISO 8601 형식이어야 합니다.'),
+
+  body('ends_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('판매 종료일은 ISO 8601 형식이어야 합니다.'),
+
+  body('ends_at').custom((endsAt, { req }) => {
+    if (endsAt && req.body.starts_at && new Date(endsAt) <= new Date(req.body.starts_at)) {
+      throw new Error('판매 종료일은 시작일 이후여야 합니다.');
+    }
+    return true;
+  }),
+
+  body('display_order')
+    .optional()
+    .isInt()
+    .withMessage('노출 순서는 정수여야 합니다.'),
+
+  body('is_promotion')
+    .optional()
+    .isBoolean()
+    .withMessage('프로모션 여부는 true 또는 false여야 합니다.'),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('활성 여부는 true 또는 false여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 결제 승인 유효성 검사 (PG 인증 완료 후 호출)
+ */
+const validatePaymentConfirm = [
+  body('payment_key')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('유효한 PG 결제 키가 아닙니다.'),
+
+  body('amount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('결제 금액은 1 이상이어야 합니다.'),
+
   handleValidationErrors
 ];
 
@@ -247,6 +322,31 @@ const validateRingTransfer = [
   handleValidationErrors
 ];
 
+/**
+ * 지출 한도 설정 유효성 검사 (amount: null이면 해제)
+ */
+const validateSpendingLimit = [
+  body('limit_type')
+    .isIn(Object.values(SPENDING_LIMIT_TYPES))
+    .withMessage('한도 유형은 purchase 또는 consultation이어야 합니다.'),
+
+  body('period')
+    .isIn(Object.values(SPENDING_LIMIT_PERIODS))
+    .withMessage('한도 기간은 daily 또는 monthly여야 합니다.'),
+
+  body('amount')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('한도는 0 이상의 정수여야 합니다.'),
+
+  body('reason')
+    .optional({ nullable: true })
+    .isLength({ max: 200 })
+    .withMessage('사유는 200자 이하여야 합니다.'),
+
+  handleValidationErrors
+];
+
 /**
  * 문의사항 등록 유효성 검사
  */
@@ -359,7 +459,10 @@ module.exports = {
   validateConsultantSearch,
   validateId,
   validateRingPurchase,
+  validateRingPackage,
+  validatePaymentConfirm,
   validateRingTransfer,
+  validateSpendingLimit,
   validateInquiry,
   validateConsultationRate,
   validatePagination,
@@ -0,0 +1,939 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/roleCheck');
+const { validateId, validatePagination, validateSpendingLimit, handleValidationErrors } = require('../middleware/validation');
+const {
+  computeBalances,
+  runReconciliation,
+  requestRingAdjustment,
+  reviewRingAdjustment
+} = require('../services/reconciliation');
+const { getSpendingLimitSummary, setSpendingLimit } = require('../services/spendingLimits');
+const { getEffectivePolicy, createPolicyVersion, getPolicyVersion } = require('../services/billingPolicy');
+const { resolveFlaggedSession } = require('../services/staleSessions');
+const { getDispute, decideDispute } = require('../services/disputes');
+const { successResponse, errorResponse, createPagination } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAGINATION,
+  RING_ADJUSTMENT_STATUS,
+  SPENDING_LIMIT_SOURCES,
+  CONSULTANT_LEVELS,
+  CONSULTATION_METHODS,
+  ADMIN_REVIEW_STATUS,
+  DISPUTE_STATUS,
+  DISPUTE_DECISIONS
+} = require('../utils/constants');
+const { body, param } = require('express-validator');
+
+const router = express.Router();
+
+// 모든 관리자 API는 인증 + 관리자 권한 필요
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * 링 조정 요청 유효성 검사
+ */
+const validateRingAdjustment = [
+  body('user_id')
+    .isInt({ min: 1 })
+    .withMessage('유효한 사용자 ID가 아닙니다.'),
+
+  body('delta')
+    .isInt()
+    .custom(delta => parseInt(delta) !== 0)
+    .withMessage('조정 링은 0이 아닌 정수여야 합니다.'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('조정 사유는 1-200자 사이여야 합니다.'),
+
+  body('discrepancy_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('유효한 불일치 ID가 아닙니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 링 조정 승인/반려 유효성 검사
+ */
+const validateAdjustmentReview = [
+  body('note')
+    .optional({ nullable: true })
+    .isLength({ max: 200 })
+    .withMessage('처리 메모는 200자 이하여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * POST /api/admin/reconciliation/runs
+ * 전체 사용자 링 대사 실행
+ */
+router.post('/reconciliation/runs', async (req, res) => {
+  try {
+    const run = await runReconciliation({
+      triggerType: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    successResponse(res, '링 대사가 완료되었습니다.', {
+      run
+    });
+
+  } catch (error) {
+    console.error('링 대사 실행 에러:', error);
+    errorResponse(
+      res,
+      '링 대사 실행 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation/runs
+ * 링 대사 실행 이력
+ */
+router.get('/reconciliation/runs', validatePagination, async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const [[{ total }]] = await pool.execute('SELECT COUNT(*) as total FROM reconciliation_runs');
+
+    const [runs] = await pool.execute(
+      `SELECT * FROM reconciliation_runs
+       ORDER BY started_at DESC
+       LIMIT ${limitNum} OFFSET ${offset}`
+    );
+
+    successResponse(res, '링 대사 이력 조회 완료', {
+      runs
+    }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('링 대사 이력 조회 에러:', error);
+    errorResponse(
+      res,
+      '링 대사 이력 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation/runs/:id
+ * 링 대사 실행 결과 (불일치 사용자 목록, status 필터 지원)
+ */
+router.get('/reconciliation/runs/:id', validateId, validatePagination, async (req, res) => {
+  try {
+    const runId = req.params.id;
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      status = null
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const [runs] = await pool.execute('SELECT * FROM reconciliation_runs WHERE id = ?', [runId]);
+
+    if (runs.length === 0) {
+      return errorResponse(
+        res,
+        '링 대사 실행 내역을 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    let whereClause = 'WHERE d.run_id = ?';
+    const params = [runId];
+
+    if (status) {
+      whereClause += ' AND d.status = ?';
+      params.push(status);
+    }
+
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) as total FROM reconciliation_discrepancies d ${whereClause}`,
+      params
+    );
+
+    const [discrepancies] = await pool.execute(
+      `SELECT d.id, d.user_id, u.login_id, u.username, d.actual_balance, d.ledger_balance,
+       d.expected_balance, d.lot_balance, d.difference, d.status, d.created_at
+       FROM reconciliation_discrepancies d
+       LEFT JOIN users u ON d.user_id = u.id
+       ${whereClause}
+       ORDER BY ABS(d.difference) DESC, d.id ASC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      params
+    );
+
+    successResponse(res, '링 대사 결과 조회 완료', {
+      run: runs[0],
+      discrepancies
+    }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('링 대사 결과 조회 에러:', error);
+    errorResponse(
+      res,
+      '링 대사 결과 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation/runs/:id/users/:userId
+ * 사용자별 상세 (실행 시점 원천별 합계 + 현재 재계산 결과 + 최근 원장/조정 내역)
+ */
+router.get('/reconciliation/runs/:id/users/:userId', validateId, [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('유효한 사용자 ID가 아닙니다.'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const runId = req.params.id;
+    const userId = parseInt(req.params.userId);
+
+    const [discrepancies] = await pool.execute(
+      'SELECT * FROM reconciliation_discrepancies WHERE run_id = ? AND user_id = ?',
+      [runId, userId]
+    );
+
+    const [current] = await computeBalances(pool, userId);
+
+    if (!current) {
+      return errorResponse(
+        res,
+        '사용자를 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const [ledgerEntries] = await pool.execute(
+      `SELECT id, entry_type, delta, balance_after, payment_id, consultation_id, transfer_id,
+       actor_user_id, description, created_at
+       FROM ring_ledger
+       WHERE user_id = ?
+       ORDER BY id DESC
+       LIMIT 50`,
+      [userId]
+    );
+
+    const [adjustments] = await pool.execute(
+      'SELECT * FROM ring_adjustments WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+
+    const discrepancy = discrepancies[0] || null;
+
+    successResponse(res, '사용자 링 대사 상세 조회 완료', {
+      // 해당 실행에서 불일치가 없었던 사용자는 null
+      discrepancy: discrepancy ? {
+        ...discrepancy,
+        breakdown: typeof discrepancy.breakdown === 'string' ? JSON.parse(discrepancy.breakdown) : discrepancy.breakdown
+      } : null,
+      current,
+      recent_ledger_entries: ledgerEntries,
+      adjustments
+    });
+
+  } catch (error) {
+    console.error('사용자 링 대사 상세 조회 에러:', error);
+    errorResponse(
+      res,
+      '사용자 링 대사 상세 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/admin/ring-adjustments
+ * 링 조정 요청 (다른 관리자의 승인 후 원장에 반영)
+ */
+router.post('/ring-adjustments', validateRingAdjustment, async (req, res) => {
+  try {
+    const { user_id, delta, reason, discrepancy_id = null } = req.body;
+
+    const adjustment = await requestRingAdjustment({
+      userId: parseInt(user_id),
+      delta: parseInt(delta),
+      reason,
+      requestedBy: req.user.id,
+      discrepancyId: discrepancy_id
+    });
+
+    successResponse(res, '링 조정이 요청되었습니다.', {
+      adjustment
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('링 조정 요청 에러:', error);
+    errorResponse(
+      res,
+      '링 조정 요청 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/admin/ring-adjustments
+ * 링 조정 요청 목록 (기본: 승인 대기)
+ */
+router.get('/ring-adjustments', validatePagination, async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      status = RING_ADJUSTMENT_STATUS.PENDING
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const [[{ total }]] = await pool.execute(
+      'SELECT COUNT(*) as total FROM ring_adjustments WHERE status = ?',
+      [status]
+    );
+
+    const [adjustments] = await pool.execute(
+      `SELECT a.*, u.login_id, u.username
+       FROM ring_adjustments a
+       LEFT JOIN users u ON a.user_id = u.id
+       WHERE a.status = ?
+       ORDER BY a.created_at DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      [status]
+    );
+
+    successResponse(res, '링 조정 요청 목록 조회 완료', {
+      adjustments
+    }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('링 조정 요청 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '링 조정 요청 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * 링 조정 승인/반려 공통 처리
+ */
+const handleAdjustmentReview = (approve) => async (req, res) => {
+  try {
+    const adjustment = await reviewRingAdjustment({
+      adjustmentId: req.params.id,
+      reviewerId: req.user.id,
+      approve,
+      note: req.body.note || null
+    });
+
+    successResponse(res, approve ? '링 조정이 승인되었습니다.' : '링 조정이 반려되었습니다.', {
+      adjustment
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('링 조정 처리 에러:', error);
+    errorResponse(
+      res,
+      '링 조정 처리 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * POST /api/admin/ring-adjustments/:id/approve
+ * 링 조정 승인 (요청자 본인 불가, 원장에 admin_adjustment 기록)
+ */
+router.post('/ring-adjustments/:id/approve', validateId, validateAdjustmentReview, handleAdjustmentReview(true));
+
+/**
+ * POST /api/admin/ring-adjustments/:id/reject
+ * 링 조정 반려
+ */
+router.post('/ring-adjustments/:id/reject', validateId, validateAdjustmentReview, handleAdjustmentReview(false));
+
+/**
+ * 사용자 ID 파라미터 유효성 검사
+ */
+const validateUserIdParam = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('유효한 사용자 ID가 아닙니다.'),
+  handleValidationErrors
+];
+
+/**
+ * GET /api/admin/users/:userId/spending-limits
+ * 사용자 지출 한도 (본인 설정 + 관리자 적용) 및 남은 한도
+ */
+router.get('/users/:userId/spending-limits', validateUserIdParam, async (req, res) => {
+  try {
+    const summary = await getSpendingLimitSummary(pool, parseInt(req.params.userId));
+
+    successResponse(res, '사용자 지출 한도 조회 완료', summary);
+
+  } catch (error) {
+    console.error('사용자 지출 한도 조회 에러:', error);
+    errorResponse(
+      res,
+      '사용자 지출 한도 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * PUT /api/admin/users/:userId/spending-limits
+ * 관리 대상 계정에 지출 한도 적용 (즉시 적용, amount: null이면 해제, 사유 필수)
+ */
+router.put('/users/:userId/spending-limits', validateUserIdParam, validateSpendingLimit, [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('한도 적용 사유는 1-200자 사이여야 합니다.'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { limit_type, period, amount = null, reason } = req.body;
+
+    const [users] = await pool.execute('SELECT id FROM users WHERE id = ?', [userId]);
+
+    if (users.length === 0) {
+      return errorResponse(
+        res,
+        '사용자를 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let limit;
+    try {
+      limit = await setSpendingLimit(connection, {
+        userId,
+        limitType: limit_type,
+        period,
+        source: SPENDING_LIMIT_SOURCES.ADMIN,
+        amount: amount === null ? null : parseInt(amount),
+        reason,
+        actorId: req.user.id
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    successResponse(res, '사용자 지출 한도가 적용되었습니다.', {
+      limit
+    });
+
+  } catch (error) {
+    console.error('사용자 지출 한도 적용 에러:', error);
+    errorResponse(
+      res,
+      '사용자 지출 한도 적용 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * 과금 정책 버전 등록 유효성 검사
+ * rules: [{ consultant_grade, consultation_method?, unit_seconds, minimum_units, allowed_fees, commission_rate }]
+ */
+const validateBillingPolicy = [
+  body('effective_from')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('적용 시작 시각은 ISO 8601 형식이어야 합니다.'),
+
+  body('note')
+    .optional({ nullable: true })
+    .isLength({ max: 200 })
+    .withMessage('메모는 200자 이하여야 합니다.'),
+
+  body('rules')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('정책 규칙 목록이 필요합니다.'),
+
+  body('rules.*.consultant_grade')
+    .isIn(Object.values(CONSULTANT_LEVELS))
+    .withMessage(`상담사 등급은 ${Object.values(CONSULTANT_LEVELS).join(', ')} 중 하나여야 합니다.`),
+
+  body('rules.*.consultation_method')
+    .optional({ nullable: true })
+    .isIn(Object.values(CONSULTATION_METHODS))
+    .withMessage('상담 방식은 전화, 채팅, 화상 중 하나여야 합니다.'),
+
+  body('rules.*.unit_seconds')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 3600 })
+    .withMessage('과금 단위는 1-3600초 사이여야 합니다.'),
+
+  body('rules.*.minimum_units')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 120 })
+    .withMessage('최소 과금 단위는 1-120 사이여야 합니다.'),
+
+  body('rules.*.allowed_fees')
+    .optional({ nullable: true })
+    .isArray({ min: 1, max: 20 })
+    .withMessage('허용 상담료는 1개 이상의 목록이어야 합니다.'),
+
+  body('rules.*.allowed_fees.*')
+    .isInt({ min: 1 })
+    .withMessage('허용 상담료는 양의 정수여야 합니다.'),
+
+  body('rules.*.commission_rate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('정산율은 0-1 사이여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * GET /api/admin/billing-policies
+ * 과금 정책 버전 목록 (현재 적용 버전 표시)
+ */
+router.get('/billing-policies', validatePagination, async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const [[{ total }]] = await pool.execute('SELECT COUNT(*) as total FROM billing_policies');
+
+    const [policies] = await pool.execute(
+      `SELECT bp.id, bp.version, bp.effective_from, bp.note, bp.created_by, bp.created_at,
+       (SELECT COUNT(*) FROM consultations c WHERE c.billing_policy_id = bp.id) as consultation_count
+       FROM billing_policies bp
+       ORDER BY bp.version DESC
+       LIMIT ${limitNum} OFFSET ${offset}`
+    );
+
+    const current = await getEffectivePolicy(pool).catch(() => null);
+
+    successResponse(res, '과금 정책 목록 조회 완료', {
+      current_policy_id: current ? current.id : null,
+      policies: policies.map(policy => ({
+        ...policy,
+        is_current: current ? policy.id === current.id : false
+      }))
+    }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('과금 정책 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '과금 정책 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/admin/billing-policies/current
+ * 현재 적용 중인 과금 정책 (규칙 포함)
+ */
+router.get('/billing-policies/current', async (req, res) => {
+  try {
+    const current = await getEffectivePolicy(pool);
+
+    successResponse(res, '현재 과금 정책 조회 완료', {
+      policy: await getPolicyVersion(pool, current.id)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('현재 과금 정책 조회 에러:', error);
+    errorResponse(
+      res,
+      '현재 과금 정책 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/admin/billing-policies/:id
+ * 과금 정책 버전 상세 (규칙 포함)
+ */
+router.get('/billing-policies/:id', validateId, async (req, res) => {
+  try {
+    const policy = await getPolicyVersion(pool, req.params.id);
+
+    if (!policy) {
+      return errorResponse(
+        res,
+        '과금 정책을 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    successResponse(res, '과금 정책 조회 완료', {
+      policy
+    });
+
+  } catch (error) {
+    console.error('과금 정책 조회 에러:', error);
+    errorResponse(
+      res,
+      '과금 정책 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/admin/billing-policies
+ * 과금 정책 새 버전 등록 (모든 등급의 기본 규칙 필요, effective_from 이후 요청되는 상담부터 적용)
+ */
+router.post('/billing-policies', validateBillingPolicy, async (req, res) => {
+  try {
+    const { effective_from = null, note = null, rules } = req.body;
+
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let policy;
+    try {
+      policy = await createPolicyVersion(connection, {
+        effectiveFrom: effective_from ? new Date(effective_from) : new Date(),
+        note,
+        rules: rules.map(rule => ({
+          ...rule,
+          unit_seconds: rule.unit_seconds === undefined || rule.unit_seconds === null ? null : parseInt(rule.unit_seconds),
+          minimum_units: rule.minimum_units === undefined || rule.minimum_units === null ? null : parseInt(rule.minimum_units),
+          commission_rate: rule.commission_rate === undefined || rule.commission_rate === null
+            ? null
+            : parseFloat(rule.commission_rate)
+        })),
+        createdBy: req.user.id
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    successResponse(res, `과금 정책 버전 ${policy.version}이 등록되었습니다.`, {
+      policy
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('과금 정책 등록 에러:', error);
+    errorResponse(
+      res,
+      '과금 정책 등록 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/admin/flagged-sessions
+ * 관리자 확인 대상 상담 목록 (방치되어 시스템 종료된 상담 등, 기본: 확인 대기)
+ */
+router.get('/flagged-sessions', validatePagination, async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      status = ADMIN_REVIEW_STATUS.PENDING
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const [[{ total }]] = await pool.execute(
+      'SELECT COUNT(*) as total FROM consultations WHERE admin_review_status = ?',
+      [status]
+    );
+
+    const [sessions] = await pool.execute(
+      `SELECT c.id, c.customer_id, c.consultant_id, c.consultation_method, c.status,
+       c.start_datetime, c.last_activity_at, c.end_datetime, c.duration_time, c.billed_units,
+       c.amount, c.discount_amount, c.consultant_amount, c.end_reason,
+       c.admin_review_status, c.admin_review_reason, c.admin_review_note, c.admin_reviewed_by, c.admin_reviewed_at,
+       u.nickname as customer_nickname, cs.name as consultant_name
+       FROM consultations c
+       LEFT JOIN users u ON c.customer_id = u.id
+       LEFT JOIN consultants cs ON c.consultant_id = cs.id
+       WHERE c.admin_review_status = ?
+       ORDER BY c.end_datetime DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      [status]
+    );
+
+    successResponse(res, '확인 대상 상담 목록 조회 완료', {
+      sessions
+    }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('확인 대상 상담 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '확인 대상 상담 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/admin/flagged-sessions/:id/resolve
+ * 확인 대상 상담 처리 완료 (링 보정이 필요하면 링 조정 요청으로 별도 처리)
+ */
+router.post('/flagged-sessions/:id/resolve', validateId, [
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('처리 메모는 1-200자 사이여야 합니다.'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await resolveFlaggedSession({
+      consultationId: req.params.id,
+      reviewerId: req.user.id,
+      note: req.body.note
+    });
+
+    successResponse(res, '확인 처리되었습니다.', { session });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('확인 대상 상담 처리 에러:', error);
+    errorResponse(
+      res,
+      '확인 대상 상담 처리 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/admin/disputes
+ * 상담 분쟁 목록 (status 지정 없으면 미결정 분쟁)
+ */
+router.get('/disputes', validatePagination, async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      status = null
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const statuses = status && Object.values(DISPUTE_STATUS).includes(status)
+      ? [status]
+      : [DISPUTE_STATUS.OPEN, DISPUTE_STATUS.RESPONDED];
+    const statusPlaceholders = statuses.map(() => '?').join(', ');
+
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) as total FROM consultation_disputes WHERE status IN (${statusPlaceholders})`,
+      statuses
+    );
+
+    const [disputes] = await pool.execute(
+      `SELECT d.id, d.consultation_id, d.customer_id, d.consultant_id, d.reason, d.status, d.decision,
+       d.refund_rings, d.consultant_deduction, d.created_at, d.responded_at, d.decided_at,
+       c.amount, c.discount_amount, u.nickname as customer_nickname, cs.name as consultant_name
+       FROM consultation_disputes d
+       JOIN consultations c ON d.consultation_id = c.id
+       LEFT JOIN users u ON d.customer_id = u.id
+       LEFT JOIN consultants cs ON d.consultant_id = cs.id
+       WHERE d.status IN (${statusPlaceholders})
+       ORDER BY d.created_at ASC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      statuses
+    );
+
+    successResponse(res, '분쟁 목록 조회 완료', {
+      disputes
+    }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('분쟁 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '분쟁 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/admin/disputes/:id
+ * 분쟁 상세 (고객 사유, 상담사 답변, 증빙 목록)
+ */
+router.get('/disputes/:id', validateId, async (req, res) => {
+  try {
+    const dispute = await getDispute(pool, req.params.id);
+
+    if (!dispute) {
+      return errorResponse(
+        res,
+        '분쟁을 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    successResponse(res, '분쟁 조회 완료', { dispute });
+
+  } catch (error) {
+    console.error('분쟁 조회 에러:', error);
+    errorResponse(
+      res,
+      '분쟁 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/admin/disputes/:id/decision
+ * 분쟁 환불 결정 (고객 환불 + 상담사 정산 회수, 결정된 달 정산에서 차감)
+ */
+router.post('/disputes/:id/decision', validateId, [
+  body('decision')
+    .isIn(Object.values(DISPUTE_DECISIONS))
+    .withMessage(`결정은 ${Object.values(DISPUTE_DECISIONS).join(', ')} 중 하나여야 합니다.`),
+
+  body('refund_rings')
+    .if(body('decision').equals(DISPUTE_DECISIONS.PARTIAL_REFUND))
+    .isInt({ min: 1 })
+    .withMessage('부분 환불 링은 1 이상의 정수여야 합니다.'),
+
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('결정 사유는 1-200자 사이여야 합니다.'),
+
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let dispute;
+
+    try {
+      dispute = await decideDispute(connection, {
+        disputeId: req.params.id,
+        adminId: req.user.id,
+        decision: req.body.decision,
+        refundRings: req.body.refund_rings,
+        note: req.body.note
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    successResponse(res, '분쟁 결정이 처리되었습니다.', { dispute });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('분쟁 결정 에러:', error);
+    errorResponse(
+      res,
+      '분쟁 결정 처리 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+module.exports = router;
@@ -4,9 +4,39 @@ const path = require('path');
 const fs = require('fs');
 const { pool } = require('../config/database');
 const { optionalAuth, authenticateToken } = require('../middleware/auth');
-const { validateId, validatePagination } = require('../middleware/validation');
+const { validateId, validatePagination, handleValidationErrors } = require('../middleware/validation');
+const { getOpenSlots, getAvailabilityRules, formatKstDate } = require('../services/reservations');
+const {
+  getQueueSnapshot,
+  getMyQueueEntry,
+  joinQueue,
+  leaveQueue,
+  publishQueuePositions
+} = require('../services/consultantQueue');
+const { publishConsultantStatus } = require('../services/realtime');
+const { resolveBillingPolicy } = require('../services/billingPolicy');
+const {
+  getCustomerNote,
+  getCustomerNotesMap,
+  listCustomerNotes,
+  saveCustomerNote,
+  deleteCustomerNote
+} = require('../services/customerNotes');
+const {
+  addFavorite,
+  removeFavorite,
+  getFavoriteConsultantIds,
+  notifyFavoritesAvailable
+} = require('../services/favorites');
 const { successResponse, errorResponse, safeJsonParse, createPagination } = require('../utils/helpers');
-const { RESPONSE_CODES, HTTP_STATUS, PAGINATION } = require('../utils/constants');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAGINATION,
+  RESERVATION_POLICY,
+  CUSTOMER_NOTE_POLICY
+} = require('../utils/constants');
+const { body, param, query } = require('express-validator');
 
 const router = express.Router();
 
@@ -43,7 +73,7 @@ const upload = multer({
 
 /**
  * GET /api/consultants
- * 상담사 목록 조회 (필터링 지원)
+ * 상담사 목록 조회 (필터링 지원, 로그인 사용자는 is_favorite 포함)
  */
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -124,12 +154,17 @@ router.get('/', optionalAuth, async (req, res) => {
       queryParams
     );
 
+    const favoriteIds = req.user
+      ? await getFavoriteConsultantIds(pool, req.user.id, consultants.map(consultant => consultant.id))
+      : null;
+
     // JSON 필드 파싱
     const consultantsWithParsedFields = consultants.map(consultant => ({
       ...consultant,
       intro_images: safeJsonParse(consultant.intro_images, []),
       specialties: Array.isArray(consultant.specialties) ? consultant.specialties : safeJsonParse(consultant.specialties, []),
-      consultation_styles: Array.isArray(consultant.consultation_styles) ? consultant.consultation_styles : safeJsonParse(consultant.consultation_styles, [])
+      consultation_styles: Array.isArray(consultant.consultation_styles) ? consultant.consultation_styles : safeJsonParse(consultant.consultation_styles, []),
+      ...(favoriteIds && { is_favorite: favoriteIds.has(consultant.id) })
     }));
 
     successResponse(res, '상담사 목록 조회 완료', {
@@ -759,7 +794,7 @@ router.post('/consultant-events/:id/leave', authenticateToken, validateId, async
  * 상담사 상태 업데이트 (본인 또는 관리자만 가능)
  * - waiting: 대기중 (토글 ON)
  * - away: 부재중 (토글 OFF)
- * - consulting: 상담중 (통화 시스템에서 자동 설정)
+ * - consulting: 상담중 (상담 수락 또는 통화 시스템의 통화 연결시 자동 설정)
  * - suspended: 정지 (관리자만 설정 가능)
  */
 router.put('/:id/status', authenticateToken, validateId, async (req, res) => {
@@ -837,6 +872,15 @@ router.put('/:id/status', authenticateToken, validateId, async (req, res) => {
       [status, consultantId]
     );
 
+    publishConsultantStatus(consultantId, status);
+
+    // 대기중으로 바뀌면 즐겨찾기 고객에게 알림 (알림 실패는 상태 변경에 영향 없음)
+    if (status === 'waiting' && consultant.current_status !== 'waiting') {
+      await notifyFavoritesAvailable(pool, consultant.id).catch(error => {
+        console.error(`즐겨찾기 대기 알림 에러 (consultant #${consultant.id}):`, error);
+      });
+    }
+
     successResponse(res, '상담사 상태가 업데이트되었습니다.', {
       consultant_id: consultantId,
       previous_status: consultant.current_status,
@@ -856,7 +900,7 @@ router.put('/:id/status', authenticateToken, validateId, async (req, res) => {
 
 /**
  * GET /api/consultants/:id/consultations
- * 상담사의 상담 내역 조회
+ * 상담사의 상담 내역 조회 (본인 조회시 고객별 메모를 customer_note로 포함)
  * Query params: status, consultation_type, page, limit
  */
 router.get('/:id/consultations', authenticateToken, validateId, validatePagination, async (req, res) => {
@@ -951,6 +995,14 @@ router.get('/:id/consultations', authenticateToken, validateId, validatePaginati
 
     const pagination = createPagination(page, limitNum, total);
 
+    // 고객 메모는 메모 API(findNoteOwnerConsultant)와 같은 기준으로 상담사 본인에게만 노출
+    if (consultant.user_id === req.user.id) {
+      const notes = await getCustomerNotesMap(pool, consultant.id, consultations.map(item => item.customer_id));
+      consultations.forEach(item => {
+        item.customer_note = notes.get(item.customer_id) || null;
+      });
+    }
+
     successResponse(res, '상담사 상담 내역 조회 완료', {
       consultations,
       count: consultations.length,
@@ -1185,7 +1237,7 @@ router.get('/:id/statistics', authenticateToken, validateId, async (req, res) =>
 
 /**
  * GET /api/consultants/:id
- * 상담사 상세 정보 조회
+ * 상담사 상세 정보 조회 (로그인 사용자는 is_favorite 포함)
  */
 router.get('/:id', optionalAuth, validateId, async (req, res) => {
   try {
@@ -1241,6 +1293,11 @@ router.get('/:id', optionalAuth, validateId, async (req, res) => {
       delete consultant.user_id;
     }
 
+    if (req.user) {
+      const favoriteIds = await getFavoriteConsultantIds(pool, req.user.id, [consultant.id]);
+      consultant.is_favorite = favoriteIds.has(consultant.id);
+    }
+
     successResponse(res, '상담사 정보 조회 완료', {
       consultant
     });
@@ -1815,28 +1872,8 @@ router.put('/:id/consultation-fee', authenticateToken, validateId, async (req, r
       );
     }
 
-    // 등급별 허용 상담료 옵션
-    const gradeToFeeOptions = {
-      '일반': [1000],
-      '파트너1': [1000, 1200],
-      '파트너2': [1000, 1200],
-      '파트너3': [1000, 1200, 1300],
-      '파트너4': [1000, 1200, 1300, 1500],
-      '파트너5': [1000, 1200, 1300, 1500, 1600],
-      '파트너6': [1000, 1200, 1300, 1500, 1600, 1800]
-    };
-
-    // 등급에 맞는 상담료인지 검증
-    const allowedFees = gradeToFeeOptions[consultant.consultant_grade];
-
-    if (!allowedFees) {
-      return errorResponse(
-        res,
-        '유효하지 않은 등급입니다.',
-        RESPONSE_CODES.VALIDATION_ERROR,
-        HTTP_STATUS.BAD_REQUEST
-      );
-    }
+    // 등급에 맞는 상담료인지 검증 (현재 과금 정책의 등급별 허용 상담료)
+    const { allowed_fees: allowedFees } = await resolveBillingPolicy(pool, consultant.consultant_grade);
 
     if (!allowedFees.includes(consultation_fee)) {
       return errorResponse(
@@ -1862,6 +1899,10 @@ router.put('/:id/consultation-fee', authenticateToken, validateId, async (req, r
     successResponse(res, '상담료가 변경되었습니다.', updatedConsultants[0]);
 
   } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
     console.error('상담료 변경 에러:', error);
     errorResponse(
       res,
@@ -1873,4 +1914,793 @@ router.put('/:id/consultation-fee', authenticateToken, validateId, async (req, r
 });
 
 
+/**
+ * 가능 시간 'HH:MM' 형식
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * 예약 슬롯 조회 유효성 검사
+ */
+const validateSlotQuery = [
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('조회 시작일은 YYYY-MM-DD 형식이어야 합니다.'),
+
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: RESERVATION_POLICY.BOOKING_HORIZON_DAYS })
+    .withMessage(`조회 일수는 1-${RESERVATION_POLICY.BOOKING_HORIZON_DAYS} 사이여야 합니다.`),
+
+  handleValidationErrors
+];
+
+/**
+ * 주간 가능 시간 유효성 검사
+ */
+const validateAvailabilityTemplates = [
+  body('templates')
+    .isArray({ max: 50 })
+    .withMessage('주간 가능 시간 목록이 필요합니다.'),
+
+  body('templates.*.day_of_week')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('요일은 0(일)-6(토) 사이여야 합니다.'),
+
+  body('templates.*.start_time')
+    .matches(TIME_PATTERN)
+    .withMessage('시작 시간은 HH:MM 형식이어야 합니다.'),
+
+  body('templates.*.end_time')
+    .matches(TIME_PATTERN)
+    .withMessage('종료 시간은 HH:MM 형식이어야 합니다.'),
+
+  body('templates').custom((templates) => {
+    if (templates.some(template => template.end_time <= template.start_time)) {
+      throw new Error('종료 시간은 시작 시간 이후여야 합니다.');
+    }
+    return true;
+  }),
+
+  handleValidationErrors
+];
+
+/**
+ * 날짜별 예외 유효성 검사 (시간 미지정 휴무는 하루 전체)
+ */
+const validateAvailabilityException = [
+  body('exception_date')
+    .isISO8601({ strict: true })
+    .withMessage('예외 날짜는 YYYY-MM-DD 형식이어야 합니다.'),
+
+  body('is_available')
+    .isBoolean()
+    .withMessage('가능 여부는 true 또는 false여야 합니다.'),
+
+  body('start_time')
+    .optional({ nullable: true })
+    .matches(TIME_PATTERN)
+    .withMessage('시작 시간은 HH:MM 형식이어야 합니다.'),
+
+  body('end_time')
+    .optional({ nullable: true })
+    .matches(TIME_PATTERN)
+    .withMessage('종료 시간은 HH:MM 형식이어야 합니다.'),
+
+  body('end_time').custom((endTime, { req }) => {
+    const { start_time: startTime, is_available: isAvailable } = req.body;
+
+    if (!startTime !== !endTime) {
+      throw new Error('시작 시간과 종료 시간을 함께 입력해주세요.');
+    }
+    if (isAvailable && !startTime) {
+      throw new Error('추가 가능 시간은 시작/종료 시간이 필요합니다.');
+    }
+    if (startTime && endTime <= startTime) {
+      throw new Error('종료 시간은 시작 시간 이후여야 합니다.');
+    }
+    return true;
+  }),
+
+  body('reason')
+    .optional({ nullable: true })
+    .isLength({ max: 200 })
+    .withMessage('사유는 200자 이하여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 관리 대상 상담사 조회 (본인 또는 관리자, 권한 없으면 에러 응답 후 null)
+ */
+const findManageableConsultant = async (req, res) => {
+  const [consultants] = await pool.execute(
+    'SELECT id, user_id FROM consultants WHERE id = ?',
+    [req.params.id]
+  );
+
+  if (consultants.length === 0) {
+    errorResponse(res, '상담사를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    return null;
+  }
+
+  const isOwner = consultants[0].user_id === req.user.id;
+  const isAdmin = req.user.role_level === 10;
+
+  if (!isOwner && !isAdmin) {
+    errorResponse(
+      res,
+      '본인의 상담사 정보만 관리할 수 있습니다.',
+      RESPONSE_CODES.AUTHORIZATION_ERROR,
+      HTTP_STATUS.FORBIDDEN
+    );
+    return null;
+  }
+
+  return consultants[0];
+};
+
+/**
+ * GET /api/consultants/:id/slots
+ * 예약 가능 슬롯 조회 (KST, from=YYYY-MM-DD, days=1-14)
+ */
+router.get('/:id/slots', optionalAuth, validateId, validateSlotQuery, async (req, res) => {
+  try {
+    const consultantId = parseInt(req.params.id);
+    const { from = null, days = 7 } = req.query;
+
+    const [consultants] = await pool.execute(
+      'SELECT id, name, consultation_fee, status FROM consultants WHERE id = ?',
+      [consultantId]
+    );
+
+    if (consultants.length === 0) {
+      return errorResponse(
+        res,
+        '상담사를 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const slots = await getOpenSlots(pool, consultantId, { from, days: parseInt(days) });
+
+    successResponse(res, '예약 가능 슬롯 조회 완료', {
+      consultant: consultants[0],
+      slot_minutes: RESERVATION_POLICY.SLOT_MINUTES,
+      days: slots
+    });
+
+  } catch (error) {
+    console.error('예약 슬롯 조회 에러:', error);
+    errorResponse(
+      res,
+      '예약 슬롯 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/consultants/:id/availability
+ * 가능 시간 설정 조회 (주간 가능 시간 + 오늘 이후 예외, 본인 또는 관리자)
+ */
+router.get('/:id/availability', authenticateToken, validateId, async (req, res) => {
+  try {
+    const consultant = await findManageableConsultant(req, res);
+    if (!consultant) {
+      return;
+    }
+
+    const today = formatKstDate(new Date());
+    const [[{ lastDate }]] = await pool.execute(
+      'SELECT MAX(exception_date) as lastDate FROM consultant_availability_exceptions WHERE consultant_id = ?',
+      [consultant.id]
+    );
+
+    const rules = await getAvailabilityRules(pool, consultant.id, today, lastDate || today);
+
+    successResponse(res, '가능 시간 설정 조회 완료', rules);
+
+  } catch (error) {
+    console.error('가능 시간 설정 조회 에러:', error);
+    errorResponse(
+      res,
+      '가능 시간 설정 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * PUT /api/consultants/:id/availability/templates
+ * 주간 가능 시간 전체 교체 (본인 또는 관리자)
+ */
+router.put('/:id/availability/templates', authenticateToken, validateId, validateAvailabilityTemplates, async (req, res) => {
+  try {
+    const consultant = await findManageableConsultant(req, res);
+    if (!consultant) {
+      return;
+    }
+
+    const { templates } = req.body;
+
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      await connection.execute(
+        'DELETE FROM consultant_availability_templates WHERE consultant_id = ?',
+        [consultant.id]
+      );
+
+      for (const template of templates) {
+        await connection.execute(
+          `INSERT INTO consultant_availability_templates (consultant_id, day_of_week, start_time, end_time)
+           VALUES (?, ?, ?, ?)`,
+          [consultant.id, template.day_of_week, template.start_time, template.end_time]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    successResponse(res, '주간 가능 시간이 저장되었습니다.', {
+      count: templates.length
+    });
+
+  } catch (error) {
+    console.error('주간 가능 시간 저장 에러:', error);
+    errorResponse(
+      res,
+      '주간 가능 시간 저장 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/consultants/:id/availability/exceptions
+ * 날짜별 예외 등록 (휴무 또는 추가 가능 시간, 기존 예약에는 영향 없음)
+ */
+router.post('/:id/availability/exceptions', authenticateToken, validateId, validateAvailabilityException, async (req, res) => {
+  try {
+    const consultant = await findManageableConsultant(req, res);
+    if (!consultant) {
+      return;
+    }
+
+    const {
+      exception_date,
+      is_available,
+      start_time = null,
+      end_time = null,
+      reason = null
+    } = req.body;
+
+    const [result] = await pool.execute(
+      `INSERT INTO consultant_availability_exceptions
+       (consultant_id, exception_date, start_time, end_time, is_available, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [consultant.id, exception_date, start_time, end_time, is_available, reason]
+    );
+
+    successResponse(res, '가능 시간 예외가 등록되었습니다.', {
+      id: result.insertId
+    });
+
+  } catch (error) {
+    console.error('가능 시간 예외 등록 에러:', error);
+    errorResponse(
+      res,
+      '가능 시간 예외 등록 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * DELETE /api/consultants/:id/availability/exceptions/:exceptionId
+ * 날짜별 예외 삭제
+ */
+router.delete(
+  '/:id/availability/exceptions/:exceptionId',
+  authenticateToken,
+  validateId,
+  param('exceptionId').isInt({ min: 1 }).withMessage('유효한 예외 ID가 아닙니다.'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const consultant = await findManageableConsultant(req, res);
+      if (!consultant) {
+        return;
+      }
+
+      const [result] = await pool.execute(
+        'DELETE FROM consultant_availability_exceptions WHERE id = ? AND consultant_id = ?',
+        [req.params.exceptionId, consultant.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return errorResponse(
+          res,
+          '가능 시간 예외를 찾을 수 없습니다.',
+          RESPONSE_CODES.NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND
+        );
+      }
+
+      successResponse(res, '가능 시간 예외가 삭제되었습니다.');
+
+    } catch (error) {
+      console.error('가능 시간 예외 삭제 에러:', error);
+      errorResponse(
+        res,
+        '가능 시간 예외 삭제 중 오류가 발생했습니다.',
+        RESPONSE_CODES.DATABASE_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR
+      );
+    }
+  }
+);
+
+/**
+ * POST /api/consultants/:id/queue
+ * 대기열 등록 (상담 중인 상담사, 등록 후 순번은 실시간 스트림으로 전송)
+ */
+router.post('/:id/queue', authenticateToken, validateId, async (req, res) => {
+  try {
+    const consultantId = parseInt(req.params.id);
+
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      await joinQueue(connection, { consultantId, customerId: req.user.id });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await publishQueuePositions(consultantId);
+
+    successResponse(res, '대기열에 등록되었습니다.', {
+      queue: await getMyQueueEntry(pool, consultantId, req.user.id)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('대기열 등록 에러:', error);
+    errorResponse(
+      res,
+      '대기열 등록 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/consultants/:id/queue/me
+ * 내 대기 순번 및 예상 대기 시간 (시작 제안을 받았으면 offer_expires_at 포함)
+ */
+router.get('/:id/queue/me', authenticateToken, validateId, async (req, res) => {
+  try {
+    const queue = await getMyQueueEntry(pool, parseInt(req.params.id), req.user.id);
+
+    if (!queue) {
+      return errorResponse(
+        res,
+        '대기 중인 대기열이 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    successResponse(res, '대기 순번 조회 완료', { queue });
+
+  } catch (error) {
+    console.error('대기 순번 조회 에러:', error);
+    errorResponse(
+      res,
+      '대기 순번 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * DELETE /api/consultants/:id/queue
+ * 대기열 나가기 (시작 제안 거절 포함)
+ */
+router.delete('/:id/queue', authenticateToken, validateId, async (req, res) => {
+  try {
+    const consultantId = parseInt(req.params.id);
+
+    await leaveQueue(pool, consultantId, req.user.id);
+    await publishQueuePositions(consultantId);
+
+    successResponse(res, '대기열에서 나왔습니다.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('대기열 나가기 에러:', error);
+    errorResponse(
+      res,
+      '대기열 나가기 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/consultants/:id/queue
+ * 대기열 현황 (상담사 본인 또는 관리자)
+ */
+router.get('/:id/queue', authenticateToken, validateId, async (req, res) => {
+  try {
+    const consultant = await findManageableConsultant(req, res);
+    if (!consultant) {
+      return;
+    }
+
+    const queue = await getQueueSnapshot(pool, consultant.id);
+
+    successResponse(res, '대기열 조회 완료', {
+      queue,
+      length: queue.length
+    });
+
+  } catch (error) {
+    console.error('대기열 조회 에러:', error);
+    errorResponse(
+      res,
+      '대기열 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * 고객 메모 대상 상담사 조회 (상담사 본인만, 관리자 포함 다른 사용자는 에러 응답 후 null)
+ */
+const findNoteOwnerConsultant = async (req, res) => {
+  const [consultants] = await pool.execute(
+    'SELECT id, user_id FROM consultants WHERE id = ?',
+    [req.params.id]
+  );
+
+  if (consultants.length === 0) {
+    errorResponse(res, '상담사를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    return null;
+  }
+
+  if (consultants[0].user_id !== req.user.id) {
+    errorResponse(
+      res,
+      '본인의 고객 메모만 조회할 수 있습니다.',
+      RESPONSE_CODES.AUTHORIZATION_ERROR,
+      HTTP_STATUS.FORBIDDEN
+    );
+    return null;
+  }
+
+  return consultants[0];
+};
+
+/**
+ * 고객 ID 유효성 검사
+ */
+const validateCustomerId = [
+  param('customerId').isInt({ min: 1 }).withMessage('유효한 고객 ID가 아닙니다.'),
+  handleValidationErrors
+];
+
+/**
+ * 고객 메모 저장 유효성 검사 (전달한 항목만 변경)
+ */
+const validateCustomerNote = [
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: CUSTOMER_NOTE_POLICY.MAX_NOTES_LENGTH })
+    .withMessage(`메모는 ${CUSTOMER_NOTE_POLICY.MAX_NOTES_LENGTH}자 이하여야 합니다.`),
+
+  body('tags')
+    .optional()
+    .isArray({ max: CUSTOMER_NOTE_POLICY.MAX_TAGS })
+    .withMessage(`태그는 최대 ${CUSTOMER_NOTE_POLICY.MAX_TAGS}개까지 등록할 수 있습니다.`),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: CUSTOMER_NOTE_POLICY.MAX_TAG_LENGTH })
+    .withMessage(`태그는 1-${CUSTOMER_NOTE_POLICY.MAX_TAG_LENGTH}자여야 합니다.`),
+
+  body('saju_profile')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('사주 정보 형식이 올바르지 않습니다.'),
+
+  body('saju_profile.birth_date')
+    .if(body('saju_profile').exists({ checkNull: true }))
+    .isISO8601({ strict: true })
+    .withMessage('생년월일은 YYYY-MM-DD 형식이어야 합니다.'),
+
+  body('saju_profile.birth_time')
+    .optional({ nullable: true })
+    .matches(TIME_PATTERN)
+    .withMessage('태어난 시간은 HH:MM 형식이어야 합니다.'),
+
+  body('saju_profile.calendar_type')
+    .optional()
+    .isIn(['solar', 'lunar'])
+    .withMessage('달력 구분은 solar(양력) 또는 lunar(음력)이어야 합니다.'),
+
+  body('saju_profile.is_leap_month')
+    .optional()
+    .isBoolean()
+    .withMessage('윤달 여부는 true 또는 false여야 합니다.'),
+
+  body('saju_profile.gender')
+    .optional({ nullable: true })
+    .isIn(['M', 'F'])
+    .withMessage('성별은 M(남성) 또는 F(여성)이어야 합니다.'),
+
+  body('saju_profile.birth_place')
+    .optional({ nullable: true })
+    .isLength({ max: 50 })
+    .withMessage('출생지는 50자 이하여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 고객이 알려준 사주 정보 (허용 항목만 저장)
+ */
+const pickSajuProfile = (profile) => {
+  if (profile === undefined || profile === null) {
+    return profile;
+  }
+
+  return {
+    birth_date: profile.birth_date,
+    birth_time: profile.birth_time || null,
+    calendar_type: profile.calendar_type || 'solar',
+    is_leap_month: profile.calendar_type === 'lunar' && (profile.is_leap_month === true || profile.is_leap_month === 'true'),
+    gender: profile.gender || null,
+    birth_place: profile.birth_place || null
+  };
+};
+
+/**
+ * GET /api/consultants/:id/customer-notes
+ * 고객 메모 목록 (상담사 본인만, 최근 수정순, tag로 필터)
+ */
+router.get('/:id/customer-notes', authenticateToken, validateId, validatePagination, async (req, res) => {
+  try {
+    const consultant = await findNoteOwnerConsultant(req, res);
+    if (!consultant) {
+      return;
+    }
+
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      tag = null
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const { notes, total } = await listCustomerNotes(pool, consultant.id, {
+      tag: tag ? String(tag).trim() : null,
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    successResponse(res, '고객 메모 목록 조회 완료', { notes }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('고객 메모 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '고객 메모 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/consultants/:id/customer-notes/:customerId
+ * 고객 메모 조회 (상담사 본인만, 메모가 없으면 note: null)
+ */
+router.get('/:id/customer-notes/:customerId', authenticateToken, validateId, validateCustomerId, async (req, res) => {
+  try {
+    const consultant = await findNoteOwnerConsultant(req, res);
+    if (!consultant) {
+      return;
+    }
+
+    const note = await getCustomerNote(pool, consultant.id, parseInt(req.params.customerId));
+
+    successResponse(res, '고객 메모 조회 완료', { note });
+
+  } catch (error) {
+    console.error('고객 메모 조회 에러:', error);
+    errorResponse(
+      res,
+      '고객 메모 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * PUT /api/consultants/:id/customer-notes/:customerId
+ * 고객 메모 저장 (상담사 본인만, 상담한 적이 있는 고객, 전달한 항목만 변경)
+ */
+router.put(
+  '/:id/customer-notes/:customerId',
+  authenticateToken,
+  validateId,
+  validateCustomerId,
+  validateCustomerNote,
+  async (req, res) => {
+    try {
+      const consultant = await findNoteOwnerConsultant(req, res);
+      if (!consultant) {
+        return;
+      }
+
+      const note = await saveCustomerNote(pool, consultant.id, parseInt(req.params.customerId), {
+        notes: req.body.notes,
+        tags: req.body.tags,
+        sajuProfile: pickSajuProfile(req.body.saju_profile)
+      });
+
+      successResponse(res, '고객 메모가 저장되었습니다.', { note });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return errorResponse(res, error.message, error.code, error.statusCode);
+      }
+
+      console.error('고객 메모 저장 에러:', error);
+      errorResponse(
+        res,
+        '고객 메모 저장 중 오류가 발생했습니다.',
+        RESPONSE_CODES.DATABASE_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR
+      );
+    }
+  }
+);
+
+/**
+ * DELETE /api/consultants/:id/customer-notes/:customerId
+ * 고객 메모 삭제 (상담사 본인만)
+ */
+router.delete('/:id/customer-notes/:customerId', authenticateToken, validateId, validateCustomerId, async (req, res) => {
+  try {
+    const consultant = await findNoteOwnerConsultant(req, res);
+    if (!consultant) {
+      return;
+    }
+
+    await deleteCustomerNote(pool, consultant.id, parseInt(req.params.customerId));
+
+    successResponse(res, '고객 메모가 삭제되었습니다.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('고객 메모 삭제 에러:', error);
+    errorResponse(
+      res,
+      '고객 메모 삭제 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/consultants/:id/favorite
+ * 즐겨찾기 추가 (이미 추가한 상담사는 notify_when_available만 변경)
+ * Body: { notify_when_available } - 상담사가 대기중으로 바뀌면 알림
+ */
+router.post(
+  '/:id/favorite',
+  authenticateToken,
+  validateId,
+  [
+    body('notify_when_available')
+      .optional()
+      .isBoolean()
+      .withMessage('notify_when_available은 true 또는 false여야 합니다.'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { notify_when_available } = req.body;
+
+      const { created, favorite } = await addFavorite(pool, req.user.id, parseInt(req.params.id), {
+        notifyWhenAvailable: notify_when_available === undefined
+          ? undefined
+          : notify_when_available === true || notify_when_available === 'true'
+      });
+
+      successResponse(res, created ? '즐겨찾기에 추가되었습니다.' : '즐겨찾기 설정이 변경되었습니다.', {
+        created,
+        favorite
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return errorResponse(res, error.message, error.code, error.statusCode);
+      }
+
+      console.error('즐겨찾기 추가 에러:', error);
+      errorResponse(
+        res,
+        '즐겨찾기 추가 중 오류가 발생했습니다.',
+        RESPONSE_CODES.DATABASE_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR
+      );
+    }
+  }
+);
+
+/**
+ * DELETE /api/consultants/:id/favorite
+ * 즐겨찾기 삭제
+ */
+router.delete('/:id/favorite', authenticateToken, validateId, async (req, res) => {
+  try {
+    await removeFavorite(pool, req.user.id, parseInt(req.params.id));
+
+    successResponse(res, '즐겨찾기에서 삭제되었습니다.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('즐겨찾기 삭제 에러:', error);
+    errorResponse(
+      res,
+      '즐겨찾기 삭제 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
 module.exports = router;
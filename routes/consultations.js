@@ -1,13 +1,261 @@
 const express = require('express');
+const multer = require('multer');
+const crypto = require('crypto');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { validateId, validatePagination } = require('../middleware/validation');
-const { successResponse, errorResponse, createPagination } = require('../utils/helpers');
-const { RESPONSE_CODES, HTTP_STATUS, PAGINATION } = require('../utils/constants');
-const { body, validationResult } = require('express-validator');
+const { idempotency } = require('../middleware/idempotency');
+const { verifySignature } = require('../middleware/signature');
+const { validateId, validatePagination, handleValidationErrors } = require('../middleware/validation');
+const { getSpendingAllowance } = require('../services/spendingLimits');
+const {
+  lockConsultation,
+  transitionConsultation,
+  publishConsultationStatus,
+  getStatusLogs
+} = require('../services/consultationState');
+const {
+  getUnitMs,
+  getStartDateTime,
+  getDueUnits,
+  resolveEndDateTime,
+  billConsultationUnits,
+  startBilledSession,
+  finalizeConsultation,
+  getCompletionResult
+} = require('../services/consultationBilling');
+const { recordConsultationActivity } = require('../services/staleSessions');
+const { assertCanRequest, createConsultationRequest, publishConsultationRequest } = require('../services/consultationRequests');
+const { resolveBillingPolicy } = require('../services/billingPolicy');
+const { startMatch, cancelMatch, getMatch } = require('../services/matchmaking');
+const { claimQueueTurn, markQueueConverted, publishQueuePositions } = require('../services/consultantQueue');
+const {
+  getChatParticipant,
+  sendMessage,
+  markMessagesRead,
+  getReadState,
+  getMessages,
+  getMessageAttachment
+} = require('../services/chat');
+const {
+  getConsultationDispute,
+  fileDispute,
+  respondToDispute,
+  getEvidenceFile
+} = require('../services/disputes');
+const { setRecordingConsent, saveRecording, listRecordings, getPlaybackFile } = require('../services/recordings');
+const { createReadStream } = require('../services/storage');
+const { isTelephonyTracked } = require('../services/telephony');
+const { successResponse, errorResponse, createPagination, createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAGINATION,
+  SPENDING_LIMIT_TYPES,
+  CONSULTANT_STATUS,
+  CONSULTATION_STATUS,
+  CONSULTATION_REQUEST_POLICY,
+  CONSULTATION_ACTOR_TYPES,
+  CONSULTATION_BILLING,
+  CONSULTATION_END_REASONS,
+  CHAT_POLICY,
+  DISPUTE_REASONS,
+  DISPUTE_POLICY,
+  RECORDING_POLICY,
+  RECORDING_SOURCES
+} = require('../utils/constants');
+const { body, query, validationResult } = require('express-validator');
 
 const router = express.Router();
 
+/**
+ * 채팅 이미지 업로드 (메모리에 받은 뒤 비공개 저장소에 저장)
+ */
+const chatImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CHAT_POLICY.MAX_IMAGE_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (/^image\/(jpeg|png|gif|webp)$/.test(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('이미지 파일만 업로드 가능합니다 (jpeg, png, gif, webp)'));
+  }
+}).single('image');
+
+const uploadChatImage = (req, res, next) => {
+  chatImageUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    errorResponse(
+      res,
+      error.code === 'LIMIT_FILE_SIZE'
+        ? `파일 크기가 너무 큽니다. 최대 ${CHAT_POLICY.MAX_IMAGE_BYTES / 1024 / 1024}MB까지 업로드 가능합니다.`
+        : error.message,
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  });
+};
+
+/**
+ * 분쟁 증빙 업로드 (이미지, PDF, 음성 / evidence 필드 여러 개)
+ */
+const disputeEvidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DISPUTE_POLICY.MAX_EVIDENCE_BYTES, files: DISPUTE_POLICY.MAX_EVIDENCE_FILES },
+  fileFilter: (req, file, cb) => {
+    if (/^(image\/(jpeg|png|gif|webp)|application\/pdf|audio\/(mpeg|mp4|m4a|x-m4a|wav|webm))$/.test(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('이미지, PDF, 음성 파일만 업로드 가능합니다.'));
+  }
+}).array('evidence', DISPUTE_POLICY.MAX_EVIDENCE_FILES);
+
+const uploadDisputeEvidence = (req, res, next) => {
+  disputeEvidenceUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    let message = error.message;
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = `파일 크기가 너무 큽니다. 최대 ${DISPUTE_POLICY.MAX_EVIDENCE_BYTES / 1024 / 1024}MB까지 업로드 가능합니다.`;
+    } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = `증빙 파일은 최대 ${DISPUTE_POLICY.MAX_EVIDENCE_FILES}개까지 업로드 가능합니다.`;
+    }
+
+    errorResponse(res, message, RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  });
+};
+
+/**
+ * 통화 녹음 업로드 (음성, 화상 상담은 영상 포함 / recording 필드 1개)
+ */
+const recordingUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RECORDING_POLICY.MAX_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (/^(audio\/(mpeg|mp4|m4a|x-m4a|aac|wav|x-wav|ogg|webm|amr)|video\/(mp4|webm))$/.test(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('음성 또는 영상 파일만 업로드 가능합니다.'));
+  }
+}).single('recording');
+
+const uploadRecording = (req, res, next) => {
+  recordingUpload(req, res, (error) => {
+    if (!error && (!req.file || req.file.size === 0)) {
+      return errorResponse(res, '녹음 파일(recording)이 필요합니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (!error) {
+      return next();
+    }
+
+    errorResponse(
+      res,
+      error.code === 'LIMIT_FILE_SIZE'
+        ? `파일 크기가 너무 큽니다. 최대 ${RECORDING_POLICY.MAX_BYTES / 1024 / 1024}MB까지 업로드 가능합니다.`
+        : error.message,
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  });
+};
+
+/**
+ * 통화 시스템 녹음 업로드 서명 대상
+ * multipart 요청에는 rawBody가 없으므로 `${상담 ID}.${파일 SHA-256}.${고객 동의}.${상담사 동의}`를 서명 본문으로 사용합니다.
+ */
+const setRecordingSignaturePayload = (req, res, next) => {
+  const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+  const { customer_consent: customerConsent = '', consultant_consent: consultantConsent = '' } = req.body;
+
+  req.rawBody = Buffer.from(`${req.params.id}.${fileHash}.${customerConsent}.${consultantConsent}`);
+  next();
+};
+
+/**
+ * 녹음 업로드 유효성 검사 (앱 업로드는 각 당사자가 기록한 동의로 확인)
+ */
+const validateRecordingUpload = [
+  body('duration_seconds')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('녹음 길이는 0 이상의 정수(초)여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 통화 시스템 녹음 업로드 유효성 검사 (서명된 양측 동의 여부는 필수)
+ */
+const validateTelephonyRecordingUpload = [
+  body('customer_consent')
+    .isBoolean()
+    .withMessage('고객 녹음 동의 여부(customer_consent)가 필요합니다.'),
+
+  body('consultant_consent')
+    .isBoolean()
+    .withMessage('상담사 녹음 동의 여부(consultant_consent)가 필요합니다.'),
+
+  ...validateRecordingUpload
+];
+
+/**
+ * 녹음 동의 설정 유효성 검사
+ */
+const validateRecordingConsent = [
+  body('consent')
+    .isBoolean()
+    .withMessage('녹음 동의 여부(consent)가 필요합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 녹음 저장 요청 파라미터
+ */
+const getRecordingParams = (req) => ({
+  consultationId: req.params.id,
+  file: req.file,
+  durationSeconds: req.body.duration_seconds ? parseInt(req.body.duration_seconds) : null
+});
+
+/**
+ * 비공개 저장소 파일 전송 (권한 확인 후 호출)
+ */
+const sendStoredFile = (res, { key, mimeType }, label) => {
+  res.set({
+    'Content-Type': mimeType || 'application/octet-stream',
+    'Cache-Control': 'private, max-age=3600'
+  });
+
+  createReadStream(key)
+    .on('error', (error) => {
+      console.error(`${label} 읽기 에러:`, error);
+      if (!res.headersSent) {
+        errorResponse(
+          res,
+          `${label}을 찾을 수 없습니다.`,
+          RESPONSE_CODES.NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND
+        );
+      } else {
+        res.end();
+      }
+    })
+    .pipe(res);
+};
+
+// 상담 요청 불가 상담사 상태별 안내
+const CONSULTANT_UNAVAILABLE_MESSAGES = {
+  [CONSULTANT_STATUS.AWAY]: '상담사가 부재중입니다.',
+  [CONSULTANT_STATUS.CONSULTING]: '상담사가 다른 상담을 진행 중입니다.',
+  [CONSULTANT_STATUS.SUSPENDED]: '상담할 수 없는 상담사입니다.'
+};
+
 /**
  * 상담 시작 유효성 검사
  */
@@ -24,10 +272,10 @@ const validateConsultationStart = [
     .isIn(['전화', '채팅', '화상'])
     .withMessage('상담 방식은 전화, 채팅, 화상 중 하나여야 합니다.'),
 
-  body('start_datetime')
-    .optional()
-    .isISO8601()
-    .withMessage('start_datetime은 ISO 8601 형식이어야 합니다. (예: 2025-01-27T14:30:00.000Z)'),
+  body('user_coupon_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('유효한 쿠폰 ID가 아닙니다.'),
 
   (req, res, next) => {
     const errors = validationResult(req);
@@ -76,9 +324,23 @@ const validateConsultationRate = [
   }
 ];
 
+/**
+ * 과금 상태 응답 형식
+ */
+const formatBilling = (billing) => ({
+  billed_units: billing.billed_units,
+  charged_rings: billing.charged_rings,
+  total_amount: billing.amount,
+  discount_amount: billing.discount_amount,
+  paid_through: billing.paid_through.toISOString(),
+  remaining_units: billing.remaining_units,
+  low_balance_warning: billing.low_balance_warning
+});
+
 /**
  * POST /api/consultations/start
- * 상담 시작 요청
+ * 상담 요청 (대기중인 상담사에게만 가능, 상담사가 응답 제한 시간 내 수락해야 연결)
+ * 상담 할인 쿠폰 적용시 user_coupon_id 전달 (거절/취소/부재시 반환)
  */
 router.post('/start', authenticateToken, validateConsultationStart, async (req, res) => {
   try {
@@ -86,22 +348,22 @@ router.post('/start', authenticateToken, validateConsultationStart, async (req,
       consultant_id,
       consultation_type,
       consultation_method,
-      start_datetime
+      user_coupon_id = null
     } = req.body;
 
     const customerId = req.user.id;
 
     // 상담사 정보 확인
     const [consultants] = await pool.execute(
-      `SELECT id, name, consultant_number, consultation_fee, consultant_grade, status
-       FROM consultants WHERE id = ? AND status = 'active'`,
+      `SELECT id, user_id, name, consultant_number, consultation_fee, consultant_grade, status
+       FROM consultants WHERE id = ?`,
       [consultant_id]
     );
 
     if (consultants.length === 0) {
       return errorResponse(
         res,
-        '활성화된 상담사를 찾을 수 없습니다.',
+        '상담사를 찾을 수 없습니다.',
         RESPONSE_CODES.NOT_FOUND,
         HTTP_STATUS.NOT_FOUND
       );
@@ -109,82 +371,464 @@ router.post('/start', authenticateToken, validateConsultationStart, async (req,
 
     const consultant = consultants[0];
 
-    // 사용자 링 잔액 확인
-    const [users] = await pool.execute(
-      'SELECT rings FROM users WHERE id = ?',
-      [customerId]
-    );
-
-    const userRings = users[0].rings;
-    const minimumRings = 10; // 최소 10링 필요
-
-    if (userRings < minimumRings) {
+    if (consultant.status !== CONSULTANT_STATUS.WAITING) {
       return errorResponse(
         res,
-        '상담을 시작하기 위한 링이 부족합니다.',
+        CONSULTANT_UNAVAILABLE_MESSAGES[consultant.status] || '상담 가능한 상담사가 아닙니다.',
         RESPONSE_CODES.VALIDATION_ERROR,
-        HTTP_STATUS.BAD_REQUEST
+        HTTP_STATUS.CONFLICT
       );
     }
 
-    // 고유 상담 번호 생성
-    const consultationNumber = `cons_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    // 상담사 등급/방식에 적용할 과금 정책 (상담에 스냅샷으로 저장)
+    const policy = await resolveBillingPolicy(pool, consultant.consultant_grade, consultation_method);
+    const minimumCharge = consultant.consultation_fee * policy.minimum_units;
+
+    // 잔액/상담 이용 한도 확인 (최소 과금 단위 이상 필요, 실제 차감은 연결시)
+    const allowance = await assertCanRequest(pool, customerId, minimumCharge);
+
+    // 상담 요청 등록 + 쿠폰 적용 + 상담사 호출을 하나의 트랜잭션으로 처리
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    // start_datetime 처리 (앱에서 제공하면 사용, 없으면 현재 시간)
-    const startDateTime = start_datetime ? new Date(start_datetime) : new Date();
-    const consultationDate = startDateTime.toISOString().split('T')[0]; // YYYY-MM-DD 형태
+    let request;
+    let queueEntryId = null;
 
-    // 상담 정보 등록 (새로운 컬럼들 추가)
-    const [result] = await pool.execute(
-      `INSERT INTO consultations (
-        consultation_id, customer_id, consultant_id, consultant_grade_at_time,
-        fee_rate_at_time, consultation_type, consultation_method,
-        consultation_date, start_time, start_datetime, status
-       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, '상담중')`,
-      [
-        consultationNumber,
+    try {
+      // 대기열이 있으면 맨 앞(시작 제안 받은) 고객만 요청 가능
+      queueEntryId = await claimQueueTurn(connection, consultant_id, customerId);
+
+      request = await createConsultationRequest(connection, {
         customerId,
-        consultant_id,
-        consultant.consultant_grade,
-        consultant.consultation_fee,
+        consultant,
+        consultationType: consultation_type,
+        consultationMethod: consultation_method,
+        policy,
+        userCouponId: user_coupon_id
+      });
+
+      if (queueEntryId) {
+        await markQueueConverted(connection, queueEntryId, request.id);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (queueEntryId) {
+      await publishQueuePositions(consultant_id);
+    }
+
+    publishConsultationRequest(consultant.user_id, request, {
+      customerId,
+      customerNickname: req.user.nickname,
+      consultationType: consultation_type,
+      consultationMethod: consultation_method
+    });
+
+    const { coupon } = request;
+
+    successResponse(res, '상담을 요청했습니다. 상담사의 수락을 기다리는 중입니다.', {
+      consultation: {
+        id: request.id,
+        consultation_id: request.consultation_id,
+        consultant: {
+          id: consultant.id,
+          name: consultant.name,
+          consultant_number: consultant.consultant_number
+        },
         consultation_type,
         consultation_method,
-        consultationDate,
-        startDateTime.toTimeString().split(' ')[0], // HH:mm:ss 형태 (호환성)
-        startDateTime // 새로운 start_datetime 컬럼
-      ]
+        fee_rate: consultant.consultation_fee,
+        billing_policy: {
+          version: policy.version,
+          unit_seconds: policy.unit_seconds,
+          minimum_units: policy.minimum_units
+        },
+        consultation_date: request.consultation_date,
+        status: CONSULTATION_STATUS.RINGING,
+        request_expires_at: request.request_expires_at.toISOString(),
+        // 상담 이용 한도 잔여 링 (null: 제한 없음)
+        spending_limit_remaining: allowance.remaining,
+        coupon: coupon ? {
+          user_coupon_id: coupon.user_coupon_id,
+          name: coupon.name,
+          discount_percent: coupon.value,
+          max_benefit_rings: coupon.max_benefit_rings
+        } : null
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('상담 요청 에러:', error);
+    errorResponse(
+      res,
+      '상담 요청 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
     );
+  }
+});
 
-    successResponse(res, '상담이 시작되었습니다.', {
+/**
+ * 랜덤 매칭 유효성 검사
+ */
+const validateMatchStart = [
+  body('consultation_field')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('상담 분야를 입력해주세요.'),
+
+  body('max_fee')
+    .isInt({ min: 1 })
+    .withMessage('최대 상담료는 1 이상의 정수여야 합니다.'),
+
+  body('consultation_method')
+    .isIn(['전화', '채팅', '화상'])
+    .withMessage('상담 방식은 전화, 채팅, 화상 중 하나여야 합니다.'),
+
+  body('user_coupon_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('유효한 쿠폰 ID가 아닙니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * POST /api/consultations/match
+ * 랜덤 매칭 시작 (조건에 맞는 대기중 상담사에게 요청, 거절/부재시 다음 후보에게 자동 재요청)
+ */
+router.post('/match', authenticateToken, validateMatchStart, async (req, res) => {
+  try {
+    const {
+      consultation_field,
+      max_fee,
+      consultation_method,
+      user_coupon_id = null
+    } = req.body;
+
+    const { match, request, consultant, policy } = await startMatch({
+      customer: req.user,
+      consultationField: consultation_field,
+      maxFee: parseInt(max_fee),
+      consultationMethod: consultation_method,
+      userCouponId: user_coupon_id ? parseInt(user_coupon_id) : null
+    });
+
+    successResponse(res, '랜덤 매칭을 시작했습니다. 상담사의 수락을 기다리는 중입니다.', {
+      match: {
+        id: match.id,
+        status: match.status,
+        attempts: match.attempts,
+        consultation_field: match.consultation_field,
+        max_fee: match.max_fee,
+        consultation_method: match.consultation_method
+      },
       consultation: {
-        id: result.insertId,
-        consultation_id: consultationNumber,
+        id: request.id,
+        consultation_id: request.consultation_id,
         consultant: {
           id: consultant.id,
           name: consultant.name,
           consultant_number: consultant.consultant_number
         },
-        consultation_type,
+        consultation_type: '랜덤',
         consultation_method,
         fee_rate: consultant.consultation_fee,
-        start_datetime: startDateTime.toISOString(), // 새로운 필드
-        consultation_date: consultationDate, // 호환성
-        start_time: startDateTime.toTimeString().split(' ')[0], // 호환성
-        status: '상담중'
+        billing_policy: {
+          version: policy.version,
+          unit_seconds: policy.unit_seconds,
+          minimum_units: policy.minimum_units
+        },
+        status: CONSULTATION_STATUS.RINGING,
+        request_expires_at: request.request_expires_at.toISOString()
       }
     });
 
   } catch (error) {
-    console.error('상담 시작 에러:', error);
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('랜덤 매칭 시작 에러:', error);
     errorResponse(
       res,
-      '상담 시작 중 오류가 발생했습니다.',
+      '랜덤 매칭 중 오류가 발생했습니다.',
       RESPONSE_CODES.DATABASE_ERROR,
       HTTP_STATUS.INTERNAL_SERVER_ERROR
     );
   }
 });
 
+/**
+ * GET /api/consultations/match/:id
+ * 랜덤 매칭 조회 (고객 본인, 현재 요청 중인 상담사 포함)
+ */
+router.get('/match/:id', authenticateToken, validateId, async (req, res) => {
+  try {
+    const match = await getMatch(pool, req.params.id, req.user.id);
+
+    successResponse(res, '랜덤 매칭 조회 완료', { match });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('랜덤 매칭 조회 에러:', error);
+    errorResponse(
+      res,
+      '랜덤 매칭 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/consultations/match/:id/cancel
+ * 랜덤 매칭 취소 (응답 대기 중인 상담 요청도 취소)
+ */
+router.post('/match/:id/cancel', authenticateToken, validateId, async (req, res) => {
+  try {
+    const match = await cancelMatch(parseInt(req.params.id), req.user.id);
+
+    successResponse(res, '랜덤 매칭이 취소되었습니다.', {
+      match: {
+        id: match.id,
+        status: match.status,
+        attempts: match.attempts
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('랜덤 매칭 취소 에러:', error);
+    errorResponse(
+      res,
+      '랜덤 매칭 취소 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * 상담 참여자 조회 (고객 또는 담당 상담사 본인)
+ * @returns {Promise<{consultation: object, actorType: string}|null>}
+ */
+const findParticipantConsultation = async (consultationId, userId) => {
+  const [consultations] = await pool.execute(
+    `SELECT c.id, c.customer_id, c.consultant_id, cs.user_id as consultant_user_id
+     FROM consultations c
+     LEFT JOIN consultants cs ON c.consultant_id = cs.id
+     WHERE c.id = ? AND (c.customer_id = ? OR cs.user_id = ?)`,
+    [consultationId, userId, userId]
+  );
+
+  if (consultations.length === 0) {
+    return null;
+  }
+
+  return {
+    consultation: consultations[0],
+    actorType: consultations[0].customer_id === userId
+      ? CONSULTATION_ACTOR_TYPES.CUSTOMER
+      : CONSULTATION_ACTOR_TYPES.CONSULTANT
+  };
+};
+
+/**
+ * 상태 변경 요청 유효성 검사 (사유 선택)
+ */
+const validateTransitionReason = [
+  body('reason')
+    .optional({ nullable: true })
+    .isLength({ max: 200 })
+    .withMessage('사유는 200자 이하여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 상담 상태 변경 공통 처리
+ * @param {string} toStatus - 변경할 상태
+ * @param {object} options
+ * @param {string} options.allowedActor - 변경 가능한 참여자 (CONSULTATION_ACTOR_TYPES)
+ * @param {string} options.message - 성공 메시지
+ * @param {Function} [options.beforeTransition] - 전이 전 추가 처리 (connection, consultation)
+ * @param {Function} [options.afterTransition] - 전이 후 추가 처리 (connection, consultation, userId) → 응답에 포함할 데이터
+ */
+const handleTransition = (toStatus, { allowedActor, message, beforeTransition, afterTransition }) => async (req, res) => {
+  try {
+    const consultationId = req.params.id;
+    const userId = req.user.id;
+
+    const participant = await findParticipantConsultation(consultationId, userId);
+
+    if (!participant || (allowedActor && participant.actorType !== allowedActor)) {
+      return errorResponse(
+        res,
+        '상담 정보를 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let consultation;
+    let extra = {};
+
+    try {
+      consultation = await lockConsultation(connection, consultationId);
+
+      if (beforeTransition) {
+        await beforeTransition(connection, consultation);
+      }
+
+      await transitionConsultation(connection, consultation, toStatus, {
+        actorType: participant.actorType,
+        actorId: userId,
+        reason: req.body.reason || null
+      });
+
+      if (afterTransition) {
+        extra = await afterTransition(connection, consultation, userId) || {};
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await publishConsultationStatus(consultation.id);
+
+    successResponse(res, message, {
+      consultation: {
+        id: consultation.id,
+        status: consultation.status,
+        ...extra
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('상담 상태 변경 에러:', error);
+    errorResponse(
+      res,
+      '상담 상태 변경 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * 응답 제한 시간 확인 (만료된 요청은 정리 작업이 부재/취소 처리)
+ */
+const assertRequestNotExpired = async (connection, consultation) => {
+  if (consultation.request_expires_at && new Date(consultation.request_expires_at) <= new Date()) {
+    throw createError('요청 제한 시간이 지났습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+};
+
+/**
+ * POST /api/consultations/:id/accept
+ * 상담 수락 (담당 상담사, 연결 제한 시간 내 양측이 연결해야 상담 시작)
+ */
+router.post('/:id/accept', authenticateToken, validateId, handleTransition(CONSULTATION_STATUS.ACCEPTED, {
+  allowedActor: CONSULTATION_ACTOR_TYPES.CONSULTANT,
+  message: '상담을 수락했습니다.',
+  beforeTransition: async (connection, consultation) => {
+    await assertRequestNotExpired(connection, consultation);
+
+    // 상담사 행 잠금 후 다른 상담 진행 여부 확인 (동시 수락 방지)
+    await connection.execute('SELECT id FROM consultants WHERE id = ? FOR UPDATE', [consultation.consultant_id]);
+    const [[{ engaged }]] = await connection.execute(
+      `SELECT COUNT(*) as engaged FROM consultations
+       WHERE consultant_id = ? AND id <> ? AND status IN (?, ?)`,
+      [consultation.consultant_id, consultation.id, CONSULTATION_STATUS.ACCEPTED, CONSULTATION_STATUS.IN_PROGRESS]
+    );
+
+    if (engaged > 0) {
+      throw createError('이미 진행 중인 상담이 있습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+    }
+  },
+  afterTransition: async (connection, consultation) => {
+    const expiresAt = new Date(Date.now() + CONSULTATION_REQUEST_POLICY.CONNECT_TIMEOUT_SECONDS * 1000);
+    await connection.execute(
+      'UPDATE consultations SET accepted_at = NOW(), request_expires_at = ? WHERE id = ?',
+      [expiresAt, consultation.id]
+    );
+    return { request_expires_at: expiresAt.toISOString() };
+  }
+}));
+
+/**
+ * POST /api/consultations/:id/decline
+ * 상담 거절 (담당 상담사, 적용 쿠폰 반환)
+ */
+router.post('/:id/decline', authenticateToken, validateId, validateTransitionReason, handleTransition(CONSULTATION_STATUS.DECLINED, {
+  allowedActor: CONSULTATION_ACTOR_TYPES.CONSULTANT,
+  message: '상담을 거절했습니다.',
+  afterTransition: async (connection, consultation) => {
+    await connection.execute('UPDATE consultations SET request_expires_at = NULL WHERE id = ?', [consultation.id]);
+  }
+}));
+
+/**
+ * POST /api/consultations/:id/cancel
+ * 상담 요청 취소 (고객, 상담 시작 전까지만 가능, 적용 쿠폰 반환)
+ */
+router.post('/:id/cancel', authenticateToken, validateId, validateTransitionReason, handleTransition(CONSULTATION_STATUS.CANCELLED, {
+  allowedActor: CONSULTATION_ACTOR_TYPES.CUSTOMER,
+  message: '상담 요청을 취소했습니다.',
+  afterTransition: async (connection, consultation) => {
+    await connection.execute('UPDATE consultations SET request_expires_at = NULL WHERE id = ?', [consultation.id]);
+  }
+}));
+
+/**
+ * POST /api/consultations/:id/connect
+ * 상담 연결 (수락된 상담을 시작, 고객 또는 상담사)
+ * 연결 시각부터 과금하며 첫 30초 단위를 선불 차감합니다.
+ */
+router.post('/:id/connect', authenticateToken, validateId, handleTransition(CONSULTATION_STATUS.IN_PROGRESS, {
+  message: '상담이 시작되었습니다.',
+  beforeTransition: assertRequestNotExpired,
+  afterTransition: async (connection, consultation, userId) => {
+    const startDateTime = new Date();
+
+    // 첫 단위(최소 과금 단위) 선불 차감
+    const billing = await startBilledSession(connection, consultation, { startDateTime, actorId: userId });
+
+    return {
+      start_datetime: startDateTime.toISOString(),
+      billing: formatBilling(billing)
+    };
+  }
+}));
+
 /**
  * 상담 종료 유효성 검사
  */
@@ -225,9 +869,9 @@ const validateConsultationEnd = [
 
 /**
  * POST /api/consultations/end
- * 상담 종료
+ * 상담 종료 (이미 완료된 상담은 저장된 종료 결과 반환, 실패하면 진행 중으로 남아 다시 요청 가능)
  */
-router.post('/end', authenticateToken, validateConsultationEnd, async (req, res) => {
+router.post('/end', authenticateToken, idempotency(), validateConsultationEnd, async (req, res) => {
   try {
     const {
       consultation_id,
@@ -238,17 +882,10 @@ router.post('/end', authenticateToken, validateConsultationEnd, async (req, res)
 
     const userId = req.user.id;
 
-    // 상담 정보 확인 (본인 상담인지 확인, start_datetime 포함)
-    const [consultations] = await pool.execute(
-      `SELECT id, customer_id, consultant_id, start_time, start_datetime, fee_rate_at_time, status
-       FROM consultations
-       WHERE id = ? AND (customer_id = ? OR consultant_id IN (
-         SELECT id FROM consultants WHERE user_id = ?
-       )) AND status = '상담중'`,
-      [consultation_id, userId, userId]
-    );
+    // 상담 정보 확인 (본인 상담인지 확인)
+    const participant = await findParticipantConsultation(consultation_id, userId);
 
-    if (consultations.length === 0) {
+    if (!participant) {
       return errorResponse(
         res,
         '진행 중인 본인의 상담을 찾을 수 없습니다.',
@@ -257,85 +894,198 @@ router.post('/end', authenticateToken, validateConsultationEnd, async (req, res)
       );
     }
 
-    const consultation = consultations[0];
-
-    // end_datetime 처리 (앱에서 제공하면 사용, 없으면 현재 시간)
-    const endDateTime = end_datetime ? new Date(end_datetime) : new Date();
+    // end_datetime 처리 (앱에서 제공하면 마지막 활동 ~ 현재 범위로 보정, 없으면 현재 시간)
+    const requestedEnd = end_datetime ? new Date(end_datetime) : null;
+
+    // 남은 단위 과금 + 상담 종료 + 상담사 정산을 하나의 트랜잭션으로 처리 (원장 기록 포함)
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let consultation;
+    let billing;
+    let ended;
+
+    try {
+      consultation = await lockConsultation(connection, consultation_id);
+
+      // 종료 재요청 (응답 유실 등): 다시 정산하지 않고 저장된 결과 반환
+      if (consultation.status === CONSULTATION_STATUS.COMPLETED) {
+        await connection.commit();
+      } else if (consultation.status !== CONSULTATION_STATUS.IN_PROGRESS) {
+        throw createError('진행 중인 상담이 아닙니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+      } else if (await isTelephonyTracked(connection, consultation_id)) {
+        // 전화 상담은 CDR 통화 시간으로만 정산 (앱 시각으로 종료하지 않음)
+        throw createError(
+          '전화 상담은 통화가 끝나면 통화 기록 기준으로 자동 종료됩니다.',
+          RESPONSE_CODES.VALIDATION_ERROR,
+          HTTP_STATUS.CONFLICT
+        );
+      } else {
+        // 종료 시각까지의 단위 (과금 단위 올림). 이미 선불 차감한 단위는 다시 과금하지 않음
+        const endDateTime = resolveEndDateTime(consultation, requestedEnd);
+        const durationMs = endDateTime.getTime() - getStartDateTime(consultation).getTime();
+        const dueUnits = Math.ceil(Math.max(durationMs, 0) / getUnitMs(consultation));
+
+        billing = await billConsultationUnits(connection, consultation, { dueUnits, actorId: userId });
+
+        // 잔액/한도 부족으로 과금이 멈췄으면 결제된 시간까지만 상담한 것으로 기록
+        ended = await finalizeConsultation(connection, consultation, billing, {
+          endDateTime: billing.paid_through < endDateTime ? billing.paid_through : endDateTime,
+          actorType: participant.actorType,
+          actorId: userId,
+          summary: consultation_summary,
+          notes: consultation_notes,
+          endReason: billing.stop_reason
+        });
+
+        await connection.commit();
+      }
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
-    // start_datetime 사용 (새로운 컬럼 우선, fallback으로 기존 start_time 사용)
-    const startDateTime = consultation.start_datetime ?
-      new Date(consultation.start_datetime) :
-      new Date(consultation.start_time);
+    if (!ended) {
+      return successResponse(res, '이미 종료된 상담입니다.', {
+        consultation: await getCompletionResult(pool, consultation_id)
+      });
+    }
 
-    // duration 계산 (자정 넘김 상담 포함)
-    const durationMs = endDateTime.getTime() - startDateTime.getTime();
-    const durationMinutes = Math.ceil(durationMs / (1000 * 60));
+    await publishConsultationStatus(consultation_id);
 
-    // duration_time (HH:mm:ss 형식) 계산
-    const hours = Math.floor(durationMs / (1000 * 60 * 60));
-    const minutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
-    const seconds = Math.floor((durationMs % (1000 * 60)) / 1000);
-    const durationTime = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    successResponse(res, '상담이 종료되었습니다.', {
+      consultation: {
+        id: consultation_id,
+        start_datetime: ended.start_datetime.toISOString(),
+        end_datetime: ended.end_datetime.toISOString(),
+        duration_time: ended.duration_time,
+        duration_minutes: ended.duration_minutes, // 호환성 (응답에만 포함)
+        billed_units: billing.billed_units,
+        total_amount: billing.amount,
+        discount_amount: billing.discount_amount,
+        charged_amount: billing.amount - billing.discount_amount,
+        consultant_amount: ended.consultant_amount,
+        spending_capped: billing.stop_reason === CONSULTATION_END_REASONS.SPENDING_LIMIT,
+        end_reason: billing.stop_reason,
+        status: CONSULTATION_STATUS.COMPLETED
+      }
+    });
 
-    // 상담료 계산 (30초 단위)
-    const units = Math.ceil((durationMinutes * 60) / 30);
-    const totalAmount = units * consultation.fee_rate_at_time;
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
 
-    // 상담 종료 처리 (새로운 컬럼들 포함)
-    await pool.execute(
-      `UPDATE consultations
-       SET end_time = ?, end_datetime = ?, duration_time = ?, amount = ?,
-           status = '완료', consultation_summary = ?, consultation_notes = ?
-       WHERE id = ?`,
-      [
-        endDateTime.toTimeString().split(' ')[0], // HH:mm:ss 형태 (호환성)
-        endDateTime, // 새로운 end_datetime 컬럼
-        durationTime, // 새로운 duration_time 컬럼
-        totalAmount,
-        consultation_summary,
-        consultation_notes,
-        consultation_id
-      ]
-    );
-
-    // 고객 링 차감
-    await pool.execute(
-      'UPDATE users SET rings = GREATEST(rings - ?, 0) WHERE id = ?',
-      [totalAmount, consultation.customer_id]
+    console.error('상담 종료 에러:', error);
+    errorResponse(
+      res,
+      '상담 종료 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
     );
+  }
+});
+
+/**
+ * POST /api/consultations/:id/tick
+ * 상담 하트비트 (진행 중 30초마다 호출)
+ * 현재 진행 중인 단위까지 선불 차감하고, 다음 단위를 감당할 수 없으면
+ * 결제된 시간까지로 상담을 자동 종료합니다.
+ * 하트비트가 끊긴 상담은 방치된 상담 정리 작업이 마지막 하트비트 시각으로 종료합니다.
+ * 통화 시스템이 추적 중인 전화 상담은 활동 시각만 기록하고, 과금/종료는 통화 종료 이벤트(CDR 통화 시간)로 처리합니다.
+ */
+router.post('/:id/tick', authenticateToken, validateId, async (req, res) => {
+  try {
+    const consultationId = req.params.id;
+    const userId = req.user.id;
+
+    const participant = await findParticipantConsultation(consultationId, userId);
+
+    if (!participant) {
+      return errorResponse(
+        res,
+        '상담 정보를 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const now = new Date();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let billing;
+    let ended = null;
+    let telephonyTracked = false;
+
+    try {
+      const consultation = await lockConsultation(connection, consultationId);
+
+      if (consultation.status !== CONSULTATION_STATUS.IN_PROGRESS) {
+        throw createError('진행 중인 상담이 아닙니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+      }
+
+      await recordConsultationActivity(connection, consultation.id, now);
+
+      telephonyTracked = await isTelephonyTracked(connection, consultation.id);
+
+      // 추적 중인 통화는 이미 차감한 단위까지로 현재 과금 상태만 조회 (추가 차감 없음)
+      billing = await billConsultationUnits(connection, consultation, {
+        dueUnits: telephonyTracked ? consultation.billed_units : getDueUnits(consultation, now),
+        actorId: userId
+      });
+
+      // 현재 단위를 감당할 수 없으면 결제된 시간까지로 자동 종료
+      if (billing.stop_reason && !telephonyTracked) {
+        ended = await finalizeConsultation(connection, consultation, billing, {
+          endDateTime: billing.paid_through < now ? billing.paid_through : now,
+          actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+          actorId: userId,
+          endReason: billing.stop_reason
+        });
+      }
 
-    // 상담사 링 적립 (정산율 적용 - 임시로 70% 적용)
-    const consultantAmount = Math.floor(totalAmount * 0.7);
-    const [consultantUser] = await pool.execute(
-      'SELECT user_id FROM consultants WHERE id = ?',
-      [consultation.consultant_id]
-    );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
-    if (consultantUser.length > 0) {
-      await pool.execute(
-        'UPDATE users SET rings = rings + ? WHERE id = ?',
-        [consultantAmount, consultantUser[0].user_id]
-      );
+    if (ended) {
+      await publishConsultationStatus(consultationId);
     }
 
-    successResponse(res, '상담이 종료되었습니다.', {
+    let message = '상담 과금 처리 완료';
+    if (ended) {
+      message = '링이 부족하여 상담이 종료되었습니다.';
+    } else if (telephonyTracked) {
+      message = '상담 활동 기록 완료 (통화 종료시 정산)';
+    }
+
+    successResponse(res, message, {
       consultation: {
-        id: consultation_id,
-        start_datetime: startDateTime.toISOString(), // 새로운 필드
-        end_datetime: endDateTime.toISOString(), // 새로운 필드
-        duration_time: durationTime, // 새로운 필드
-        duration_minutes: durationMinutes, // 호환성 (응답에만 포함)
-        total_amount: totalAmount,
-        consultant_amount: consultantAmount,
-        status: '완료'
-      }
+        id: parseInt(consultationId),
+        status: ended ? CONSULTATION_STATUS.COMPLETED : CONSULTATION_STATUS.IN_PROGRESS,
+        end_datetime: ended ? ended.end_datetime.toISOString() : null,
+        end_reason: ended ? billing.stop_reason : null,
+        telephony_tracked: telephonyTracked
+      },
+      billing: formatBilling(billing)
     });
 
   } catch (error) {
-    console.error('상담 종료 에러:', error);
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('상담 과금 처리 에러:', error);
     errorResponse(
       res,
-      '상담 종료 중 오류가 발생했습니다.',
+      '상담 과금 처리 중 오류가 발생했습니다.',
       RESPONSE_CODES.DATABASE_ERROR,
       HTTP_STATUS.INTERNAL_SERVER_ERROR
     );
@@ -447,7 +1197,9 @@ router.get('/:id/status', authenticateToken, validateId, async (req, res) => {
       `SELECT c.id, c.consultation_id, c.status,
        c.start_datetime, c.end_datetime, c.duration_time,
        c.start_time, c.end_time,
-       c.amount,
+       c.amount, c.discount_amount, c.customer_id, c.fee_rate_at_time, c.billed_units,
+       c.spending_capped, c.end_reason, c.requested_at, c.accepted_at, c.request_expires_at,
+       c.billing_policy_id, c.billing_unit_seconds, c.billing_minimum_units, c.commission_rate,
        cons.name as consultant_name,
        u.username as customer_name
        FROM consultations c
@@ -470,8 +1222,33 @@ router.get('/:id/status', authenticateToken, validateId, async (req, res) => {
 
     const consultation = consultations[0];
 
+    // 진행 중 상담: 결제된 시간과 잔액/상담 이용 한도로 추가 진행 가능한 단위
+    let billing = null;
+    if (consultation.status === CONSULTATION_STATUS.IN_PROGRESS) {
+      const [users] = await pool.execute('SELECT rings FROM users WHERE id = ?', [consultation.customer_id]);
+      const allowance = await getSpendingAllowance(pool, consultation.customer_id, SPENDING_LIMIT_TYPES.CONSULTATION);
+
+      const spendable = Math.max(users[0].rings, 0);
+      const remainingRings = allowance.remaining === null ? spendable : Math.min(spendable, allowance.remaining);
+      const remainingUnits = consultation.fee_rate_at_time > 0
+        ? Math.floor(remainingRings / consultation.fee_rate_at_time)
+        : null;
+
+      billing = {
+        billed_units: consultation.billed_units,
+        paid_through: new Date(
+          getStartDateTime(consultation).getTime() + consultation.billed_units * getUnitMs(consultation)
+        ).toISOString(),
+        remaining_units: remainingUnits,
+        low_balance_warning: remainingUnits !== null && remainingUnits <= CONSULTATION_BILLING.LOW_BALANCE_WARNING_UNITS,
+        spending_limit_remaining: allowance.remaining
+      };
+    }
+
     successResponse(res, '상담 상태 조회 완료', {
-      consultation
+      consultation,
+      billing,
+      status_logs: await getStatusLogs(pool, consultation.id)
     });
 
   } catch (error) {
@@ -485,6 +1262,481 @@ router.get('/:id/status', authenticateToken, validateId, async (req, res) => {
   }
 });
 
+/**
+ * 채팅 메시지 조회 유효성 검사
+ */
+const validateMessageQuery = [
+  query('before_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('before_id는 양의 정수여야 합니다.'),
+
+  query('after_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('after_id는 양의 정수여야 합니다.'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit은 1-100 사이의 정수여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 채팅 메시지 전송 유효성 검사 (이미지는 multipart의 image 필드)
+ */
+const validateChatMessage = [
+  body('content')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: CHAT_POLICY.MAX_TEXT_LENGTH })
+    .withMessage(`메시지는 ${CHAT_POLICY.MAX_TEXT_LENGTH}자 이하여야 합니다.`),
+
+  body('client_message_id')
+    .optional({ nullable: true })
+    .isLength({ min: 1, max: 64 })
+    .withMessage('client_message_id는 64자 이하여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * GET /api/consultations/:id/messages
+ * 채팅 메시지 목록 (WebSocket 미연결시 폴백, before_id로 이전 페이지 / after_id로 누락분 조회)
+ */
+router.get('/:id/messages', authenticateToken, validateId, validateMessageQuery, async (req, res) => {
+  try {
+    const participant = await getChatParticipant(pool, req.params.id, req.user.id);
+
+    if (!participant) {
+      return errorResponse(
+        res,
+        '상담 정보를 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const { before_id = null, after_id = null, limit = CHAT_POLICY.TRANSCRIPT_PREVIEW_SIZE } = req.query;
+
+    const { messages, has_more } = await getMessages(pool, req.params.id, {
+      beforeId: before_id ? parseInt(before_id) : null,
+      afterId: after_id ? parseInt(after_id) : null,
+      limit: parseInt(limit)
+    });
+    const reads = await getReadState(pool, req.params.id);
+
+    successResponse(res, '채팅 메시지 조회 완료', {
+      messages,
+      has_more,
+      reads
+    });
+
+  } catch (error) {
+    console.error('채팅 메시지 조회 에러:', error);
+    errorResponse(
+      res,
+      '채팅 메시지 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/consultations/:id/messages
+ * 채팅 메시지 전송 (텍스트: content, 이미지: multipart image 필드)
+ */
+router.post('/:id/messages', authenticateToken, validateId, uploadChatImage, validateChatMessage, async (req, res) => {
+  try {
+    const message = await sendMessage({
+      consultationId: req.params.id,
+      userId: req.user.id,
+      content: req.body.content || null,
+      image: req.file || null,
+      clientMessageId: req.body.client_message_id || null
+    });
+
+    successResponse(res, '메시지가 전송되었습니다.', { message });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('채팅 메시지 전송 에러:', error);
+    errorResponse(
+      res,
+      '메시지 전송 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/consultations/:id/messages/read
+ * 채팅 읽음 처리 (message_id까지 읽음)
+ */
+router.post('/:id/messages/read', authenticateToken, validateId, [
+  body('message_id')
+    .isInt({ min: 1 })
+    .withMessage('유효한 메시지 ID가 아닙니다.'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const receipt = await markMessagesRead({
+      consultationId: req.params.id,
+      userId: req.user.id,
+      messageId: parseInt(req.body.message_id)
+    });
+
+    successResponse(res, '읽음 처리되었습니다.', { receipt });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('채팅 읽음 처리 에러:', error);
+    errorResponse(
+      res,
+      '읽음 처리 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/consultations/:id/messages/:messageId/attachment
+ * 채팅 이미지 조회 (상담 당사자만)
+ */
+router.get('/:id/messages/:messageId/attachment', authenticateToken, validateId, async (req, res) => {
+  try {
+    const attachment = await getMessageAttachment(req.params.id, req.params.messageId, req.user.id);
+
+    sendStoredFile(res, attachment, '첨부 파일');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('채팅 첨부 파일 조회 에러:', error);
+    errorResponse(
+      res,
+      '첨부 파일 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/consultations/:id/dispute
+ * 상담 분쟁 조회 (당사자/관리자, 증빙 목록 포함)
+ */
+router.get('/:id/dispute', authenticateToken, validateId, async (req, res) => {
+  try {
+    const dispute = await getConsultationDispute(req.params.id, req.user);
+
+    successResponse(res, '분쟁 조회 완료', { dispute });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('분쟁 조회 에러:', error);
+    errorResponse(
+      res,
+      '분쟁 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/consultations/:id/dispute
+ * 상담 분쟁 접수 (고객, 완료 후 7일 이내, 증빙: multipart evidence 필드 최대 5개)
+ */
+router.post('/:id/dispute', authenticateToken, validateId, uploadDisputeEvidence, [
+  body('reason')
+    .isIn(Object.values(DISPUTE_REASONS))
+    .withMessage(`분쟁 사유는 ${Object.values(DISPUTE_REASONS).join(', ')} 중 하나여야 합니다.`),
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('분쟁 내용은 1-2000자 사이여야 합니다.'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const dispute = await fileDispute({
+      consultationId: req.params.id,
+      user: req.user,
+      reason: req.body.reason,
+      description: req.body.description,
+      files: req.files || []
+    });
+
+    successResponse(res, '분쟁이 접수되었습니다.', { dispute });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('분쟁 접수 에러:', error);
+    errorResponse(
+      res,
+      '분쟁 접수 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/consultations/:id/dispute/response
+ * 분쟁 답변 (담당 상담사, 한 번, 증빙: multipart evidence 필드)
+ */
+router.post('/:id/dispute/response', authenticateToken, validateId, uploadDisputeEvidence, [
+  body('response')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('답변 내용은 1-2000자 사이여야 합니다.'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const dispute = await respondToDispute({
+      consultationId: req.params.id,
+      user: req.user,
+      response: req.body.response,
+      files: req.files || []
+    });
+
+    successResponse(res, '답변이 등록되었습니다.', { dispute });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('분쟁 답변 에러:', error);
+    errorResponse(
+      res,
+      '분쟁 답변 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/consultations/:id/dispute/evidence/:evidenceId
+ * 분쟁 증빙 파일 조회 (당사자/관리자)
+ */
+router.get('/:id/dispute/evidence/:evidenceId', authenticateToken, validateId, async (req, res) => {
+  try {
+    const evidence = await getEvidenceFile(req.params.id, req.params.evidenceId, req.user);
+
+    sendStoredFile(res, evidence, '증빙 파일');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('분쟁 증빙 조회 에러:', error);
+    errorResponse(
+      res,
+      '증빙 파일 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * PUT /api/consultations/:id/recording-consent
+ * 녹음 동의 설정 (상담 당사자 본인 동의만, 양측 동의가 기록되어야 녹음 저장 가능)
+ */
+router.put('/:id/recording-consent', authenticateToken, validateId, validateRecordingConsent, async (req, res) => {
+  try {
+    const consents = await setRecordingConsent({
+      consultationId: req.params.id,
+      user: req.user,
+      consented: req.body.consent === true || req.body.consent === 'true'
+    });
+
+    successResponse(res, '녹음 동의가 저장되었습니다.', { consents });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('녹음 동의 설정 에러:', error);
+    errorResponse(
+      res,
+      '녹음 동의 저장 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/consultations/:id/recordings
+ * 통화 녹음 업로드 (상담 당사자 앱, 전화/화상 상담, multipart `recording`, 양측 동의가 기록된 상담만)
+ */
+router.post('/:id/recordings', authenticateToken, validateId, uploadRecording, validateRecordingUpload, async (req, res) => {
+  try {
+    const recording = await saveRecording({
+      ...getRecordingParams(req),
+      user: req.user,
+      source: RECORDING_SOURCES.APP
+    });
+
+    successResponse(res, '녹음이 저장되었습니다.', { recording });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('녹음 업로드 에러:', error);
+    errorResponse(
+      res,
+      '녹음 저장 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/consultations/:id/recordings/telephony
+ * 통화 시스템 녹음 업로드 (HMAC 서명, X-Signature / X-Timestamp)
+ */
+router.post(
+  '/:id/recordings/telephony',
+  validateId,
+  uploadRecording,
+  setRecordingSignaturePayload,
+  verifySignature({ secretEnv: 'TELEPHONY_WEBHOOK_SECRET' }),
+  validateTelephonyRecordingUpload,
+  async (req, res) => {
+    try {
+      const recording = await saveRecording({
+        ...getRecordingParams(req),
+        user: null,
+        source: RECORDING_SOURCES.TELEPHONY,
+        attestedConsents: {
+          customer: req.body.customer_consent === true || req.body.customer_consent === 'true',
+          consultant: req.body.consultant_consent === true || req.body.consultant_consent === 'true'
+        }
+      });
+
+      successResponse(res, '녹음이 저장되었습니다.', { recording });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return errorResponse(res, error.message, error.code, error.statusCode);
+      }
+
+      console.error('통화 시스템 녹음 업로드 에러:', error);
+      errorResponse(
+        res,
+        '녹음 저장 중 오류가 발생했습니다.',
+        RESPONSE_CODES.DATABASE_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR
+      );
+    }
+  }
+);
+
+/**
+ * GET /api/consultations/:id/recordings
+ * 녹음 목록 (당사자/관리자, 5분간 유효한 재생 URL 포함)
+ */
+router.get('/:id/recordings', authenticateToken, validateId, async (req, res) => {
+  try {
+    const recordings = await listRecordings(req.params.id, req.user);
+
+    successResponse(res, '녹음 목록 조회 완료', { recordings });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('녹음 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '녹음 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/consultations/recordings/:recordingId/play
+ * 녹음 재생 (서명 URL, 인증 헤더 없이 재생기에서 열 수 있음, Range 요청 지원)
+ */
+router.get('/recordings/:recordingId/play', async (req, res) => {
+  try {
+    const file = await getPlaybackFile(req.params.recordingId, req.query);
+    const match = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    let start = 0;
+    let end = file.size - 1;
+
+    if (match && (match[1] || match[2])) {
+      start = match[1] ? parseInt(match[1]) : Math.max(file.size - parseInt(match[2]), 0);
+      end = match[1] && match[2] ? Math.min(parseInt(match[2]), file.size - 1) : file.size - 1;
+
+      if (start > end) {
+        res.set('Content-Range', `bytes */${file.size}`);
+        return res.status(416).end();
+      }
+
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${file.size}`);
+    }
+
+    res.set({
+      'Content-Type': file.mimeType || 'application/octet-stream',
+      'Content-Length': end - start + 1,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-store'
+    });
+
+    createReadStream(file.key, { start, end })
+      .on('error', (error) => {
+        console.error('녹음 파일 읽기 에러:', error);
+        res.end();
+      })
+      .pipe(res);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('녹음 재생 에러:', error);
+    errorResponse(
+      res,
+      '녹음 재생 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
 /**
  * GET /api/consultations/:id
  * 상담 상세 정보
@@ -519,6 +1771,19 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
 
     const consultation = consultations[0];
 
+    // 채팅 상담은 최근 대화 내용 포함 (이전 내용은 /:id/messages?before_id=로 조회)
+    if (consultation.consultation_method === '채팅') {
+      const { messages, has_more } = await getMessages(pool, consultationId, {
+        limit: CHAT_POLICY.TRANSCRIPT_PREVIEW_SIZE
+      });
+
+      consultation.chat = {
+        messages,
+        has_more,
+        reads: await getReadState(pool, consultationId)
+      };
+    }
+
     successResponse(res, '상담 상세 조회 완료', {
       consultation
     });
@@ -0,0 +1,392 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/roleCheck');
+const { idempotency } = require('../middleware/idempotency');
+const { validateId, validatePagination, handleValidationErrors } = require('../middleware/validation');
+const { COUPON_VALID_CONDITION, normalizeCouponCode, redeemCoupon } = require('../services/couponService');
+const { successResponse, errorResponse, createPagination } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAGINATION,
+  COUPON_TYPES,
+  USER_COUPON_STATUS,
+  CONSULTATION_FIELDS
+} = require('../utils/constants');
+const { body } = require('express-validator');
+
+const router = express.Router();
+
+/**
+ * 쿠폰 등록/수정 유효성 검사 (관리자)
+ */
+const validateCoupon = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{4,50}$/)
+    .withMessage('쿠폰 코드는 영문, 숫자, -, _ 조합 4-50자여야 합니다.'),
+
+  body('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('쿠폰명은 1-100자 사이여야 합니다.'),
+
+  body('coupon_type')
+    .isIn(Object.values(COUPON_TYPES))
+    .withMessage(`쿠폰 유형은 ${Object.values(COUPON_TYPES).join(', ')} 중 하나여야 합니다.`),
+
+  body('value')
+    .isInt({ min: 1 })
+    .withMessage('쿠폰 혜택 값은 1 이상이어야 합니다.'),
+
+  body('value').custom((value, { req }) => {
+    if (req.body.coupon_type !== COUPON_TYPES.RING_GRANT && parseInt(value) > 100) {
+      throw new Error('% 쿠폰의 혜택 값은 100 이하여야 합니다.');
+    }
+    return true;
+  }),
+
+  body('max_benefit_rings')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('최대 혜택 링은 1 이상이어야 합니다.'),
+
+  body('starts_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('시작일은 ISO 8601 형식이어야 합니다.'),
+
+  body('ends_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('종료일은 ISO 8601 형식이어야 합니다.'),
+
+  body('ends_at').custom((endsAt, { req }) => {
+    if (endsAt && req.body.starts_at && new Date(endsAt) <= new Date(req.body.starts_at)) {
+      throw new Error('종료일은 시작일 이후여야 합니다.');
+    }
+    return true;
+  }),
+
+  body('total_limit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('전체 사용 한도는 1 이상이어야 합니다.'),
+
+  body('per_user_limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('사용자별 사용 한도는 1 이상이어야 합니다.'),
+
+  body('target_new_user_days')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('신규 회원 기준 일수는 1 이상이어야 합니다.'),
+
+  body('target_consultation_type')
+    .optional({ nullable: true })
+    .isIn(Object.values(CONSULTATION_FIELDS))
+    .withMessage(`상담 분야는 ${Object.values(CONSULTATION_FIELDS).join(', ')} 중 하나여야 합니다.`),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('활성 여부는 true 또는 false여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 쿠폰 코드 등록 유효성 검사
+ */
+const validateCouponRedeem = [
+  body('code')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('쿠폰 코드를 입력해주세요.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 요청 바디 → 쿠폰 컬럼 값
+ */
+const toCouponParams = (data) => [
+  normalizeCouponCode(data.code),
+  data.name,
+  data.description || null,
+  data.coupon_type,
+  data.value,
+  data.max_benefit_rings || null,
+  data.starts_at ? new Date(data.starts_at) : null,
+  data.ends_at ? new Date(data.ends_at) : null,
+  data.total_limit || null,
+  data.per_user_limit || 1,
+  data.target_new_user_days || null,
+  data.target_consultation_type || null,
+  data.is_active === undefined ? true : data.is_active
+];
+
+/**
+ * POST /api/coupons/redeem
+ * 쿠폰 코드 등록 (링 지급 쿠폰은 즉시 지급, 그 외는 보유 쿠폰으로 저장)
+ */
+router.post('/redeem', authenticateToken, idempotency(), validateCouponRedeem, async (req, res) => {
+  try {
+    const result = await redeemCoupon({
+      userId: req.user.id,
+      code: req.body.code
+    });
+
+    successResponse(
+      res,
+      result.granted_rings > 0 ? `쿠폰이 등록되어 링 ${result.granted_rings}개가 지급되었습니다.` : '쿠폰이 등록되었습니다.',
+      result
+    );
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('쿠폰 등록 에러:', error);
+    errorResponse(
+      res,
+      '쿠폰 등록 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/coupons/my
+ * 내 보유 쿠폰 목록 (기본: 사용 가능한 쿠폰)
+ */
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    const { status = USER_COUPON_STATUS.AVAILABLE } = req.query;
+
+    let query = `SELECT uc.id as user_coupon_id, uc.status, uc.benefit_rings, uc.payment_id,
+                 uc.consultation_id, uc.redeemed_at, uc.used_at,
+                 c.id as coupon_id, c.name, c.description, c.coupon_type, c.value, c.max_benefit_rings,
+                 c.target_consultation_type, c.ends_at, (${COUPON_VALID_CONDITION}) as is_usable
+                 FROM user_coupons uc
+                 JOIN coupons c ON uc.coupon_id = c.id
+                 WHERE uc.user_id = ?`;
+    const params = [req.user.id];
+
+    if (status !== 'all') {
+      query += ' AND uc.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY uc.redeemed_at DESC';
+
+    const [coupons] = await pool.execute(query, params);
+
+    successResponse(res, '보유 쿠폰 조회 완료', {
+      coupons: coupons.map(coupon => ({
+        ...coupon,
+        is_usable: coupon.status === USER_COUPON_STATUS.AVAILABLE && !!coupon.is_usable
+      })),
+      count: coupons.length
+    });
+
+  } catch (error) {
+    console.error('보유 쿠폰 조회 에러:', error);
+    errorResponse(
+      res,
+      '보유 쿠폰 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/coupons
+ * 쿠폰 목록 (관리자)
+ */
+router.get('/', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      coupon_type = null
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    let whereClause = '';
+    const params = [];
+
+    if (coupon_type) {
+      whereClause = 'WHERE c.coupon_type = ?';
+      params.push(coupon_type);
+    }
+
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) as total FROM coupons c ${whereClause}`,
+      params
+    );
+
+    const [coupons] = await pool.execute(
+      `SELECT c.*, (${COUPON_VALID_CONDITION}) as is_valid
+       FROM coupons c
+       ${whereClause}
+       ORDER BY c.created_at DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      params
+    );
+
+    successResponse(res, '쿠폰 목록 조회 완료', {
+      coupons: coupons.map(coupon => ({
+        ...coupon,
+        is_active: !!coupon.is_active,
+        is_valid: !!coupon.is_valid
+      }))
+    }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('쿠폰 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '쿠폰 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/coupons
+ * 쿠폰 생성 (관리자)
+ */
+router.post('/', authenticateToken, requireAdmin, validateCoupon, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO coupons (
+        code, name, description, coupon_type, value, max_benefit_rings, starts_at, ends_at,
+        total_limit, per_user_limit, target_new_user_days, target_consultation_type, is_active, created_by
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...toCouponParams(req.body), req.user.id]
+    );
+
+    const [coupons] = await pool.execute('SELECT * FROM coupons WHERE id = ?', [result.insertId]);
+
+    successResponse(res, '쿠폰이 생성되었습니다.', {
+      coupon: coupons[0]
+    });
+
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(
+        res,
+        '이미 존재하는 쿠폰 코드입니다.',
+        RESPONSE_CODES.DUPLICATE_ERROR,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    console.error('쿠폰 생성 에러:', error);
+    errorResponse(
+      res,
+      '쿠폰 생성 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * PUT /api/coupons/:id
+ * 쿠폰 수정 (관리자)
+ * 이미 적용된 결제/상담은 적용 시점의 혜택이 기록되어 있으므로 영향을 받지 않습니다.
+ */
+router.put('/:id', authenticateToken, requireAdmin, validateId, validateCoupon, async (req, res) => {
+  try {
+    const couponId = req.params.id;
+
+    const [result] = await pool.execute(
+      `UPDATE coupons
+       SET code = ?, name = ?, description = ?, coupon_type = ?, value = ?, max_benefit_rings = ?,
+           starts_at = ?, ends_at = ?, total_limit = ?, per_user_limit = ?, target_new_user_days = ?,
+           target_consultation_type = ?, is_active = ?
+       WHERE id = ?`,
+      [...toCouponParams(req.body), couponId]
+    );
+
+    if (result.affectedRows === 0) {
+      return errorResponse(
+        res,
+        '쿠폰을 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const [coupons] = await pool.execute('SELECT * FROM coupons WHERE id = ?', [couponId]);
+
+    successResponse(res, '쿠폰이 수정되었습니다.', {
+      coupon: coupons[0]
+    });
+
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(
+        res,
+        '이미 존재하는 쿠폰 코드입니다.',
+        RESPONSE_CODES.DUPLICATE_ERROR,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    console.error('쿠폰 수정 에러:', error);
+    errorResponse(
+      res,
+      '쿠폰 수정 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * DELETE /api/coupons/:id
+ * 쿠폰 비활성화 (관리자, 등록 이력 보존)
+ */
+router.delete('/:id', authenticateToken, requireAdmin, validateId, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'UPDATE coupons SET is_active = 0 WHERE id = ?',
+      [req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return errorResponse(
+        res,
+        '쿠폰을 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    successResponse(res, '쿠폰이 비활성화되었습니다.', {
+      coupon_id: parseInt(req.params.id)
+    });
+
+  } catch (error) {
+    console.error('쿠폰 비활성화 에러:', error);
+    errorResponse(
+      res,
+      '쿠폰 비활성화 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { validateId, validatePagination } = require('../middleware/validation');
+const { successResponse, errorResponse, createPagination, safeJsonParse } = require('../utils/helpers');
+const { RESPONSE_CODES, HTTP_STATUS, PAGINATION } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * GET /api/notifications
+ * 내 알림 목록 (unread_only=true: 읽지 않은 알림만)
+ */
+router.get('/', authenticateToken, validatePagination, async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      unread_only = 'false'
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    let whereClause = 'WHERE user_id = ?';
+    const params = [req.user.id];
+
+    if (unread_only === 'true') {
+      whereClause += ' AND read_at IS NULL';
+    }
+
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) as total FROM notifications ${whereClause}`,
+      params
+    );
+
+    const [[{ unread }]] = await pool.execute(
+      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    const [notifications] = await pool.execute(
+      `SELECT id, notification_type, title, body, data, read_at, created_at
+       FROM notifications
+       ${whereClause}
+       ORDER BY id DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      params
+    );
+
+    successResponse(res, '알림 목록 조회 완료', {
+      notifications: notifications.map(notification => ({
+        ...notification,
+        data: typeof notification.data === 'string' ? safeJsonParse(notification.data) : notification.data
+      })),
+      unread_count: unread
+    }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('알림 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '알림 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * PUT /api/notifications/read-all
+ * 내 알림 전체 읽음 처리
+ */
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    successResponse(res, '모든 알림을 읽음 처리했습니다.', {
+      updated: result.affectedRows
+    });
+
+  } catch (error) {
+    console.error('알림 전체 읽음 처리 에러:', error);
+    errorResponse(
+      res,
+      '알림 읽음 처리 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ * 알림 읽음 처리
+ */
+router.put('/:id/read', authenticateToken, validateId, async (req, res) => {
+  try {
+    const [notifications] = await pool.execute(
+      'SELECT id, read_at FROM notifications WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (notifications.length === 0) {
+      return errorResponse(
+        res,
+        '알림을 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    if (!notifications[0].read_at) {
+      await pool.execute(
+        'UPDATE notifications SET read_at = NOW() WHERE id = ?',
+        [req.params.id]
+      );
+    }
+
+    successResponse(res, '알림을 읽음 처리했습니다.');
+
+  } catch (error) {
+    console.error('알림 읽음 처리 에러:', error);
+    errorResponse(
+      res,
+      '알림 읽음 처리 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { verifySignature } = require('../middleware/signature');
+const { syncPaymentFromGateway } = require('../services/paymentService');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const { RESPONSE_CODES, HTTP_STATUS } = require('../utils/constants');
+
+const router = express.Router();
+
+// 이미 최종 처리된 웹훅 이벤트 상태 (재전송시 재처리하지 않음)
+const FINAL_EVENT_STATUSES = ['processed', 'rejected'];
+
+/**
+ * POST /api/payments/webhook
+ * PG 결제 상태 변경 웹훅 (HMAC 서명 필수)
+ *
+ * Headers: X-PG-Signature (hex HMAC-SHA256), X-PG-Timestamp (unix seconds)
+ * Body: { eventId, eventType, data: { paymentKey, orderId, status, totalAmount } }
+ */
+router.post('/', verifySignature({
+  secretEnv: 'PG_WEBHOOK_SECRET',
+  signatureHeader: 'x-pg-signature',
+  timestampHeader: 'x-pg-timestamp'
+}), async (req, res) => {
+  const { eventId, eventType = null, data = {} } = req.body;
+
+  if (!eventId || !data.orderId) {
+    return errorResponse(
+      res,
+      'eventId와 data.orderId가 필요합니다.',
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  try {
+    // 중복 수신 확인 (event_id UNIQUE)
+    const [inserted] = await pool.execute(
+      `INSERT IGNORE INTO payment_webhook_events (event_id, event_type, payment_id, payload, status)
+       VALUES (?, ?, ?, ?, 'received')`,
+      [eventId, eventType, data.orderId, JSON.stringify(req.body)]
+    );
+
+    if (inserted.affectedRows === 0) {
+      const [events] = await pool.execute(
+        'SELECT status, result FROM payment_webhook_events WHERE event_id = ?',
+        [eventId]
+      );
+
+      if (events.length > 0 && FINAL_EVENT_STATUSES.includes(events[0].status)) {
+        return successResponse(res, '이미 처리된 웹훅입니다.', {
+          event_id: eventId,
+          duplicate: true,
+          outcome: events[0].result
+        });
+      }
+    }
+
+    // 웹훅 본문이 아닌 PG 조회 결과로 결제 상태 확정
+    const { outcome } = await syncPaymentFromGateway({
+      orderId: data.orderId,
+      paymentKey: data.paymentKey || null
+    });
+
+    const eventStatus = outcome === 'amount_mismatch' || outcome === 'conflict' ? 'rejected' : 'processed';
+
+    await pool.execute(
+      'UPDATE payment_webhook_events SET status = ?, result = ?, processed_at = NOW() WHERE event_id = ?',
+      [eventStatus, outcome, eventId]
+    );
+
+    if (eventStatus === 'rejected') {
+      console.error(`결제 웹훅 거부 (${outcome}):`, eventId, data.orderId);
+    }
+
+    successResponse(res, '웹훅 처리 완료', {
+      event_id: eventId,
+      duplicate: false,
+      outcome
+    });
+
+  } catch (error) {
+    await pool.execute(
+      'UPDATE payment_webhook_events SET status = ?, result = ? WHERE event_id = ?',
+      ['error', error.message.substring(0, 255), eventId]
+    ).catch(updateError => console.error('웹훅 이벤트 상태 기록 에러:', updateError));
+
+    // 결제를 찾을 수 없는 등 재시도해도 의미 없는 요청은 4xx, 그 외에는 PG가 재전송하도록 5xx
+    if (error.statusCode && error.statusCode < HTTP_STATUS.INTERNAL_SERVER_ERROR) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('결제 웹훅 처리 에러:', error);
+    errorResponse(
+      res,
+      '결제 웹훅 처리 중 오류가 발생했습니다.',
+      error.code || RESPONSE_CODES.DATABASE_ERROR,
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+module.exports = router;
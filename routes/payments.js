@@ -1,9 +1,13 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { validateId, validatePagination } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+const { validateId, validatePagination, validatePaymentConfirm } = require('../middleware/validation');
+const { createPayment, approvePayment, cancelPendingAtGateway } = require('../services/paymentService');
+const { refundPayment } = require('../services/refundService');
+const { releasePaymentCoupon } = require('../services/couponService');
 const { successResponse, errorResponse, createPagination } = require('../utils/helpers');
-const { RESPONSE_CODES, HTTP_STATUS, PAGINATION } = require('../utils/constants');
+const { RESPONSE_CODES, HTTP_STATUS, PAGINATION, PAYMENT_STATUS } = require('../utils/constants');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -31,19 +35,49 @@ const validatePayment = [
     .isIn(['card', 'bank', 'kakaopay', 'naverpay'])
     .withMessage('결제 방식은 card, bank, kakaopay, naverpay 중 하나여야 합니다.'),
 
-  body('payment_amount')
-    .isFloat({ min: 1000 })
-    .withMessage('결제 금액은 1000원 이상이어야 합니다.'),
-
-  body('charge_amount')
-    .isFloat({ min: 1 })
-    .withMessage('충전 금액은 1 이상이어야 합니다.'),
+  body('package_id')
+    .isInt({ min: 1 })
+    .withMessage('유효한 링 상품 ID가 아닙니다.'),
 
   body('is_sajuring_pay')
     .optional()
     .isBoolean()
     .withMessage('사주링페이 사용 여부는 true 또는 false여야 합니다.'),
 
+  body('user_coupon_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('유효한 쿠폰 ID가 아닙니다.'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessages = errors.array().map(error => error.msg);
+      return errorResponse(
+        res,
+        errorMessages.join(', '),
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    next();
+  }
+];
+
+/**
+ * 환불 요청 유효성 검사
+ */
+const validateRefund = [
+  body('amount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('환불 금액은 1 이상의 정수여야 합니다.'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('환불 사유는 1-200자 사이여야 합니다.'),
+
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -134,55 +168,34 @@ router.get('/history', authenticateToken, validatePagination, async (req, res) =
 
 /**
  * POST /api/payments/create
- * 새 결제 생성
+ * 새 결제 생성 (PG 결제 준비, 승인 전까지 pending)
  */
-router.post('/create', authenticateToken, validatePayment, async (req, res) => {
+router.post('/create', authenticateToken, idempotency(), validatePayment, async (req, res) => {
   try {
     const {
       payment_method,
-      payment_amount,
-      charge_amount,
-      is_sajuring_pay = false
+      package_id,
+      is_sajuring_pay = false,
+      user_coupon_id = null
     } = req.body;
 
-    const userId = req.user.id;
-    const userName = req.user.username || req.user.nickname;
-    const userLoginId = req.user.login_id;
-
-    // 고유 결제 ID 생성 (timestamp + random)
-    const paymentId = `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    // 결제 정보 생성
-    const [result] = await pool.execute(
-      `INSERT INTO payments (
-        id, user_id, user_login_id, user_name, payment_method, is_sajuring_pay,
-        payment_amount, charge_amount, status
-       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
-      [
-        paymentId,
-        userId,
-        userLoginId,
-        userName,
-        payment_method,
-        is_sajuring_pay,
-        payment_amount,
-        charge_amount
-      ]
-    );
+    const payment = await createPayment({
+      user: req.user,
+      paymentMethod: payment_method,
+      packageId: package_id,
+      isSajuringPay: is_sajuring_pay,
+      userCouponId: user_coupon_id
+    });
 
     successResponse(res, '결제가 생성되었습니다.', {
-      payment: {
-        id: paymentId,
-        user_id: userId,
-        payment_method,
-        payment_amount,
-        charge_amount,
-        is_sajuring_pay,
-        status: 'pending'
-      }
+      payment
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
     console.error('결제 생성 에러:', error);
     errorResponse(
       res,
@@ -193,6 +206,48 @@ router.post('/create', authenticateToken, validatePayment, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/payments/:id/approve
+ * 결제 승인 (PG 승인 확인 후 completed 전환 및 링 적립)
+ */
+router.post('/:id/approve', authenticateToken, validatePaymentConfirm, async (req, res) => {
+  try {
+    const { payment_key = null, amount = null } = req.body;
+
+    const result = await approvePayment({
+      paymentId: req.params.id,
+      userId: req.user.id,
+      paymentKey: payment_key,
+      amount,
+      actorId: req.user.id
+    });
+
+    successResponse(res, '결제가 완료되었습니다.', {
+      payment: {
+        id: result.payment.id,
+        status: result.payment.status,
+        payment_amount: result.payment.payment_amount,
+        charge_amount: result.payment.charge_amount
+      },
+      current_balance: result.balance_after,
+      already_completed: result.already_completed
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('결제 승인 에러:', error);
+    errorResponse(
+      res,
+      '결제 승인 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
 /**
  * GET /api/payments/:id
  * 결제 상세 정보
@@ -242,15 +297,25 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
 /**
  * PUT /api/payments/:id/status
- * 결제 상태 변경 (관리자 또는 결제 시스템)
+ * 결제 상태 변경 (대기 중인 결제의 취소/실패 처리만 가능)
+ * 완료된 결제의 취소는 환불 API(POST /:id/refunds)로 처리합니다.
  */
 router.put('/:id/status', authenticateToken, async (req, res) => {
   try {
     const paymentId = req.params.id;
     const { status } = req.body;
 
+    if (status === PAYMENT_STATUS.COMPLETED) {
+      return errorResponse(
+        res,
+        '결제 완료는 PG 승인 확인을 통해서만 처리됩니다.',
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
     // 유효한 상태인지 확인
-    const validStatuses = ['pending', 'completed', 'cancelled', 'failed'];
+    const validStatuses = [PAYMENT_STATUS.CANCELLED, PAYMENT_STATUS.FAILED];
     if (!validStatuses.includes(status)) {
       return errorResponse(
         res,
@@ -262,7 +327,7 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
 
     // 관리자 권한 확인 (일반 사용자는 cancelled만 가능)
     const isAdmin = req.user.role === 'ADMIN' || req.user.role_level >= 8;
-    if (!isAdmin && status !== 'cancelled') {
+    if (!isAdmin && status !== PAYMENT_STATUS.CANCELLED) {
       return errorResponse(
         res,
         '일반 사용자는 결제 취소만 가능합니다.',
@@ -293,49 +358,38 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
 
     const payment = payments[0];
 
-    // 이미 완료된 결제는 변경 불가
-    if (payment.status === 'completed' && status !== 'completed') {
+    // 대기 중인 결제만 변경 가능 (완료된 결제는 환불 API 이용)
+    if (payment.status !== PAYMENT_STATUS.PENDING) {
       return errorResponse(
         res,
-        '완료된 결제는 상태를 변경할 수 없습니다.',
+        payment.status === PAYMENT_STATUS.COMPLETED
+          ? '완료된 결제는 환불 API(POST /api/payments/:id/refunds)로 처리해주세요.'
+          : '대기 중인 결제만 상태를 변경할 수 있습니다.',
         RESPONSE_CODES.VALIDATION_ERROR,
         HTTP_STATUS.BAD_REQUEST
       );
     }
 
-    // 트랜잭션으로 결제 상태 변경과 링 잔액 업데이트를 원자적으로 처리
-    const connection = await pool.getConnection();
-    await connection.beginTransaction();
+    // 고객이 이미 PG 인증/승인을 마친 경우 로컬 취소가 이후 웹훅/승인과 충돌하지 않도록 PG 먼저 확인
+    await cancelPendingAtGateway(payment, status === PAYMENT_STATUS.CANCELLED ? '사용자 결제 취소' : '관리자 결제 실패 처리');
 
-    try {
-      // 결제 상태 변경
-      await connection.execute(
-        'UPDATE payments SET status = ? WHERE id = ?',
-        [status, paymentId]
-      );
-
-      // 결제 완료시 사용자 링 잔액 증가
-      if (status === 'completed' && payment.status !== 'completed') {
-        await connection.execute(
-          'UPDATE users SET rings = rings + ? WHERE id = ?',
-          [payment.charge_amount, payment.user_id]
-        );
-      }
+    const [updated] = await pool.execute(
+      'UPDATE payments SET status = ? WHERE id = ? AND status = ?',
+      [status, paymentId, PAYMENT_STATUS.PENDING]
+    );
 
-      // 결제 취소시 사용자 링 잔액 차감 (이미 완료된 결제가 취소되는 경우)
-      if (status === 'cancelled' && payment.status === 'completed') {
-        await connection.execute(
-          'UPDATE users SET rings = GREATEST(rings - ?, 0) WHERE id = ?',
-          [payment.charge_amount, payment.user_id]
-        );
-      }
+    if (updated.affectedRows > 0) {
+      await releasePaymentCoupon(pool, paymentId);
+    }
 
-      await connection.commit();
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    } finally {
-      connection.release();
+    // 조회 이후 승인 등으로 상태가 바뀐 경우
+    if (updated.affectedRows === 0) {
+      return errorResponse(
+        res,
+        '결제 상태가 이미 변경되었습니다.',
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.CONFLICT
+      );
     }
 
     successResponse(res, '결제 상태가 변경되었습니다.', {
@@ -348,6 +402,10 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
     console.error('결제 상태 변경 에러:', error);
     errorResponse(
       res,
@@ -358,4 +416,93 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/payments/:id/refunds
+ * 결제 환불 (관리자, 전액/부분) - PG 취소 후 환불 금액만큼 링 회수
+ * 이미 사용된 링은 음수 잔액(shortfall_rings)으로 남습니다.
+ */
+router.post('/:id/refunds', authenticateToken, requireAdmin, idempotency(), validateRefund, async (req, res) => {
+  try {
+    const { amount = null, reason } = req.body;
+
+    const refund = await refundPayment({
+      paymentId: req.params.id,
+      amount: amount === null ? null : parseInt(amount),
+      reason,
+      actorId: req.user.id
+    });
+
+    successResponse(res, '환불이 완료되었습니다.', {
+      refund
+    });
+
+  } catch (error) {
+    if (error.statusCode && error.statusCode < HTTP_STATUS.INTERNAL_SERVER_ERROR) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('결제 환불 에러:', error);
+    errorResponse(
+      res,
+      '결제 환불 중 오류가 발생했습니다.',
+      error.code || RESPONSE_CODES.DATABASE_ERROR,
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/payments/:id/refunds
+ * 결제 환불 내역 (본인 결제 또는 관리자)
+ */
+router.get('/:id/refunds', authenticateToken, async (req, res) => {
+  try {
+    const paymentId = req.params.id;
+    const isAdmin = req.user.role === 'ADMIN' || req.user.role_level >= 8;
+
+    let query = `SELECT id, payment_amount, charge_amount, refunded_amount, refunded_rings, status
+                 FROM payments WHERE id = ?`;
+    const params = [paymentId];
+
+    if (!isAdmin) {
+      query += ' AND user_id = ?';
+      params.push(req.user.id);
+    }
+
+    const [payments] = await pool.execute(query, params);
+
+    if (payments.length === 0) {
+      return errorResponse(
+        res,
+        '결제 정보를 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const [refunds] = await pool.execute(
+      `SELECT id, refund_amount, refund_rings, shortfall_rings, reason, status,
+       failure_reason, created_at, completed_at
+       FROM payment_refunds
+       WHERE payment_id = ?
+       ORDER BY created_at DESC`,
+      [paymentId]
+    );
+
+    successResponse(res, '환불 내역 조회 완료', {
+      payment: payments[0],
+      refunds
+    });
+
+  } catch (error) {
+    console.error('환불 내역 조회 에러:', error);
+    errorResponse(
+      res,
+      '환불 내역 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,36 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { subscribe, consultantTopic } = require('../services/realtime');
+const { query } = require('express-validator');
+
+const router = express.Router();
+
+/**
+ * 실시간 스트림 구독 유효성 검사
+ */
+const validateStreamQuery = [
+  query('consultant_ids')
+    .optional()
+    .matches(/^\d+(,\d+){0,49}$/)
+    .withMessage('상담사 ID 목록은 쉼표로 구분한 숫자(최대 50개)여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * GET /api/realtime/stream
+ * 실시간 이벤트 스트림 (Server-Sent Events)
+ * - consultant_ids=1,2,3: 해당 상담사 상태 변경(consultant.status) 구독
+ * - 본인 대기열 순번(queue.position), 시작 제안(queue.offer)은 항상 전달
+ */
+router.get('/stream', authenticateToken, validateStreamQuery, (req, res) => {
+  const consultantIds = req.query.consultant_ids ? req.query.consultant_ids.split(',') : [];
+
+  subscribe(req, res, {
+    userId: req.user.id,
+    topics: consultantIds.map(consultantTopic)
+  });
+});
+
+module.exports = router;
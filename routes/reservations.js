@@ -0,0 +1,328 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateId, validatePagination, handleValidationErrors } = require('../middleware/validation');
+const {
+  createReservation,
+  cancelReservation,
+  checkInReservation,
+  getCustomerCancelRefundRate
+} = require('../services/reservations');
+const { publishConsultationStatus } = require('../services/consultationState');
+const { successResponse, errorResponse, createPagination } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAGINATION,
+  RESERVATION_STATUS,
+  RESERVATION_POLICY
+} = require('../utils/constants');
+const { body } = require('express-validator');
+
+const router = express.Router();
+
+/**
+ * 예약 생성 유효성 검사
+ */
+const validateReservation = [
+  body('consultant_id')
+    .isInt({ min: 1 })
+    .withMessage('유효한 상담사 ID가 아닙니다.'),
+
+  body('slot_start')
+    .isISO8601()
+    .withMessage('슬롯 시작 시각은 ISO 8601 형식이어야 합니다.'),
+
+  body('consultation_type')
+    .isIn(['타로', '신점', '랜덤'])
+    .withMessage('상담 유형은 타로, 신점, 랜덤 중 하나여야 합니다.'),
+
+  body('consultation_method')
+    .isIn(['전화', '채팅', '화상'])
+    .withMessage('상담 방식은 전화, 채팅, 화상 중 하나여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 예약 취소 유효성 검사
+ */
+const validateReservationCancel = [
+  body('reason')
+    .optional({ nullable: true })
+    .isLength({ max: 200 })
+    .withMessage('취소 사유는 200자 이하여야 합니다.'),
+
+  handleValidationErrors
+];
+
+/**
+ * 예약 조회 컬럼 (고객/상담사 공통)
+ */
+const RESERVATION_COLUMNS = `r.id, r.reservation_number, r.customer_id, r.consultant_id, r.slot_start, r.slot_end,
+  r.consultation_type, r.consultation_method, r.fee_rate, r.hold_rings, r.refund_rings, r.compensation_rings,
+  r.status, r.customer_checked_in_at, r.consultant_checked_in_at, r.consultation_id,
+  r.cancelled_by, r.cancel_reason, r.cancelled_at, r.created_at,
+  cs.name as consultant_name, cs.user_id as consultant_user_id, u.nickname as customer_nickname`;
+
+/**
+ * POST /api/reservations
+ * 상담 예약 (슬롯 전체 상담료만큼 링 홀드)
+ */
+router.post('/', authenticateToken, idempotency(), validateReservation, async (req, res) => {
+  try {
+    const {
+      consultant_id,
+      slot_start,
+      consultation_type,
+      consultation_method
+    } = req.body;
+
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let reservation;
+
+    try {
+      reservation = await createReservation(connection, {
+        customerId: req.user.id,
+        consultantId: parseInt(consultant_id),
+        slotStart: new Date(slot_start),
+        consultationType: consultation_type,
+        consultationMethod: consultation_method
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    successResponse(res, '상담이 예약되었습니다.', { reservation });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('상담 예약 에러:', error);
+    errorResponse(
+      res,
+      '상담 예약 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/reservations/my
+ * 내 예약 목록 (고객 예약 + 상담사로서 받은 예약, role=customer|consultant로 필터)
+ */
+router.get('/my', authenticateToken, validatePagination, async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      status = null,
+      role = null
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const conditions = [];
+    const params = [];
+
+    if (role === 'customer') {
+      conditions.push('r.customer_id = ?');
+      params.push(req.user.id);
+    } else if (role === 'consultant') {
+      conditions.push('cs.user_id = ?');
+      params.push(req.user.id);
+    } else {
+      conditions.push('(r.customer_id = ? OR cs.user_id = ?)');
+      params.push(req.user.id, req.user.id);
+    }
+
+    if (status && Object.values(RESERVATION_STATUS).includes(status)) {
+      conditions.push('r.status = ?');
+      params.push(status);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) as total FROM reservations r
+       JOIN consultants cs ON r.consultant_id = cs.id
+       ${whereClause}`,
+      params
+    );
+
+    const [reservations] = await pool.execute(
+      `SELECT ${RESERVATION_COLUMNS}
+       FROM reservations r
+       JOIN consultants cs ON r.consultant_id = cs.id
+       JOIN users u ON r.customer_id = u.id
+       ${whereClause}
+       ORDER BY r.slot_start DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      params
+    );
+
+    successResponse(res, '예약 목록 조회 완료', {
+      reservations
+    }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('예약 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '예약 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/reservations/:id
+ * 예약 상세 (당사자만, 예약 중이면 지금 취소시 환불 예정 링 포함)
+ */
+router.get('/:id', authenticateToken, validateId, async (req, res) => {
+  try {
+    const [reservations] = await pool.execute(
+      `SELECT ${RESERVATION_COLUMNS}
+       FROM reservations r
+       JOIN consultants cs ON r.consultant_id = cs.id
+       JOIN users u ON r.customer_id = u.id
+       WHERE r.id = ? AND (r.customer_id = ? OR cs.user_id = ?)`,
+      [req.params.id, req.user.id, req.user.id]
+    );
+
+    if (reservations.length === 0) {
+      return errorResponse(
+        res,
+        '예약을 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const reservation = reservations[0];
+    const isCustomer = reservation.customer_id === req.user.id;
+    const cancelRefundRings = reservation.status === RESERVATION_STATUS.RESERVED
+      ? Math.floor(reservation.hold_rings * (isCustomer
+        ? getCustomerCancelRefundRate(reservation.slot_start)
+        : RESERVATION_POLICY.CONSULTANT_FAULT_REFUND_RATE))
+      : null;
+
+    successResponse(res, '예약 조회 완료', {
+      reservation: {
+        ...reservation,
+        cancel_refund_rings: cancelRefundRings
+      }
+    });
+
+  } catch (error) {
+    console.error('예약 조회 에러:', error);
+    errorResponse(
+      res,
+      '예약 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/reservations/:id/cancel
+ * 예약 취소 (고객: 남은 시간별 부분 환불, 상담사: 전액 환불)
+ */
+router.post('/:id/cancel', authenticateToken, validateId, validateReservationCancel, async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let reservation;
+
+    try {
+      reservation = await cancelReservation(connection, req.params.id, {
+        userId: req.user.id,
+        reason: req.body.reason || null
+      });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    successResponse(res, '예약이 취소되었습니다.', { reservation });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('예약 취소 에러:', error);
+    errorResponse(
+      res,
+      '예약 취소 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/reservations/:id/check-in
+ * 예약 입장 (양측 모두 입장하면 상담으로 전환, 이후 /api/consultations/:id/connect로 연결)
+ */
+router.post('/:id/check-in', authenticateToken, validateId, async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let reservation;
+
+    try {
+      reservation = await checkInReservation(connection, req.params.id, req.user.id);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (reservation.consultation) {
+      await publishConsultationStatus(reservation.consultation.id);
+    }
+
+    successResponse(
+      res,
+      reservation.consultation ? '예약 상담이 시작되었습니다.' : '입장했습니다. 상대방의 입장을 기다리는 중입니다.',
+      { reservation }
+    );
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('예약 입장 에러:', error);
+    errorResponse(
+      res,
+      '예약 입장 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,31 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { validateRingPurchase, validateRingTransfer, validatePagination } = require('../middleware/validation');
+const { requireAdmin } = require('../middleware/roleCheck');
+const { idempotency } = require('../middleware/idempotency');
+const { validateRingPurchase, validateRingPackage, validatePaymentConfirm, validateRingTransfer, validateSpendingLimit, validateId, validatePagination } = require('../middleware/validation');
+const { recordRingEntry, getLotBalance } = require('../services/ringLedger');
+const { createPayment, approvePayment } = require('../services/paymentService');
+const { formatPackage, listActivePackages } = require('../services/ringPackages');
+const { computeBalances } = require('../services/reconciliation');
+const { getSpendingLimitSummary, setSpendingLimit } = require('../services/spendingLimits');
 const { successResponse, errorResponse, createPagination } = require('../utils/helpers');
-const { RESPONSE_CODES, HTTP_STATUS, PAGINATION } = require('../utils/constants');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAGINATION,
+  RING_LEDGER_TYPES,
+  RING_LOT_TYPES,
+  RING_LOT_POLICY,
+  RING_HISTORY_FILTERS,
+  SPENDING_LIMIT_SOURCES
+} = require('../utils/constants');
 
 const router = express.Router();
 
 /**
  * GET /api/rings/balance
- * 내 링 잔액 조회
+ * 내 링 잔액 조회 (유상/보너스 구분 및 만료 예정 링 포함)
  */
 router.get('/balance', authenticateToken, async (req, res) => {
   try {
@@ -29,8 +45,19 @@ router.get('/balance', authenticateToken, async (req, res) => {
       );
     }
 
+    const lotBalance = await getLotBalance(pool, userId, RING_LOT_POLICY.EXPIRING_SOON_DAYS);
+
     successResponse(res, '링 잔액 조회 완료', {
-      rings: users[0].rings
+      rings: users[0].rings,
+      paid_rings: lotBalance.paid,
+      bonus_rings: lotBalance.bonus,
+      // 음수 잔액 = 환불 후 미회수 링 (다음 충전시 먼저 상계)
+      outstanding_rings: Math.max(-users[0].rings, 0),
+      expiring_soon: {
+        within_days: RING_LOT_POLICY.EXPIRING_SOON_DAYS,
+        rings: lotBalance.expiringSoon.rings,
+        lots: lotBalance.expiringSoon.lots
+      }
     });
 
   } catch (error) {
@@ -45,60 +72,49 @@ router.get('/balance', authenticateToken, async (req, res) => {
 });
 
 /**
- * POST /api/rings/purchase
- * 링 구매 (결제 연동)
+ * GET /api/rings/spending-limits
+ * 내 지출 한도 설정 및 남은 한도 (본인 설정 + 관리자 적용 한도)
  */
-router.post('/purchase', authenticateToken, validateRingPurchase, async (req, res) => {
+router.get('/spending-limits', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { amount, rings, payment_method, payment_info = {} } = req.body;
-
-    // 트랜잭션 시작
-    const connection = await pool.getConnection();
-    await connection.beginTransaction();
-
-    try {
-      // TODO: 실제 결제 처리 (PG사 연동)
-      // 현재는 가상 결제 처리로 구현
-      const paymentResult = await simulatePayment(amount, payment_method, payment_info);
-      
-      if (!paymentResult.success) {
-        await connection.rollback();
-        return errorResponse(
-          res,
-          '결제 처리 중 오류가 발생했습니다.',
-          RESPONSE_CODES.SERVER_ERROR,
-          HTTP_STATUS.BAD_REQUEST
-        );
-      }
+    const summary = await getSpendingLimitSummary(pool, req.user.id);
 
-      // 사용자 링 잔액 업데이트
-      await connection.execute(
-        'UPDATE users SET rings = rings + ?, updated_at = NOW() WHERE id = ?',
-        [rings, userId]
-      );
+    successResponse(res, '지출 한도 조회 완료', summary);
 
-      // 링 구매 내역 기록 (실제 구현시 ring_transactions 테이블 필요)
-      // await connection.execute(
-      //   'INSERT INTO ring_transactions (user_id, type, amount, rings, payment_method, payment_id, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
-      //   [userId, 'purchase', amount, rings, payment_method, paymentResult.payment_id]
-      // );
+  } catch (error) {
+    console.error('지출 한도 조회 에러:', error);
+    errorResponse(
+      res,
+      '지출 한도 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
 
-      await connection.commit();
+/**
+ * PUT /api/rings/spending-limits
+ * 내 지출 한도 설정 (하향은 즉시, 상향/해제는 대기 시간 후 적용)
+ */
+router.put('/spending-limits', authenticateToken, validateSpendingLimit, async (req, res) => {
+  try {
+    const { limit_type, period, amount = null } = req.body;
 
-      // 업데이트된 잔액 조회
-      const [users] = await connection.execute(
-        'SELECT rings FROM users WHERE id = ?',
-        [userId]
-      );
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-      successResponse(res, '링 구매가 완료되었습니다.', {
-        purchased_rings: rings,
-        paid_amount: amount,
-        current_balance: users[0].rings,
-        payment_id: paymentResult.payment_id
+    let limit;
+    try {
+      limit = await setSpendingLimit(connection, {
+        userId: req.user.id,
+        limitType: limit_type,
+        period,
+        source: SPENDING_LIMIT_SOURCES.SELF,
+        amount: amount === null ? null : parseInt(amount),
+        actorId: req.user.id
       });
 
+      await connection.commit();
     } catch (error) {
       await connection.rollback();
       throw error;
@@ -106,7 +122,268 @@ router.post('/purchase', authenticateToken, validateRingPurchase, async (req, re
       connection.release();
     }
 
+    successResponse(
+      res,
+      limit.is_pending ? '한도 상향은 대기 시간 후 적용됩니다.' : '지출 한도가 설정되었습니다.',
+      { limit }
+    );
+
+  } catch (error) {
+    console.error('지출 한도 설정 에러:', error);
+    errorResponse(
+      res,
+      '지출 한도 설정 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/rings/packages
+ * 현재 판매 중인 링 상품 목록
+ */
+router.get('/packages', async (req, res) => {
+  try {
+    const packages = await listActivePackages();
+
+    successResponse(res, '링 상품 목록 조회 완료', {
+      packages,
+      count: packages.length
+    });
+
+  } catch (error) {
+    console.error('링 상품 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '링 상품 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * GET /api/rings/packages/all
+ * 전체 링 상품 목록 (관리자, 예약/종료 상품 포함)
+ */
+router.get('/packages/all', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [packages] = await pool.execute(
+      `SELECT *,
+       (is_active = 1 AND (starts_at IS NULL OR starts_at <= NOW()) AND (ends_at IS NULL OR ends_at > NOW())) as is_on_sale
+       FROM ring_packages
+       ORDER BY display_order ASC, created_at DESC`
+    );
+
+    successResponse(res, '전체 링 상품 목록 조회 완료', {
+      packages: packages.map(ringPackage => ({
+        ...formatPackage(ringPackage),
+        is_on_sale: !!ringPackage.is_on_sale
+      })),
+      count: packages.length
+    });
+
+  } catch (error) {
+    console.error('전체 링 상품 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '전체 링 상품 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/rings/packages
+ * 링 상품 등록 (관리자, 판매 기간 지정으로 프로모션 예약 가능)
+ */
+router.post('/packages', authenticateToken, requireAdmin, validateRingPackage, async (req, res) => {
+  try {
+    const {
+      name,
+      description = null,
+      price,
+      base_rings,
+      bonus_rings = 0,
+      is_promotion = false,
+      starts_at = null,
+      ends_at = null,
+      display_order = 0,
+      is_active = true
+    } = req.body;
+
+    const [result] = await pool.execute(
+      `INSERT INTO ring_packages (
+        name, description, price, base_rings, bonus_rings, is_promotion,
+        starts_at, ends_at, display_order, is_active, created_by
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name,
+        description,
+        price,
+        base_rings,
+        bonus_rings,
+        is_promotion,
+        starts_at ? new Date(starts_at) : null,
+        ends_at ? new Date(ends_at) : null,
+        display_order,
+        is_active,
+        req.user.id
+      ]
+    );
+
+    const [packages] = await pool.execute('SELECT * FROM ring_packages WHERE id = ?', [result.insertId]);
+
+    successResponse(res, '링 상품이 등록되었습니다.', {
+      package: formatPackage(packages[0])
+    });
+
+  } catch (error) {
+    console.error('링 상품 등록 에러:', error);
+    errorResponse(
+      res,
+      '링 상품 등록 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * PUT /api/rings/packages/:id
+ * 링 상품 수정 (관리자)
+ * 이미 생성된 결제는 생성 시점의 금액/링이 기록되어 있으므로 영향을 받지 않습니다.
+ */
+router.put('/packages/:id', authenticateToken, requireAdmin, validateId, validateRingPackage, async (req, res) => {
+  try {
+    const packageId = req.params.id;
+    const {
+      name,
+      description = null,
+      price,
+      base_rings,
+      bonus_rings = 0,
+      is_promotion = false,
+      starts_at = null,
+      ends_at = null,
+      display_order = 0,
+      is_active = true
+    } = req.body;
+
+    const [result] = await pool.execute(
+      `UPDATE ring_packages
+       SET name = ?, description = ?, price = ?, base_rings = ?, bonus_rings = ?, is_promotion = ?,
+           starts_at = ?, ends_at = ?, display_order = ?, is_active = ?
+       WHERE id = ?`,
+      [
+        name,
+        description,
+        price,
+        base_rings,
+        bonus_rings,
+        is_promotion,
+        starts_at ? new Date(starts_at) : null,
+        ends_at ? new Date(ends_at) : null,
+        display_order,
+        is_active,
+        packageId
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return errorResponse(
+        res,
+        '링 상품을 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const [packages] = await pool.execute('SELECT * FROM ring_packages WHERE id = ?', [packageId]);
+
+    successResponse(res, '링 상품이 수정되었습니다.', {
+      package: formatPackage(packages[0])
+    });
+
   } catch (error) {
+    console.error('링 상품 수정 에러:', error);
+    errorResponse(
+      res,
+      '링 상품 수정 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * DELETE /api/rings/packages/:id
+ * 링 상품 판매 중지 (관리자, 결제 이력 보존을 위해 비활성화 처리)
+ */
+router.delete('/packages/:id', authenticateToken, requireAdmin, validateId, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'UPDATE ring_packages SET is_active = 0 WHERE id = ?',
+      [req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return errorResponse(
+        res,
+        '링 상품을 찾을 수 없습니다.',
+        RESPONSE_CODES.NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    successResponse(res, '링 상품 판매가 중지되었습니다.', {
+      package_id: parseInt(req.params.id)
+    });
+
+  } catch (error) {
+    console.error('링 상품 판매 중지 에러:', error);
+    errorResponse(
+      res,
+      '링 상품 판매 중지 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
+/**
+ * POST /api/rings/purchase
+ * 링 구매 요청 (PG 결제 준비 → 앱에서 checkout_url로 결제 인증 후 /purchase/confirm 호출)
+ */
+router.post('/purchase', authenticateToken, idempotency(), validateRingPurchase, async (req, res) => {
+  try {
+    const { package_id, payment_method, user_coupon_id = null } = req.body;
+
+    const payment = await createPayment({
+      user: req.user,
+      paymentMethod: payment_method,
+      packageId: package_id,
+      userCouponId: user_coupon_id
+    });
+
+    successResponse(res, '링 구매 결제가 준비되었습니다.', {
+      payment_id: payment.id,
+      package: payment.package,
+      purchase_rings: payment.charge_amount,
+      coupon_bonus_rings: payment.coupon_bonus_rings,
+      payment_amount: payment.payment_amount,
+      status: payment.status,
+      payment_key: payment.payment_key,
+      checkout_url: payment.checkout_url
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
     console.error('링 구매 에러:', error);
     errorResponse(
       res,
@@ -117,11 +394,50 @@ router.post('/purchase', authenticateToken, validateRingPurchase, async (req, re
   }
 });
 
+/**
+ * POST /api/rings/purchase/:paymentId/confirm
+ * 링 구매 승인 (PG 승인이 확인된 경우에만 링 적립)
+ */
+router.post('/purchase/:paymentId/confirm', authenticateToken, validatePaymentConfirm, async (req, res) => {
+  try {
+    const { payment_key = null, amount = null } = req.body;
+
+    const result = await approvePayment({
+      paymentId: req.params.paymentId,
+      userId: req.user.id,
+      paymentKey: payment_key,
+      amount,
+      actorId: req.user.id
+    });
+
+    successResponse(res, '링 구매가 완료되었습니다.', {
+      purchased_rings: parseInt(result.payment.charge_amount),
+      paid_amount: Number(result.payment.payment_amount),
+      current_balance: result.balance_after,
+      payment_id: result.payment.id,
+      already_completed: result.already_completed
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
+    console.error('링 구매 승인 에러:', error);
+    errorResponse(
+      res,
+      '링 구매 승인 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
 /**
  * POST /api/rings/transfer
  * 링 전송 (사용자 → 상담사)
  */
-router.post('/transfer', authenticateToken, validateRingTransfer, async (req, res) => {
+router.post('/transfer', authenticateToken, idempotency(), validateRingTransfer, async (req, res) => {
   try {
     const fromUserId = req.user.id;
     const { to_user_id, rings, message = '' } = req.body;
@@ -140,13 +456,16 @@ router.post('/transfer', authenticateToken, validateRingTransfer, async (req, re
     await connection.beginTransaction();
 
     try {
-      // 보내는 사용자 잔액 확인
-      const [fromUser] = await connection.execute(
-        'SELECT rings FROM users WHERE id = ?',
-        [fromUserId]
+      // 두 사용자 잔액을 id 순서로 잠금 (교차 전송 데드락 방지)
+      const [lockedUsers] = await connection.execute(
+        'SELECT id, rings FROM users WHERE id IN (?, ?) ORDER BY id FOR UPDATE',
+        [fromUserId, to_user_id]
       );
 
-      if (fromUser.length === 0) {
+      const fromUser = lockedUsers.find(user => user.id === fromUserId);
+      const toUser = lockedUsers.find(user => user.id === parseInt(to_user_id));
+
+      if (!fromUser) {
         await connection.rollback();
         return errorResponse(
           res,
@@ -156,7 +475,7 @@ router.post('/transfer', authenticateToken, validateRingTransfer, async (req, re
         );
       }
 
-      if (fromUser[0].rings < rings) {
+      if (fromUser.rings < rings) {
         await connection.rollback();
         return errorResponse(
           res,
@@ -166,13 +485,7 @@ router.post('/transfer', authenticateToken, validateRingTransfer, async (req, re
         );
       }
 
-      // 받는 사용자 확인
-      const [toUser] = await connection.execute(
-        'SELECT rings FROM users WHERE id = ?',
-        [to_user_id]
-      );
-
-      if (toUser.length === 0) {
+      if (!toUser) {
         await connection.rollback();
         return errorResponse(
           res,
@@ -182,34 +495,39 @@ router.post('/transfer', authenticateToken, validateRingTransfer, async (req, re
         );
       }
 
-      // 링 전송 처리
-      await connection.execute(
-        'UPDATE users SET rings = rings - ?, updated_at = NOW() WHERE id = ?',
-        [rings, fromUserId]
-      );
-
-      await connection.execute(
-        'UPDATE users SET rings = rings + ?, updated_at = NOW() WHERE id = ?',
-        [rings, to_user_id]
+      // 전송 내역 기록
+      const [transferResult] = await connection.execute(
+        'INSERT INTO ring_transfers (from_user_id, to_user_id, rings, message) VALUES (?, ?, ?, ?)',
+        [fromUserId, to_user_id, rings, message]
       );
+      const transferId = transferResult.insertId;
+
+      // 링 전송 처리 (출금/입금 원장 기록, 보너스 링은 전송 불가)
+      const outEntry = await recordRingEntry(connection, {
+        userId: fromUserId,
+        entryType: RING_LEDGER_TYPES.TRANSFER_OUT,
+        delta: -rings,
+        lotTypes: [RING_LOT_TYPES.PAID],
+        transferId,
+        actorId: fromUserId,
+        description: `링 ${rings}개 전송`
+      });
 
-      // 전송 내역 기록 (실제 구현시 ring_transfers 테이블 필요)
-      // await connection.execute(
-      //   'INSERT INTO ring_transfers (from_user_id, to_user_id, rings, message, created_at) VALUES (?, ?, ?, ?, NOW())',
-      //   [fromUserId, to_user_id, rings, message]
-      // );
+      await recordRingEntry(connection, {
+        userId: to_user_id,
+        entryType: RING_LEDGER_TYPES.TRANSFER_IN,
+        delta: rings,
+        transferId,
+        actorId: fromUserId,
+        description: `링 ${rings}개 수신`
+      });
 
       await connection.commit();
 
-      // 업데이트된 잔액 조회
-      const [updatedFromUser] = await connection.execute(
-        'SELECT rings FROM users WHERE id = ?',
-        [fromUserId]
-      );
-
       successResponse(res, '링 전송이 완료되었습니다.', {
+        transfer_id: transferId,
         transferred_rings: rings,
-        remaining_balance: updatedFromUser[0].rings,
+        remaining_balance: outEntry.balance_after,
         to_user_id,
         message
       });
@@ -222,6 +540,10 @@ router.post('/transfer', authenticateToken, validateRingTransfer, async (req, re
     }
 
   } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.code, error.statusCode);
+    }
+
     console.error('링 전송 에러:', error);
     errorResponse(
       res,
@@ -234,13 +556,13 @@ router.post('/transfer', authenticateToken, validateRingTransfer, async (req, re
 
 /**
  * GET /api/rings/history
- * 링 거래 내역 조회 (충전 + 상담 사용 내역 통합)
+ * 링 거래 내역 조회 (링 원장 기준: 충전, 상담, 전송, 조정 내역 통합)
  */
 router.get('/history', authenticateToken, validatePagination, async (req, res) => {
   try {
     const userId = req.user.id;
     const {
-      type = null, // 'purchase', 'consultation'
+      type = null, // 'purchase', 'consultation', 'transfer', 'refund', 'adjustment', 'coupon', 'expiry'
       page = PAGINATION.DEFAULT_PAGE,
       limit = PAGINATION.DEFAULT_LIMIT
     } = req.query;
@@ -249,83 +571,51 @@ router.get('/history', authenticateToken, validatePagination, async (req, res) =
     const offset = (page - 1) * limitNum;
 
     // 타입 필터 조건
-    let typeFilter = '';
-    if (type === 'purchase') {
-      typeFilter = "WHERE type = 'purchase'";
-    } else if (type === 'consultation') {
-      typeFilter = "WHERE type = 'consultation'";
+    let whereConditions = ['l.user_id = ?'];
+    let queryParams = [userId];
+
+    const entryTypes = type ? RING_HISTORY_FILTERS[type] : null;
+    if (entryTypes) {
+      whereConditions.push(`l.entry_type IN (${entryTypes.map(() => '?').join(', ')})`);
+      queryParams.push(...entryTypes);
     }
 
-    // 링 충전 내역과 상담 사용 내역을 통합 조회
+    const whereClause = whereConditions.join(' AND ');
+
+    // 링 원장 조회 (결제/상담/전송 정보 포함)
     const [history] = await pool.execute(
-      `SELECT * FROM (
-        -- 링 구매/충전 내역 (입금)
-        SELECT
-          CONCAT('PAY_', p.id) as id,
-          'purchase' as type,
-          p.charge_amount as rings,
-          p.payment_amount as amount,
-          p.payment_method,
-          CONCAT('링 ', p.charge_amount, '개 충전 (', p.payment_method, ')') as description,
-          NULL as consultant_name,
-          NULL as consultant_number,
-          NULL as consultation_type,
-          NULL as consultation_duration,
-          p.created_at
-        FROM payments p
-        WHERE p.user_id = ? AND p.status = 'completed'
-
-        UNION ALL
-
-        -- 상담으로 인한 링 사용 내역 (출금)
-        SELECT
-          CONCAT('CONS_', c.id) as id,
-          'consultation' as type,
-          -c.amount as rings,  -- 음수로 표시 (사용된 링)
-          c.amount,
-          NULL as payment_method,
-          CONCAT(cons.stage_name, ' ', c.consultation_type, ' 상담') as description,
-          cons.stage_name as consultant_name,
-          cons.consultant_number,
-          c.consultation_type,
-          c.duration_time as consultation_duration,
-          c.created_at
-        FROM consultations c
-        JOIN consultants cons ON c.consultant_id = cons.id
-        WHERE c.customer_id = ? AND c.status = '완료'
-      ) combined_history
-      ${typeFilter}
-      ORDER BY created_at DESC
-      LIMIT ${limitNum} OFFSET ${offset}`,
-      [userId, userId]
+      `SELECT
+        l.id,
+        l.entry_type as type,
+        l.delta as rings,
+        l.balance_after,
+        p.payment_amount as amount,
+        p.payment_method,
+        l.description,
+        cons.stage_name as consultant_name,
+        cons.consultant_number,
+        c.consultation_type,
+        c.duration_time as consultation_duration,
+        l.payment_id,
+        l.consultation_id,
+        l.transfer_id,
+        l.created_at
+       FROM ring_ledger l
+       LEFT JOIN payments p ON l.payment_id = p.id
+       LEFT JOIN consultations c ON l.consultation_id = c.id
+       LEFT JOIN consultants cons ON c.consultant_id = cons.id
+       WHERE ${whereClause}
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      queryParams
     );
 
     // 전체 개수 조회 (타입별 필터링)
-    let total = 0;
-    if (type === 'purchase') {
-      const [purchaseCount] = await pool.execute(
-        'SELECT COUNT(*) as total FROM payments WHERE user_id = ? AND status = "completed"',
-        [userId]
-      );
-      total = purchaseCount[0].total;
-    } else if (type === 'consultation') {
-      const [consultationCount] = await pool.execute(
-        'SELECT COUNT(*) as total FROM consultations WHERE customer_id = ? AND status = "완료"',
-        [userId]
-      );
-      total = consultationCount[0].total;
-    } else {
-      // 전체 개수 (purchase + consultation)
-      const [purchaseCount] = await pool.execute(
-        'SELECT COUNT(*) as total FROM payments WHERE user_id = ? AND status = "completed"',
-        [userId]
-      );
-      const [consultationCount] = await pool.execute(
-        'SELECT COUNT(*) as total FROM consultations WHERE customer_id = ? AND status = "완료"',
-        [userId]
-      );
-      total = purchaseCount[0].total + consultationCount[0].total;
-    }
+    const [countResult] = await pool.execute(
+      `SELECT COUNT(*) as total FROM ring_ledger l WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
 
     const pagination = createPagination(page, limitNum, total);
 
@@ -351,46 +641,36 @@ router.get('/history', authenticateToken, validatePagination, async (req, res) =
 
 /**
  * GET /api/rings/verify-balance
- * 데이터 정합성 검증 (관리자용)
+ * 링 잔액 검증 (본인, 관리자는 ?user_id로 다른 사용자 지정)
+ * 결제/환불/상담(상담사 정산 포함)/전송/쿠폰/조정 원천으로 재계산한 잔액과 비교합니다.
+ * 전체 사용자 대사는 POST /api/admin/reconciliation/runs를 이용하세요.
  */
 router.get('/verify-balance', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
     const isAdmin = req.user.role === 'ADMIN' || req.user.role_level >= 8;
+    const targetUserId = req.query.user_id ? parseInt(req.query.user_id) : req.user.id;
 
-    if (!isAdmin) {
+    if (targetUserId !== req.user.id && !isAdmin) {
       return errorResponse(
         res,
-        '관리자 권한이 필요합니다.',
+        '다른 사용자의 잔액은 관리자만 검증할 수 있습니다.',
         RESPONSE_CODES.FORBIDDEN,
         HTTP_STATUS.FORBIDDEN
       );
     }
 
-    // users 테이블의 현재 링 잔액과 실제 거래 내역으로 계산한 잔액 비교
-    const [verification] = await pool.execute(`
-      SELECT
-        u.id,
-        u.login_id,
-        u.username,
-        u.rings as current_balance,
-        COALESCE(
-          (SELECT SUM(charge_amount) FROM payments WHERE user_id = u.id AND status = 'completed'), 0
-        ) - COALESCE(
-          (SELECT SUM(amount) FROM consultations WHERE customer_id = u.id AND status = '완료'), 0
-        ) as calculated_balance,
-        (u.rings - (
-          COALESCE(
-            (SELECT SUM(charge_amount) FROM payments WHERE user_id = u.id AND status = 'completed'), 0
-          ) - COALESCE(
-            (SELECT SUM(amount) FROM consultations WHERE customer_id = u.id AND status = '완료'), 0
-          )
-        )) as difference
-      FROM users u
-      WHERE u.id = ?
-    `, [userId]);
-
-    if (verification.length === 0) {
+    if (!targetUserId || targetUserId < 1) {
+      return errorResponse(
+        res,
+        '유효한 사용자 ID가 아닙니다.',
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const [result] = await computeBalances(pool, targetUserId);
+
+    if (!result) {
       return errorResponse(
         res,
         '사용자를 찾을 수 없습니다.',
@@ -399,20 +679,20 @@ router.get('/verify-balance', authenticateToken, async (req, res) => {
       );
     }
 
-    const result = verification[0];
-    const isConsistent = Math.abs(result.difference) < 0.01; // 소수점 오차 허용
-
     successResponse(res, '링 잔액 검증 완료', {
       user_info: {
-        id: result.id,
+        id: result.user_id,
         login_id: result.login_id,
         username: result.username
       },
       balance_verification: {
-        current_balance: result.current_balance,
-        calculated_balance: result.calculated_balance,
+        current_balance: result.actual_balance,
+        calculated_balance: result.expected_balance,
+        ledger_balance: result.ledger_balance,
+        lot_balance: result.lot_balance,
         difference: result.difference,
-        is_consistent: isConsistent
+        breakdown: result.breakdown,
+        is_consistent: result.is_consistent
       }
     });
 
@@ -427,22 +707,4 @@ router.get('/verify-balance', authenticateToken, async (req, res) => {
   }
 });
 
-/**
- * 가상 결제 처리 함수 (실제 구현시 PG사 API 연동)
- */
-async function simulatePayment(amount, paymentMethod, paymentInfo) {
-  // 실제 구현시 PG사 API 호출
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      // 90% 확률로 성공
-      const success = Math.random() > 0.1;
-      resolve({
-        success,
-        payment_id: success ? `PAY_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` : null,
-        message: success ? '결제 성공' : '결제 실패'
-      });
-    }, 1000); // 1초 지연으로 실제 결제 처리 시뮬레이션
-  });
-}
-
 module.exports = router;
\ No newline at end of file
@@ -2,8 +2,9 @@ const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { validateId, validatePagination } = require('../middleware/validation');
+const { getConsultationTerms, calculateCommission } = require('../services/billingPolicy');
 const { successResponse, errorResponse, createPagination } = require('../utils/helpers');
-const { RESPONSE_CODES, HTTP_STATUS, PAGINATION } = require('../utils/constants');
+const { RESPONSE_CODES, HTTP_STATUS, PAGINATION, DISPUTE_STATUS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -155,11 +156,20 @@ router.get('/consultant/:id/:month', authenticateToken, requireConsultantOrAdmin
       consultationDetails = [];
     }
 
+    // 분쟁 환불 차감 내역 파싱
+    let disputeDetails = [];
+    try {
+      disputeDetails = JSON.parse(snapshot.dispute_details || '[]');
+    } catch (e) {
+      disputeDetails = [];
+    }
+
     successResponse(res, '상담사 월별 정산 조회 완료', {
       consultant_id: consultantId,
       month,
       settlement: snapshot,
-      consultation_details: consultationDetails
+      consultation_details: consultationDetails,
+      dispute_details: disputeDetails
     });
 
   } catch (error) {
@@ -173,9 +183,44 @@ router.get('/consultant/:id/:month', authenticateToken, requireConsultantOrAdmin
   }
 });
 
+/**
+ * 정산율(%) 스냅샷: 한 달 동안 정산율이 하나면 그 값, 여러 정책이 섞였으면 실제 정산액 기준 비율
+ */
+const getSettlementRatePercent = (group) => {
+  if (group.commission_rates.size === 1) {
+    return Math.round([...group.commission_rates][0] * 10000) / 100;
+  }
+
+  return group.total_customer_payment > 0
+    ? Math.round(group.total_settlement_amount / group.total_customer_payment * 10000) / 100
+    : 0;
+};
+
+/**
+ * 상담사별 정산 그룹 초기값
+ */
+const createConsultantGroup = (row) => ({
+  consultant_id: row.consultant_id,
+  consultant_number: row.consultant_number,
+  consultant_name: row.consultant_name,
+  consultant_stage_name: row.stage_name,
+  consultant_grade: row.consultant_grade,
+  consultations: [],
+  disputes: [],
+  total_count: 0,
+  total_seconds: 0,
+  total_minutes: 0,
+  total_customer_payment: 0,
+  total_settlement_amount: 0,
+  total_dispute_refund: 0,
+  total_dispute_deduction: 0,
+  commission_rates: new Set()
+});
+
 /**
  * POST /api/settlements/calculate/:month
  * 월별 정산 계산 실행 (관리자)
+ * 해당 월에 결정된 분쟁 환불의 상담사 회수액은 그 달 정산액에서 차감합니다.
  */
 router.post('/calculate/:month', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -191,7 +236,17 @@ router.post('/calculate/:month', authenticateToken, requireAdmin, async (req, re
       [month]
     );
 
-    if (consultations.length === 0) {
+    // 해당 월에 결정된 분쟁 환불 (상담 월과 관계없이 결정 월 정산에서 차감)
+    const [disputes] = await pool.execute(
+      `SELECT d.id as dispute_id, d.consultation_id, d.consultant_id, d.refund_rings, d.consultant_deduction, d.decided_at,
+       cons.consultant_number, cons.name as consultant_name, cons.stage_name, cons.consultant_grade
+       FROM consultation_disputes d
+       LEFT JOIN consultants cons ON d.consultant_id = cons.id
+       WHERE DATE_FORMAT(d.decided_at, '%Y-%m') = ? AND d.status = ? AND d.refund_rings > 0`,
+      [month, DISPUTE_STATUS.RESOLVED]
+    );
+
+    if (consultations.length === 0 && disputes.length === 0) {
       return errorResponse(
         res,
         '해당 월에 완료된 상담이 없습니다.',
@@ -206,19 +261,7 @@ router.post('/calculate/:month', authenticateToken, requireAdmin, async (req, re
     consultations.forEach(consultation => {
       const consultantId = consultation.consultant_id;
       if (!consultantGroups[consultantId]) {
-        consultantGroups[consultantId] = {
-          consultant_id: consultantId,
-          consultant_number: consultation.consultant_number,
-          consultant_name: consultation.consultant_name,
-          consultant_stage_name: consultation.stage_name,
-          consultant_grade: consultation.consultant_grade,
-          consultations: [],
-          total_count: 0,
-          total_seconds: 0,
-          total_minutes: 0,
-          total_customer_payment: 0,
-          total_settlement_amount: 0
-        };
+        consultantGroups[consultantId] = createConsultantGroup(consultation);
       }
 
       const group = consultantGroups[consultantId];
@@ -244,8 +287,27 @@ router.post('/calculate/:month', authenticateToken, requireAdmin, async (req, re
       group.total_minutes += Math.ceil(durationSeconds / 60); // 분은 참고용으로만
       group.total_customer_payment += consultation.amount || 0;
 
-      // 임시 정산율 70% 적용
-      group.total_settlement_amount += Math.floor((consultation.amount || 0) * 0.7);
+      // 상담에 저장된 정책 스냅샷의 정산율 적용 (정책 도입 전 상담은 70%)
+      const { commissionRate } = getConsultationTerms(consultation);
+      group.commission_rates.add(commissionRate);
+      group.total_settlement_amount += calculateCommission(consultation.amount, commissionRate);
+    });
+
+    disputes.forEach(dispute => {
+      if (!consultantGroups[dispute.consultant_id]) {
+        consultantGroups[dispute.consultant_id] = createConsultantGroup(dispute);
+      }
+
+      const group = consultantGroups[dispute.consultant_id];
+      group.disputes.push({
+        dispute_id: dispute.dispute_id,
+        consultation_id: dispute.consultation_id,
+        refund_rings: dispute.refund_rings,
+        consultant_deduction: dispute.consultant_deduction,
+        decided_at: dispute.decided_at
+      });
+      group.total_dispute_refund += dispute.refund_rings;
+      group.total_dispute_deduction += dispute.consultant_deduction;
     });
 
     // 기존 정산 데이터 삭제
@@ -264,8 +326,9 @@ router.post('/calculate/:month', authenticateToken, requireAdmin, async (req, re
           consultant_stage_name, consultant_grade_snapshot, total_consultation_count,
           total_consultation_seconds, total_consultation_minutes,
           total_customer_payment, total_settlement_amount, settlement_rate_percent,
-          consultation_details, processed_by
-         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          total_dispute_refund, total_dispute_deduction,
+          consultation_details, dispute_details, processed_by
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           month,
           group.consultant_id,
@@ -277,9 +340,12 @@ router.post('/calculate/:month', authenticateToken, requireAdmin, async (req, re
           group.total_seconds,
           group.total_minutes,
           group.total_customer_payment,
-          group.total_settlement_amount,
-          70, // 임시 정산율
+          group.total_settlement_amount - group.total_dispute_deduction,
+          getSettlementRatePercent(group),
+          group.total_dispute_refund,
+          group.total_dispute_deduction,
           JSON.stringify(group.consultations),
+          JSON.stringify(group.disputes),
           req.user.username || req.user.login_id
         ]
       );
@@ -289,18 +355,21 @@ router.post('/calculate/:month', authenticateToken, requireAdmin, async (req, re
     const totalConsultants = Object.keys(consultantGroups).length;
     const totalCount = Object.values(consultantGroups).reduce((sum, g) => sum + g.total_count, 0);
     const totalCustomerPayment = Object.values(consultantGroups).reduce((sum, g) => sum + g.total_customer_payment, 0);
-    const totalSettlementAmount = Object.values(consultantGroups).reduce((sum, g) => sum + g.total_settlement_amount, 0);
+    const totalDisputeRefund = Object.values(consultantGroups).reduce((sum, g) => sum + g.total_dispute_refund, 0);
+    const totalSettlementAmount = Object.values(consultantGroups)
+      .reduce((sum, g) => sum + g.total_settlement_amount - g.total_dispute_deduction, 0);
 
     await pool.execute(
       `INSERT INTO monthly_settlement_summary (
         settlement_month, total_consultants, total_consultation_count,
-        total_customer_payment, total_settlement_amount, total_platform_fee
-       ) VALUES (?, ?, ?, ?, ?, ?)
+        total_customer_payment, total_settlement_amount, total_dispute_refund, total_platform_fee
+       ) VALUES (?, ?, ?, ?, ?, ?, ?)
        ON DUPLICATE KEY UPDATE
         total_consultants = VALUES(total_consultants),
         total_consultation_count = VALUES(total_consultation_count),
         total_customer_payment = VALUES(total_customer_payment),
         total_settlement_amount = VALUES(total_settlement_amount),
+        total_dispute_refund = VALUES(total_dispute_refund),
         total_platform_fee = VALUES(total_platform_fee)`,
       [
         month,
@@ -308,7 +377,8 @@ router.post('/calculate/:month', authenticateToken, requireAdmin, async (req, re
         totalCount,
         totalCustomerPayment,
         totalSettlementAmount,
-        totalCustomerPayment - totalSettlementAmount
+        totalDisputeRefund,
+        totalCustomerPayment - totalDisputeRefund - totalSettlementAmount
       ]
     );
 
@@ -318,7 +388,8 @@ router.post('/calculate/:month', authenticateToken, requireAdmin, async (req, re
         total_consultants: totalConsultants,
         total_consultation_count: totalCount,
         total_customer_payment: totalCustomerPayment,
-        total_settlement_amount: totalSettlementAmount
+        total_settlement_amount: totalSettlementAmount,
+        total_dispute_refund: totalDisputeRefund
       }
     });
 
@@ -0,0 +1,194 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { pool } = require('../config/database');
+const { verifySignature } = require('../middleware/signature');
+const { handleValidationErrors } = require('../middleware/validation');
+const { processCallEvent } = require('../services/telephony');
+const { publishConsultationStatus } = require('../services/consultationState');
+const { publishConsultationRequest } = require('../services/consultationRequests');
+const { successResponse, errorResponse, safeJsonParse } = require('../utils/helpers');
+const { RESPONSE_CODES, HTTP_STATUS, TELEPHONY_EVENT_TYPES } = require('../utils/constants');
+
+const router = express.Router();
+
+// CDR 이벤트 처리 상태
+// - processed: 처리 완료 (재전송시 저장된 응답 반환)
+// - rejected: 재시도해도 결과가 같은 4xx (재전송시 같은 오류 응답 반환)
+// - error: 일시적 오류 또는 시작 기록 전 도착 (재전송시 다시 처리)
+const EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  REJECTED: 'rejected',
+  ERROR: 'error'
+};
+
+// 상담 상태가 바뀌어 당사자 앱에 알릴 처리 결과
+const STATUS_CHANGED_OUTCOMES = ['created', 'linked', 'started', 'completed', 'not_connected'];
+
+/**
+ * CDR 이벤트 응답 형식
+ */
+const formatEventResult = (eventId, duplicate, result) => ({
+  event_id: eventId,
+  duplicate,
+  outcome: result.outcome,
+  action: result.action || null,
+  reason: result.reason || null,
+  consultation_id: result.consultation_id || null
+});
+
+/**
+ * POST /api/telephony/cdr
+ * 통화 시스템 CDR 이벤트 수신 (HMAC 서명 필수)
+ *
+ * Headers: X-Signature (hex HMAC-SHA256), X-Timestamp (unix seconds)
+ * Body: { event_id, event_type, call_id, occurred_at, caller, callee, consultation_id, duration_seconds, hangup_cause }
+ * call.started 응답의 action이 reject이면 통화 시스템은 통화를 끊습니다.
+ */
+router.post(
+  '/cdr',
+  verifySignature({ secretEnv: 'TELEPHONY_WEBHOOK_SECRET' }),
+  [
+    body('event_id')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('event_id가 필요합니다.'),
+    body('event_type')
+      .isIn(Object.values(TELEPHONY_EVENT_TYPES))
+      .withMessage('유효하지 않은 이벤트 유형입니다.'),
+    body('call_id')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('call_id가 필요합니다.'),
+    body('occurred_at')
+      .isISO8601()
+      .withMessage('occurred_at은 ISO8601 형식이어야 합니다.'),
+    body(['caller', 'callee'])
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 30 })
+      .withMessage('전화번호 형식이 올바르지 않습니다.'),
+    body('consultation_id')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('유효하지 않은 상담 ID입니다.'),
+    body('duration_seconds')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('통화 시간은 0 이상의 정수여야 합니다.'),
+    body('hangup_cause')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 30 })
+      .withMessage('종료 사유는 30자 이하여야 합니다.'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    const event = req.body;
+    const eventId = event.event_id;
+
+    try {
+      // 중복 수신 확인 (event_id UNIQUE)
+      const [inserted] = await pool.execute(
+        `INSERT IGNORE INTO telephony_cdr_events (event_id, event_type, call_id, payload, status)
+         VALUES (?, ?, ?, ?, ?)`,
+        [eventId, event.event_type, event.call_id, JSON.stringify(event), EVENT_STATUS.RECEIVED]
+      );
+
+      if (inserted.affectedRows === 0) {
+        const [events] = await pool.execute(
+          'SELECT status, response FROM telephony_cdr_events WHERE event_id = ?',
+          [eventId]
+        );
+        const stored = events.length > 0 && events[0].response
+          ? (typeof events[0].response === 'string' ? safeJsonParse(events[0].response) : events[0].response)
+          : null;
+
+        if (stored && events[0].status === EVENT_STATUS.PROCESSED) {
+          return successResponse(res, '이미 처리된 CDR 이벤트입니다.', { ...stored, duplicate: true });
+        }
+
+        if (stored && events[0].status === EVENT_STATUS.REJECTED) {
+          return errorResponse(res, stored.message, stored.code, stored.status_code);
+        }
+      }
+    } catch (error) {
+      console.error('CDR 이벤트 기록 에러:', error);
+      return errorResponse(res, 'CDR 이벤트 처리 중 오류가 발생했습니다.', RESPONSE_CODES.DATABASE_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+
+    const connection = await pool.getConnection();
+    let result;
+
+    try {
+      await connection.beginTransaction();
+
+      result = await processCallEvent(connection, {
+        ...event,
+        consultation_id: event.consultation_id ? parseInt(event.consultation_id) : null
+      });
+
+      await connection.execute(
+        `UPDATE telephony_cdr_events SET status = ?, result = ?, response = ?, processed_at = NOW()
+         WHERE event_id = ?`,
+        [EVENT_STATUS.PROCESSED, result.outcome, JSON.stringify(formatEventResult(eventId, false, result)), eventId]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+
+      // 재시도해도 결과가 같은 4xx만 최종 거부로 저장하고, 시작 기록 전 도착한 이벤트나
+      // 일시적 오류는 통화 시스템이 같은 event_id로 재전송하면 다시 처리
+      const isClientError = error.statusCode && error.statusCode < HTTP_STATUS.INTERNAL_SERVER_ERROR;
+      const rejected = isClientError && !error.retryable;
+
+      await pool.execute(
+        'UPDATE telephony_cdr_events SET status = ?, result = ?, response = ?, processed_at = NOW() WHERE event_id = ?',
+        [
+          rejected ? EVENT_STATUS.REJECTED : EVENT_STATUS.ERROR,
+          error.message.substring(0, 255),
+          rejected ? JSON.stringify({ status_code: error.statusCode, code: error.code, message: error.message }) : null,
+          eventId
+        ]
+      ).catch(updateError => console.error('CDR 이벤트 상태 기록 에러:', updateError));
+
+      if (isClientError) {
+        return errorResponse(res, error.message, error.code, error.statusCode);
+      }
+
+      console.error('CDR 이벤트 처리 에러:', error);
+      return errorResponse(
+        res,
+        'CDR 이벤트 처리 중 오류가 발생했습니다.',
+        error.code || RESPONSE_CODES.DATABASE_ERROR,
+        error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+      );
+    }
+
+    connection.release();
+
+    // 커밋 후 당사자 앱에 상태 변경 알림
+    try {
+      if (result.outcome === 'created') {
+        publishConsultationRequest(result.consultant.user_id, result.request, {
+          customerId: result.customer.id,
+          customerNickname: result.customer.nickname,
+          consultationType: result.consultant.consultation_field,
+          consultationMethod: '전화'
+        });
+      }
+
+      if (STATUS_CHANGED_OUTCOMES.includes(result.outcome)) {
+        await publishConsultationStatus(result.consultation_id);
+      }
+    } catch (error) {
+      console.error('CDR 상태 알림 에러:', error);
+    }
+
+    successResponse(res, 'CDR 이벤트 처리 완료', formatEventResult(eventId, false, result));
+  }
+);
+
+module.exports = router;
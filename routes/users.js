@@ -2,6 +2,7 @@ const express = require('express');
 const { pool } = require('../config/database');
 const { optionalAuth, authenticateToken } = require('../middleware/auth');
 const { validateId, validatePagination } = require('../middleware/validation');
+const { listFavorites } = require('../services/favorites');
 const { successResponse, errorResponse, createPagination, safeJsonParse } = require('../utils/helpers');
 const { RESPONSE_CODES, HTTP_STATUS, PAGINATION } = require('../utils/constants');
 
@@ -410,4 +411,36 @@ router.get('/users-event/my/participations', authenticateToken, validatePaginati
   }
 });
 
+/**
+ * GET /api/users/me/favorites
+ * 즐겨찾기 상담사 목록 (상담사 현재 상태 status 포함, 대기중 상담사 먼저)
+ */
+router.get('/me/favorites', authenticateToken, validatePagination, async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const { favorites, total } = await listFavorites(pool, req.user.id, {
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    successResponse(res, '즐겨찾기 목록 조회 완료', { favorites }, createPagination(pageNum, limitNum, total));
+
+  } catch (error) {
+    console.error('즐겨찾기 목록 조회 에러:', error);
+    errorResponse(
+      res,
+      '즐겨찾기 목록 조회 중 오류가 발생했습니다.',
+      RESPONSE_CODES.DATABASE_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,75 +1,42 @@
 const { pool } = require('../config/database');
+const { runReconciliation } = require('../services/reconciliation');
 
+/**
+ * 링 잔액 일관성 검사
+ * 대사 엔진(services/reconciliation.js)으로 전체 사용자를 검사하고 실행 결과를 저장합니다.
+ * 결과 상세: GET /api/admin/reconciliation/runs/:id
+ */
 async function checkRingsConsistency() {
   try {
     console.log('🔍 링 잔액 일관성 검사 시작...');
 
-    // 현재 불일치 데이터 조회
-    const [inconsistentUsers] = await pool.execute(`
-      SELECT
-        u.id,
-        u.login_id,
-        u.username,
-        u.rings as current_rings,
-        COALESCE(
-          (SELECT SUM(charge_amount) FROM payments p WHERE p.user_id = u.id AND p.status = 'completed'), 0
-        ) - COALESCE(
-          (SELECT SUM(amount) FROM consultations c WHERE c.customer_id = u.id AND c.status = '완료'), 0
-        ) as calculated_rings,
-        (u.rings - (
-          COALESCE(
-            (SELECT SUM(charge_amount) FROM payments p WHERE p.user_id = u.id AND p.status = 'completed'), 0
-          ) - COALESCE(
-            (SELECT SUM(amount) FROM consultations c WHERE c.customer_id = u.id AND c.status = '완료'), 0
-          )
-        )) as difference
-      FROM users u
-      WHERE u.id > 0
-      AND ABS(u.rings - (
-        COALESCE(
-          (SELECT SUM(charge_amount) FROM payments p WHERE p.user_id = u.id AND p.status = 'completed'), 0
-        ) - COALESCE(
-          (SELECT SUM(amount) FROM consultations c WHERE c.customer_id = u.id AND c.status = '완료'), 0
-        )
-      )) > 0.01
-      ORDER BY ABS(difference) DESC
-      LIMIT 10
-    `);
+    const run = await runReconciliation({ triggerType: 'script' });
 
-    console.log(`📊 불일치 사용자 수: ${inconsistentUsers.length}명`);
+    console.log(`📊 대사 실행 #${run.run_id}: 사용자 ${run.total_users}명 중 불일치 ${run.discrepancy_count}명`);
+
+    if (run.discrepancy_count > 0) {
+      const [discrepancies] = await pool.execute(
+        `SELECT d.user_id, u.login_id, u.username, d.actual_balance, d.expected_balance, d.difference
+         FROM reconciliation_discrepancies d
+         LEFT JOIN users u ON d.user_id = u.id
+         WHERE d.run_id = ?
+         ORDER BY ABS(d.difference) DESC
+         LIMIT 10`,
+        [run.run_id]
+      );
 
-    if (inconsistentUsers.length > 0) {
       console.log('\n🚨 불일치 데이터 상위 10명:');
-      inconsistentUsers.forEach((user, index) => {
+      discrepancies.forEach((user, index) => {
         console.log(`${index + 1}. ${user.username} (${user.login_id})`);
-        console.log(`   현재 잔액: ${user.current_rings}링`);
-        console.log(`   계산값: ${user.calculated_rings}링`);
+        console.log(`   현재 잔액: ${user.actual_balance}링`);
+        console.log(`   계산값: ${user.expected_balance}링`);
         console.log(`   차이: ${user.difference}링\n`);
       });
     } else {
       console.log('✅ 모든 사용자의 링 잔액이 일치합니다!');
     }
 
-    // 전체 통계
-    const [stats] = await pool.execute(`
-      SELECT
-        COUNT(*) as total_users,
-        SUM(rings) as total_rings,
-        AVG(rings) as avg_rings,
-        MIN(rings) as min_rings,
-        MAX(rings) as max_rings
-      FROM users
-      WHERE id > 0
-    `);
-
-    console.log('📈 전체 링 잔액 통계:');
-    console.log(`   총 사용자 수: ${stats[0].total_users}명`);
-    console.log(`   총 링 잔액: ${stats[0].total_rings}링`);
-    console.log(`   평균 잔액: ${Math.round(stats[0].avg_rings)}링`);
-    console.log(`   최소 잔액: ${stats[0].min_rings}링`);
-    console.log(`   최대 잔액: ${stats[0].max_rings}링`);
-
-    return inconsistentUsers.length;
+    return run;
 
   } catch (error) {
     console.error('❌ 검사 중 오류 발생:', error);
@@ -80,9 +47,10 @@ async function checkRingsConsistency() {
 // 스크립트 직접 실행 시
 if (require.main === module) {
   checkRingsConsistency()
-    .then((inconsistentCount) => {
-      if (inconsistentCount > 0) {
-        console.log(`\n⚠️  ${inconsistentCount}명의 사용자에게 링 잔액 불일치가 발견되었습니다.`);
+    .then((run) => {
+      if (run.discrepancy_count > 0) {
+        console.log(`\n⚠️  ${run.discrepancy_count}명의 사용자에게 링 잔액 불일치가 발견되었습니다.`);
+        console.log(`   조정 요청: node scripts/fix-rings-balance.js ${run.run_id} <요청 관리자 ID>`);
         process.exit(1);
       } else {
         console.log('\n✅ 링 잔액 일관성 검사 완료!');
@@ -95,4 +63,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { checkRingsConsistency };
\ No newline at end of file
+module.exports = { checkRingsConsistency };
@@ -0,0 +1,230 @@
+const express = require('express');
+const http = require('http');
+require('dotenv').config();
+
+const { createSignature } = require('../middleware/signature');
+
+/**
+ * 로컬 개발/테스트용 Mock PG 서버 (토스페이먼츠 v1 스타일)
+ *
+ * 사용법:
+ *   npm run mock:pg
+ *   .env → PG_API_URL=http://localhost:4010
+ *
+ * 결제 흐름:
+ *   1. POST /v1/payments              결제 생성 (checkout.url 반환)
+ *   2. GET  /checkout/:paymentKey      사용자 결제 인증 시뮬레이션 (?result=fail 이면 실패)
+ *   3. POST /v1/payments/confirm       서버 승인
+ *   4. POST /v1/payments/:key/cancel   전액/부분 취소
+ *
+ * MOCK_PG_WEBHOOK_URL(예: http://localhost:3013/api/payments/webhook)과 PG_WEBHOOK_SECRET이
+ * 설정되어 있으면 상태 변경마다 서명된 웹훅을 전송합니다.
+ */
+
+const app = express();
+const PORT = process.env.MOCK_PG_PORT || 4010;
+
+// paymentKey → 결제 객체 (메모리 저장)
+const payments = new Map();
+
+app.use(express.json());
+
+// Basic 인증 헤더 확인 (시크릿 키 값은 검증하지 않음)
+app.use('/v1', (req, res, next) => {
+  const authHeader = req.headers.authorization || '';
+  if (!authHeader.startsWith('Basic ')) {
+    return res.status(401).json({ code: 'UNAUTHORIZED_KEY', message: '인증되지 않은 시크릿 키 혹은 클라이언트 키 입니다.' });
+  }
+  next();
+});
+
+/**
+ * 서명된 결제 상태 변경 웹훅 전송
+ */
+const sendWebhook = (payment) => {
+  const webhookUrl = process.env.MOCK_PG_WEBHOOK_URL;
+  const secret = process.env.PG_WEBHOOK_SECRET;
+
+  if (!webhookUrl || !secret) {
+    return;
+  }
+
+  const body = JSON.stringify({
+    eventId: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    eventType: 'PAYMENT_STATUS_CHANGED',
+    data: {
+      paymentKey: payment.paymentKey,
+      orderId: payment.orderId,
+      status: payment.status,
+      totalAmount: payment.totalAmount
+    }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const req = http.request(webhookUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'X-PG-Timestamp': timestamp,
+      'X-PG-Signature': createSignature(secret, timestamp, body)
+    }
+  }, (res) => {
+    res.resume();
+    console.log(`📨 웹훅 전송 (${payment.orderId} ${payment.status}) → ${res.statusCode}`);
+  });
+
+  req.on('error', (error) => console.error('웹훅 전송 실패:', error.message));
+  req.write(body);
+  req.end();
+};
+
+const findByOrderId = (orderId) => {
+  for (const payment of payments.values()) {
+    if (payment.orderId === orderId) {
+      return payment;
+    }
+  }
+  return null;
+};
+
+// 결제 생성
+app.post('/v1/payments', (req, res) => {
+  const { method, amount, orderId, orderName, successUrl = null, failUrl = null } = req.body;
+
+  if (!orderId || !amount || amount <= 0) {
+    return res.status(400).json({ code: 'INVALID_REQUEST', message: '잘못된 요청입니다.' });
+  }
+
+  if (findByOrderId(orderId)) {
+    return res.status(400).json({ code: 'DUPLICATED_ORDER_ID', message: '이미 승인 및 취소가 진행된 중복된 주문번호 입니다.' });
+  }
+
+  const paymentKey = `mock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const payment = {
+    paymentKey,
+    orderId,
+    orderName,
+    method,
+    status: 'READY',
+    totalAmount: amount,
+    balanceAmount: amount,
+    requestedAt: new Date().toISOString(),
+    approvedAt: null,
+    cancels: [],
+    successUrl,
+    failUrl,
+    checkout: { url: `http://localhost:${PORT}/checkout/${paymentKey}` }
+  };
+
+  payments.set(paymentKey, payment);
+  res.json(payment);
+});
+
+// 사용자 결제 인증 시뮬레이션
+app.get('/checkout/:paymentKey', (req, res) => {
+  const payment = payments.get(req.params.paymentKey);
+
+  if (!payment) {
+    return res.status(404).json({ code: 'NOT_FOUND_PAYMENT', message: '존재하지 않는 결제 정보 입니다.' });
+  }
+
+  if (req.query.result === 'fail') {
+    payment.status = 'ABORTED';
+    sendWebhook(payment);
+    if (payment.failUrl) {
+      return res.redirect(`${payment.failUrl}?code=PAY_PROCESS_CANCELED&orderId=${payment.orderId}`);
+    }
+    return res.json({ code: 'PAY_PROCESS_CANCELED', orderId: payment.orderId });
+  }
+
+  payment.status = 'IN_PROGRESS';
+  const query = `paymentKey=${payment.paymentKey}&orderId=${payment.orderId}&amount=${payment.totalAmount}`;
+
+  if (payment.successUrl) {
+    return res.redirect(`${payment.successUrl}?${query}`);
+  }
+  res.json({ paymentKey: payment.paymentKey, orderId: payment.orderId, amount: payment.totalAmount });
+});
+
+// 결제 승인
+app.post('/v1/payments/confirm', (req, res) => {
+  const { paymentKey, orderId, amount } = req.body;
+  const payment = payments.get(paymentKey);
+
+  if (!payment || payment.orderId !== orderId) {
+    return res.status(404).json({ code: 'NOT_FOUND_PAYMENT', message: '존재하지 않는 결제 정보 입니다.' });
+  }
+
+  if (payment.status === 'DONE') {
+    return res.status(400).json({ code: 'ALREADY_PROCESSED_PAYMENT', message: '이미 처리된 결제 입니다.' });
+  }
+
+  if (payment.status !== 'IN_PROGRESS') {
+    return res.status(400).json({ code: 'NOT_AVAILABLE_PAYMENT', message: '결제 인증이 완료되지 않았습니다.' });
+  }
+
+  if (Number(amount) !== payment.totalAmount) {
+    return res.status(400).json({ code: 'INVALID_AMOUNT', message: '결제 금액이 일치하지 않습니다.' });
+  }
+
+  payment.status = 'DONE';
+  payment.approvedAt = new Date().toISOString();
+  res.json(payment);
+  sendWebhook(payment);
+});
+
+// 결제 취소 (cancelAmount 생략시 잔액 전액 취소)
+app.post('/v1/payments/:paymentKey/cancel', (req, res) => {
+  const payment = payments.get(req.params.paymentKey);
+  const { cancelReason, cancelAmount = null } = req.body;
+
+  if (!payment) {
+    return res.status(404).json({ code: 'NOT_FOUND_PAYMENT', message: '존재하지 않는 결제 정보 입니다.' });
+  }
+
+  if (!['DONE', 'PARTIAL_CANCELED'].includes(payment.status)) {
+    return res.status(400).json({ code: 'NOT_CANCELABLE_PAYMENT', message: '취소할 수 없는 결제 입니다.' });
+  }
+
+  const amount = cancelAmount === null ? payment.balanceAmount : Number(cancelAmount);
+  if (amount <= 0 || amount > payment.balanceAmount) {
+    return res.status(400).json({ code: 'NOT_CANCELABLE_AMOUNT', message: '취소 할 수 없는 금액 입니다.' });
+  }
+
+  payment.balanceAmount -= amount;
+  payment.status = payment.balanceAmount === 0 ? 'CANCELED' : 'PARTIAL_CANCELED';
+  payment.cancels.push({
+    cancelAmount: amount,
+    cancelReason,
+    canceledAt: new Date().toISOString()
+  });
+
+  res.json(payment);
+  sendWebhook(payment);
+});
+
+// 결제 조회
+app.get('/v1/payments/orders/:orderId', (req, res) => {
+  const payment = findByOrderId(req.params.orderId);
+  if (!payment) {
+    return res.status(404).json({ code: 'NOT_FOUND_PAYMENT', message: '존재하지 않는 결제 정보 입니다.' });
+  }
+  res.json(payment);
+});
+
+app.get('/v1/payments/:paymentKey', (req, res) => {
+  const payment = payments.get(req.params.paymentKey);
+  if (!payment) {
+    return res.status(404).json({ code: 'NOT_FOUND_PAYMENT', message: '존재하지 않는 결제 정보 입니다.' });
+  }
+  res.json(payment);
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`💳 Mock PG 서버가 포트 ${PORT}에서 실행 중입니다.`);
+  });
+}
+
+module.exports = app;
@@ -3,6 +3,19 @@ const cors = require('cors');
 require('dotenv').config();
 
 const { testConnection } = require('./config/database');
+const { scheduleRingLotExpiry } = require('./jobs/ringLotExpiry');
+const { scheduleReconciliation } = require('./jobs/reconciliation');
+const { scheduleConsultationTimeouts } = require('./jobs/consultationTimeouts');
+const { scheduleReservationDeadlines } = require('./jobs/reservations');
+const { scheduleConsultantQueue } = require('./jobs/consultantQueue');
+const { schedulePresenceSync } = require('./jobs/presence');
+const { scheduleStaleSessionSweep } = require('./jobs/staleSessions');
+const { scheduleMatchmaking } = require('./jobs/matchmaking');
+const { scheduleRecordingRetention } = require('./jobs/recordings');
+const { scheduleRefundRecovery } = require('./jobs/refunds');
+const { attachWebSocketServer } = require('./services/realtime');
+const { registerChatHandlers } = require('./services/chat');
+const { trackConsultantPresence } = require('./services/presence');
 
 // 라우트 import
 const authRoutes = require('./routes/auth');
@@ -11,8 +24,15 @@ const consultantApplicationRoutes = require('./routes/consultant_applications');
 const specialtiesRoutes = require('./routes/specialties');
 const ringRoutes = require('./routes/rings');
 const consultationsRoutes = require('./routes/consultations');
+const reservationRoutes = require('./routes/reservations');
+const notificationRoutes = require('./routes/notifications');
+const realtimeRoutes = require('./routes/realtime');
 const settlementsRoutes = require('./routes/settlements');
 const paymentsRoutes = require('./routes/payments');
+const paymentWebhookRoutes = require('./routes/payment-webhooks');
+const telephonyRoutes = require('./routes/telephony');
+const couponRoutes = require('./routes/coupons');
+const adminRoutes = require('./routes/admin');
 const reviewsRoutes = require('./routes/reviews');
 const faqRoutes = require('./routes/faq');
 const inquiryRoutes = require('./routes/inquiries');
@@ -36,7 +56,13 @@ const corsOptions = {
 
 // 미들웨어 설정
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // 웹훅 HMAC 서명 검증용 원본 바디 보관
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // 정적 파일 서빙 설정
@@ -79,8 +105,15 @@ app.use('/api/consultants', consultantRoutes);
 app.use('/api', specialtiesRoutes);
 app.use('/api/rings', ringRoutes);
 app.use('/api/consultations', consultationsRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
 app.use('/api/settlements', settlementsRoutes);
+app.use('/api/payments/webhook', paymentWebhookRoutes);
 app.use('/api/payments', paymentsRoutes);
+app.use('/api/telephony', telephonyRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api/reviews', reviewsRoutes);
 app.use('/api/faq', faqRoutes);
 app.use('/api/inquiries', inquiryRoutes);
@@ -130,11 +163,23 @@ const startServer = async () => {
     }
 
     // 서버 시작
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 사주링 API 서버가 포트 ${PORT}에서 실행 중입니다.`);
       console.log(`🌍 환경: ${process.env.NODE_ENV || 'development'}`);
       console.log(`📊 Health Check: http://localhost:${PORT}/health`);
       console.log(`📚 API Base URL: http://localhost:${PORT}/api`);
+
+      // 정기 작업 예약
+      scheduleRingLotExpiry();
+      scheduleReconciliation();
+      scheduleConsultationTimeouts();
+      scheduleReservationDeadlines();
+      scheduleConsultantQueue();
+      schedulePresenceSync();
+      scheduleStaleSessionSweep();
+      scheduleMatchmaking();
+      scheduleRecordingRetention();
+      scheduleRefundRecovery();
       
       if (process.env.NODE_ENV === 'development') {
         console.log('\n📋 주요 API 엔드포인트:');
@@ -153,6 +198,11 @@ const startServer = async () => {
       }
     });
 
+    // 실시간 채널 (WebSocket /ws)
+    attachWebSocketServer(server);
+    registerChatHandlers();
+    trackConsultantPresence();
+
   } catch (error) {
     console.error('❌ 서버 시작 실패:', error);
     process.exit(1);
@@ -0,0 +1,268 @@
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  CONSULTANT_LEVELS,
+  CONSULTATION_BILLING,
+  CONSULTATION_SETTLEMENT
+} = require('../utils/constants');
+
+/**
+ * 과금/정산 정책 (버전 관리)
+ * - 정책 버전은 등록 후 수정하지 않으며, effective_from이 지난 가장 최근 버전이 새 상담에 적용됩니다.
+ * - 규칙은 상담사 등급별 기본값과 상담 방식별 덮어쓰기로 구성됩니다 (방식별 규칙의 NULL 값은 기본값 사용).
+ * - 상담은 요청 시점에 결정된 정책을 스냅샷으로 저장하며, 과금/정산은 항상 스냅샷 기준입니다.
+ */
+
+const RULE_FIELDS = ['unit_seconds', 'minimum_units', 'allowed_fees', 'commission_rate'];
+
+/**
+ * 규칙 행 정규화 (DECIMAL 문자열, JSON 문자열 처리)
+ */
+const formatRule = (rule) => ({
+  consultant_grade: rule.consultant_grade,
+  consultation_method: rule.consultation_method,
+  unit_seconds: rule.unit_seconds,
+  minimum_units: rule.minimum_units,
+  allowed_fees: typeof rule.allowed_fees === 'string' ? JSON.parse(rule.allowed_fees) : rule.allowed_fees,
+  commission_rate: rule.commission_rate === null ? null : parseFloat(rule.commission_rate)
+});
+
+/**
+ * 정책 버전 규칙 목록
+ */
+const getPolicyRules = async (db, policyId) => {
+  const [rules] = await db.execute(
+    `SELECT consultant_grade, consultation_method, unit_seconds, minimum_units, allowed_fees, commission_rate
+     FROM billing_policy_rules
+     WHERE policy_id = ?
+     ORDER BY consultant_grade ASC, consultation_method IS NULL DESC, consultation_method ASC`,
+    [policyId]
+  );
+
+  return rules.map(formatRule);
+};
+
+/**
+ * 현재 적용 중인 정책 버전
+ */
+const getEffectivePolicy = async (db) => {
+  const [policies] = await db.execute(
+    `SELECT id, version, effective_from, note, created_by, created_at
+     FROM billing_policies
+     WHERE effective_from <= NOW()
+     ORDER BY effective_from DESC, version DESC
+     LIMIT 1`
+  );
+
+  if (policies.length === 0) {
+    throw createError('과금 정책이 설정되지 않았습니다.', RESPONSE_CODES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+
+  return policies[0];
+};
+
+/**
+ * 등급/방식에 적용할 규칙 (등급 기본값 + 방식별 덮어쓰기)
+ * @returns {object|null}
+ */
+const resolveRule = (rules, grade, method = null) => {
+  const base = rules.find(rule => rule.consultant_grade === grade && rule.consultation_method === null);
+
+  if (!base) {
+    return null;
+  }
+
+  const override = method
+    ? rules.find(rule => rule.consultant_grade === grade && rule.consultation_method === method)
+    : null;
+
+  const resolved = { ...base, consultation_method: method };
+
+  if (override) {
+    RULE_FIELDS.forEach(field => {
+      if (override[field] !== null && override[field] !== undefined) {
+        resolved[field] = override[field];
+      }
+    });
+  }
+
+  return resolved;
+};
+
+/**
+ * 상담사 등급/방식에 적용할 현재 정책
+ * @returns {Promise<{policy_id: number, version: number, unit_seconds: number, minimum_units: number,
+ *   allowed_fees: number[], commission_rate: number}>}
+ */
+const resolveBillingPolicy = async (db, grade, method = null) => {
+  const policy = await getEffectivePolicy(db);
+  const rule = resolveRule(await getPolicyRules(db, policy.id), grade, method);
+
+  if (!rule) {
+    throw createError('유효하지 않은 등급입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return {
+    policy_id: policy.id,
+    version: policy.version,
+    unit_seconds: rule.unit_seconds,
+    minimum_units: rule.minimum_units,
+    allowed_fees: rule.allowed_fees,
+    commission_rate: rule.commission_rate
+  };
+};
+
+/**
+ * 상담에 저장된 과금 조건 (스냅샷이 없는 이전 상담은 기존 30초/70% 기준)
+ * @returns {{unitSeconds: number, minimumUnits: number, commissionRate: number}}
+ */
+const getConsultationTerms = (consultation) => ({
+  unitSeconds: consultation.billing_unit_seconds || CONSULTATION_BILLING.UNIT_SECONDS,
+  minimumUnits: consultation.billing_minimum_units || 1,
+  commissionRate: consultation.commission_rate !== null && consultation.commission_rate !== undefined
+    ? parseFloat(consultation.commission_rate)
+    : CONSULTATION_SETTLEMENT.CONSULTANT_SHARE_RATE
+});
+
+/**
+ * 상담사 정산액 (내림)
+ * 정산율을 0.01% 단위 정수로 바꿔 계산해 DB의 FLOOR(amount * DECIMAL) 대사 결과와 일치시킵니다.
+ */
+const calculateCommission = (amount, commissionRate) =>
+  Math.floor((amount || 0) * Math.round(commissionRate * 10000) / 10000);
+
+/**
+ * 새 정책 버전 규칙 검증
+ * 모든 상담사 등급에 기본 규칙(전 항목)이 있어야 하며, 방식별 규칙은 허용 상담료를 가질 수 없습니다.
+ */
+const assertCompleteRules = (rules) => {
+  const seen = new Set();
+
+  for (const rule of rules) {
+    const key = `${rule.consultant_grade}:${rule.consultation_method || ''}`;
+
+    if (seen.has(key)) {
+      throw createError(
+        `${rule.consultant_grade} 등급 규칙이 중복되었습니다.${rule.consultation_method ? ` (${rule.consultation_method})` : ''}`,
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    seen.add(key);
+
+    if (rule.consultation_method && rule.allowed_fees) {
+      throw createError(
+        '허용 상담료는 등급 기본 규칙에만 설정할 수 있습니다.',
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  }
+
+  for (const grade of Object.values(CONSULTANT_LEVELS)) {
+    const base = rules.find(rule => rule.consultant_grade === grade && !rule.consultation_method);
+
+    if (!base || RULE_FIELDS.some(field => base[field] === null || base[field] === undefined)) {
+      throw createError(
+        `${grade} 등급의 기본 규칙(과금 단위, 최소 단위, 허용 상담료, 정산율)이 필요합니다.`,
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  }
+};
+
+/**
+ * 정책 버전 등록 (기존 버전은 수정하지 않음)
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} params
+ * @param {Date} params.effectiveFrom - 적용 시작 시각 (과거 불가)
+ * @param {object[]} params.rules
+ * @param {string|null} [params.note]
+ * @param {number} params.createdBy
+ */
+const createPolicyVersion = async (connection, { effectiveFrom, rules, note = null, createdBy }) => {
+  if (effectiveFrom.getTime() < Date.now() - 60 * 1000) {
+    throw createError('적용 시작 시각은 현재 이후여야 합니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const normalized = rules.map(rule => ({
+    consultant_grade: rule.consultant_grade,
+    consultation_method: rule.consultation_method || null,
+    unit_seconds: rule.unit_seconds ?? null,
+    minimum_units: rule.minimum_units ?? null,
+    allowed_fees: rule.allowed_fees ? [...new Set(rule.allowed_fees.map(fee => parseInt(fee)))].sort((a, b) => a - b) : null,
+    commission_rate: rule.commission_rate ?? null
+  }));
+
+  assertCompleteRules(normalized);
+
+  // 버전 번호 순차 발급
+  const [[{ lastVersion }]] = await connection.execute(
+    'SELECT COALESCE(MAX(version), 0) as lastVersion FROM billing_policies FOR UPDATE'
+  );
+
+  const [result] = await connection.execute(
+    `INSERT INTO billing_policies (version, effective_from, note, created_by)
+     VALUES (?, ?, ?, ?)`,
+    [lastVersion + 1, effectiveFrom, note, createdBy]
+  );
+
+  for (const rule of normalized) {
+    await connection.execute(
+      `INSERT INTO billing_policy_rules (
+        policy_id, consultant_grade, consultation_method, unit_seconds, minimum_units, allowed_fees, commission_rate
+       ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        result.insertId,
+        rule.consultant_grade,
+        rule.consultation_method,
+        rule.unit_seconds,
+        rule.minimum_units,
+        rule.allowed_fees ? JSON.stringify(rule.allowed_fees) : null,
+        rule.commission_rate
+      ]
+    );
+  }
+
+  return {
+    id: result.insertId,
+    version: lastVersion + 1,
+    effective_from: effectiveFrom,
+    note,
+    rules: normalized
+  };
+};
+
+/**
+ * 정책 버전 상세 (규칙 포함)
+ */
+const getPolicyVersion = async (db, policyId) => {
+  const [policies] = await db.execute(
+    `SELECT id, version, effective_from, note, created_by, created_at
+     FROM billing_policies WHERE id = ?`,
+    [policyId]
+  );
+
+  if (policies.length === 0) {
+    return null;
+  }
+
+  return {
+    ...policies[0],
+    rules: await getPolicyRules(db, policyId)
+  };
+};
+
+module.exports = {
+  getEffectivePolicy,
+  getPolicyRules,
+  resolveRule,
+  resolveBillingPolicy,
+  getConsultationTerms,
+  calculateCommission,
+  createPolicyVersion,
+  getPolicyVersion
+};
@@ -0,0 +1,334 @@
+const { pool } = require('../config/database');
+const { saveFile } = require('./storage');
+const { publishToUser, registerRealtimeHandler } = require('./realtime');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  CONSULTATION_STATUS,
+  CONSULTATION_ACTOR_TYPES,
+  CHAT_MESSAGE_TYPES,
+  CHAT_POLICY,
+  REALTIME_EVENTS
+} = require('../utils/constants');
+
+/**
+ * 채팅 상담 서비스
+ * - 메시지는 상담(consultation_id)에 묶여 영구 저장되며, 상담이 끝난 뒤에도 당사자가 다시 볼 수 있습니다.
+ * - 전송은 채팅 상담이 진행 중(상담중)일 때만 가능합니다. 과금은 다른 방식과 같이 연결~종료 시간 단위로 처리됩니다.
+ * - 새 메시지/읽음/입력 중 표시는 실시간 채널(WebSocket/SSE)로 상대방에게 전달됩니다.
+ */
+
+const CHAT_METHOD = '채팅';
+
+/**
+ * 채팅 참여자 조회 (고객 또는 담당 상담사, 아니면 null)
+ * @returns {Promise<{consultation: object, senderType: string, otherUserId: number|null}|null>}
+ */
+const getChatParticipant = async (db, consultationId, userId) => {
+  const [consultations] = await db.execute(
+    `SELECT c.id, c.customer_id, c.status, c.consultation_method, cs.user_id as consultant_user_id
+     FROM consultations c
+     LEFT JOIN consultants cs ON c.consultant_id = cs.id
+     WHERE c.id = ? AND (c.customer_id = ? OR cs.user_id = ?)`,
+    [consultationId, userId, userId]
+  );
+
+  if (consultations.length === 0) {
+    return null;
+  }
+
+  const consultation = consultations[0];
+  const isCustomer = consultation.customer_id === userId;
+
+  return {
+    consultation,
+    senderType: isCustomer ? CONSULTATION_ACTOR_TYPES.CUSTOMER : CONSULTATION_ACTOR_TYPES.CONSULTANT,
+    otherUserId: isCustomer ? consultation.consultant_user_id : consultation.customer_id
+  };
+};
+
+/**
+ * 참여자 확인 (아니면 404)
+ */
+const requireChatParticipant = async (db, consultationId, userId) => {
+  const participant = await getChatParticipant(db, consultationId, userId);
+
+  if (!participant) {
+    throw createError('상담 정보를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return participant;
+};
+
+/**
+ * 메시지 응답 형식 (첨부는 권한 확인 경로로 제공)
+ */
+const formatMessage = (message) => ({
+  id: message.id,
+  consultation_id: message.consultation_id,
+  sender_user_id: message.sender_user_id,
+  sender_type: message.sender_type,
+  message_type: message.message_type,
+  content: message.content,
+  attachment_url: message.attachment_key
+    ? `/api/consultations/${message.consultation_id}/messages/${message.id}/attachment`
+    : null,
+  client_message_id: message.client_message_id,
+  created_at: message.created_at
+});
+
+const MESSAGE_COLUMNS = `id, consultation_id, sender_user_id, sender_type, message_type, content,
+  attachment_key, client_message_id, created_at`;
+
+/**
+ * 메시지 전송 (텍스트 또는 이미지)
+ * client_message_id가 같은 재전송은 기존 메시지를 그대로 반환합니다.
+ *
+ * @param {object} params
+ * @param {number} params.consultationId
+ * @param {number} params.userId
+ * @param {string} [params.content] - 텍스트 내용 (이미지는 선택 설명)
+ * @param {object} [params.image] - multer 메모리 파일 { originalname, buffer, mimetype }
+ * @param {string} [params.clientMessageId] - 앱에서 생성한 중복 방지 ID
+ */
+const sendMessage = async ({ consultationId, userId, content = null, image = null, clientMessageId = null }) => {
+  const participant = await requireChatParticipant(pool, consultationId, userId);
+  const { consultation } = participant;
+
+  if (consultation.consultation_method !== CHAT_METHOD) {
+    throw createError('채팅 상담이 아닙니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (consultation.status !== CONSULTATION_STATUS.IN_PROGRESS) {
+    throw createError('진행 중인 상담에서만 메시지를 보낼 수 있습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  const text = typeof content === 'string' ? content.trim() : '';
+
+  if (!image && !text) {
+    throw createError('메시지 내용을 입력해주세요.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (text.length > CHAT_POLICY.MAX_TEXT_LENGTH) {
+    throw createError(
+      `메시지는 ${CHAT_POLICY.MAX_TEXT_LENGTH}자 이하여야 합니다.`,
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  if (clientMessageId) {
+    const [existing] = await pool.execute(
+      `SELECT ${MESSAGE_COLUMNS} FROM consultation_messages
+       WHERE consultation_id = ? AND sender_user_id = ? AND client_message_id = ?`,
+      [consultation.id, userId, clientMessageId]
+    );
+
+    if (existing.length > 0) {
+      return formatMessage(existing[0]);
+    }
+  }
+
+  const stored = image
+    ? await saveFile({ folder: `chat/${consultation.id}`, originalName: image.originalname, buffer: image.buffer })
+    : null;
+
+  const [result] = await pool.execute(
+    `INSERT INTO consultation_messages (
+      consultation_id, sender_user_id, sender_type, message_type, content,
+      attachment_key, attachment_mime, client_message_id
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      consultation.id,
+      userId,
+      participant.senderType,
+      image ? CHAT_MESSAGE_TYPES.IMAGE : CHAT_MESSAGE_TYPES.TEXT,
+      text || null,
+      stored ? stored.key : null,
+      image ? image.mimetype : null,
+      clientMessageId
+    ]
+  );
+
+  const [messages] = await pool.execute(
+    `SELECT ${MESSAGE_COLUMNS} FROM consultation_messages WHERE id = ?`,
+    [result.insertId]
+  );
+  const message = formatMessage(messages[0]);
+
+  // 보낸 사람의 다른 기기와 상대방에게 전달
+  publishToUser(userId, REALTIME_EVENTS.CHAT_MESSAGE, message);
+  if (participant.otherUserId) {
+    publishToUser(participant.otherUserId, REALTIME_EVENTS.CHAT_MESSAGE, message);
+  }
+
+  return message;
+};
+
+/**
+ * 참여자별 마지막 읽은 메시지
+ */
+const getReadState = async (db, consultationId) => {
+  const [reads] = await db.execute(
+    `SELECT user_id, last_read_message_id, read_at
+     FROM consultation_chat_reads
+     WHERE consultation_id = ?`,
+    [consultationId]
+  );
+
+  return reads;
+};
+
+/**
+ * 읽음 처리 (더 앞선 메시지로는 되돌리지 않음)
+ */
+const markMessagesRead = async ({ consultationId, userId, messageId }) => {
+  const participant = await requireChatParticipant(pool, consultationId, userId);
+
+  const [messages] = await pool.execute(
+    'SELECT id FROM consultation_messages WHERE id = ? AND consultation_id = ?',
+    [messageId, consultationId]
+  );
+
+  if (messages.length === 0) {
+    throw createError('메시지를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  await pool.execute(
+    `INSERT INTO consultation_chat_reads (consultation_id, user_id, last_read_message_id, read_at)
+     VALUES (?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE
+       read_at = IF(VALUES(last_read_message_id) > last_read_message_id, NOW(), read_at),
+       last_read_message_id = GREATEST(last_read_message_id, VALUES(last_read_message_id))`,
+    [consultationId, userId, messageId]
+  );
+
+  const receipt = {
+    consultation_id: parseInt(consultationId),
+    user_id: userId,
+    last_read_message_id: parseInt(messageId)
+  };
+
+  if (participant.otherUserId) {
+    publishToUser(participant.otherUserId, REALTIME_EVENTS.CHAT_READ, receipt);
+  }
+
+  return receipt;
+};
+
+/**
+ * 입력 중 표시 전달 (저장하지 않음)
+ */
+const publishTyping = async ({ consultationId, userId, isTyping }) => {
+  const participant = await requireChatParticipant(pool, consultationId, userId);
+
+  if (participant.consultation.status !== CONSULTATION_STATUS.IN_PROGRESS) {
+    return;
+  }
+
+  if (participant.otherUserId) {
+    publishToUser(participant.otherUserId, REALTIME_EVENTS.CHAT_TYPING, {
+      consultation_id: parseInt(consultationId),
+      user_id: userId,
+      is_typing: !!isTyping
+    });
+  }
+};
+
+/**
+ * 메시지 목록 (오래된 순)
+ * before_id: 해당 메시지 이전 페이지, after_id: 해당 메시지 이후 (재연결시 누락분 조회)
+ *
+ * @returns {Promise<{messages: object[], has_more: boolean}>}
+ */
+const getMessages = async (db, consultationId, { beforeId = null, afterId = null, limit = 50 } = {}) => {
+  const limitNum = parseInt(limit);
+  let condition = '';
+  const params = [consultationId];
+
+  if (afterId) {
+    condition = 'AND id > ?';
+    params.push(afterId);
+  } else if (beforeId) {
+    condition = 'AND id < ?';
+    params.push(beforeId);
+  }
+
+  // after_id는 오래된 순으로, 그 외는 최신부터 잘라서 뒤집음
+  const order = afterId ? 'ASC' : 'DESC';
+  const [rows] = await db.execute(
+    `SELECT ${MESSAGE_COLUMNS} FROM consultation_messages
+     WHERE consultation_id = ? ${condition}
+     ORDER BY id ${order}
+     LIMIT ${limitNum + 1}`,
+    params
+  );
+
+  const hasMore = rows.length > limitNum;
+  const page = rows.slice(0, limitNum);
+
+  return {
+    messages: (afterId ? page : page.reverse()).map(formatMessage),
+    has_more: hasMore
+  };
+};
+
+/**
+ * 첨부 파일 정보 (당사자만)
+ */
+const getMessageAttachment = async (consultationId, messageId, userId) => {
+  await requireChatParticipant(pool, consultationId, userId);
+
+  const [messages] = await pool.execute(
+    `SELECT attachment_key, attachment_mime FROM consultation_messages
+     WHERE id = ? AND consultation_id = ? AND attachment_key IS NOT NULL`,
+    [messageId, consultationId]
+  );
+
+  if (messages.length === 0) {
+    throw createError('첨부 파일을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return {
+    key: messages[0].attachment_key,
+    mimeType: messages[0].attachment_mime
+  };
+};
+
+/**
+ * WebSocket 채팅 메시지 처리기 등록 (server.js 시작시 호출)
+ * - chat.send { consultation_id, content, client_message_id } (이미지는 REST 업로드)
+ * - chat.read { consultation_id, message_id }
+ * - chat.typing { consultation_id, is_typing }
+ */
+const registerChatHandlers = () => {
+  registerRealtimeHandler('chat.send', (payload, { user }) => sendMessage({
+    consultationId: payload.consultation_id,
+    userId: user.id,
+    content: payload.content,
+    clientMessageId: payload.client_message_id ? String(payload.client_message_id).slice(0, 64) : null
+  }));
+
+  registerRealtimeHandler('chat.read', (payload, { user }) => markMessagesRead({
+    consultationId: payload.consultation_id,
+    userId: user.id,
+    messageId: payload.message_id
+  }));
+
+  registerRealtimeHandler('chat.typing', (payload, { user }) => publishTyping({
+    consultationId: payload.consultation_id,
+    userId: user.id,
+    isTyping: payload.is_typing
+  }));
+};
+
+module.exports = {
+  getChatParticipant,
+  sendMessage,
+  markMessagesRead,
+  getReadState,
+  getMessages,
+  getMessageAttachment,
+  registerChatHandlers
+};
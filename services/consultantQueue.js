@@ -0,0 +1,410 @@
+const { pool } = require('../config/database');
+const { publishToUser, publishConsultantStatus, getSubscribedConsultantIds } = require('./realtime');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  CONSULTANT_STATUS,
+  CONSULTATION_STATUS,
+  QUEUE_ENTRY_STATUS,
+  QUEUE_POLICY,
+  REALTIME_EVENTS
+} = require('../utils/constants');
+
+/**
+ * 상담사 대기열 (상담사별 FIFO)
+ * - 상담 중인 상담사에게 대기 등록, 순번/예상 대기 시간 조회, 대기 취소
+ * - 상담사가 대기(waiting) 상태가 되면 맨 앞 고객에게 시작 제안(offered)을 보내고,
+ *   제안 시간 내 /api/consultations/start로 요청하면 전환(converted), 지나면 만료(expired)
+ * - 대기열에 고객이 있으면 맨 앞 고객만 상담을 요청할 수 있습니다.
+ * - 순번 변경, 시작 제안, 상담사 상태는 실시간 스트림(services/realtime)으로 전송됩니다.
+ */
+
+const ACTIVE_STATUSES = [QUEUE_ENTRY_STATUS.WAITING, QUEUE_ENTRY_STATUS.OFFERED];
+
+// 대기열 순서: 제안 받은 고객 → 등록 순
+const QUEUE_ORDER = `status = '${QUEUE_ENTRY_STATUS.OFFERED}' DESC, id ASC`;
+
+// 마지막으로 전송한 상담사 상태 (변경시에만 전송)
+const lastConsultantStatuses = new Map();
+
+/**
+ * 활성 대기열 조회 (순서대로)
+ */
+const getActiveEntries = async (db, consultantId, { forUpdate = false } = {}) => {
+  const [entries] = await db.execute(
+    `SELECT id, customer_id, status, offered_at, offer_expires_at, joined_at
+     FROM consultant_queue_entries
+     WHERE consultant_id = ? AND status IN (?, ?)
+     ORDER BY ${QUEUE_ORDER}${forUpdate ? ' FOR UPDATE' : ''}`,
+    [consultantId, ...ACTIVE_STATUSES]
+  );
+
+  return entries;
+};
+
+/**
+ * 예상 대기 시간 계산기
+ * 최근 완료 상담 평균 시간 기준, 진행 중인 상담은 남은 예상 시간만 더합니다.
+ * @returns {Promise<(position: number) => number>} 순번 → 예상 대기 분
+ */
+const getWaitEstimator = async (db, consultantId) => {
+  const [[{ averageSeconds }]] = await db.execute(
+    `SELECT AVG(TIMESTAMPDIFF(SECOND, start_datetime, end_datetime)) as averageSeconds
+     FROM (
+       SELECT start_datetime, end_datetime FROM consultations
+       WHERE consultant_id = ? AND status = ? AND start_datetime IS NOT NULL AND end_datetime IS NOT NULL
+       ORDER BY end_datetime DESC
+       LIMIT ${parseInt(QUEUE_POLICY.RECENT_SESSION_SAMPLE)}
+     ) recent`,
+    [consultantId, CONSULTATION_STATUS.COMPLETED]
+  );
+
+  const sessionSeconds = averageSeconds ? parseFloat(averageSeconds) : QUEUE_POLICY.DEFAULT_SESSION_MINUTES * 60;
+
+  const [current] = await db.execute(
+    `SELECT start_datetime FROM consultations
+     WHERE consultant_id = ? AND status IN (?, ?)
+     ORDER BY id DESC LIMIT 1`,
+    [consultantId, CONSULTATION_STATUS.ACCEPTED, CONSULTATION_STATUS.IN_PROGRESS]
+  );
+
+  let currentRemainingSeconds = 0;
+
+  if (current.length > 0) {
+    const elapsedSeconds = current[0].start_datetime
+      ? (Date.now() - new Date(current[0].start_datetime).getTime()) / 1000
+      : 0;
+    currentRemainingSeconds = Math.max(sessionSeconds - elapsedSeconds, 60);
+  }
+
+  return (position) => Math.ceil((currentRemainingSeconds + (position - 1) * sessionSeconds) / 60);
+};
+
+/**
+ * 대기열 현황 (순번, 예상 대기 시간 포함)
+ */
+const getQueueSnapshot = async (db, consultantId) => {
+  const entries = await getActiveEntries(db, consultantId);
+  const estimate = await getWaitEstimator(db, consultantId);
+
+  return entries.map((entry, index) => ({
+    ...entry,
+    position: index + 1,
+    estimated_wait_minutes: entry.status === QUEUE_ENTRY_STATUS.OFFERED ? 0 : estimate(index + 1)
+  }));
+};
+
+/**
+ * 내 대기 정보 (대기 중이 아니면 null)
+ */
+const getMyQueueEntry = async (db, consultantId, customerId) => {
+  const snapshot = await getQueueSnapshot(db, consultantId);
+  return snapshot.find(entry => entry.customer_id === customerId) || null;
+};
+
+/**
+ * 대기열 등록
+ * 상담 중인 상담사, 또는 대기 상태라도 이미 대기열이 있는 상담사에게만 등록할 수 있습니다.
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ */
+const joinQueue = async (connection, { consultantId, customerId }) => {
+  const [consultants] = await connection.execute(
+    'SELECT id, user_id, status, consultation_fee FROM consultants WHERE id = ? FOR UPDATE',
+    [consultantId]
+  );
+
+  if (consultants.length === 0) {
+    throw createError('상담사를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const consultant = consultants[0];
+
+  if (consultant.user_id === customerId) {
+    throw createError('본인의 대기열에는 등록할 수 없습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const entries = await getActiveEntries(connection, consultantId, { forUpdate: true });
+
+  if (consultant.status === CONSULTANT_STATUS.WAITING && entries.length === 0) {
+    throw createError(
+      '상담사가 대기 중입니다. 바로 상담을 요청해주세요.',
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  if (![CONSULTANT_STATUS.WAITING, CONSULTANT_STATUS.CONSULTING].includes(consultant.status)) {
+    throw createError('대기열에 등록할 수 없는 상담사입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  if (entries.some(entry => entry.customer_id === customerId)) {
+    throw createError('이미 대기열에 등록되어 있습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  if (entries.length >= QUEUE_POLICY.MAX_LENGTH) {
+    throw createError('대기 인원이 가득 찼습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  const [users] = await connection.execute('SELECT rings FROM users WHERE id = ?', [customerId]);
+
+  if (users[0].rings < consultant.consultation_fee) {
+    throw createError('상담을 시작하기 위한 링이 부족합니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const [result] = await connection.execute(
+    'INSERT INTO consultant_queue_entries (consultant_id, customer_id) VALUES (?, ?)',
+    [consultantId, customerId]
+  );
+
+  return {
+    id: result.insertId,
+    position: entries.length + 1
+  };
+};
+
+/**
+ * 대기열 나가기 (대기 중 또는 제안 받은 상태)
+ */
+const leaveQueue = async (db, consultantId, customerId) => {
+  const [result] = await db.execute(
+    `UPDATE consultant_queue_entries
+     SET status = ?, ended_at = NOW()
+     WHERE consultant_id = ? AND customer_id = ? AND status IN (?, ?)`,
+    [QUEUE_ENTRY_STATUS.LEFT, consultantId, customerId, ...ACTIVE_STATUSES]
+  );
+
+  if (result.affectedRows === 0) {
+    throw createError('대기 중인 대기열이 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+};
+
+/**
+ * 상담 요청 순서 확인 (/api/consultations/start 트랜잭션 안에서 호출)
+ * 대기열이 있으면 맨 앞 고객만 요청할 수 있습니다.
+ * @returns {Promise<number|null>} 요청 고객의 대기열 항목 ID (대기열이 없으면 null)
+ */
+const claimQueueTurn = async (connection, consultantId, customerId) => {
+  const entries = await getActiveEntries(connection, consultantId, { forUpdate: true });
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  if (entries[0].customer_id !== customerId) {
+    throw createError(
+      '먼저 기다리는 고객이 있습니다. 대기열에 등록해주세요.',
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  return entries[0].id;
+};
+
+/**
+ * 대기열 항목 상담 전환 처리
+ */
+const markQueueConverted = async (connection, entryId, consultationId) => {
+  await connection.execute(
+    'UPDATE consultant_queue_entries SET status = ?, consultation_id = ?, ended_at = NOW() WHERE id = ?',
+    [QUEUE_ENTRY_STATUS.CONVERTED, consultationId, entryId]
+  );
+};
+
+/**
+ * 대기 고객들에게 순번 전송, 상담사에게 대기 인원 전송
+ */
+const publishQueuePositions = async (consultantId) => {
+  const snapshot = await getQueueSnapshot(pool, consultantId);
+
+  for (const entry of snapshot) {
+    publishToUser(entry.customer_id, REALTIME_EVENTS.QUEUE_POSITION, {
+      consultant_id: parseInt(consultantId),
+      status: entry.status,
+      position: entry.position,
+      estimated_wait_minutes: entry.estimated_wait_minutes,
+      offer_expires_at: entry.offer_expires_at
+    });
+  }
+
+  const [consultants] = await pool.execute('SELECT user_id FROM consultants WHERE id = ?', [consultantId]);
+
+  if (consultants.length > 0 && consultants[0].user_id) {
+    publishToUser(consultants[0].user_id, REALTIME_EVENTS.QUEUE_UPDATED, {
+      consultant_id: parseInt(consultantId),
+      length: snapshot.length
+    });
+  }
+};
+
+/**
+ * 시간이 지난 시작 제안 만료
+ * @returns {Promise<Set<number>>} 대기열이 바뀐 상담사 ID
+ */
+const expireQueueOffers = async () => {
+  const [expired] = await pool.execute(
+    `SELECT id, consultant_id, customer_id FROM consultant_queue_entries
+     WHERE status = ? AND offer_expires_at <= NOW()`,
+    [QUEUE_ENTRY_STATUS.OFFERED]
+  );
+
+  const changed = new Set();
+
+  for (const entry of expired) {
+    const [result] = await pool.execute(
+      'UPDATE consultant_queue_entries SET status = ?, ended_at = NOW() WHERE id = ? AND status = ?',
+      [QUEUE_ENTRY_STATUS.EXPIRED, entry.id, QUEUE_ENTRY_STATUS.OFFERED]
+    );
+
+    if (result.affectedRows > 0) {
+      publishToUser(entry.customer_id, REALTIME_EVENTS.QUEUE_OFFER_EXPIRED, {
+        consultant_id: entry.consultant_id
+      });
+      changed.add(entry.consultant_id);
+    }
+  }
+
+  return changed;
+};
+
+/**
+ * 대기 상태 상담사의 맨 앞 고객에게 시작 제안
+ * 정지된 상담사의 대기열은 만료 처리합니다.
+ * @returns {Promise<{offered: boolean, closed: number}>}
+ */
+const offerNextInQueue = async (consultantId) => {
+  const connection = await pool.getConnection();
+  let offered = null;
+  let closedCustomers = [];
+
+  try {
+    await connection.beginTransaction();
+
+    const [consultants] = await connection.execute(
+      'SELECT status FROM consultants WHERE id = ? FOR UPDATE',
+      [consultantId]
+    );
+    const entries = await getActiveEntries(connection, consultantId, { forUpdate: true });
+
+    if (consultants.length === 0 || consultants[0].status === CONSULTANT_STATUS.SUSPENDED) {
+      await connection.execute(
+        `UPDATE consultant_queue_entries SET status = ?, ended_at = NOW()
+         WHERE consultant_id = ? AND status IN (?, ?)`,
+        [QUEUE_ENTRY_STATUS.EXPIRED, consultantId, ...ACTIVE_STATUSES]
+      );
+      closedCustomers = entries.map(entry => entry.customer_id);
+    } else if (consultants[0].status === CONSULTANT_STATUS.WAITING &&
+      entries.length > 0 && entries[0].status === QUEUE_ENTRY_STATUS.WAITING) {
+      const offerExpiresAt = new Date(Date.now() + QUEUE_POLICY.OFFER_TIMEOUT_SECONDS * 1000);
+
+      await connection.execute(
+        'UPDATE consultant_queue_entries SET status = ?, offered_at = NOW(), offer_expires_at = ? WHERE id = ?',
+        [QUEUE_ENTRY_STATUS.OFFERED, offerExpiresAt, entries[0].id]
+      );
+      offered = { customerId: entries[0].customer_id, offerExpiresAt };
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  for (const customerId of closedCustomers) {
+    publishToUser(customerId, REALTIME_EVENTS.QUEUE_OFFER_EXPIRED, { consultant_id: consultantId });
+  }
+
+  if (offered) {
+    publishToUser(offered.customerId, REALTIME_EVENTS.QUEUE_OFFER, {
+      consultant_id: consultantId,
+      offer_expires_at: offered.offerExpiresAt
+    });
+  }
+
+  return { offered: !!offered, closed: closedCustomers.length };
+};
+
+/**
+ * 상담사 상태 변경 전송 (대기열/구독 중인 상담사, 마지막 전송 상태와 다를 때만)
+ */
+const publishConsultantStatusChanges = async (consultantIds) => {
+  if (consultantIds.length === 0) {
+    lastConsultantStatuses.clear();
+    return;
+  }
+
+  const [consultants] = await pool.execute(
+    `SELECT id, status FROM consultants WHERE id IN (${consultantIds.map(() => '?').join(', ')})`,
+    consultantIds
+  );
+
+  const watched = new Set(consultants.map(consultant => consultant.id));
+
+  for (const consultant of consultants) {
+    if (lastConsultantStatuses.get(consultant.id) !== consultant.status) {
+      lastConsultantStatuses.set(consultant.id, consultant.status);
+      publishConsultantStatus(consultant.id, consultant.status);
+    }
+  }
+
+  for (const consultantId of lastConsultantStatuses.keys()) {
+    if (!watched.has(consultantId)) {
+      lastConsultantStatuses.delete(consultantId);
+    }
+  }
+};
+
+/**
+ * 대기열 처리 (주기 작업)
+ * 제안 만료 → 상담사 상태 전송 → 대기 상태 상담사의 다음 고객 제안 → 바뀐 대기열 순번 전송
+ * @returns {Promise<{offered: number, expired: number}>}
+ */
+const dispatchQueueOffers = async () => {
+  const changed = await expireQueueOffers();
+
+  const [queued] = await pool.execute(
+    'SELECT DISTINCT consultant_id FROM consultant_queue_entries WHERE status IN (?, ?)',
+    ACTIVE_STATUSES
+  );
+  const queuedIds = queued.map(row => row.consultant_id);
+
+  await publishConsultantStatusChanges([...new Set([...queuedIds, ...getSubscribedConsultantIds()])]);
+
+  let offered = 0;
+  let expired = changed.size;
+
+  for (const consultantId of queuedIds) {
+    try {
+      const result = await offerNextInQueue(consultantId);
+
+      if (result.offered || result.closed > 0) {
+        changed.add(consultantId);
+        offered += result.offered ? 1 : 0;
+        expired += result.closed;
+      }
+    } catch (error) {
+      console.error(`대기열 제안 처리 에러 (consultant #${consultantId}):`, error);
+    }
+  }
+
+  for (const consultantId of changed) {
+    await publishQueuePositions(consultantId);
+  }
+
+  return { offered, expired };
+};
+
+module.exports = {
+  getQueueSnapshot,
+  getMyQueueEntry,
+  joinQueue,
+  leaveQueue,
+  claimQueueTurn,
+  markQueueConverted,
+  publishQueuePositions,
+  dispatchQueueOffers
+};
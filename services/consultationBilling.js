@@ -0,0 +1,381 @@
+const { lockUserBalance, recordRingEntry } = require('./ringLedger');
+const { createError } = require('../utils/helpers');
+const { calculateBenefitRings, markUserCouponUsed } = require('./couponService');
+const { getSpendingAllowance } = require('./spendingLimits');
+const { transitionConsultation } = require('./consultationState');
+const { getConsultationTerms, calculateCommission } = require('./billingPolicy');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  RING_LEDGER_TYPES,
+  USER_COUPON_STATUS,
+  SPENDING_LIMIT_TYPES,
+  CONSULTATION_STATUS,
+  CONSULTATION_BILLING,
+  CONSULTATION_END_REASONS
+} = require('../utils/constants');
+
+/**
+ * 상담 단위 과금
+ * 상담 시작시 첫 단위를, 이후 하트비트(tick)마다 현재 진행 중인 단위까지 선불 차감합니다.
+ * 다음 단위를 잔액/상담 이용 한도로 감당할 수 없으면 이미 결제된 시간까지만 진행 후 자동 종료됩니다.
+ * 최종 상담료(amount)는 차감한 단위의 합계와 같습니다.
+ * 과금 단위, 최소 과금 단위, 정산율은 상담 요청시 저장한 정책 스냅샷(billingPolicy)을 따릅니다.
+ */
+
+/**
+ * 상담 과금 단위 (밀리초)
+ */
+const getUnitMs = (consultation) => getConsultationTerms(consultation).unitSeconds * 1000;
+
+/**
+ * 상담 시작 시각 (start_datetime 우선, fallback으로 기존 start_time 사용)
+ */
+const getStartDateTime = (consultation) => consultation.start_datetime ?
+  new Date(consultation.start_datetime) :
+  new Date(consultation.start_time);
+
+/**
+ * 현재 진행 중인 단위까지의 과금 대상 단위 수 (선불)
+ */
+const getDueUnits = (consultation, now = new Date()) => {
+  const elapsedMs = Math.max(now.getTime() - getStartDateTime(consultation).getTime(), 0);
+  return Math.floor(elapsedMs / getUnitMs(consultation)) + 1;
+};
+
+/**
+ * 앱이 보낸 종료 시각 보정
+ * 마지막 활동(하트비트/통화 기록) 이전으로 당겨 미과금 시간을 빼거나, 현재 이후로 늘려 과다 청구할 수 없도록
+ * [max(시작, 마지막 활동), 현재] 범위로 제한합니다.
+ */
+const resolveEndDateTime = (consultation, requestedEnd, now = new Date()) => {
+  const startMs = getStartDateTime(consultation).getTime();
+  const lastActivityMs = consultation.last_activity_at ? new Date(consultation.last_activity_at).getTime() : startMs;
+  const lowerMs = Math.min(Math.max(startMs, lastActivityMs), now.getTime());
+  const requestedMs = requestedEnd && !isNaN(requestedEnd.getTime()) ? requestedEnd.getTime() : now.getTime();
+
+  return new Date(Math.min(Math.max(requestedMs, lowerMs), now.getTime()));
+};
+
+/**
+ * 단위 누계 상담료 (상담 할인 쿠폰 적용, 할인분은 플랫폼 부담)
+ */
+const calculateCharge = (coupon, units, feeRate) => {
+  const total = units * feeRate;
+  const discount = coupon ? Math.min(calculateBenefitRings(coupon, total), total) : 0;
+
+  return { total, discount, net: total - discount };
+};
+
+/**
+ * 상담에 적용된(reserved) 할인 쿠폰
+ */
+const getReservedCoupon = async (connection, userCouponId) => {
+  if (!userCouponId) {
+    return null;
+  }
+
+  const [coupons] = await connection.execute(
+    `SELECT c.value, c.max_benefit_rings
+     FROM user_coupons uc
+     JOIN coupons c ON uc.coupon_id = c.id
+     WHERE uc.id = ? AND uc.status = ?`,
+    [userCouponId, USER_COUPON_STATUS.RESERVED]
+  );
+
+  return coupons[0] || null;
+};
+
+/**
+ * 과금 대상 단위까지 링 차감
+ * 잔액 또는 상담 이용 한도가 부족하면 감당 가능한 단위까지만 차감하고 stop_reason을 반환합니다.
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} consultation - lockConsultation(consultationState)으로 잠근 상담
+ * @param {object} params
+ * @param {number} params.dueUnits - 과금 대상 누계 단위
+ * @param {number} params.actorId
+ */
+const billConsultationUnits = async (connection, consultation, { dueUnits: requestedUnits, actorId }) => {
+  const { minimumUnits } = getConsultationTerms(consultation);
+  const dueUnits = Math.max(requestedUnits, minimumUnits);
+  const feeRate = consultation.fee_rate_at_time;
+  const billedUnits = consultation.billed_units;
+  const chargedSoFar = (consultation.amount || 0) - (consultation.discount_amount || 0);
+  const coupon = await getReservedCoupon(connection, consultation.user_coupon_id);
+
+  const balance = await lockUserBalance(connection, consultation.customer_id);
+  const allowance = await getSpendingAllowance(connection, consultation.customer_id, SPENDING_LIMIT_TYPES.CONSULTATION);
+  const spendable = Math.max(balance, 0);
+
+  // 감당 가능한 최대 단위 찾기
+  let units = Math.max(dueUnits, billedUnits);
+  let charge = calculateCharge(coupon, units, feeRate);
+  let stopReason = null;
+
+  while (units > billedUnits) {
+    const extra = charge.net - chargedSoFar;
+
+    if (extra > spendable) {
+      stopReason = CONSULTATION_END_REASONS.INSUFFICIENT_BALANCE;
+    } else if (allowance.remaining !== null && extra > allowance.remaining) {
+      stopReason = CONSULTATION_END_REASONS.SPENDING_LIMIT;
+    } else {
+      break;
+    }
+
+    units--;
+    charge = calculateCharge(coupon, units, feeRate);
+  }
+
+  let chargedRings = 0;
+
+  if (units > billedUnits) {
+    chargedRings = charge.net - chargedSoFar;
+
+    if (chargedRings > 0) {
+      await recordRingEntry(connection, {
+        userId: consultation.customer_id,
+        entryType: RING_LEDGER_TYPES.CONSULTATION_CHARGE,
+        delta: -chargedRings,
+        consultationId: consultation.id,
+        actorId,
+        description: `상담 이용 (${units - billedUnits}단위)`
+      });
+    }
+
+    await connection.execute(
+      `UPDATE consultations
+       SET billed_units = ?, amount = ?, discount_amount = ?, last_billed_at = NOW()
+       WHERE id = ?`,
+      [units, charge.total, charge.discount, consultation.id]
+    );
+  } else {
+    charge = {
+      total: consultation.amount || 0,
+      discount: consultation.discount_amount || 0
+    };
+  }
+
+  // 추가 차감 없이 진행 가능한 단위 수 (할인 전 단위 요금 기준)
+  const remainingRings = allowance.remaining === null
+    ? spendable - chargedRings
+    : Math.min(spendable, allowance.remaining) - chargedRings;
+  const remainingUnits = feeRate > 0 ? Math.floor(remainingRings / feeRate) : null;
+
+  return {
+    billed_units: units,
+    charged_units: units - billedUnits,
+    charged_rings: chargedRings,
+    amount: charge.total,
+    discount_amount: charge.discount,
+    paid_through: new Date(getStartDateTime(consultation).getTime() + units * getUnitMs(consultation)),
+    remaining_units: remainingUnits,
+    low_balance_warning: remainingUnits !== null && remainingUnits <= CONSULTATION_BILLING.LOW_BALANCE_WARNING_UNITS,
+    stop_reason: units < dueUnits ? stopReason : null
+  };
+};
+
+/**
+ * 상담 연결 시각 기록 + 첫 단위(최소 과금 단위) 선불 차감
+ * 상담중 전이 직후 같은 트랜잭션에서 호출합니다 (앱 연결 /connect, 통화 시스템 통화 연결).
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} consultation - lockConsultation(consultationState)으로 잠근 상담
+ * @param {object} params
+ * @param {Date} params.startDateTime - 과금 시작 시각
+ * @param {number|null} params.actorId
+ */
+const startBilledSession = async (connection, consultation, { startDateTime, actorId }) => {
+  await connection.execute(
+    `UPDATE consultations
+     SET start_time = ?, start_datetime = ?, consultation_date = ?, request_expires_at = NULL,
+         last_activity_at = ?
+     WHERE id = ?`,
+    [
+      startDateTime.toTimeString().split(' ')[0], // HH:mm:ss 형태 (호환성)
+      startDateTime,
+      startDateTime.toISOString().split('T')[0],
+      startDateTime,
+      consultation.id
+    ]
+  );
+
+  consultation.start_datetime = startDateTime;
+  const billing = await billConsultationUnits(connection, consultation, { dueUnits: 1, actorId });
+
+  if (billing.billed_units < getConsultationTerms(consultation).minimumUnits) {
+    throw createError('상담을 시작하기 위한 링이 부족합니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return billing;
+};
+
+/**
+ * 상담 차감 원장 합계가 최종 상담료(할인 후)와 같은지 확인
+ * 다르면 예외로 트랜잭션을 되돌려, 상담은 진행 중 상태로 남고 원인 확인 후 다시 종료할 수 있습니다.
+ */
+const assertChargesMatch = async (connection, consultation, billing) => {
+  const [[{ charged }]] = await connection.execute(
+    `SELECT COALESCE(-SUM(delta), 0) as charged FROM ring_ledger
+     WHERE consultation_id = ? AND user_id = ? AND entry_type = ?`,
+    [consultation.id, consultation.customer_id, RING_LEDGER_TYPES.CONSULTATION_CHARGE]
+  );
+
+  const expected = billing.amount - billing.discount_amount;
+
+  if (parseInt(charged) !== expected) {
+    throw new Error(`상담 차감 원장 합계(${charged})가 최종 상담료(${expected})와 일치하지 않습니다. (consultation #${consultation.id})`);
+  }
+};
+
+/**
+ * 상담 종료 처리 (최종 상담료 = 차감한 단위 합계)
+ * 완료 상태 전이, 할인 쿠폰 사용 처리, 상담사 정산 적립까지 같은 트랜잭션에서 처리합니다.
+ * 호출자는 lockConsultation으로 상담 행을 잠근 뒤 상담중인지 확인해야 하며,
+ * 완료 전이(상태 조건부 UPDATE)와 정산 원장의 상담별 유일 키로 한 상담은 한 번만 정산됩니다.
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} consultation - lockConsultation(consultationState)으로 잠근 상담
+ * @param {object} billing - billConsultationUnits 결과
+ * @param {object} params
+ * @param {Date} params.endDateTime
+ * @param {string} params.actorType - CONSULTATION_ACTOR_TYPES 값
+ * @param {number} params.actorId
+ * @param {string|null} [params.endReason] - 과금 중단/자동 종료 사유 (CONSULTATION_END_REASONS)
+ */
+const finalizeConsultation = async (connection, consultation, billing, {
+  endDateTime,
+  actorType,
+  actorId,
+  summary = null,
+  notes = null,
+  endReason = null
+}) => {
+  const startDateTime = getStartDateTime(consultation);
+
+  // duration_time (HH:mm:ss 형식) 계산 (자정 넘김 상담 포함)
+  const durationMs = Math.max(endDateTime.getTime() - startDateTime.getTime(), 0);
+  const hours = Math.floor(durationMs / (1000 * 60 * 60));
+  const minutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
+  const seconds = Math.floor((durationMs % (1000 * 60)) / 1000);
+  const durationTime = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+  await connection.execute(
+    `UPDATE consultations
+     SET end_time = ?, end_datetime = ?, duration_time = ?, amount = ?, discount_amount = ?,
+         spending_capped = ?, end_reason = ?, consultation_summary = ?, consultation_notes = ?
+     WHERE id = ?`,
+    [
+      endDateTime.toTimeString().split(' ')[0], // HH:mm:ss 형태 (호환성)
+      endDateTime,
+      durationTime,
+      billing.amount,
+      billing.discount_amount,
+      endReason === CONSULTATION_END_REASONS.SPENDING_LIMIT,
+      endReason,
+      summary,
+      notes,
+      consultation.id
+    ]
+  );
+
+  await transitionConsultation(connection, consultation, CONSULTATION_STATUS.COMPLETED, {
+    actorType,
+    actorId,
+    reason: endReason
+  });
+
+  if (consultation.user_coupon_id) {
+    await markUserCouponUsed(connection, consultation.user_coupon_id, billing.discount_amount);
+  }
+
+  // 고객 차감(원장)과 최종 상담료 대조
+  await assertChargesMatch(connection, consultation, billing);
+
+  // 상담사 정산 적립 (할인 전 상담료 기준, 상담에 저장된 정산율)
+  const consultantAmount = calculateCommission(billing.amount, getConsultationTerms(consultation).commissionRate);
+  const [consultants] = await connection.execute(
+    'SELECT user_id FROM consultants WHERE id = ?',
+    [consultation.consultant_id]
+  );
+
+  let earningEntry = null;
+
+  if (consultants.length > 0 && consultants[0].user_id && consultantAmount > 0) {
+    earningEntry = await recordRingEntry(connection, {
+      userId: consultants[0].user_id,
+      entryType: RING_LEDGER_TYPES.CONSULTATION_EARNING,
+      delta: consultantAmount,
+      consultationId: consultation.id,
+      actorId,
+      description: '상담 정산 적립'
+    });
+  }
+
+  await connection.execute(
+    `UPDATE consultations
+     SET completed_at = NOW(), consultant_amount = ?, earning_ledger_entry_id = ?
+     WHERE id = ?`,
+    [earningEntry ? consultantAmount : 0, earningEntry ? earningEntry.id : null, consultation.id]
+  );
+
+  return {
+    start_datetime: startDateTime,
+    end_datetime: endDateTime,
+    duration_time: durationTime,
+    duration_minutes: Math.ceil(durationMs / (1000 * 60)),
+    consultant_amount: consultantAmount
+  };
+};
+
+/**
+ * 완료된 상담의 종료 결과 (종료 재요청시 같은 결과 반환)
+ * @returns {Promise<object|null>}
+ */
+const getCompletionResult = async (db, consultationId) => {
+  const [consultations] = await db.execute(
+    `SELECT id, status, start_time, start_datetime, end_datetime, duration_time, billed_units,
+     amount, discount_amount, consultant_amount, spending_capped, end_reason, completed_at
+     FROM consultations WHERE id = ? AND status = ?`,
+    [consultationId, CONSULTATION_STATUS.COMPLETED]
+  );
+
+  if (consultations.length === 0) {
+    return null;
+  }
+
+  const consultation = consultations[0];
+  const startDateTime = getStartDateTime(consultation);
+  const endDateTime = new Date(consultation.end_datetime);
+  const amount = consultation.amount || 0;
+  const discountAmount = consultation.discount_amount || 0;
+
+  return {
+    id: consultation.id,
+    start_datetime: startDateTime.toISOString(),
+    end_datetime: endDateTime.toISOString(),
+    duration_time: consultation.duration_time,
+    duration_minutes: Math.ceil(Math.max(endDateTime.getTime() - startDateTime.getTime(), 0) / (1000 * 60)),
+    billed_units: consultation.billed_units,
+    total_amount: amount,
+    discount_amount: discountAmount,
+    charged_amount: amount - discountAmount,
+    consultant_amount: consultation.consultant_amount,
+    spending_capped: !!consultation.spending_capped,
+    end_reason: consultation.end_reason,
+    completed_at: consultation.completed_at,
+    status: consultation.status
+  };
+};
+
+module.exports = {
+  getUnitMs,
+  getStartDateTime,
+  getDueUnits,
+  resolveEndDateTime,
+  billConsultationUnits,
+  startBilledSession,
+  finalizeConsultation,
+  getCompletionResult
+};
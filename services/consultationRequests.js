@@ -0,0 +1,153 @@
+const { assertSpendingAllowance } = require('./spendingLimits');
+const { lockConsultation, logStatusChange, transitionConsultation } = require('./consultationState');
+const { reserveUserCoupon, attachUserCoupon } = require('./couponService');
+const { publishToUser } = require('./realtime');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  COUPON_TYPES,
+  SPENDING_LIMIT_TYPES,
+  CONSULTATION_STATUS,
+  CONSULTATION_REQUEST_POLICY,
+  CONSULTATION_ACTOR_TYPES,
+  REALTIME_EVENTS
+} = require('../utils/constants');
+
+/**
+ * 상담 요청 생성 (직접 요청 /consultations/start, 랜덤 매칭 공통)
+ * 요청 등록, 쿠폰 적용, 상담사 호출(연결중 전이)을 호출자의 트랜잭션에서 처리합니다.
+ */
+
+/**
+ * 요청 가능 여부 확인 (최소 과금 단위 이상의 잔액과 상담 이용 한도, 실제 차감은 연결시)
+ * @returns {Promise<{remaining: number|null}>} 상담 이용 한도 잔여
+ */
+const assertCanRequest = async (db, customerId, minimumCharge) => {
+  const [users] = await db.execute(
+    'SELECT rings FROM users WHERE id = ?',
+    [customerId]
+  );
+
+  if (users[0].rings < minimumCharge) {
+    throw createError('상담을 시작하기 위한 링이 부족합니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return assertSpendingAllowance(db, customerId, SPENDING_LIMIT_TYPES.CONSULTATION, minimumCharge);
+};
+
+/**
+ * 상담 요청 등록 후 상담사 호출
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} params
+ * @param {number} params.customerId
+ * @param {object} params.consultant - { id, consultation_fee, consultant_grade }
+ * @param {string} params.consultationType
+ * @param {string} params.consultationMethod
+ * @param {object} params.policy - resolveBillingPolicy 결과 (상담에 스냅샷으로 저장)
+ * @param {number|null} [params.userCouponId]
+ * @param {number} [params.ringTimeoutSeconds] - 상담사 응답 제한 시간
+ * @returns {Promise<{id: number, consultation_id: string, consultation_date: string, request_expires_at: Date, coupon: object|null}>}
+ */
+const createConsultationRequest = async (connection, {
+  customerId,
+  consultant,
+  consultationType,
+  consultationMethod,
+  policy,
+  userCouponId = null,
+  ringTimeoutSeconds = CONSULTATION_REQUEST_POLICY.RING_TIMEOUT_SECONDS
+}) => {
+  // 고유 상담 번호 생성
+  const consultationNumber = `cons_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const requestedAt = new Date();
+  const consultationDate = requestedAt.toISOString().split('T')[0]; // YYYY-MM-DD 형태
+  const expiresAt = new Date(requestedAt.getTime() + ringTimeoutSeconds * 1000);
+
+  let coupon = null;
+
+  if (userCouponId) {
+    coupon = await reserveUserCoupon(connection, {
+      userId: customerId,
+      userCouponId,
+      couponType: COUPON_TYPES.CONSULTATION_DISCOUNT,
+      consultationType
+    });
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO consultations (
+      consultation_id, customer_id, consultant_id, consultant_grade_at_time,
+      fee_rate_at_time, consultation_type, consultation_method,
+      consultation_date, status, user_coupon_id, requested_at, request_expires_at, status_changed_at,
+      billing_policy_id, billing_unit_seconds, billing_minimum_units, commission_rate
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?)`,
+    [
+      consultationNumber,
+      customerId,
+      consultant.id,
+      consultant.consultant_grade,
+      consultant.consultation_fee,
+      consultationType,
+      consultationMethod,
+      consultationDate,
+      CONSULTATION_STATUS.REQUESTED,
+      userCouponId,
+      requestedAt,
+      expiresAt,
+      policy.policy_id,
+      policy.unit_seconds,
+      policy.minimum_units,
+      policy.commission_rate
+    ]
+  );
+
+  if (coupon) {
+    await attachUserCoupon(connection, userCouponId, { consultationId: result.insertId });
+  }
+
+  await logStatusChange(connection, result.insertId, {
+    fromStatus: null,
+    toStatus: CONSULTATION_STATUS.REQUESTED,
+    actorType: CONSULTATION_ACTOR_TYPES.CUSTOMER,
+    actorId: customerId,
+    reason: null
+  });
+
+  // 대기중인 상담사에게 바로 연결 요청
+  const consultation = await lockConsultation(connection, result.insertId);
+  await transitionConsultation(connection, consultation, CONSULTATION_STATUS.RINGING, {
+    actorType: CONSULTATION_ACTOR_TYPES.SYSTEM
+  });
+
+  return {
+    id: result.insertId,
+    consultation_id: consultationNumber,
+    consultation_date: consultationDate,
+    request_expires_at: expiresAt,
+    coupon
+  };
+};
+
+/**
+ * 상담사 앱에 새 요청 알림 (수락/거절 화면, 커밋 후 호출)
+ */
+const publishConsultationRequest = (consultantUserId, request, { customerId, customerNickname, consultationType, consultationMethod }) => {
+  publishToUser(consultantUserId, REALTIME_EVENTS.CONSULTATION_REQUEST, {
+    id: request.id,
+    consultation_id: request.consultation_id,
+    customer_id: customerId,
+    customer_nickname: customerNickname,
+    consultation_type: consultationType,
+    consultation_method: consultationMethod,
+    status: CONSULTATION_STATUS.RINGING,
+    request_expires_at: request.request_expires_at.toISOString()
+  });
+};
+
+module.exports = {
+  assertCanRequest,
+  createConsultationRequest,
+  publishConsultationRequest
+};
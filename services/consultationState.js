@@ -0,0 +1,251 @@
+const { pool } = require('../config/database');
+const { releaseConsultationCoupon } = require('./couponService');
+const { publishToUser } = require('./realtime');
+const { notifyFavoritesAvailable } = require('./favorites');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  CONSULTANT_STATUS,
+  CONSULTATION_STATUS,
+  CONSULTATION_TRANSITIONS,
+  CONSULTATION_ACTOR_TYPES,
+  REALTIME_EVENTS
+} = require('../utils/constants');
+
+/**
+ * 상담 상태 머신
+ * 모든 상태 변경은 transitionConsultation을 거치며, 허용되지 않는 전이는 409로 거부됩니다.
+ * - 상담사 상태: 수락시 consulting, 진행 중인 상담이 모두 끝나면 waiting으로 자동 전환
+ * - 시작 전 종료(거절/취소/부재)시 적용했던 할인 쿠폰 반환
+ */
+
+// 상담사가 상담에 묶여 있는 상태
+const ENGAGED_STATUSES = [CONSULTATION_STATUS.ACCEPTED, CONSULTATION_STATUS.IN_PROGRESS];
+
+// 상담 시작 전 종료 상태
+const UNSTARTED_END_STATUSES = [
+  CONSULTATION_STATUS.DECLINED,
+  CONSULTATION_STATUS.CANCELLED,
+  CONSULTATION_STATUS.MISSED
+];
+
+/**
+ * 상담 행 잠금 (상태 변경/과금 직렬화)
+ */
+const lockConsultation = async (connection, consultationId) => {
+  const [consultations] = await connection.execute(
+    `SELECT id, customer_id, consultant_id, start_time, start_datetime, fee_rate_at_time, status,
+     user_coupon_id, billed_units, amount, discount_amount, request_expires_at,
+     billing_policy_id, billing_unit_seconds, billing_minimum_units, commission_rate,
+     status_changed_at, last_activity_at
+     FROM consultations WHERE id = ? FOR UPDATE`,
+    [consultationId]
+  );
+
+  return consultations[0] || null;
+};
+
+/**
+ * 상태 변경 이력 기록
+ */
+const logStatusChange = async (connection, consultationId, { fromStatus, toStatus, actorType, actorId, reason }) => {
+  await connection.execute(
+    `INSERT INTO consultation_status_logs
+     (consultation_id, from_status, to_status, actor_type, actor_user_id, reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [consultationId, fromStatus, toStatus, actorType, actorId, reason]
+  );
+};
+
+/**
+ * 상담사 상태 자동 전환
+ * - 수락: consulting
+ * - 상담 종료: 다른 진행 중인 상담이 없고 consulting 상태일 때만 waiting (부재/정지로 바꾼 경우 유지),
+ *   waiting으로 돌아오면 즐겨찾기 고객에게 대기 알림
+ */
+const syncConsultantStatus = async (connection, consultantId, toStatus) => {
+  if (toStatus === CONSULTATION_STATUS.ACCEPTED) {
+    await connection.execute(
+      'UPDATE consultants SET status = ?, updated_at = NOW() WHERE id = ?',
+      [CONSULTANT_STATUS.CONSULTING, consultantId]
+    );
+    return;
+  }
+
+  const [[{ engaged }]] = await connection.execute(
+    `SELECT COUNT(*) as engaged FROM consultations
+     WHERE consultant_id = ? AND status IN (${ENGAGED_STATUSES.map(() => '?').join(', ')})`,
+    [consultantId, ...ENGAGED_STATUSES]
+  );
+
+  if (engaged === 0) {
+    const [result] = await connection.execute(
+      'UPDATE consultants SET status = ?, updated_at = NOW() WHERE id = ? AND status = ?',
+      [CONSULTANT_STATUS.WAITING, consultantId, CONSULTANT_STATUS.CONSULTING]
+    );
+
+    if (result.affectedRows > 0) {
+      await notifyFavoritesAvailable(connection, consultantId);
+    }
+  }
+};
+
+/**
+ * 상담 상태 변경 (전이 검증 + 이력 기록 + 상담사 상태/쿠폰 후속 처리)
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} consultation - lockConsultation으로 잠근 상담 (status가 갱신됨)
+ * @param {string} toStatus - CONSULTATION_STATUS 값
+ * @param {object} params
+ * @param {string} params.actorType - CONSULTATION_ACTOR_TYPES 값
+ * @param {number|null} [params.actorId]
+ * @param {string|null} [params.reason]
+ */
+const transitionConsultation = async (connection, consultation, toStatus, { actorType, actorId = null, reason = null }) => {
+  const fromStatus = consultation.status;
+  const allowed = CONSULTATION_TRANSITIONS[fromStatus] || [];
+
+  if (!allowed.includes(toStatus)) {
+    throw createError(
+      `'${fromStatus}' 상태의 상담은 '${toStatus}' 상태로 변경할 수 없습니다.`,
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  const [result] = await connection.execute(
+    'UPDATE consultations SET status = ?, status_changed_at = NOW() WHERE id = ? AND status = ?',
+    [toStatus, consultation.id, fromStatus]
+  );
+
+  if (result.affectedRows === 0) {
+    throw createError('상담 상태가 이미 변경되었습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  await logStatusChange(connection, consultation.id, { fromStatus, toStatus, actorType, actorId, reason });
+
+  if (toStatus === CONSULTATION_STATUS.ACCEPTED || ENGAGED_STATUSES.includes(fromStatus)) {
+    await syncConsultantStatus(connection, consultation.consultant_id, toStatus);
+  }
+
+  if (UNSTARTED_END_STATUSES.includes(toStatus)) {
+    await releaseConsultationCoupon(connection, consultation.id);
+  }
+
+  consultation.status = toStatus;
+  return consultation;
+};
+
+/**
+ * 상담 상태 변경을 고객과 상담사에게 전송 (커밋 후 호출)
+ */
+const publishConsultationStatus = async (consultationId) => {
+  const [consultations] = await pool.execute(
+    `SELECT c.id, c.status, c.status_changed_at, c.customer_id, c.consultant_id, cs.user_id as consultant_user_id
+     FROM consultations c
+     LEFT JOIN consultants cs ON c.consultant_id = cs.id
+     WHERE c.id = ?`,
+    [consultationId]
+  );
+
+  if (consultations.length === 0) {
+    return;
+  }
+
+  const { customer_id: customerId, consultant_user_id: consultantUserId, ...consultation } = consultations[0];
+
+  publishToUser(customerId, REALTIME_EVENTS.CONSULTATION_STATUS, consultation);
+  if (consultantUserId) {
+    publishToUser(consultantUserId, REALTIME_EVENTS.CONSULTATION_STATUS, consultation);
+  }
+};
+
+/**
+ * 제한 시간이 지난 요청 정리 (상담별 트랜잭션)
+ * - 요청/연결중: 상담사 무응답 → 부재
+ * - 수락: 연결되지 않음 → 취소
+ * @returns {Promise<{missed: number, cancelled: number}>}
+ */
+const expireConsultationRequests = async () => {
+  const [expired] = await pool.execute(
+    `SELECT id FROM consultations
+     WHERE status IN (?, ?, ?) AND request_expires_at IS NOT NULL AND request_expires_at <= NOW()
+     ORDER BY request_expires_at ASC LIMIT 100`,
+    [CONSULTATION_STATUS.REQUESTED, CONSULTATION_STATUS.RINGING, CONSULTATION_STATUS.ACCEPTED]
+  );
+
+  const result = { missed: 0, cancelled: 0 };
+
+  for (const { id } of expired) {
+    const connection = await pool.getConnection();
+    let expiredNow = false;
+
+    try {
+      await connection.beginTransaction();
+
+      const consultation = await lockConsultation(connection, id);
+
+      // 잠금 전에 상태가 바뀐 경우 건너뜀
+      if (!consultation || !consultation.request_expires_at || new Date(consultation.request_expires_at) > new Date()) {
+        await connection.rollback();
+        continue;
+      }
+
+      if (consultation.status === CONSULTATION_STATUS.ACCEPTED) {
+        await transitionConsultation(connection, consultation, CONSULTATION_STATUS.CANCELLED, {
+          actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+          reason: '연결 제한 시간 초과'
+        });
+        result.cancelled++;
+      } else if (CONSULTATION_TRANSITIONS[consultation.status].includes(CONSULTATION_STATUS.MISSED)) {
+        await transitionConsultation(connection, consultation, CONSULTATION_STATUS.MISSED, {
+          actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+          reason: '상담사 응답 제한 시간 초과'
+        });
+        result.missed++;
+      }
+
+      await connection.execute('UPDATE consultations SET request_expires_at = NULL WHERE id = ?', [id]);
+      await connection.commit();
+      expiredNow = true;
+    } catch (error) {
+      await connection.rollback();
+      console.error(`상담 요청 만료 처리 에러 (consultation #${id}):`, error);
+    } finally {
+      connection.release();
+    }
+
+    if (expiredNow) {
+      await publishConsultationStatus(id).catch(error => {
+        console.error(`상담 상태 전송 에러 (consultation #${id}):`, error);
+      });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 상담 상태 변경 이력 조회
+ */
+const getStatusLogs = async (db, consultationId) => {
+  const [logs] = await db.execute(
+    `SELECT from_status, to_status, actor_type, actor_user_id, reason, created_at
+     FROM consultation_status_logs
+     WHERE consultation_id = ?
+     ORDER BY id ASC`,
+    [consultationId]
+  );
+
+  return logs;
+};
+
+module.exports = {
+  lockConsultation,
+  logStatusChange,
+  transitionConsultation,
+  publishConsultationStatus,
+  expireConsultationRequests,
+  getStatusLogs
+};
@@ -0,0 +1,263 @@
+const { pool } = require('../config/database');
+const { recordRingEntry } = require('./ringLedger');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  COUPON_TYPES,
+  USER_COUPON_STATUS,
+  RING_LEDGER_TYPES,
+  RING_LOT_TYPES,
+  RING_LOT_POLICY
+} = require('../utils/constants');
+
+/**
+ * 쿠폰 서비스
+ * - ring_grant: 등록 즉시 보너스 링 지급
+ * - purchase_bonus: 등록 후 링 구매(/api/rings/purchase)에 적용, 결제 완료시 사용 처리
+ * - consultation_discount: 등록 후 상담 시작(/api/consultations/start)에 적용, 상담 종료시 할인 차감
+ *
+ * 결제/상담에 적용된 쿠폰은 reserved 상태로 묶이며, 결제 실패/취소 또는 상담 거절/취소/부재시 available로 되돌아갑니다.
+ */
+
+// 현재 사용 가능한 쿠폰 조건 (c = coupons)
+const COUPON_VALID_CONDITION = `c.is_active = 1
+  AND (c.starts_at IS NULL OR c.starts_at <= NOW())
+  AND (c.ends_at IS NULL OR c.ends_at > NOW())`;
+
+/**
+ * 쿠폰 코드 정규화 (공백 제거, 대문자)
+ */
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * % 쿠폰 혜택 링 계산 (최대 혜택 제한 적용)
+ */
+const calculateBenefitRings = (coupon, baseRings) => {
+  const benefit = Math.floor(parseInt(baseRings) * coupon.value / 100);
+  return coupon.max_benefit_rings ? Math.min(benefit, coupon.max_benefit_rings) : benefit;
+};
+
+/**
+ * 쿠폰 등록 (POST /api/coupons/redeem)
+ * 쿠폰 행을 잠가 전체/사용자별 등록 한도를 직렬화합니다.
+ */
+const redeemCoupon = async ({ userId, code }) => {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    const [coupons] = await connection.execute(
+      `SELECT c.* FROM coupons c WHERE c.code = ? AND ${COUPON_VALID_CONDITION} FOR UPDATE`,
+      [normalizeCouponCode(code)]
+    );
+
+    if (coupons.length === 0) {
+      throw createError('유효하지 않거나 기간이 지난 쿠폰입니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const coupon = coupons[0];
+
+    if (coupon.total_limit !== null && coupon.redeemed_count >= coupon.total_limit) {
+      throw createError('쿠폰이 모두 소진되었습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const [[{ redeemed }]] = await connection.execute(
+      'SELECT COUNT(*) as redeemed FROM user_coupons WHERE coupon_id = ? AND user_id = ?',
+      [coupon.id, userId]
+    );
+
+    if (redeemed >= coupon.per_user_limit) {
+      throw createError('이미 등록한 쿠폰입니다.', RESPONSE_CODES.DUPLICATE_ERROR, HTTP_STATUS.CONFLICT);
+    }
+
+    if (coupon.target_new_user_days !== null) {
+      const [users] = await connection.execute(
+        'SELECT created_at >= DATE_SUB(NOW(), INTERVAL ? DAY) as is_new_user FROM users WHERE id = ?',
+        [coupon.target_new_user_days, userId]
+      );
+
+      if (users.length === 0 || !users[0].is_new_user) {
+        throw createError(
+          `가입 후 ${coupon.target_new_user_days}일 이내 신규 회원만 등록할 수 있는 쿠폰입니다.`,
+          RESPONSE_CODES.VALIDATION_ERROR,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+    }
+
+    const isRingGrant = coupon.coupon_type === COUPON_TYPES.RING_GRANT;
+
+    const [result] = await connection.execute(
+      `INSERT INTO user_coupons (coupon_id, user_id, status, benefit_rings, used_at)
+       VALUES (?, ?, ?, ?, ${isRingGrant ? 'NOW()' : 'NULL'})`,
+      [
+        coupon.id,
+        userId,
+        isRingGrant ? USER_COUPON_STATUS.USED : USER_COUPON_STATUS.AVAILABLE,
+        isRingGrant ? coupon.value : null
+      ]
+    );
+
+    await connection.execute(
+      'UPDATE coupons SET redeemed_count = redeemed_count + 1 WHERE id = ?',
+      [coupon.id]
+    );
+
+    let entry = null;
+    if (isRingGrant) {
+      // 쿠폰 지급 링은 프로모션 링이므로 유효기간이 있는 보너스 로트로 적립
+      entry = await recordRingEntry(connection, {
+        userId,
+        entryType: RING_LEDGER_TYPES.COUPON_GRANT,
+        delta: coupon.value,
+        actorId: userId,
+        description: `쿠폰 등록 (${coupon.name})`,
+        lots: [{
+          lotType: RING_LOT_TYPES.BONUS,
+          rings: coupon.value,
+          expiresInDays: RING_LOT_POLICY.BONUS_EXPIRY_DAYS
+        }]
+      });
+    }
+
+    await connection.commit();
+
+    return {
+      user_coupon_id: result.insertId,
+      coupon: {
+        id: coupon.id,
+        name: coupon.name,
+        coupon_type: coupon.coupon_type,
+        value: coupon.value,
+        max_benefit_rings: coupon.max_benefit_rings,
+        target_consultation_type: coupon.target_consultation_type,
+        ends_at: coupon.ends_at
+      },
+      status: isRingGrant ? USER_COUPON_STATUS.USED : USER_COUPON_STATUS.AVAILABLE,
+      granted_rings: isRingGrant ? coupon.value : 0,
+      current_balance: entry ? entry.balance_after : null
+    };
+
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * 보유 쿠폰 잠금 + 적용 조건 확인 후 reserved로 변경
+ * 호출자가 연 트랜잭션 안에서 결제/상담 생성과 함께 처리합니다.
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} params
+ * @param {number} params.userId
+ * @param {number} params.userCouponId
+ * @param {string} params.couponType - 요구되는 COUPON_TYPES 값
+ * @param {string} [params.consultationType] - 상담 분야 (상담 할인 쿠폰 대상 확인)
+ * @returns {Promise<object>} 쿠폰 정보 (value, max_benefit_rings 포함)
+ */
+const reserveUserCoupon = async (connection, { userId, userCouponId, couponType, consultationType = null }) => {
+  const [userCoupons] = await connection.execute(
+    `SELECT uc.id as user_coupon_id, uc.status, c.id, c.name, c.coupon_type, c.value,
+     c.max_benefit_rings, c.target_consultation_type, (${COUPON_VALID_CONDITION}) as is_valid
+     FROM user_coupons uc
+     JOIN coupons c ON uc.coupon_id = c.id
+     WHERE uc.id = ? AND uc.user_id = ?
+     FOR UPDATE`,
+    [userCouponId, userId]
+  );
+
+  if (userCoupons.length === 0) {
+    throw createError('보유한 쿠폰을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const coupon = userCoupons[0];
+
+  if (coupon.status !== USER_COUPON_STATUS.AVAILABLE) {
+    throw createError('이미 사용했거나 사용 중인 쿠폰입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!coupon.is_valid) {
+    throw createError('사용 기간이 지난 쿠폰입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (coupon.coupon_type !== couponType) {
+    throw createError('이 용도로 사용할 수 없는 쿠폰입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (coupon.target_consultation_type && coupon.target_consultation_type !== consultationType) {
+    throw createError(
+      `${coupon.target_consultation_type} 상담에만 사용할 수 있는 쿠폰입니다.`,
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  await connection.execute(
+    'UPDATE user_coupons SET status = ? WHERE id = ?',
+    [USER_COUPON_STATUS.RESERVED, userCouponId]
+  );
+
+  return coupon;
+};
+
+/**
+ * 적용 대상(결제/상담) 연결
+ */
+const attachUserCoupon = async (connection, userCouponId, { paymentId = null, consultationId = null, benefitRings = null }) => {
+  await connection.execute(
+    `UPDATE user_coupons
+     SET payment_id = COALESCE(?, payment_id), consultation_id = COALESCE(?, consultation_id),
+         benefit_rings = COALESCE(?, benefit_rings)
+     WHERE id = ?`,
+    [paymentId, consultationId, benefitRings, userCouponId]
+  );
+};
+
+/**
+ * 쿠폰 사용 완료 처리 (결제 완료 / 상담 종료)
+ */
+const markUserCouponUsed = async (connection, userCouponId, benefitRings = null) => {
+  await connection.execute(
+    `UPDATE user_coupons SET status = ?, benefit_rings = COALESCE(?, benefit_rings), used_at = NOW()
+     WHERE id = ? AND status = ?`,
+    [USER_COUPON_STATUS.USED, benefitRings, userCouponId, USER_COUPON_STATUS.RESERVED]
+  );
+};
+
+/**
+ * 결제 실패/취소시 적용했던 쿠폰 반환
+ */
+const releasePaymentCoupon = async (db, paymentId) => {
+  await db.execute(
+    `UPDATE user_coupons SET status = ?, payment_id = NULL, benefit_rings = NULL
+     WHERE payment_id = ? AND status = ?`,
+    [USER_COUPON_STATUS.AVAILABLE, paymentId, USER_COUPON_STATUS.RESERVED]
+  );
+};
+
+/**
+ * 상담이 시작되지 못하고 끝난 경우(거절/취소/부재) 적용했던 쿠폰 반환
+ */
+const releaseConsultationCoupon = async (db, consultationId) => {
+  await db.execute(
+    `UPDATE user_coupons SET status = ?, consultation_id = NULL, benefit_rings = NULL
+     WHERE consultation_id = ? AND status = ?`,
+    [USER_COUPON_STATUS.AVAILABLE, consultationId, USER_COUPON_STATUS.RESERVED]
+  );
+};
+
+module.exports = {
+  COUPON_VALID_CONDITION,
+  normalizeCouponCode,
+  calculateBenefitRings,
+  redeemCoupon,
+  reserveUserCoupon,
+  attachUserCoupon,
+  markUserCouponUsed,
+  releasePaymentCoupon,
+  releaseConsultationCoupon
+};
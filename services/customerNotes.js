@@ -0,0 +1,175 @@
+const { createError, safeJsonParse } = require('../utils/helpers');
+const { RESPONSE_CODES, HTTP_STATUS, CUSTOMER_NOTE_POLICY } = require('../utils/constants');
+
+/**
+ * 상담사 고객 메모 (CRM)
+ * - 상담사별 고객 단위 메모로, 여러 상담에 걸쳐 유지됩니다 (상담별 consultation_notes와 별개).
+ * - 작성한 상담사 본인만 조회/수정할 수 있으며 고객, 다른 상담사, 관리자 화면에는 노출하지 않습니다.
+ * - 상담한 적이 있는 고객에 대해서만 작성할 수 있습니다.
+ */
+
+const NOTE_COLUMNS = `n.id, n.consultant_id, n.customer_id, n.notes, n.tags, n.saju_profile,
+  n.created_at, n.updated_at`;
+
+/**
+ * 메모 행 정규화 (JSON 문자열 처리)
+ */
+const formatNote = (note) => ({
+  ...note,
+  tags: (typeof note.tags === 'string' ? safeJsonParse(note.tags, []) : note.tags) || [],
+  saju_profile: typeof note.saju_profile === 'string' ? safeJsonParse(note.saju_profile) : note.saju_profile
+});
+
+/**
+ * 태그 정규화 (앞뒤 공백 제거, 중복 제거)
+ */
+const normalizeTags = (tags) => [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+
+/**
+ * 상담한 적이 있는 고객인지 확인
+ */
+const assertConsultedCustomer = async (db, consultantId, customerId) => {
+  const [consultations] = await db.execute(
+    'SELECT id FROM consultations WHERE consultant_id = ? AND customer_id = ? LIMIT 1',
+    [consultantId, customerId]
+  );
+
+  if (consultations.length === 0) {
+    throw createError('상담한 적이 있는 고객만 메모할 수 있습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+};
+
+/**
+ * 고객 메모 조회 (없으면 null)
+ */
+const getCustomerNote = async (db, consultantId, customerId) => {
+  const [notes] = await db.execute(
+    `SELECT ${NOTE_COLUMNS} FROM consultant_customer_notes n
+     WHERE n.consultant_id = ? AND n.customer_id = ?`,
+    [consultantId, customerId]
+  );
+
+  return notes.length > 0 ? formatNote(notes[0]) : null;
+};
+
+/**
+ * 여러 고객의 메모 (상담 내역 목록에 붙이기용)
+ * @returns {Promise<Map<number, object>>} customer_id → 메모
+ */
+const getCustomerNotesMap = async (db, consultantId, customerIds) => {
+  const ids = [...new Set(customerIds.filter(Boolean))];
+
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const [notes] = await db.execute(
+    `SELECT ${NOTE_COLUMNS} FROM consultant_customer_notes n
+     WHERE n.consultant_id = ? AND n.customer_id IN (${ids.map(() => '?').join(', ')})`,
+    [consultantId, ...ids]
+  );
+
+  return new Map(notes.map(note => [note.customer_id, formatNote(note)]));
+};
+
+/**
+ * 고객 메모 목록 (최근 수정순, 태그 필터)
+ */
+const listCustomerNotes = async (db, consultantId, { tag = null, limit, offset }) => {
+  const conditions = ['n.consultant_id = ?'];
+  const params = [consultantId];
+
+  if (tag) {
+    conditions.push('JSON_CONTAINS(n.tags, ?)');
+    params.push(JSON.stringify(tag));
+  }
+
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const [[{ total }]] = await db.execute(
+    `SELECT COUNT(*) as total FROM consultant_customer_notes n ${whereClause}`,
+    params
+  );
+
+  const [notes] = await db.execute(
+    `SELECT ${NOTE_COLUMNS}, u.nickname as customer_nickname,
+     (SELECT MAX(c.requested_at) FROM consultations c
+      WHERE c.consultant_id = n.consultant_id AND c.customer_id = n.customer_id) as last_consulted_at
+     FROM consultant_customer_notes n
+     LEFT JOIN users u ON n.customer_id = u.id
+     ${whereClause}
+     ORDER BY n.updated_at DESC, n.id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  return { notes: notes.map(formatNote), total };
+};
+
+/**
+ * 고객 메모 저장 (전달한 항목만 변경, 처음이면 생성)
+ *
+ * @param {object} db
+ * @param {number} consultantId
+ * @param {number} customerId
+ * @param {object} changes
+ * @param {string|null} [changes.notes]
+ * @param {string[]} [changes.tags]
+ * @param {object|null} [changes.sajuProfile] - 고객이 알려준 생년월일시 (null이면 삭제)
+ */
+const saveCustomerNote = async (db, consultantId, customerId, { notes, tags, sajuProfile }) => {
+  await assertConsultedCustomer(db, consultantId, customerId);
+
+  const existing = await getCustomerNote(db, consultantId, customerId);
+  const next = {
+    notes: notes !== undefined ? notes : (existing ? existing.notes : null),
+    tags: tags !== undefined ? normalizeTags(tags) : (existing ? existing.tags : []),
+    saju_profile: sajuProfile !== undefined ? sajuProfile : (existing ? existing.saju_profile : null)
+  };
+
+  if (next.tags.length > CUSTOMER_NOTE_POLICY.MAX_TAGS) {
+    throw createError(
+      `태그는 최대 ${CUSTOMER_NOTE_POLICY.MAX_TAGS}개까지 등록할 수 있습니다.`,
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  await db.execute(
+    `INSERT INTO consultant_customer_notes (consultant_id, customer_id, notes, tags, saju_profile)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE notes = VALUES(notes), tags = VALUES(tags),
+       saju_profile = VALUES(saju_profile), updated_at = NOW()`,
+    [
+      consultantId,
+      customerId,
+      next.notes,
+      JSON.stringify(next.tags),
+      next.saju_profile ? JSON.stringify(next.saju_profile) : null
+    ]
+  );
+
+  return getCustomerNote(db, consultantId, customerId);
+};
+
+/**
+ * 고객 메모 삭제
+ */
+const deleteCustomerNote = async (db, consultantId, customerId) => {
+  const [result] = await db.execute(
+    'DELETE FROM consultant_customer_notes WHERE consultant_id = ? AND customer_id = ?',
+    [consultantId, customerId]
+  );
+
+  if (result.affectedRows === 0) {
+    throw createError('고객 메모를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+};
+
+module.exports = {
+  getCustomerNote,
+  getCustomerNotesMap,
+  listCustomerNotes,
+  saveCustomerNote,
+  deleteCustomerNote
+};
@@ -0,0 +1,446 @@
+const { pool } = require('../config/database');
+const { recordRingEntry, buildRestoreLots } = require('./ringLedger');
+const { saveFile, deleteFile } = require('./storage');
+const { createNotification } = require('./notifications');
+const { getConsultationTerms, calculateCommission } = require('./billingPolicy');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  USER_ROLES,
+  CONSULTATION_STATUS,
+  CONSULTATION_ACTOR_TYPES,
+  RING_LEDGER_TYPES,
+  NOTIFICATION_TYPES,
+  DISPUTE_STATUS,
+  DISPUTE_DECISIONS,
+  DISPUTE_POLICY
+} = require('../utils/constants');
+
+/**
+ * 상담 분쟁(환불 요청)
+ * - 고객은 완료된 상담에 대해 종료 후 DISPUTE_POLICY.FILING_DAYS 안에 한 번 접수할 수 있습니다 (사유 + 증빙 파일).
+ * - 상담사는 답변과 증빙을 한 번 제출할 수 있고, 관리자가 전액/부분/환불 없음으로 결정합니다.
+ * - 환불은 고객에게 차감했던 로트 구성대로 반환(dispute_refund)하고, 같은 비율만큼 상담사 적립을
+ *   회수(dispute_clawback)합니다. 회수액은 결정된 달의 월별 정산에서 차감됩니다.
+ * - 증빙 파일은 비공개 저장소에 저장하며 당사자와 관리자만 조회할 수 있습니다.
+ */
+
+const DISPUTE_COLUMNS = `d.id, d.consultation_id, d.customer_id, d.consultant_id, d.reason, d.description, d.status,
+  d.consultant_response, d.responded_at, d.decision, d.refund_rings, d.consultant_deduction, d.decision_note,
+  d.decided_by, d.decided_at, d.created_at, d.updated_at`;
+
+/**
+ * 증빙 응답 형식 (파일은 권한 확인 경로로 제공)
+ */
+const formatEvidence = (dispute, evidence) => ({
+  id: evidence.id,
+  party: evidence.party,
+  original_name: evidence.original_name,
+  mime_type: evidence.mime_type,
+  size: evidence.size,
+  url: `/api/consultations/${dispute.consultation_id}/dispute/evidence/${evidence.id}`,
+  created_at: evidence.created_at
+});
+
+/**
+ * 분쟁 + 증빙 목록
+ */
+const loadDispute = async (db, condition, params) => {
+  const [disputes] = await db.execute(
+    `SELECT ${DISPUTE_COLUMNS}, c.amount, c.discount_amount, c.consultant_amount, c.end_datetime,
+     u.nickname as customer_nickname, cs.name as consultant_name
+     FROM consultation_disputes d
+     JOIN consultations c ON d.consultation_id = c.id
+     LEFT JOIN users u ON d.customer_id = u.id
+     LEFT JOIN consultants cs ON d.consultant_id = cs.id
+     WHERE ${condition}`,
+    params
+  );
+
+  if (disputes.length === 0) {
+    return null;
+  }
+
+  const dispute = disputes[0];
+  const [evidence] = await db.execute(
+    `SELECT id, party, original_name, mime_type, size, created_at
+     FROM consultation_dispute_evidence
+     WHERE dispute_id = ?
+     ORDER BY id ASC`,
+    [dispute.id]
+  );
+
+  return {
+    ...dispute,
+    charged_amount: (dispute.amount || 0) - (dispute.discount_amount || 0),
+    evidence: evidence.map(item => formatEvidence(dispute, item))
+  };
+};
+
+/**
+ * 분쟁 상세 (관리자)
+ */
+const getDispute = (db, disputeId) => loadDispute(db, 'd.id = ?', [disputeId]);
+
+/**
+ * 상담 당사자 확인 (고객/담당 상담사, 관리자는 조회만 허용)
+ * @returns {Promise<{consultation: object, party: string|null}>}
+ */
+const requireDisputeParty = async (db, consultationId, user) => {
+  const [consultations] = await db.execute(
+    `SELECT c.id, c.customer_id, c.consultant_id, c.status, c.end_datetime, cs.user_id as consultant_user_id
+     FROM consultations c
+     LEFT JOIN consultants cs ON c.consultant_id = cs.id
+     WHERE c.id = ?`,
+    [consultationId]
+  );
+
+  const consultation = consultations[0];
+  let party = null;
+
+  if (consultation && consultation.customer_id === user.id) {
+    party = CONSULTATION_ACTOR_TYPES.CUSTOMER;
+  } else if (consultation && consultation.consultant_user_id === user.id) {
+    party = CONSULTATION_ACTOR_TYPES.CONSULTANT;
+  }
+
+  if (!consultation || (!party && user.role !== USER_ROLES.ADMIN)) {
+    throw createError('상담 정보를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return { consultation, party };
+};
+
+/**
+ * 상담의 분쟁 조회 (당사자/관리자)
+ */
+const getConsultationDispute = async (consultationId, user) => {
+  await requireDisputeParty(pool, consultationId, user);
+
+  const dispute = await loadDispute(pool, 'd.consultation_id = ?', [consultationId]);
+
+  if (!dispute) {
+    throw createError('접수된 분쟁이 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return dispute;
+};
+
+/**
+ * 증빙 파일 저장 + 기록 (트랜잭션 안에서 호출, 실패시 저장한 파일은 호출자가 삭제)
+ */
+const saveEvidence = async (connection, disputeId, { userId, party, files, savedKeys }) => {
+  for (const file of files) {
+    const stored = await saveFile({
+      folder: `disputes/${disputeId}`,
+      originalName: file.originalname,
+      buffer: file.buffer
+    });
+    savedKeys.push(stored.key);
+
+    await connection.execute(
+      `INSERT INTO consultation_dispute_evidence (
+        dispute_id, uploaded_by, party, file_key, original_name, mime_type, size
+       ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [disputeId, userId, party, stored.key, (file.originalname || '').slice(0, 255), file.mimetype, stored.size]
+    );
+  }
+};
+
+/**
+ * 파일 저장을 포함한 트랜잭션 실행 (롤백시 저장한 파일 삭제)
+ */
+const withEvidenceTransaction = async (work) => {
+  const connection = await pool.getConnection();
+  const savedKeys = [];
+  await connection.beginTransaction();
+
+  try {
+    const result = await work(connection, savedKeys);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    await Promise.all(savedKeys.map(key => deleteFile(key).catch(() => null)));
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * 분쟁 접수 (고객)
+ *
+ * @param {object} params
+ * @param {number} params.consultationId
+ * @param {object} params.user - req.user
+ * @param {string} params.reason - DISPUTE_REASONS 값
+ * @param {string} params.description
+ * @param {object[]} [params.files] - multer 메모리 파일
+ */
+const fileDispute = async ({ consultationId, user, reason, description, files = [] }) => {
+  const { consultation, party } = await requireDisputeParty(pool, consultationId, user);
+
+  if (party !== CONSULTATION_ACTOR_TYPES.CUSTOMER) {
+    throw createError('상담을 받은 고객만 분쟁을 접수할 수 있습니다.', RESPONSE_CODES.AUTHORIZATION_ERROR, HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (consultation.status !== CONSULTATION_STATUS.COMPLETED) {
+    throw createError('완료된 상담만 분쟁을 접수할 수 있습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  const deadline = new Date(new Date(consultation.end_datetime).getTime() + DISPUTE_POLICY.FILING_DAYS * 24 * 60 * 60 * 1000);
+
+  if (!consultation.end_datetime || deadline < new Date()) {
+    throw createError(
+      `분쟁은 상담 종료 후 ${DISPUTE_POLICY.FILING_DAYS}일 이내에만 접수할 수 있습니다.`,
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  const disputeId = await withEvidenceTransaction(async (connection, savedKeys) => {
+    const [existing] = await connection.execute(
+      'SELECT id FROM consultation_disputes WHERE consultation_id = ? FOR UPDATE',
+      [consultation.id]
+    );
+
+    if (existing.length > 0) {
+      throw createError('이미 분쟁이 접수된 상담입니다.', RESPONSE_CODES.DUPLICATE_ERROR, HTTP_STATUS.CONFLICT);
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO consultation_disputes (consultation_id, customer_id, consultant_id, reason, description, status)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [consultation.id, consultation.customer_id, consultation.consultant_id, reason, description, DISPUTE_STATUS.OPEN]
+    );
+
+    await saveEvidence(connection, result.insertId, { userId: user.id, party, files, savedKeys });
+
+    if (consultation.consultant_user_id) {
+      await createNotification(connection, {
+        userId: consultation.consultant_user_id,
+        type: NOTIFICATION_TYPES.DISPUTE_FILED,
+        title: '상담 분쟁 접수',
+        body: '고객이 상담에 대한 분쟁을 접수했습니다. 내용을 확인하고 답변해주세요.',
+        data: { consultation_id: consultation.id, dispute_id: result.insertId }
+      });
+    }
+
+    return result.insertId;
+  });
+
+  return getDispute(pool, disputeId);
+};
+
+/**
+ * 상담사 답변 (접수 상태에서 한 번)
+ */
+const respondToDispute = async ({ consultationId, user, response, files = [] }) => {
+  const { consultation, party } = await requireDisputeParty(pool, consultationId, user);
+
+  if (party !== CONSULTATION_ACTOR_TYPES.CONSULTANT) {
+    throw createError('담당 상담사만 답변할 수 있습니다.', RESPONSE_CODES.AUTHORIZATION_ERROR, HTTP_STATUS.FORBIDDEN);
+  }
+
+  const disputeId = await withEvidenceTransaction(async (connection, savedKeys) => {
+    const [disputes] = await connection.execute(
+      'SELECT id, status FROM consultation_disputes WHERE consultation_id = ? FOR UPDATE',
+      [consultation.id]
+    );
+
+    if (disputes.length === 0) {
+      throw createError('접수된 분쟁이 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (disputes[0].status !== DISPUTE_STATUS.OPEN) {
+      throw createError('답변할 수 없는 분쟁입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+    }
+
+    await connection.execute(
+      `UPDATE consultation_disputes
+       SET consultant_response = ?, responded_at = NOW(), status = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [response, DISPUTE_STATUS.RESPONDED, disputes[0].id]
+    );
+
+    await saveEvidence(connection, disputes[0].id, { userId: user.id, party, files, savedKeys });
+
+    await createNotification(connection, {
+      userId: consultation.customer_id,
+      type: NOTIFICATION_TYPES.DISPUTE_RESPONDED,
+      title: '상담사 답변 등록',
+      body: '접수하신 분쟁에 상담사가 답변했습니다. 관리자 검토 후 결과를 안내드립니다.',
+      data: { consultation_id: consultation.id, dispute_id: disputes[0].id }
+    });
+
+    return disputes[0].id;
+  });
+
+  return getDispute(pool, disputeId);
+};
+
+/**
+ * 증빙 파일 정보 (당사자/관리자)
+ */
+const getEvidenceFile = async (consultationId, evidenceId, user) => {
+  await requireDisputeParty(pool, consultationId, user);
+
+  const [evidence] = await pool.execute(
+    `SELECT e.file_key, e.mime_type
+     FROM consultation_dispute_evidence e
+     JOIN consultation_disputes d ON e.dispute_id = d.id
+     WHERE e.id = ? AND d.consultation_id = ?`,
+    [evidenceId, consultationId]
+  );
+
+  if (evidence.length === 0) {
+    throw createError('증빙 파일을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return {
+    key: evidence[0].file_key,
+    mimeType: evidence[0].mime_type
+  };
+};
+
+/**
+ * 관리자 환불 결정
+ * 환불액은 고객이 실제 차감된 상담료(할인 후) 이내이며, 상담사 회수액은 적립액 × 환불 비율(내림)입니다.
+ * 상담사 잔액이 부족하면 음수 잔액으로 남겨 이후 적립에서 상계합니다.
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} params
+ * @param {number} params.disputeId
+ * @param {number} params.adminId
+ * @param {string} params.decision - DISPUTE_DECISIONS 값
+ * @param {number} [params.refundRings] - 부분 환불 링
+ * @param {string} params.note
+ */
+const decideDispute = async (connection, { disputeId, adminId, decision, refundRings = null, note }) => {
+  const [disputes] = await connection.execute(
+    `SELECT d.id, d.status, d.consultation_id, d.customer_id, c.amount, c.discount_amount, c.consultant_amount,
+     c.commission_rate, cs.user_id as consultant_user_id
+     FROM consultation_disputes d
+     JOIN consultations c ON d.consultation_id = c.id
+     LEFT JOIN consultants cs ON d.consultant_id = cs.id
+     WHERE d.id = ? FOR UPDATE`,
+    [disputeId]
+  );
+
+  if (disputes.length === 0) {
+    throw createError('분쟁을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const dispute = disputes[0];
+
+  if (dispute.status === DISPUTE_STATUS.RESOLVED) {
+    throw createError('이미 결정된 분쟁입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  const chargedAmount = (dispute.amount || 0) - (dispute.discount_amount || 0);
+  let refund = 0;
+
+  if (decision === DISPUTE_DECISIONS.FULL_REFUND) {
+    refund = chargedAmount;
+  } else if (decision === DISPUTE_DECISIONS.PARTIAL_REFUND) {
+    refund = parseInt(refundRings);
+
+    if (!(refund > 0 && refund < chargedAmount)) {
+      throw createError(
+        `부분 환불 링은 1 이상 ${chargedAmount} 미만이어야 합니다.`,
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  }
+
+  // 이전 상담(정산액 미저장)은 정책 스냅샷 정산율로 계산
+  const consultantAmount = dispute.consultant_amount !== null
+    ? dispute.consultant_amount
+    : calculateCommission(dispute.amount, getConsultationTerms(dispute).commissionRate);
+  const deduction = refund > 0 ? Math.floor(consultantAmount * refund / chargedAmount) : 0;
+
+  let refundEntry = null;
+  let clawbackEntry = null;
+
+  if (refund > 0) {
+    const [charges] = await connection.execute(
+      'SELECT id FROM ring_ledger WHERE consultation_id = ? AND user_id = ? AND entry_type = ?',
+      [dispute.consultation_id, dispute.customer_id, RING_LEDGER_TYPES.CONSULTATION_CHARGE]
+    );
+
+    refundEntry = await recordRingEntry(connection, {
+      userId: dispute.customer_id,
+      entryType: RING_LEDGER_TYPES.DISPUTE_REFUND,
+      delta: refund,
+      lots: await buildRestoreLots(connection, charges.map(charge => charge.id), refund),
+      consultationId: dispute.consultation_id,
+      actorId: adminId,
+      description: `상담 분쟁 환불 (분쟁 #${dispute.id})`
+    });
+  }
+
+  if (deduction > 0 && dispute.consultant_user_id) {
+    clawbackEntry = await recordRingEntry(connection, {
+      userId: dispute.consultant_user_id,
+      entryType: RING_LEDGER_TYPES.DISPUTE_CLAWBACK,
+      delta: -deduction,
+      consultationId: dispute.consultation_id,
+      actorId: adminId,
+      description: `상담 분쟁 환불 정산 회수 (분쟁 #${dispute.id})`,
+      allowNegative: true
+    });
+  }
+
+  await connection.execute(
+    `UPDATE consultation_disputes
+     SET status = ?, decision = ?, refund_rings = ?, consultant_deduction = ?,
+         refund_ledger_entry_id = ?, clawback_ledger_entry_id = ?,
+         decision_note = ?, decided_by = ?, decided_at = NOW(), updated_at = NOW()
+     WHERE id = ?`,
+    [
+      DISPUTE_STATUS.RESOLVED,
+      decision,
+      refund,
+      clawbackEntry ? deduction : 0,
+      refundEntry ? refundEntry.id : null,
+      clawbackEntry ? clawbackEntry.id : null,
+      note,
+      adminId,
+      dispute.id
+    ]
+  );
+
+  const data = { consultation_id: dispute.consultation_id, dispute_id: dispute.id, decision, refund_rings: refund };
+
+  await createNotification(connection, {
+    userId: dispute.customer_id,
+    type: NOTIFICATION_TYPES.DISPUTE_RESOLVED,
+    title: '상담 분쟁 처리 결과',
+    body: refund > 0 ? `${refund}링이 환불되었습니다.` : '검토 결과 환불 대상이 아닌 것으로 결정되었습니다.',
+    data
+  });
+
+  if (dispute.consultant_user_id) {
+    await createNotification(connection, {
+      userId: dispute.consultant_user_id,
+      type: NOTIFICATION_TYPES.DISPUTE_RESOLVED,
+      title: '상담 분쟁 처리 결과',
+      body: clawbackEntry ? `고객 환불로 정산에서 ${deduction}링이 차감됩니다.` : '검토 결과 정산 차감 없이 종료되었습니다.',
+      data
+    });
+  }
+
+  return getDispute(connection, dispute.id);
+};
+
+module.exports = {
+  getDispute,
+  getConsultationDispute,
+  fileDispute,
+  respondToDispute,
+  getEvidenceFile,
+  decideDispute
+};
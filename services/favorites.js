@@ -0,0 +1,197 @@
+const { createNotification } = require('./notifications');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  NOTIFICATION_TYPES,
+  FAVORITE_POLICY
+} = require('../utils/constants');
+
+/**
+ * 즐겨찾기 상담사
+ * - 고객이 상담사를 저장하고, 원하면 상담사가 대기중(waiting)으로 바뀔 때 알림함으로 알림을 받습니다.
+ * - 대기 알림은 상담사 상태 토글과 상담 종료 후 자동 복귀에서 발송하며,
+ *   같은 상담사에 대해서는 ALERT_COOLDOWN_MINUTES 안에 다시 보내지 않습니다.
+ */
+
+const FAVORITE_CONSULTANT_COLUMNS = `c.id, c.consultant_number, c.name, c.nickname, c.stage_name, c.profile_image,
+  c.one_line_introduction, c.consultant_grade, c.consultation_field, c.consultation_fee, c.consultation_rate, c.status`;
+
+/**
+ * 즐겨찾기 조회 (없으면 null)
+ */
+const getFavorite = async (db, userId, consultantId) => {
+  const [favorites] = await db.execute(
+    `SELECT consultant_id, notify_when_available, last_notified_at, created_at
+     FROM consultant_favorites WHERE user_id = ? AND consultant_id = ?`,
+    [userId, consultantId]
+  );
+
+  return favorites.length > 0
+    ? { ...favorites[0], notify_when_available: !!favorites[0].notify_when_available }
+    : null;
+};
+
+/**
+ * 즐겨찾기 추가 (이미 있으면 알림 설정만 변경)
+ *
+ * @param {object} db
+ * @param {number} userId
+ * @param {number} consultantId
+ * @param {object} options
+ * @param {boolean} [options.notifyWhenAvailable] - 생략하면 새 즐겨찾기는 false, 기존 즐겨찾기는 유지
+ * @returns {Promise<{created: boolean, favorite: object}>}
+ */
+const addFavorite = async (db, userId, consultantId, { notifyWhenAvailable }) => {
+  const [consultants] = await db.execute(
+    'SELECT id, user_id FROM consultants WHERE id = ?',
+    [consultantId]
+  );
+
+  if (consultants.length === 0) {
+    throw createError('상담사를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (consultants[0].user_id === userId) {
+    throw createError('본인은 즐겨찾기할 수 없습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const existing = await getFavorite(db, userId, consultantId);
+
+  if (!existing) {
+    const [[{ total }]] = await db.execute(
+      'SELECT COUNT(*) as total FROM consultant_favorites WHERE user_id = ?',
+      [userId]
+    );
+
+    if (total >= FAVORITE_POLICY.MAX_FAVORITES) {
+      throw createError(
+        `즐겨찾기는 최대 ${FAVORITE_POLICY.MAX_FAVORITES}명까지 등록할 수 있습니다.`,
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  }
+
+  const notify = notifyWhenAvailable !== undefined
+    ? notifyWhenAvailable
+    : (existing ? existing.notify_when_available : false);
+
+  await db.execute(
+    `INSERT INTO consultant_favorites (user_id, consultant_id, notify_when_available)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE notify_when_available = VALUES(notify_when_available), updated_at = NOW()`,
+    [userId, consultantId, notify ? 1 : 0]
+  );
+
+  return { created: !existing, favorite: await getFavorite(db, userId, consultantId) };
+};
+
+/**
+ * 즐겨찾기 삭제
+ */
+const removeFavorite = async (db, userId, consultantId) => {
+  const [result] = await db.execute(
+    'DELETE FROM consultant_favorites WHERE user_id = ? AND consultant_id = ?',
+    [userId, consultantId]
+  );
+
+  if (result.affectedRows === 0) {
+    throw createError('즐겨찾기한 상담사가 아닙니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+};
+
+/**
+ * 즐겨찾기 목록 (상담사 현재 상태 포함, 대기중 상담사 먼저)
+ */
+const listFavorites = async (db, userId, { limit, offset }) => {
+  const [[{ total }]] = await db.execute(
+    'SELECT COUNT(*) as total FROM consultant_favorites WHERE user_id = ?',
+    [userId]
+  );
+
+  const [favorites] = await db.execute(
+    `SELECT ${FAVORITE_CONSULTANT_COLUMNS},
+     f.notify_when_available, f.created_at as favorited_at
+     FROM consultant_favorites f
+     JOIN consultants c ON f.consultant_id = c.id
+     WHERE f.user_id = ?
+     ORDER BY (c.status = 'waiting') DESC, f.created_at DESC, f.id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    [userId]
+  );
+
+  return {
+    favorites: favorites.map(favorite => ({
+      ...favorite,
+      notify_when_available: !!favorite.notify_when_available
+    })),
+    total
+  };
+};
+
+/**
+ * 즐겨찾기한 상담사 ID (목록/상세 응답의 is_favorite 표시용)
+ * @returns {Promise<Set<number>>}
+ */
+const getFavoriteConsultantIds = async (db, userId, consultantIds) => {
+  const ids = [...new Set(consultantIds.filter(Boolean))];
+
+  if (!userId || ids.length === 0) {
+    return new Set();
+  }
+
+  const [favorites] = await db.execute(
+    `SELECT consultant_id FROM consultant_favorites
+     WHERE user_id = ? AND consultant_id IN (${ids.map(() => '?').join(', ')})`,
+    [userId, ...ids]
+  );
+
+  return new Set(favorites.map(favorite => favorite.consultant_id));
+};
+
+/**
+ * 상담사 대기 알림 (상담사가 waiting으로 바뀐 뒤 같은 트랜잭션 또는 pool에서 호출)
+ * 알림을 켠 고객 중 최근 ALERT_COOLDOWN_MINUTES 안에 알림을 받지 않은 고객에게만 보냅니다.
+ * @returns {Promise<number>} 알림 수
+ */
+const notifyFavoritesAvailable = async (db, consultantId) => {
+  const [favorites] = await db.execute(
+    `SELECT f.id, f.user_id, COALESCE(c.stage_name, c.nickname, c.name) as consultant_name
+     FROM consultant_favorites f
+     JOIN consultants c ON f.consultant_id = c.id
+     WHERE f.consultant_id = ? AND f.notify_when_available = 1
+       AND (f.last_notified_at IS NULL
+         OR f.last_notified_at <= NOW() - INTERVAL ${FAVORITE_POLICY.ALERT_COOLDOWN_MINUTES} MINUTE)`,
+    [consultantId]
+  );
+
+  for (const favorite of favorites) {
+    await createNotification(db, {
+      userId: favorite.user_id,
+      type: NOTIFICATION_TYPES.FAVORITE_AVAILABLE,
+      title: '즐겨찾기 상담사 대기중',
+      body: `${favorite.consultant_name} 상담사님이 지금 상담 가능합니다.`,
+      data: { consultant_id: consultantId }
+    });
+  }
+
+  if (favorites.length > 0) {
+    await db.execute(
+      `UPDATE consultant_favorites SET last_notified_at = NOW()
+       WHERE id IN (${favorites.map(() => '?').join(', ')})`,
+      favorites.map(favorite => favorite.id)
+    );
+  }
+
+  return favorites.length;
+};
+
+module.exports = {
+  addFavorite,
+  getFavorite,
+  removeFavorite,
+  listFavorites,
+  getFavoriteConsultantIds,
+  notifyFavoritesAvailable
+};
@@ -0,0 +1,533 @@
+const { pool } = require('../config/database');
+const { lockConsultation, transitionConsultation, publishConsultationStatus } = require('./consultationState');
+const { assertCanRequest, createConsultationRequest, publishConsultationRequest } = require('./consultationRequests');
+const { resolveBillingPolicy } = require('./billingPolicy');
+const { publishToUser } = require('./realtime');
+const { createError, safeJsonParse } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  CONSULTANT_STATUS,
+  CONSULTATION_STATUS,
+  CONSULTATION_ACTOR_TYPES,
+  QUEUE_ENTRY_STATUS,
+  MATCH_STATUS,
+  MATCH_POLICY,
+  REALTIME_EVENTS
+} = require('../utils/constants');
+
+/**
+ * 랜덤 매칭 ('랜덤' 상담 유형)
+ * - 고객이 분야/최대 상담료/방식을 지정하면 조건에 맞는 대기중 상담사 중 한 명에게 상담을 요청합니다.
+ * - 후보 선택은 가중 추첨이며 가중치는 (평점 + 1) / (1 + 최근 받은 요청 수)입니다.
+ *   최근 요청을 많이 받은 상담사는 확률이 낮아져 요청이 고르게 돌아갑니다.
+ * - 후보가 ACCEPT_TIMEOUT_SECONDS 안에 수락하지 않으면(거절/부재) 다음 후보에게 요청하며,
+ *   이미 요청한 상담사는 같은 매칭에서 다시 뽑지 않습니다.
+ */
+
+// 상담사가 다른 요청/상담에 묶여 있는 상담 상태
+const BUSY_STATUSES = [
+  CONSULTATION_STATUS.REQUESTED,
+  CONSULTATION_STATUS.RINGING,
+  CONSULTATION_STATUS.ACCEPTED,
+  CONSULTATION_STATUS.IN_PROGRESS
+];
+
+// 다음 후보로 넘어가는 상담 상태 (고객 취소는 매칭 취소로 처리)
+const RETRY_STATUSES = [CONSULTATION_STATUS.DECLINED, CONSULTATION_STATUS.MISSED];
+
+const MATCH_COLUMNS = `m.id, m.customer_id, m.consultation_field, m.max_fee, m.consultation_method, m.user_coupon_id,
+  m.status, m.attempts, m.tried_consultant_ids, m.current_consultation_id, m.matched_consultant_id, m.fail_reason,
+  m.created_at, m.matched_at, m.ended_at`;
+
+/**
+ * 매칭 행 정규화 (JSON 문자열 처리)
+ */
+const formatMatch = (match) => ({
+  ...match,
+  tried_consultant_ids: (typeof match.tried_consultant_ids === 'string'
+    ? safeJsonParse(match.tried_consultant_ids, [])
+    : match.tried_consultant_ids) || []
+});
+
+/**
+ * 매칭 행 잠금
+ */
+const lockMatch = async (connection, matchId) => {
+  const [matches] = await connection.execute(
+    `SELECT ${MATCH_COLUMNS} FROM consultation_matches m WHERE m.id = ? FOR UPDATE`,
+    [matchId]
+  );
+
+  return matches.length > 0 ? formatMatch(matches[0]) : null;
+};
+
+/**
+ * 매칭 조건에 맞는 후보 상담사 (가중치 포함)
+ * 대기중이면서 진행 중인 요청/상담과 대기열이 없는 상담사만 대상입니다.
+ */
+const findMatchCandidates = async (db, match) => {
+  const excluded = match.tried_consultant_ids;
+  const excludeClause = excluded.length > 0
+    ? `AND c.id NOT IN (${excluded.map(() => '?').join(', ')})`
+    : '';
+
+  const [candidates] = await db.execute(
+    `SELECT c.id, c.user_id, c.name, c.consultant_number, c.consultation_fee, c.consultant_grade,
+     c.consultation_rate,
+     (SELECT COUNT(*) FROM consultations r
+      WHERE r.consultant_id = c.id
+        AND r.requested_at >= NOW() - INTERVAL ${MATCH_POLICY.LOAD_WINDOW_MINUTES} MINUTE) as recent_load
+     FROM consultants c
+     WHERE c.status = ?
+       AND c.consultation_field = ?
+       AND c.consultation_fee <= ?
+       AND c.user_id IS NOT NULL
+       AND c.user_id <> ?
+       AND NOT EXISTS (
+         SELECT 1 FROM consultations a
+         WHERE a.consultant_id = c.id AND a.status IN (${BUSY_STATUSES.map(() => '?').join(', ')})
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM consultant_queue_entries q
+         WHERE q.consultant_id = c.id AND q.status IN (?, ?)
+       )
+       ${excludeClause}`,
+    [
+      CONSULTANT_STATUS.WAITING,
+      match.consultation_field,
+      match.max_fee,
+      match.customer_id,
+      ...BUSY_STATUSES,
+      QUEUE_ENTRY_STATUS.WAITING,
+      QUEUE_ENTRY_STATUS.OFFERED,
+      ...excluded
+    ]
+  );
+
+  return candidates.map(candidate => ({
+    ...candidate,
+    weight: (parseFloat(candidate.consultation_rate || 0) + 1) / (1 + candidate.recent_load)
+  }));
+};
+
+/**
+ * 가중 추첨
+ * @param {Array<{weight: number}>} candidates
+ * @param {function(): number} [random] - [0, 1) 난수
+ * @returns {object|null}
+ */
+const pickCandidate = (candidates, random = Math.random) => {
+  const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+
+  if (candidates.length === 0 || totalWeight <= 0) {
+    return candidates[0] || null;
+  }
+
+  let point = random() * totalWeight;
+
+  for (const candidate of candidates) {
+    point -= candidate.weight;
+    if (point < 0) {
+      return candidate;
+    }
+  }
+
+  return candidates[candidates.length - 1];
+};
+
+/**
+ * 선택한 후보가 아직 요청 가능한지 재확인 (상담사 행 잠금 후 최신 상태 기준)
+ */
+const isStillAvailable = async (connection, consultantId) => {
+  const [consultants] = await connection.execute(
+    'SELECT status FROM consultants WHERE id = ? FOR UPDATE',
+    [consultantId]
+  );
+
+  if (consultants.length === 0 || consultants[0].status !== CONSULTANT_STATUS.WAITING) {
+    return false;
+  }
+
+  const [[{ busy }]] = await connection.execute(
+    `SELECT COUNT(*) as busy FROM consultations
+     WHERE consultant_id = ? AND status IN (${BUSY_STATUSES.map(() => '?').join(', ')})
+     LOCK IN SHARE MODE`,
+    [consultantId, ...BUSY_STATUSES]
+  );
+
+  return busy === 0;
+};
+
+/**
+ * 매칭 종료 처리 (실패/취소)
+ */
+const endMatch = async (connection, match, status, failReason = null) => {
+  await connection.execute(
+    `UPDATE consultation_matches
+     SET status = ?, fail_reason = ?, ended_at = NOW(), updated_at = NOW()
+     WHERE id = ?`,
+    [status, failReason, match.id]
+  );
+
+  match.status = status;
+  match.fail_reason = failReason;
+  return match;
+};
+
+/**
+ * 다음 후보에게 상담 요청 (잠근 매칭 기준, 호출자의 트랜잭션)
+ * 후보가 없거나 시도 횟수를 넘으면 매칭 실패로 종료합니다.
+ *
+ * @returns {Promise<{match: object, request: object|null, consultant: object|null, policy: object|null}>}
+ */
+const requestNextCandidate = async (connection, match) => {
+  const tried = [...match.tried_consultant_ids];
+
+  while (match.attempts < MATCH_POLICY.MAX_ATTEMPTS) {
+    const candidates = await findMatchCandidates(connection, { ...match, tried_consultant_ids: tried });
+    const consultant = pickCandidate(candidates);
+
+    if (!consultant) {
+      break;
+    }
+
+    tried.push(consultant.id);
+
+    if (!(await isStillAvailable(connection, consultant.id))) {
+      continue;
+    }
+
+    // 상담사 등급/방식에 적용할 과금 정책 (상담에 스냅샷으로 저장)
+    const policy = await resolveBillingPolicy(connection, consultant.consultant_grade, match.consultation_method);
+    await assertCanRequest(connection, match.customer_id, consultant.consultation_fee * policy.minimum_units);
+
+    const request = await createConsultationRequest(connection, {
+      customerId: match.customer_id,
+      consultant,
+      consultationType: '랜덤',
+      consultationMethod: match.consultation_method,
+      policy,
+      userCouponId: match.user_coupon_id,
+      ringTimeoutSeconds: MATCH_POLICY.ACCEPT_TIMEOUT_SECONDS
+    });
+
+    await connection.execute(
+      `UPDATE consultation_matches
+       SET status = ?, attempts = attempts + 1, tried_consultant_ids = ?, current_consultation_id = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [MATCH_STATUS.REQUESTED, JSON.stringify(tried), request.id, match.id]
+    );
+
+    Object.assign(match, {
+      status: MATCH_STATUS.REQUESTED,
+      attempts: match.attempts + 1,
+      tried_consultant_ids: tried,
+      current_consultation_id: request.id
+    });
+
+    return { match, request, consultant, policy };
+  }
+
+  await connection.execute(
+    'UPDATE consultation_matches SET tried_consultant_ids = ? WHERE id = ?',
+    [JSON.stringify(tried), match.id]
+  );
+  match.tried_consultant_ids = tried;
+
+  await endMatch(
+    connection,
+    match,
+    MATCH_STATUS.FAILED,
+    match.attempts >= MATCH_POLICY.MAX_ATTEMPTS
+      ? '요청한 상담사가 모두 수락하지 않았습니다.'
+      : '조건에 맞는 상담 가능한 상담사가 없습니다.'
+  );
+
+  return { match, request: null, consultant: null, policy: null };
+};
+
+/**
+ * 매칭 상태를 고객에게 전송 (커밋 후 호출)
+ */
+const publishMatchStatus = (match, consultant = null) => {
+  publishToUser(match.customer_id, REALTIME_EVENTS.MATCH_STATUS, {
+    id: match.id,
+    status: match.status,
+    attempts: match.attempts,
+    current_consultation_id: match.current_consultation_id,
+    consultant: consultant ? {
+      id: consultant.id,
+      name: consultant.name,
+      consultant_number: consultant.consultant_number
+    } : null,
+    fail_reason: match.fail_reason || null
+  });
+};
+
+/**
+ * 새 요청을 후보 상담사와 고객에게 알림 (커밋 후 호출)
+ */
+const publishAttempt = (attempt, customerNickname) => {
+  if (attempt.request) {
+    publishConsultationRequest(attempt.consultant.user_id, attempt.request, {
+      customerId: attempt.match.customer_id,
+      customerNickname,
+      consultationType: '랜덤',
+      consultationMethod: attempt.match.consultation_method
+    });
+  }
+
+  publishMatchStatus(attempt.match, attempt.consultant);
+};
+
+/**
+ * 랜덤 매칭 시작 (첫 후보에게 바로 요청)
+ * 첫 요청이 잔액/한도/쿠폰 문제로 실패하면 매칭도 만들지 않고 에러를 그대로 반환합니다.
+ *
+ * @param {object} params
+ * @param {object} params.customer - req.user
+ * @param {string} params.consultationField
+ * @param {number} params.maxFee - 30초당 최대 상담료
+ * @param {string} params.consultationMethod
+ * @param {number|null} [params.userCouponId]
+ */
+const startMatch = async ({ customer, consultationField, maxFee, consultationMethod, userCouponId = null }) => {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  let attempt;
+
+  try {
+    // 고객당 진행 중인 매칭은 하나
+    const [active] = await connection.execute(
+      'SELECT id FROM consultation_matches WHERE customer_id = ? AND status = ? FOR UPDATE',
+      [customer.id, MATCH_STATUS.REQUESTED]
+    );
+
+    if (active.length > 0) {
+      throw createError('이미 진행 중인 랜덤 매칭이 있습니다.', RESPONSE_CODES.DUPLICATE_ERROR, HTTP_STATUS.CONFLICT);
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO consultation_matches (
+        customer_id, consultation_field, max_fee, consultation_method, user_coupon_id, status, tried_consultant_ids
+       ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [customer.id, consultationField, maxFee, consultationMethod, userCouponId, MATCH_STATUS.REQUESTED, '[]']
+    );
+
+    const match = await lockMatch(connection, result.insertId);
+    attempt = await requestNextCandidate(connection, match);
+
+    // 처음부터 후보가 없으면 매칭 기록 없이 안내
+    if (!attempt.request) {
+      throw createError(attempt.match.fail_reason, RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  publishAttempt(attempt, customer.nickname);
+  return attempt;
+};
+
+/**
+ * 진행 중인 매칭 갱신 (주기 실행, 매칭별 트랜잭션)
+ * - 현재 요청이 수락 이후 단계: 매칭 완료
+ * - 거절/부재: 다음 후보에게 요청 (잔액 부족 등으로 요청할 수 없으면 매칭 실패)
+ * - 고객이 상담 요청을 직접 취소: 매칭 취소
+ * @returns {Promise<{matched: number, retried: number, failed: number, cancelled: number}>}
+ */
+const advanceMatches = async () => {
+  const [pending] = await pool.execute(
+    `SELECT m.id
+     FROM consultation_matches m
+     JOIN consultations c ON m.current_consultation_id = c.id
+     WHERE m.status = ? AND c.status NOT IN (?, ?)
+     ORDER BY m.id ASC
+     LIMIT 100`,
+    [MATCH_STATUS.REQUESTED, CONSULTATION_STATUS.REQUESTED, CONSULTATION_STATUS.RINGING]
+  );
+
+  const result = { matched: 0, retried: 0, failed: 0, cancelled: 0 };
+
+  for (const { id } of pending) {
+    const connection = await pool.getConnection();
+    let attempt = null;
+    let customerNickname = null;
+
+    try {
+      await connection.beginTransaction();
+
+      const match = await lockMatch(connection, id);
+      const [consultations] = match && match.status === MATCH_STATUS.REQUESTED
+        ? await connection.execute(
+          'SELECT id, consultant_id, status FROM consultations WHERE id = ?',
+          [match.current_consultation_id]
+        )
+        : [[]];
+      const current = consultations[0];
+
+      // 잠금 전에 처리되었거나 아직 응답 대기 중
+      if (!current || [CONSULTATION_STATUS.REQUESTED, CONSULTATION_STATUS.RINGING].includes(current.status)) {
+        await connection.rollback();
+        continue;
+      }
+
+      if (current.status === CONSULTATION_STATUS.CANCELLED) {
+        await endMatch(connection, match, MATCH_STATUS.CANCELLED);
+        attempt = { match, request: null, consultant: null };
+        result.cancelled++;
+      } else if (!RETRY_STATUSES.includes(current.status)) {
+        await connection.execute(
+          `UPDATE consultation_matches
+           SET status = ?, matched_consultant_id = ?, matched_at = NOW(), ended_at = NOW(), updated_at = NOW()
+           WHERE id = ?`,
+          [MATCH_STATUS.MATCHED, current.consultant_id, match.id]
+        );
+        match.status = MATCH_STATUS.MATCHED;
+        match.matched_consultant_id = current.consultant_id;
+        attempt = { match, request: null, consultant: null };
+        result.matched++;
+      } else {
+        try {
+          attempt = await requestNextCandidate(connection, match);
+        } catch (error) {
+          if (!error.statusCode) {
+            throw error;
+          }
+          // 잔액/한도/쿠폰 등 고객 사유로 더 요청할 수 없음
+          await endMatch(connection, match, MATCH_STATUS.FAILED, error.message);
+          attempt = { match, request: null, consultant: null };
+        }
+
+        if (attempt.request) {
+          const [users] = await connection.execute('SELECT nickname FROM users WHERE id = ?', [match.customer_id]);
+          customerNickname = users[0] ? users[0].nickname : null;
+          result.retried++;
+        } else {
+          result.failed++;
+        }
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      attempt = null;
+      console.error(`랜덤 매칭 갱신 에러 (match #${id}):`, error);
+    } finally {
+      connection.release();
+    }
+
+    if (attempt) {
+      publishAttempt(attempt, customerNickname);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 매칭 취소 (고객 본인, 응답 대기 중인 요청도 함께 취소)
+ */
+const cancelMatch = async (matchId, customerId) => {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  let match;
+  let cancelledConsultationId = null;
+
+  try {
+    match = await lockMatch(connection, matchId);
+
+    if (!match || match.customer_id !== customerId) {
+      throw createError('매칭을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (match.status !== MATCH_STATUS.REQUESTED) {
+      throw createError('이미 종료된 매칭입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+    }
+
+    const consultation = await lockConsultation(connection, match.current_consultation_id);
+
+    if (consultation && [CONSULTATION_STATUS.REQUESTED, CONSULTATION_STATUS.RINGING].includes(consultation.status)) {
+      await transitionConsultation(connection, consultation, CONSULTATION_STATUS.CANCELLED, {
+        actorType: CONSULTATION_ACTOR_TYPES.CUSTOMER,
+        actorId: customerId,
+        reason: '랜덤 매칭 취소'
+      });
+      cancelledConsultationId = consultation.id;
+    } else if (consultation && !RETRY_STATUSES.includes(consultation.status)
+      && consultation.status !== CONSULTATION_STATUS.CANCELLED) {
+      throw createError(
+        '상담사가 이미 수락했습니다. 상담에서 취소해 주세요.',
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    await endMatch(connection, match, MATCH_STATUS.CANCELLED);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (cancelledConsultationId) {
+    await publishConsultationStatus(cancelledConsultationId);
+  }
+  publishMatchStatus(match);
+
+  return match;
+};
+
+/**
+ * 매칭 조회 (고객 본인, 현재 요청 상담 포함)
+ */
+const getMatch = async (db, matchId, customerId) => {
+  const [matches] = await db.execute(
+    `SELECT ${MATCH_COLUMNS},
+     c.status as current_consultation_status, c.request_expires_at,
+     cs.id as consultant_id, cs.name as consultant_name, cs.consultant_number
+     FROM consultation_matches m
+     LEFT JOIN consultations c ON m.current_consultation_id = c.id
+     LEFT JOIN consultants cs ON c.consultant_id = cs.id
+     WHERE m.id = ? AND m.customer_id = ?`,
+    [matchId, customerId]
+  );
+
+  if (matches.length === 0) {
+    throw createError('매칭을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const {
+    consultant_id: consultantId,
+    consultant_name: consultantName,
+    consultant_number: consultantNumber,
+    ...match
+  } = formatMatch(matches[0]);
+
+  return {
+    ...match,
+    consultant: consultantId ? {
+      id: consultantId,
+      name: consultantName,
+      consultant_number: consultantNumber
+    } : null
+  };
+};
+
+module.exports = {
+  pickCandidate,
+  startMatch,
+  advanceMatches,
+  cancelMatch,
+  getMatch
+};
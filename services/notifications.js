@@ -0,0 +1,32 @@
+const { safeJsonStringify } = require('../utils/helpers');
+
+/**
+ * 알림함 서비스
+ * 예약 알림처럼 사용자에게 전달할 메시지를 notifications 테이블에 적재합니다.
+ * 상태 변경과 같은 트랜잭션에서 기록할 수 있도록 db(pool 또는 커넥션)를 받습니다.
+ */
+
+/**
+ * 알림 등록
+ *
+ * @param {object} db - pool 또는 트랜잭션 커넥션
+ * @param {object} notification
+ * @param {number} notification.userId
+ * @param {string} notification.type - NOTIFICATION_TYPES 값
+ * @param {string} notification.title
+ * @param {string} notification.body
+ * @param {object} [notification.data] - 화면 이동 등에 쓰는 부가 정보
+ */
+const createNotification = async (db, { userId, type, title, body, data = null }) => {
+  const [result] = await db.execute(
+    `INSERT INTO notifications (user_id, notification_type, title, body, data)
+     VALUES (?, ?, ?, ?, ?)`,
+    [userId, type, title, body, safeJsonStringify(data)]
+  );
+
+  return result.insertId;
+};
+
+module.exports = {
+  createNotification
+};
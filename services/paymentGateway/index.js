@@ -0,0 +1,35 @@
+const { createTossPaymentsAdapter } = require('./tossPaymentsAdapter');
+
+/**
+ * PG 어댑터 레지스트리
+ *
+ * 모든 어댑터는 아래 메서드를 구현하고 공통 결과 형식
+ * ({ payment_key, order_id, status, pg_status, total_amount, balance_amount, approved_at, checkout_url, raw })
+ * 을 반환해야 합니다.
+ * - prepare({ orderId, amount, orderName, method, customerName })
+ * - approve({ paymentKey, orderId, amount })
+ * - cancel({ paymentKey, amount, reason })
+ * - query({ paymentKey, orderId })
+ */
+const ADAPTERS = {
+  toss: createTossPaymentsAdapter
+};
+
+const instances = {};
+
+/**
+ * PG 어댑터 조회 (PG_PROVIDER 환경변수, 기본값 toss)
+ */
+const getPaymentGateway = (provider = process.env.PG_PROVIDER || 'toss') => {
+  if (!ADAPTERS[provider]) {
+    throw new Error(`지원하지 않는 PG사입니다: ${provider}`);
+  }
+
+  if (!instances[provider]) {
+    instances[provider] = ADAPTERS[provider]();
+  }
+
+  return instances[provider];
+};
+
+module.exports = { getPaymentGateway };
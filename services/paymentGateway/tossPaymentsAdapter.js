@@ -0,0 +1,168 @@
+const http = require('http');
+const https = require('https');
+const { createError } = require('../../utils/helpers');
+const { RESPONSE_CODES, HTTP_STATUS, PAYMENT_STATUS } = require('../../utils/constants');
+
+/**
+ * 토스페이먼츠(v1) 스타일 REST PG 어댑터
+ * - 결제 생성: POST /v1/payments
+ * - 결제 승인: POST /v1/payments/confirm
+ * - 결제 취소: POST /v1/payments/{paymentKey}/cancel
+ * - 결제 조회: GET /v1/payments/{paymentKey}, GET /v1/payments/orders/{orderId}
+ *
+ * 개발 환경에서는 scripts/mock-pg-server.js를 PG_API_URL로 지정해 사용합니다.
+ */
+
+// PG사 결제 상태 → payments.status 매핑
+const STATUS_MAP = {
+  READY: PAYMENT_STATUS.PENDING,
+  IN_PROGRESS: PAYMENT_STATUS.PENDING,
+  WAITING_FOR_DEPOSIT: PAYMENT_STATUS.PENDING,
+  DONE: PAYMENT_STATUS.COMPLETED,
+  CANCELED: PAYMENT_STATUS.CANCELLED,
+  PARTIAL_CANCELED: PAYMENT_STATUS.COMPLETED,
+  ABORTED: PAYMENT_STATUS.FAILED,
+  EXPIRED: PAYMENT_STATUS.FAILED
+};
+
+// 앱 결제 방식 → PG 결제수단 매핑
+const METHOD_MAP = {
+  card: '카드',
+  bank: '계좌이체',
+  mobile: '휴대폰',
+  kakaopay: '간편결제',
+  naverpay: '간편결제'
+};
+
+/**
+ * JSON REST 요청 (Node 16 호환을 위해 http/https 모듈 사용)
+ */
+const requestJson = (baseUrl, secretKey, method, path, body = null) => {
+  const url = new URL(path, baseUrl);
+  const transport = url.protocol === 'https:' ? https : http;
+  const payload = body ? JSON.stringify(body) : null;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${secretKey}:`).toString('base64')}`,
+        'Content-Type': 'application/json',
+        ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {})
+      },
+      timeout: 10000
+    }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { raw += chunk; });
+      res.on('end', () => {
+        let data = null;
+        try {
+          data = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+          return reject(createError('PG 응답을 해석할 수 없습니다.', RESPONSE_CODES.PAYMENT_ERROR, HTTP_STATUS.BAD_GATEWAY));
+        }
+
+        if (res.statusCode >= 400) {
+          const message = (data && data.message) || 'PG 요청이 거절되었습니다.';
+          const error = createError(message, RESPONSE_CODES.PAYMENT_ERROR, HTTP_STATUS.BAD_REQUEST);
+          error.pgCode = data && data.code;
+          return reject(error);
+        }
+
+        resolve(data);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('PG request timeout')));
+    req.on('error', (error) => {
+      console.error('PG 통신 에러:', error.message);
+      reject(createError('결제 서버와 통신할 수 없습니다.', RESPONSE_CODES.PAYMENT_ERROR, HTTP_STATUS.BAD_GATEWAY));
+    });
+
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+};
+
+/**
+ * PG 결제 객체 → 공통 결과 형식
+ */
+const normalizePayment = (data) => ({
+  payment_key: data.paymentKey,
+  order_id: data.orderId,
+  status: STATUS_MAP[data.status] || PAYMENT_STATUS.PENDING,
+  pg_status: data.status,
+  total_amount: data.totalAmount,
+  balance_amount: data.balanceAmount !== undefined ? data.balanceAmount : data.totalAmount,
+  approved_at: data.approvedAt || null,
+  checkout_url: data.checkout ? data.checkout.url : null,
+  raw: data
+});
+
+/**
+ * 토스페이먼츠 스타일 어댑터 생성
+ */
+const createTossPaymentsAdapter = ({
+  apiUrl = process.env.PG_API_URL || 'https://api.tosspayments.com',
+  secretKey = process.env.PG_SECRET_KEY || '',
+  successUrl = process.env.PG_SUCCESS_URL,
+  failUrl = process.env.PG_FAIL_URL
+} = {}) => {
+  const call = (method, path, body) => requestJson(apiUrl, secretKey, method, path, body);
+
+  return {
+    provider: 'toss',
+
+    /**
+     * 결제 준비 (결제창 생성)
+     */
+    async prepare({ orderId, amount, orderName, method, customerName }) {
+      const data = await call('POST', '/v1/payments', {
+        method: METHOD_MAP[method] || '카드',
+        amount,
+        orderId,
+        orderName,
+        customerName,
+        successUrl,
+        failUrl
+      });
+      return normalizePayment(data);
+    },
+
+    /**
+     * 결제 승인 (사용자 인증 완료 후 서버 승인)
+     */
+    async approve({ paymentKey, orderId, amount }) {
+      const data = await call('POST', '/v1/payments/confirm', { paymentKey, orderId, amount });
+      return normalizePayment(data);
+    },
+
+    /**
+     * 결제 취소 (cancelAmount 생략시 전액 취소)
+     */
+    async cancel({ paymentKey, amount = null, reason }) {
+      const body = { cancelReason: reason };
+      if (amount !== null) {
+        body.cancelAmount = amount;
+      }
+      const data = await call('POST', `/v1/payments/${encodeURIComponent(paymentKey)}/cancel`, body);
+      return normalizePayment(data);
+    },
+
+    /**
+     * 결제 조회 (paymentKey 우선, 없으면 orderId)
+     */
+    async query({ paymentKey = null, orderId = null }) {
+      const path = paymentKey
+        ? `/v1/payments/${encodeURIComponent(paymentKey)}`
+        : `/v1/payments/orders/${encodeURIComponent(orderId)}`;
+      const data = await call('GET', path);
+      return normalizePayment(data);
+    }
+  };
+};
+
+module.exports = { createTossPaymentsAdapter };
@@ -0,0 +1,397 @@
+const { pool } = require('../config/database');
+const { getPaymentGateway } = require('./paymentGateway');
+const { lockUserBalance, recordRingEntry } = require('./ringLedger');
+const { getPurchasablePackage } = require('./ringPackages');
+const {
+  calculateBenefitRings,
+  reserveUserCoupon,
+  attachUserCoupon,
+  markUserCouponUsed,
+  releasePaymentCoupon
+} = require('./couponService');
+const { assertSpendingAllowance } = require('./spendingLimits');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  COUPON_TYPES,
+  RING_LEDGER_TYPES,
+  RING_LOT_TYPES,
+  RING_LOT_POLICY,
+  SPENDING_LIMIT_TYPES
+} = require('../utils/constants');
+
+/**
+ * 결제 서비스
+ * /api/rings/purchase 와 /api/payments/create 가 공유하는 결제 흐름입니다.
+ * 결제는 pending으로 생성되고, PG 승인이 확인된 경우에만 completed로 바뀌며 링이 적립됩니다.
+ */
+
+/**
+ * 고유 결제 ID 생성 (PG 주문번호로도 사용)
+ */
+const generatePaymentId = () => `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * 결제 실패/취소 처리 (적용했던 쿠폰 반환 포함)
+ */
+const failPayment = async (db, paymentId, reason, status = PAYMENT_STATUS.FAILED) => {
+  await db.execute(
+    'UPDATE payments SET status = ?, failure_reason = ? WHERE id = ?',
+    [status, reason, paymentId]
+  );
+  await releasePaymentCoupon(db, paymentId);
+};
+
+/**
+ * 결제 생성 + PG 결제 준비
+ * 결제 금액과 적립 링은 링 상품 카탈로그(ring_packages) 기준으로 서버에서 계산합니다.
+ * 충전 보너스 쿠폰(userCouponId)은 기본 링 대비 %만큼 보너스 링을 더하고, 결제 완료시 사용 처리됩니다.
+ */
+const createPayment = async ({ user, paymentMethod, packageId, isSajuringPay = false, userCouponId = null }) => {
+  const gateway = getPaymentGateway();
+  const ringPackage = await getPurchasablePackage(packageId);
+  const paymentId = generatePaymentId();
+  const userName = user.username || user.nickname;
+  const paymentAmount = ringPackage.price;
+  let chargeAmount = ringPackage.total_rings;
+  let bonusAmount = ringPackage.bonus_rings;
+  let couponBonus = 0;
+
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    // 사용자 행을 잠가 동시 결제 생성이 충전 한도를 함께 통과하지 못하도록 직렬화
+    await lockUserBalance(connection, user.id);
+    await assertSpendingAllowance(connection, user.id, SPENDING_LIMIT_TYPES.PURCHASE, paymentAmount);
+
+    if (userCouponId) {
+      const coupon = await reserveUserCoupon(connection, {
+        userId: user.id,
+        userCouponId,
+        couponType: COUPON_TYPES.PURCHASE_BONUS
+      });
+      couponBonus = calculateBenefitRings(coupon, ringPackage.base_rings);
+      chargeAmount += couponBonus;
+      bonusAmount += couponBonus;
+    }
+
+    await connection.execute(
+      `INSERT INTO payments (
+        id, user_id, user_login_id, user_name, payment_method, is_sajuring_pay,
+        payment_amount, charge_amount, package_id, bonus_amount, user_coupon_id, status, pg_provider
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        paymentId,
+        user.id,
+        user.login_id,
+        userName,
+        paymentMethod,
+        isSajuringPay,
+        paymentAmount,
+        chargeAmount,
+        ringPackage.id,
+        bonusAmount,
+        userCouponId,
+        PAYMENT_STATUS.PENDING,
+        gateway.provider
+      ]
+    );
+
+    if (userCouponId) {
+      await attachUserCoupon(connection, userCouponId, { paymentId, benefitRings: couponBonus });
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  let prepared;
+  try {
+    prepared = await gateway.prepare({
+      orderId: paymentId,
+      amount: paymentAmount,
+      orderName: ringPackage.name,
+      method: paymentMethod,
+      customerName: userName
+    });
+  } catch (error) {
+    await failPayment(pool, paymentId, error.message);
+    throw error;
+  }
+
+  await pool.execute(
+    'UPDATE payments SET pg_payment_key = ?, pg_checkout_url = ? WHERE id = ?',
+    [prepared.payment_key, prepared.checkout_url, paymentId]
+  );
+
+  return {
+    id: paymentId,
+    user_id: user.id,
+    payment_method: paymentMethod,
+    payment_amount: paymentAmount,
+    charge_amount: chargeAmount,
+    package: {
+      id: ringPackage.id,
+      name: ringPackage.name,
+      base_rings: ringPackage.base_rings,
+      bonus_rings: ringPackage.bonus_rings
+    },
+    coupon_bonus_rings: couponBonus,
+    is_sajuring_pay: isSajuringPay,
+    status: PAYMENT_STATUS.PENDING,
+    pg_provider: gateway.provider,
+    payment_key: prepared.payment_key,
+    checkout_url: prepared.checkout_url
+  };
+};
+
+/**
+ * 결제 완료 처리 (PG 승인이 확인된 결제에 한해 호출)
+ * 호출자가 연 트랜잭션 안에서 상태 변경과 링 적립을 함께 처리합니다.
+ * 상품 보너스 링은 유효기간이 있는 bonus 로트로 따로 적립됩니다.
+ */
+const completePayment = async (connection, payment, { paymentKey = null, actorId = null } = {}) => {
+  await connection.execute(
+    `UPDATE payments
+     SET status = ?, pg_payment_key = COALESCE(?, pg_payment_key), approved_at = NOW(), failure_reason = NULL
+     WHERE id = ?`,
+    [PAYMENT_STATUS.COMPLETED, paymentKey, payment.id]
+  );
+
+  if (payment.user_coupon_id) {
+    await markUserCouponUsed(connection, payment.user_coupon_id);
+  }
+
+  const chargeAmount = parseInt(payment.charge_amount);
+  const bonusRings = Math.min(parseInt(payment.bonus_amount) || 0, chargeAmount);
+  const lots = [{ lotType: RING_LOT_TYPES.PAID, rings: chargeAmount - bonusRings }];
+
+  if (bonusRings > 0) {
+    lots.push({
+      lotType: RING_LOT_TYPES.BONUS,
+      rings: bonusRings,
+      expiresInDays: RING_LOT_POLICY.BONUS_EXPIRY_DAYS
+    });
+  }
+
+  return recordRingEntry(connection, {
+    userId: payment.user_id,
+    entryType: RING_LEDGER_TYPES.PURCHASE,
+    delta: chargeAmount,
+    paymentId: payment.id,
+    actorId,
+    lots,
+    description: `링 ${parseInt(payment.charge_amount)}개 충전 (${payment.payment_method})`
+  });
+};
+
+/**
+ * 결제 승인 (사용자 인증 완료 후 앱에서 호출)
+ * - 같은 결제에 대한 중복 승인은 잠금으로 직렬화되며, 이미 완료된 결제는 그대로 반환합니다.
+ * - PG 통신 실패(502)는 pending으로 남겨 재시도할 수 있습니다.
+ */
+const approvePayment = async ({ paymentId, userId = null, paymentKey = null, amount = null, actorId = null }) => {
+  const gateway = getPaymentGateway();
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    let query = 'SELECT * FROM payments WHERE id = ?';
+    const params = [paymentId];
+
+    if (userId) {
+      query += ' AND user_id = ?';
+      params.push(userId);
+    }
+
+    const [payments] = await connection.execute(`${query} FOR UPDATE`, params);
+
+    if (payments.length === 0) {
+      throw createError('결제 정보를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const payment = payments[0];
+
+    if (payment.status === PAYMENT_STATUS.COMPLETED) {
+      const [users] = await connection.execute('SELECT rings FROM users WHERE id = ?', [payment.user_id]);
+      await connection.commit();
+      return { payment, balance_after: users[0].rings, already_completed: true };
+    }
+
+    if (payment.status !== PAYMENT_STATUS.PENDING) {
+      throw createError('승인할 수 없는 결제 상태입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const paymentAmount = Number(payment.payment_amount);
+
+    if (amount !== null && Number(amount) !== paymentAmount) {
+      throw createError('결제 금액이 일치하지 않습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    let approved;
+    try {
+      approved = await gateway.approve({
+        paymentKey: paymentKey || payment.pg_payment_key,
+        orderId: payment.id,
+        amount: paymentAmount
+      });
+    } catch (error) {
+      // PG에서 명시적으로 거절한 경우만 실패 처리 (통신 오류는 재시도 가능하도록 유지)
+      if (error.statusCode === HTTP_STATUS.BAD_REQUEST) {
+        await failPayment(connection, payment.id, error.message);
+        await connection.commit();
+      }
+      throw error;
+    }
+
+    if (approved.status !== PAYMENT_STATUS.COMPLETED || Number(approved.total_amount) !== paymentAmount) {
+      await failPayment(connection, payment.id, `PG 승인 결과 불일치 (${approved.pg_status}, ${approved.total_amount})`);
+      await connection.commit();
+      throw createError('결제 승인 결과가 올바르지 않습니다.', RESPONSE_CODES.PAYMENT_ERROR, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const entry = await completePayment(connection, payment, {
+      paymentKey: approved.payment_key,
+      actorId
+    });
+
+    await connection.commit();
+
+    return {
+      payment: { ...payment, status: PAYMENT_STATUS.COMPLETED, pg_payment_key: approved.payment_key },
+      balance_after: entry.balance_after,
+      already_completed: false
+    };
+
+  } catch (error) {
+    // 실패 상태를 이미 커밋한 경우 rollback은 영향 없음
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * PG 조회 결과로 결제 상태 동기화 (웹훅 수신시 서버 측 확인용)
+ * 웹훅 본문은 신뢰하지 않고, PG 조회 결과와 저장된 payment_amount가 일치할 때만 링을 적립합니다.
+ *
+ * @returns {Promise<{outcome: string, payment: object}>}
+ *   outcome: completed | already_completed | failed | cancelled | amount_mismatch | conflict | unchanged
+ */
+const syncPaymentFromGateway = async ({ orderId, paymentKey = null, actorId = null }) => {
+  const gateway = getPaymentGateway();
+  const confirmed = await gateway.query({ paymentKey, orderId });
+
+  if (confirmed.order_id !== orderId) {
+    throw createError('PG 주문번호가 일치하지 않습니다.', RESPONSE_CODES.PAYMENT_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    const [payments] = await connection.execute(
+      'SELECT * FROM payments WHERE id = ? FOR UPDATE',
+      [orderId]
+    );
+
+    if (payments.length === 0) {
+      throw createError('결제 정보를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const payment = payments[0];
+    let outcome = 'unchanged';
+
+    if (Number(confirmed.total_amount) !== Number(payment.payment_amount)) {
+      outcome = 'amount_mismatch';
+      await connection.execute(
+        'UPDATE payments SET failure_reason = ? WHERE id = ?',
+        [`PG 금액 불일치 (PG: ${confirmed.total_amount}, 저장: ${payment.payment_amount})`, payment.id]
+      );
+    } else if (confirmed.status === PAYMENT_STATUS.COMPLETED) {
+      if (payment.status === PAYMENT_STATUS.COMPLETED) {
+        outcome = 'already_completed';
+      } else if ([PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED].includes(payment.status)) {
+        // 부분 취소(PARTIAL_CANCELED)는 환불 API에서 이미 반영됨
+        outcome = 'unchanged';
+      } else if (payment.status === PAYMENT_STATUS.PENDING) {
+        await completePayment(connection, payment, {
+          paymentKey: confirmed.payment_key,
+          actorId
+        });
+        outcome = 'completed';
+      } else {
+        // 로컬에서는 실패/취소로 기록됐지만 PG는 완료 → 관리자 확인 필요
+        outcome = 'conflict';
+      }
+    } else if (
+      [PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELLED].includes(confirmed.status) &&
+      payment.status === PAYMENT_STATUS.PENDING
+    ) {
+      await failPayment(connection, payment.id, `PG 상태: ${confirmed.pg_status}`, confirmed.status);
+      outcome = confirmed.status;
+    }
+
+    await connection.commit();
+    return { outcome, payment };
+
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * 대기 중인 결제를 로컬에서 취소/실패 처리하기 전 PG 상태 확인
+ * - PG에서 이미 승인(DONE)된 결제는 로컬에도 완료로 반영하고 409로 거절 (환불 API 이용)
+ * - 입금 대기(WAITING_FOR_DEPOSIT) 가상계좌는 PG에서 먼저 취소해 이후 입금이 승인되지 않도록 함
+ * - PG에 결제가 없으면(4xx) 로컬 취소 허용, 통신 오류는 상태를 알 수 없으므로 그대로 전달
+ *
+ * @param {object} payment - payments 행 (status = pending)
+ * @param {string} reason - PG 취소 사유
+ */
+const cancelPendingAtGateway = async (payment, reason) => {
+  const gateway = getPaymentGateway();
+  let confirmed;
+
+  try {
+    confirmed = await gateway.query({ paymentKey: payment.pg_payment_key, orderId: payment.id });
+  } catch (error) {
+    if (error.statusCode === HTTP_STATUS.BAD_REQUEST) {
+      return;
+    }
+    throw error;
+  }
+
+  if (confirmed.status === PAYMENT_STATUS.COMPLETED) {
+    await syncPaymentFromGateway({ orderId: payment.id, paymentKey: confirmed.payment_key });
+    throw createError(
+      'PG에서 이미 승인된 결제입니다. 환불 API(POST /api/payments/:id/refunds)로 처리해주세요.',
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  if (confirmed.pg_status === 'WAITING_FOR_DEPOSIT') {
+    await gateway.cancel({ paymentKey: confirmed.payment_key, reason });
+  }
+};
+
+module.exports = {
+  failPayment,
+  createPayment,
+  completePayment,
+  approvePayment,
+  syncPaymentFromGateway,
+  cancelPendingAtGateway
+};
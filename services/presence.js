@@ -0,0 +1,120 @@
+const { pool } = require('../config/database');
+const {
+  onPresenceChange,
+  isUserConnected,
+  getConnectedUserIds,
+  publishToUser,
+  publishConsultantStatus
+} = require('./realtime');
+const { CONSULTANT_STATUS, PRESENCE_POLICY, REALTIME_EVENTS } = require('../utils/constants');
+
+/**
+ * 실시간 접속 상태 (presence)
+ * - 대기중(waiting) 상담사의 실시간 연결이 모두 끊기고 유예 시간 안에 재연결하지 않으면 away로 전환합니다.
+ *   상담중(consulting)인 상담사는 상담 과금/종료 흐름에서 처리하므로 바꾸지 않습니다.
+ * - 접속 중인 사용자의 링 잔액이 바뀌면 balance.updated 이벤트로 알립니다.
+ *   잔액 변경 경로가 여러 트랜잭션에 흩어져 있어, 커밋된 값만 보내도록 주기적으로 비교합니다.
+ */
+
+// userId → away 전환 예약 타이머
+const awayTimers = new Map();
+
+// userId → 마지막 전송 잔액
+const lastBalances = new Map();
+
+/**
+ * 연결이 끊긴 상담사를 away로 전환 (유예 시간 뒤 재연결하지 않은 경우)
+ * @returns {Promise<number|null>} away로 바뀐 상담사 ID
+ */
+const markConsultantAway = async (userId) => {
+  if (isUserConnected(userId)) {
+    return null;
+  }
+
+  const [consultants] = await pool.execute(
+    'SELECT id FROM consultants WHERE user_id = ? AND status = ?',
+    [userId, CONSULTANT_STATUS.WAITING]
+  );
+
+  if (consultants.length === 0) {
+    return null;
+  }
+
+  const consultantId = consultants[0].id;
+
+  const [result] = await pool.execute(
+    'UPDATE consultants SET status = ?, updated_at = NOW() WHERE id = ? AND status = ?',
+    [CONSULTANT_STATUS.AWAY, consultantId, CONSULTANT_STATUS.WAITING]
+  );
+
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  publishConsultantStatus(consultantId, CONSULTANT_STATUS.AWAY);
+  console.log(`🔌 상담사 #${consultantId} 연결 종료로 away 전환`);
+
+  return consultantId;
+};
+
+/**
+ * 접속 상태 추적 시작 (server.js 시작시 호출)
+ */
+const trackConsultantPresence = () => {
+  onPresenceChange((userId, online) => {
+    clearTimeout(awayTimers.get(userId));
+    awayTimers.delete(userId);
+
+    if (online) {
+      return;
+    }
+
+    lastBalances.delete(userId);
+
+    const timer = setTimeout(() => {
+      awayTimers.delete(userId);
+      markConsultantAway(userId).catch(error => {
+        console.error(`상담사 away 전환 에러 (user #${userId}):`, error);
+      });
+    }, PRESENCE_POLICY.AWAY_GRACE_SECONDS * 1000);
+    timer.unref();
+
+    awayTimers.set(userId, timer);
+  });
+};
+
+/**
+ * 접속 중인 사용자 잔액 변경 전송 (주기 작업)
+ * 연결 후 첫 확인에서는 현재 잔액을 그대로 보냅니다.
+ * @returns {Promise<number>} 전송 건수
+ */
+const publishBalanceChanges = async () => {
+  const userIds = getConnectedUserIds();
+
+  if (userIds.length === 0) {
+    return 0;
+  }
+
+  const [users] = await pool.execute(
+    `SELECT id, rings FROM users WHERE id IN (${userIds.map(() => '?').join(', ')})`,
+    userIds
+  );
+
+  let published = 0;
+
+  for (const user of users) {
+    if (lastBalances.get(user.id) !== user.rings) {
+      lastBalances.set(user.id, user.rings);
+      publishToUser(user.id, REALTIME_EVENTS.BALANCE_UPDATED, { rings: user.rings });
+      published++;
+    }
+  }
+
+  return published;
+};
+
+module.exports = {
+  markConsultantAway,
+  trackConsultantPresence,
+  publishBalanceChanges
+};
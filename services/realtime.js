@@ -0,0 +1,325 @@
+const { WebSocketServer } = require('ws');
+const { findTokenUser } = require('../middleware/auth');
+const { USER_STATUS, REALTIME_EVENTS } = require('../utils/constants');
+
+/**
+ * 실시간 이벤트 허브
+ * 앱은 Server-Sent Events(GET /api/realtime/stream) 또는 WebSocket(/ws)으로 연결해
+ * 상담사 상태, 대기열 순번, 채팅 등의 이벤트를 받습니다.
+ * - 사용자 채널: 본인에게만 전달되는 이벤트 (대기 순번, 시작 제안, 채팅 메시지)
+ * - 토픽 채널: 구독한 상담사(consultant:{id})의 상태 변경
+ * - WebSocket 수신 메시지는 registerRealtimeHandler로 등록한 처리기로 전달됩니다.
+ * - 사용자의 첫 연결/마지막 연결 종료는 onPresenceChange 리스너로 알립니다 (끊긴 연결은 하트비트로 정리).
+ *
+ * 연결 정보는 프로세스 메모리에 있으므로 서버를 여러 대로 늘리면 별도 pub/sub이 필요합니다.
+ */
+
+const HEARTBEAT_MS = 25 * 1000;
+const WS_PATH = '/ws';
+
+// userId → Set<{ send, ping, topics }>
+const clients = new Map();
+
+// WebSocket 메시지 type → 처리기
+const handlers = new Map();
+
+// 접속 상태 변경 리스너 (userId, online)
+const presenceListeners = [];
+
+/**
+ * 연결 유지 (SSE: 주석 전송, WebSocket: ping/pong으로 끊긴 연결 정리)
+ */
+const heartbeat = setInterval(() => {
+  for (const connections of clients.values()) {
+    for (const connection of connections) {
+      connection.ping();
+    }
+  }
+}, HEARTBEAT_MS);
+heartbeat.unref();
+
+/**
+ * 상담사 상태 토픽 이름
+ */
+const consultantTopic = (consultantId) => `consultant:${consultantId}`;
+
+/**
+ * 접속 상태 변경 리스너 등록 (첫 연결시 online=true, 마지막 연결 종료시 online=false)
+ */
+const onPresenceChange = (listener) => {
+  presenceListeners.push(listener);
+};
+
+const notifyPresence = (userId, online) => {
+  for (const listener of presenceListeners) {
+    try {
+      listener(userId, online);
+    } catch (error) {
+      console.error('접속 상태 리스너 에러:', error);
+    }
+  }
+};
+
+/**
+ * 연결 등록 / 해제
+ */
+const addConnection = (userId, connection) => {
+  if (!clients.has(userId)) {
+    clients.set(userId, new Set());
+    notifyPresence(userId, true);
+  }
+  clients.get(userId).add(connection);
+};
+
+const removeConnection = (userId, connection) => {
+  const connections = clients.get(userId);
+
+  if (connections && connections.delete(connection) && connections.size === 0) {
+    clients.delete(userId);
+    notifyPresence(userId, false);
+  }
+};
+
+/**
+ * 사용자 접속 여부 / 접속 중인 사용자 목록
+ */
+const isUserConnected = (userId) => clients.has(userId);
+
+const getConnectedUserIds = () => [...clients.keys()];
+
+/**
+ * SSE 스트림 구독 (요청 종료시 자동 해제)
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} params
+ * @param {number} params.userId
+ * @param {string[]} [params.topics]
+ */
+const subscribe = (req, res, { userId, topics = [] }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const connection = {
+    topics: new Set(topics),
+    send: (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+    ping: () => res.write(': ping\n\n')
+  };
+
+  addConnection(userId, connection);
+  connection.send(REALTIME_EVENTS.READY, { topics });
+
+  req.on('close', () => removeConnection(userId, connection));
+};
+
+/**
+ * WebSocket 수신 메시지 처리기 등록
+ * 처리기는 (payload, { user, connection }) → 응답 데이터를 반환하고, 오류는 statusCode가 있는 에러로 throw합니다.
+ */
+const registerRealtimeHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+// 토픽 구독 (SSE의 consultant_ids 쿼리와 동일)
+registerRealtimeHandler('subscribe', async ({ consultant_ids: consultantIds = [] }, { connection }) => {
+  const ids = consultantIds.map(id => parseInt(id)).filter(id => id > 0).slice(0, 50);
+  ids.forEach(id => connection.topics.add(consultantTopic(id)));
+
+  return { topics: [...connection.topics] };
+});
+
+registerRealtimeHandler('unsubscribe', async ({ consultant_ids: consultantIds = [] }, { connection }) => {
+  consultantIds.forEach(id => connection.topics.delete(consultantTopic(parseInt(id))));
+
+  return { topics: [...connection.topics] };
+});
+
+/**
+ * WebSocket 연결 인증 (Authorization 헤더 또는 ?token=)
+ */
+const authenticateUpgrade = async (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  const authHeader = req.headers.authorization;
+  const token = (authHeader && authHeader.split(' ')[1]) || url.searchParams.get('token');
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const user = await findTokenUser(token);
+    return user && user.status === USER_STATUS.ACTIVE ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * WebSocket 메시지 처리 ({ type, request_id, ...payload } → ack/error 응답)
+ */
+const handleSocketMessage = async (raw, context) => {
+  let message;
+
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    context.connection.send(REALTIME_EVENTS.ERROR, { message: '메시지 형식이 올바르지 않습니다.' });
+    return;
+  }
+
+  const { type, request_id: requestId = null, ...payload } = message || {};
+  const handler = handlers.get(type);
+
+  if (!handler) {
+    context.connection.send(REALTIME_EVENTS.ERROR, { request_id: requestId, message: '지원하지 않는 메시지입니다.' });
+    return;
+  }
+
+  try {
+    const data = await handler(payload, context);
+    context.connection.send(REALTIME_EVENTS.ACK, { request_id: requestId, type, data: data || null });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error(`실시간 메시지 처리 에러 (${type}):`, error);
+    }
+
+    context.connection.send(REALTIME_EVENTS.ERROR, {
+      request_id: requestId,
+      type,
+      code: error.code || null,
+      message: error.statusCode ? error.message : '요청 처리 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+/**
+ * HTTP 서버에 WebSocket 엔드포인트(/ws) 연결 (server.js 시작시 호출)
+ * 메시지 형식: 서버 → 앱 { type: 이벤트, data }, 앱 → 서버 { type, request_id, ...payload }
+ */
+const attachWebSocketServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const user = await authenticateUpgrade(req);
+
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      let isAlive = true;
+
+      const connection = {
+        topics: new Set(),
+        send: (event, data) => {
+          if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify({ type: event, data }));
+          }
+        },
+        ping: () => {
+          if (!isAlive) {
+            ws.terminate();
+            return;
+          }
+          isAlive = false;
+          ws.ping();
+        }
+      };
+
+      addConnection(user.id, connection);
+      connection.send(REALTIME_EVENTS.READY, { topics: [] });
+
+      ws.on('pong', () => {
+        isAlive = true;
+      });
+      ws.on('message', (raw) => handleSocketMessage(raw.toString(), { user, connection }));
+      ws.on('close', () => removeConnection(user.id, connection));
+      ws.on('error', () => ws.terminate());
+    });
+  });
+
+  return wss;
+};
+
+/**
+ * 사용자에게 이벤트 전송 (연결된 모든 기기)
+ */
+const publishToUser = (userId, event, data) => {
+  const connections = clients.get(userId);
+
+  if (!connections) {
+    return;
+  }
+
+  for (const connection of connections) {
+    connection.send(event, data);
+  }
+};
+
+/**
+ * 토픽 구독자에게 이벤트 전송
+ */
+const publishToTopic = (topic, event, data) => {
+  for (const connections of clients.values()) {
+    for (const connection of connections) {
+      if (connection.topics.has(topic)) {
+        connection.send(event, data);
+      }
+    }
+  }
+};
+
+/**
+ * 상태 구독 중인 상담사 ID 목록
+ */
+const getSubscribedConsultantIds = () => {
+  const ids = new Set();
+
+  for (const connections of clients.values()) {
+    for (const { topics } of connections) {
+      for (const topic of topics) {
+        if (topic.startsWith('consultant:')) {
+          ids.add(parseInt(topic.split(':')[1]));
+        }
+      }
+    }
+  }
+
+  return [...ids];
+};
+
+/**
+ * 상담사 상태 변경 전송
+ */
+const publishConsultantStatus = (consultantId, status) => {
+  publishToTopic(consultantTopic(consultantId), REALTIME_EVENTS.CONSULTANT_STATUS, {
+    consultant_id: parseInt(consultantId),
+    status
+  });
+};
+
+module.exports = {
+  consultantTopic,
+  subscribe,
+  attachWebSocketServer,
+  registerRealtimeHandler,
+  onPresenceChange,
+  isUserConnected,
+  getConnectedUserIds,
+  publishToUser,
+  publishToTopic,
+  publishConsultantStatus,
+  getSubscribedConsultantIds
+};
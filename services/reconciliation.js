@@ -0,0 +1,448 @@
+const { pool } = require('../config/database');
+const { recordRingEntry } = require('./ringLedger');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  COUPON_TYPES,
+  USER_COUPON_STATUS,
+  RING_LEDGER_TYPES,
+  CONSULTATION_SETTLEMENT,
+  RING_ADJUSTMENT_STATUS,
+  DISCREPANCY_STATUS,
+  DISPUTE_STATUS
+} = require('../utils/constants');
+
+/**
+ * 링 정산 대사 서비스
+ *
+ * 사용자별로 세 가지 잔액을 비교합니다.
+ * - actual: users.rings
+ * - ledger: SUM(ring_ledger.delta)
+ * - expected: 원천 데이터(결제, 환불, 상담, 전송, 쿠폰, 예약, 분쟁)로 재계산한 잔액
+ *   (관리자 조정/만료/과거 결제 취소처럼 원장 외 원천이 없는 항목은 원장 값을 사용하되,
+ *    불일치 정정용으로 승인된 조정은 기대 잔액에서 제외하여 정정 후 불일치가 해소되도록 함)
+ * 추가로 사용 가능한 로트 잔여 합계가 MAX(actual, 0)과 같은지 확인합니다.
+ *
+ * 불일치는 직접 덮어쓰지 않고 링 조정 요청 → 다른 관리자 승인 → 원장 기록으로 정정합니다.
+ */
+
+// 원장이 곧 원천인 거래 유형
+const LEDGER_NATIVE_TYPES = [
+  RING_LEDGER_TYPES.ADMIN_ADJUSTMENT,
+  RING_LEDGER_TYPES.EXPIRY,
+  RING_LEDGER_TYPES.PAYMENT_CANCEL
+];
+
+// 링이 적립된 결제 상태
+const CREDITED_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * 원천별 사용자 합계 쿼리 (sign: 잔액 반영 부호)
+ * userColumn은 사용자 필터(단일 사용자 조회)에 사용됩니다.
+ */
+const SOURCES = [
+  {
+    key: 'purchases',
+    sign: 1,
+    userColumn: 'user_id',
+    sql: `SELECT user_id, SUM(charge_amount) as total FROM payments
+          WHERE status IN (${placeholders(CREDITED_PAYMENT_STATUSES)}) {{USER}} GROUP BY user_id`,
+    params: CREDITED_PAYMENT_STATUSES
+  },
+  {
+    key: 'refund_clawbacks',
+    sign: -1,
+    userColumn: 'user_id',
+    sql: `SELECT user_id, SUM(refund_rings) as total FROM payment_refunds
+          WHERE status = ? {{USER}} GROUP BY user_id`,
+    params: [REFUND_STATUS.COMPLETED]
+  },
+  {
+    key: 'consultation_charges',
+    sign: -1,
+    userColumn: 'customer_id',
+    sql: `SELECT customer_id as user_id, SUM(COALESCE(amount, 0) - COALESCE(discount_amount, 0)) as total FROM consultations
+          WHERE status IN ('상담중', '완료') {{USER}} GROUP BY customer_id`,
+    params: []
+  },
+  {
+    key: 'consultation_earnings',
+    sign: 1,
+    userColumn: 'cs.user_id',
+    sql: `SELECT cs.user_id, SUM(FLOOR(c.amount * COALESCE(c.commission_rate, ?))) as total FROM consultations c
+          JOIN consultants cs ON c.consultant_id = cs.id
+          WHERE c.status = '완료' AND cs.user_id IS NOT NULL {{USER}} GROUP BY cs.user_id`,
+    params: [CONSULTATION_SETTLEMENT.CONSULTANT_SHARE_RATE]
+  },
+  {
+    key: 'transfers_out',
+    sign: -1,
+    userColumn: 'from_user_id',
+    sql: 'SELECT from_user_id as user_id, SUM(rings) as total FROM ring_transfers WHERE 1 = 1 {{USER}} GROUP BY from_user_id',
+    params: []
+  },
+  {
+    key: 'transfers_in',
+    sign: 1,
+    userColumn: 'to_user_id',
+    sql: 'SELECT to_user_id as user_id, SUM(rings) as total FROM ring_transfers WHERE 1 = 1 {{USER}} GROUP BY to_user_id',
+    params: []
+  },
+  {
+    key: 'coupon_grants',
+    sign: 1,
+    userColumn: 'uc.user_id',
+    sql: `SELECT uc.user_id, SUM(uc.benefit_rings) as total FROM user_coupons uc
+          JOIN coupons c ON uc.coupon_id = c.id
+          WHERE c.coupon_type = ? AND uc.status = ? {{USER}} GROUP BY uc.user_id`,
+    params: [COUPON_TYPES.RING_GRANT, USER_COUPON_STATUS.USED]
+  },
+  {
+    key: 'reservation_holds',
+    sign: -1,
+    userColumn: 'customer_id',
+    sql: 'SELECT customer_id as user_id, SUM(hold_rings) as total FROM reservations WHERE 1 = 1 {{USER}} GROUP BY customer_id',
+    params: []
+  },
+  {
+    key: 'reservation_releases',
+    sign: 1,
+    userColumn: 'customer_id',
+    sql: 'SELECT customer_id as user_id, SUM(refund_rings) as total FROM reservations WHERE 1 = 1 {{USER}} GROUP BY customer_id',
+    params: []
+  },
+  {
+    key: 'reservation_compensations',
+    sign: 1,
+    userColumn: 'cs.user_id',
+    sql: `SELECT cs.user_id, SUM(r.compensation_rings) as total FROM reservations r
+          JOIN consultants cs ON r.consultant_id = cs.id
+          WHERE cs.user_id IS NOT NULL {{USER}} GROUP BY cs.user_id`,
+    params: []
+  },
+  {
+    key: 'dispute_refunds',
+    sign: 1,
+    userColumn: 'customer_id',
+    sql: `SELECT customer_id as user_id, SUM(refund_rings) as total FROM consultation_disputes
+          WHERE status = ? {{USER}} GROUP BY customer_id`,
+    params: [DISPUTE_STATUS.RESOLVED]
+  },
+  {
+    key: 'dispute_clawbacks',
+    sign: -1,
+    userColumn: 'cs.user_id',
+    sql: `SELECT cs.user_id, SUM(d.consultant_deduction) as total FROM consultation_disputes d
+          JOIN consultants cs ON d.consultant_id = cs.id
+          WHERE d.status = ? AND cs.user_id IS NOT NULL {{USER}} GROUP BY cs.user_id`,
+    params: [DISPUTE_STATUS.RESOLVED]
+  },
+  {
+    key: 'ledger_native',
+    sign: 1,
+    userColumn: 'user_id',
+    sql: `SELECT user_id, SUM(delta) as total FROM ring_ledger
+          WHERE entry_type IN (${placeholders(LEDGER_NATIVE_TYPES)})
+          AND id NOT IN (
+            SELECT ledger_entry_id FROM ring_adjustments
+            WHERE discrepancy_id IS NOT NULL AND ledger_entry_id IS NOT NULL
+          ) {{USER}} GROUP BY user_id`,
+    params: LEDGER_NATIVE_TYPES
+  }
+];
+
+/**
+ * 사용자별 합계 맵 조회 (userId 지정시 해당 사용자만)
+ */
+const loadTotals = async (db, sql, params, userColumn, userId) => {
+  const [rows] = await db.execute(
+    sql.replace('{{USER}}', userId ? `AND ${userColumn} = ?` : ''),
+    userId ? [...params, userId] : params
+  );
+  return new Map(rows.map(row => [row.user_id, parseInt(row.total) || 0]));
+};
+
+/**
+ * 사용자별 잔액 재계산
+ *
+ * @param {object} db - pool 또는 커넥션
+ * @param {number} [userId] - 지정시 해당 사용자만 계산
+ * @returns {Promise<Array<object>>} 사용자별 계산 결과
+ */
+const computeBalances = async (db, userId = null) => {
+  const [users] = await db.execute(
+    `SELECT id, login_id, username, rings FROM users WHERE id > 0 ${userId ? 'AND id = ?' : ''}`,
+    userId ? [userId] : []
+  );
+
+  const sourceTotals = {};
+  for (const source of SOURCES) {
+    sourceTotals[source.key] = await loadTotals(db, source.sql, source.params, source.userColumn, userId);
+  }
+
+  const ledgerTotals = await loadTotals(
+    db,
+    'SELECT user_id, SUM(delta) as total FROM ring_ledger WHERE 1 = 1 {{USER}} GROUP BY user_id',
+    [],
+    'user_id',
+    userId
+  );
+
+  const lotTotals = await loadTotals(
+    db,
+    `SELECT user_id, SUM(remaining_rings) as total FROM ring_lots
+     WHERE expired_at IS NULL {{USER}} GROUP BY user_id`,
+    [],
+    'user_id',
+    userId
+  );
+
+  return users.map((user) => {
+    const breakdown = {};
+    let expected = 0;
+
+    for (const source of SOURCES) {
+      const total = sourceTotals[source.key].get(user.id) || 0;
+      breakdown[source.key] = total * source.sign;
+      expected += total * source.sign;
+    }
+
+    const actual = parseInt(user.rings) || 0;
+    const ledger = ledgerTotals.get(user.id) || 0;
+    const lots = lotTotals.get(user.id) || 0;
+
+    return {
+      user_id: user.id,
+      login_id: user.login_id,
+      username: user.username,
+      actual_balance: actual,
+      ledger_balance: ledger,
+      expected_balance: expected,
+      lot_balance: lots,
+      difference: actual - expected,
+      breakdown,
+      is_consistent: actual === expected && actual === ledger && lots === Math.max(actual, 0)
+    };
+  });
+};
+
+/**
+ * 전체 사용자 대사 실행 + 결과 저장
+ *
+ * @param {object} params
+ * @param {string} params.triggerType - manual, scheduled, script
+ * @param {number} [params.triggeredBy] - 실행한 관리자
+ * @returns {Promise<object>} 실행 요약
+ */
+const runReconciliation = async ({ triggerType, triggeredBy = null }) => {
+  const [run] = await pool.execute(
+    'INSERT INTO reconciliation_runs (trigger_type, triggered_by) VALUES (?, ?)',
+    [triggerType, triggeredBy]
+  );
+  const runId = run.insertId;
+
+  try {
+    // 진행 중인 거래로 인한 일시적 불일치를 피하기 위해 단일 스냅샷에서 계산
+    const connection = await pool.getConnection();
+    let results;
+    try {
+      await connection.query('START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY');
+      results = await computeBalances(connection);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const discrepancies = results.filter(result => !result.is_consistent);
+
+    for (const discrepancy of discrepancies) {
+      await pool.execute(
+        `INSERT INTO reconciliation_discrepancies (
+          run_id, user_id, actual_balance, ledger_balance, expected_balance,
+          lot_balance, difference, breakdown, status
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          runId,
+          discrepancy.user_id,
+          discrepancy.actual_balance,
+          discrepancy.ledger_balance,
+          discrepancy.expected_balance,
+          discrepancy.lot_balance,
+          discrepancy.difference,
+          JSON.stringify(discrepancy.breakdown),
+          DISCREPANCY_STATUS.OPEN
+        ]
+      );
+    }
+
+    const totalDifference = discrepancies.reduce((sum, discrepancy) => sum + discrepancy.difference, 0);
+
+    await pool.execute(
+      `UPDATE reconciliation_runs
+       SET status = 'completed', total_users = ?, discrepancy_count = ?, total_difference = ?, finished_at = NOW()
+       WHERE id = ?`,
+      [results.length, discrepancies.length, totalDifference, runId]
+    );
+
+    return {
+      run_id: runId,
+      total_users: results.length,
+      discrepancy_count: discrepancies.length,
+      total_difference: totalDifference
+    };
+
+  } catch (error) {
+    await pool.execute(
+      `UPDATE reconciliation_runs SET status = 'failed', error_message = ?, finished_at = NOW() WHERE id = ?`,
+      [error.message.substring(0, 255), runId]
+    ).catch(updateError => console.error('대사 실행 상태 기록 에러:', updateError));
+    throw error;
+  }
+};
+
+/**
+ * 링 조정 요청 (대사 불일치 연결 가능)
+ */
+const requestRingAdjustment = async ({ userId, delta, reason, requestedBy, discrepancyId = null }) => {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    const [users] = await connection.execute('SELECT id FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      throw createError('사용자를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (discrepancyId) {
+      const [discrepancies] = await connection.execute(
+        'SELECT id, user_id, status FROM reconciliation_discrepancies WHERE id = ? FOR UPDATE',
+        [discrepancyId]
+      );
+
+      if (discrepancies.length === 0 || discrepancies[0].user_id !== parseInt(userId)) {
+        throw createError('해당 사용자의 불일치 내역을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (discrepancies[0].status !== DISCREPANCY_STATUS.OPEN) {
+        throw createError('이미 처리 중이거나 처리된 불일치입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      await connection.execute(
+        'UPDATE reconciliation_discrepancies SET status = ? WHERE id = ?',
+        [DISCREPANCY_STATUS.ADJUSTMENT_REQUESTED, discrepancyId]
+      );
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO ring_adjustments (user_id, discrepancy_id, delta, reason, status, requested_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, discrepancyId, delta, reason, RING_ADJUSTMENT_STATUS.PENDING, requestedBy]
+    );
+
+    await connection.commit();
+    return { id: result.insertId, status: RING_ADJUSTMENT_STATUS.PENDING };
+
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * 링 조정 승인/반려 (요청자 본인은 처리 불가)
+ * 승인시 원장에 admin_adjustment로 기록되며, 차감 조정은 음수 잔액을 허용합니다.
+ */
+const reviewRingAdjustment = async ({ adjustmentId, reviewerId, approve, note = null }) => {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    const [adjustments] = await connection.execute(
+      'SELECT * FROM ring_adjustments WHERE id = ? FOR UPDATE',
+      [adjustmentId]
+    );
+
+    if (adjustments.length === 0) {
+      throw createError('링 조정 요청을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const adjustment = adjustments[0];
+
+    if (adjustment.status !== RING_ADJUSTMENT_STATUS.PENDING) {
+      throw createError('이미 처리된 링 조정 요청입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (adjustment.requested_by === reviewerId) {
+      throw createError(
+        '본인이 요청한 링 조정은 승인할 수 없습니다.',
+        RESPONSE_CODES.AUTHORIZATION_ERROR,
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    let entry = null;
+    if (approve) {
+      entry = await recordRingEntry(connection, {
+        userId: adjustment.user_id,
+        entryType: RING_LEDGER_TYPES.ADMIN_ADJUSTMENT,
+        delta: adjustment.delta,
+        actorId: reviewerId,
+        description: `관리자 조정 #${adjustment.id}: ${adjustment.reason}`.substring(0, 255),
+        allowNegative: true
+      });
+    }
+
+    const status = approve ? RING_ADJUSTMENT_STATUS.APPROVED : RING_ADJUSTMENT_STATUS.REJECTED;
+
+    await connection.execute(
+      `UPDATE ring_adjustments
+       SET status = ?, reviewed_by = ?, review_note = ?, ledger_entry_id = ?, reviewed_at = NOW()
+       WHERE id = ?`,
+      [status, reviewerId, note, entry ? entry.id : null, adjustment.id]
+    );
+
+    if (adjustment.discrepancy_id) {
+      await connection.execute(
+        'UPDATE reconciliation_discrepancies SET status = ? WHERE id = ?',
+        [approve ? DISCREPANCY_STATUS.RESOLVED : DISCREPANCY_STATUS.OPEN, adjustment.discrepancy_id]
+      );
+    }
+
+    await connection.commit();
+
+    return {
+      id: adjustment.id,
+      user_id: adjustment.user_id,
+      delta: adjustment.delta,
+      status,
+      balance_after: entry ? entry.balance_after : null
+    };
+
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  computeBalances,
+  runReconciliation,
+  requestRingAdjustment,
+  reviewRingAdjustment
+};
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { saveFile, deleteFile, getFileSize } = require('./storage');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  USER_ROLES,
+  CONSULTATION_STATUS,
+  CONSULTATION_ACTOR_TYPES,
+  DISPUTE_STATUS,
+  RECORDING_POLICY,
+  RECORDING_SOURCES
+} = require('../utils/constants');
+
+/**
+ * 통화 녹음 ('전화', '화상' 상담)
+ * - 상담 당사자 앱 또는 통화 시스템(서명 요청)이 상담중/완료 상담에 녹음 파일을 올립니다.
+ *   고객과 상담사 모두 녹음에 동의한 통화만 저장합니다.
+ * - 동의는 당사자별로 consultation_recording_consents에 기록합니다. 앱에서는 각 당사자가 본인 동의만
+ *   설정할 수 있고, 통화 시스템은 서명된 요청으로 양측 동의(통화 중 안내/응답)를 기록합니다.
+ *   업로드 요청의 동의 값이 아니라 기록된 동의로 저장 여부를 판단합니다.
+ * - 파일은 비공개 저장소(storage.js)에 저장하고, 재생은 고객/담당 상담사/관리자에게 발급한
+ *   짧은 유효 시간의 서명 URL로만 가능합니다.
+ * - 보관 기간(RETENTION_DAYS)이 지나면 매일 삭제하며, 진행 중인 분쟁이 있는 상담은 결정될 때까지 보관합니다.
+ */
+
+const RECORDABLE_METHODS = ['전화', '화상'];
+
+const RECORDING_COLUMNS = `r.id, r.consultation_id, r.source, r.uploaded_by, r.original_name, r.mime_type, r.size,
+  r.duration_seconds, r.customer_consent, r.consultant_consent, r.retention_until, r.deleted_at, r.delete_reason,
+  r.created_at`;
+
+/**
+ * 재생 URL 서명 키 (미설정시 JWT 키 사용)
+ */
+const getPlaybackSecret = () => process.env.RECORDING_URL_SECRET || process.env.JWT_SECRET;
+
+/**
+ * 재생 URL 서명 (녹음 ID, 발급 대상 사용자, 만료 시각)
+ */
+const signPlayback = (recordingId, userId, expires) => crypto
+  .createHmac('sha256', getPlaybackSecret())
+  .update(`${recordingId}.${userId}.${expires}`)
+  .digest('hex');
+
+/**
+ * 녹음 당사자 확인 (고객/담당 상담사, 관리자는 조회만 허용)
+ * @returns {Promise<{consultation: object, party: string|null}>}
+ */
+const requireRecordingParty = async (db, consultationId, user) => {
+  const [consultations] = await db.execute(
+    `SELECT c.id, c.customer_id, c.consultant_id, c.status, c.consultation_method, cs.user_id as consultant_user_id
+     FROM consultations c
+     LEFT JOIN consultants cs ON c.consultant_id = cs.id
+     WHERE c.id = ?`,
+    [consultationId]
+  );
+
+  const consultation = consultations[0];
+  let party = null;
+
+  if (consultation && user && consultation.customer_id === user.id) {
+    party = CONSULTATION_ACTOR_TYPES.CUSTOMER;
+  } else if (consultation && user && consultation.consultant_user_id === user.id) {
+    party = CONSULTATION_ACTOR_TYPES.CONSULTANT;
+  }
+
+  // 통화 시스템(user 없음)은 서명으로 확인된 요청
+  if (!consultation || (user && !party && user.role !== USER_ROLES.ADMIN)) {
+    throw createError('상담 정보를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return { consultation, party };
+};
+
+/**
+ * 녹음 응답 형식 (삭제되지 않은 녹음은 요청자용 재생 URL 포함)
+ */
+const formatRecording = (recording, userId) => {
+  const formatted = {
+    ...recording,
+    customer_consent: !!recording.customer_consent,
+    consultant_consent: !!recording.consultant_consent,
+    playback_url: null,
+    playback_expires_at: null
+  };
+
+  if (!recording.deleted_at) {
+    const expires = Math.floor(Date.now() / 1000) + RECORDING_POLICY.PLAYBACK_URL_TTL_SECONDS;
+    const signature = signPlayback(recording.id, userId, expires);
+
+    formatted.playback_url = `/api/consultations/recordings/${recording.id}/play?uid=${userId}&expires=${expires}&signature=${signature}`;
+    formatted.playback_expires_at = new Date(expires * 1000);
+  }
+
+  return formatted;
+};
+
+/**
+ * 당사자별 녹음 동의 기록 (같은 당사자의 이전 동의를 덮어씀)
+ */
+const upsertConsent = (db, consultationId, { party, consented, source, userId = null }) => db.execute(
+  `INSERT INTO consultation_recording_consents (consultation_id, party, consented, source, user_id)
+   VALUES (?, ?, ?, ?, ?)
+   ON DUPLICATE KEY UPDATE consented = VALUES(consented), source = VALUES(source),
+     user_id = VALUES(user_id), updated_at = NOW()`,
+  [consultationId, party, consented ? 1 : 0, source, userId]
+);
+
+/**
+ * 기록된 당사자별 녹음 동의
+ * @returns {Promise<{customer_consent: boolean, consultant_consent: boolean}>}
+ */
+const getConsents = async (db, consultationId) => {
+  const [consents] = await db.execute(
+    'SELECT party, consented FROM consultation_recording_consents WHERE consultation_id = ?',
+    [consultationId]
+  );
+
+  const consentOf = party => consents.some(consent => consent.party === party && consent.consented);
+
+  return {
+    customer_consent: consentOf(CONSULTATION_ACTOR_TYPES.CUSTOMER),
+    consultant_consent: consentOf(CONSULTATION_ACTOR_TYPES.CONSULTANT)
+  };
+};
+
+/**
+ * 녹음 동의 설정 (상담 당사자 본인 동의만)
+ *
+ * @param {object} params
+ * @param {number} params.consultationId
+ * @param {object} params.user - req.user
+ * @param {boolean} params.consented
+ * @returns {Promise<{customer_consent: boolean, consultant_consent: boolean}>}
+ */
+const setRecordingConsent = async ({ consultationId, user, consented }) => {
+  const { consultation, party } = await requireRecordingParty(pool, consultationId, user);
+
+  if (!party) {
+    throw createError('상담 당사자만 녹음 동의를 설정할 수 있습니다.', RESPONSE_CODES.AUTHORIZATION_ERROR, HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (!RECORDABLE_METHODS.includes(consultation.consultation_method)) {
+    throw createError('전화/화상 상담만 녹음 동의를 설정할 수 있습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await upsertConsent(pool, consultation.id, {
+    party,
+    consented,
+    source: RECORDING_SOURCES.APP,
+    userId: user.id
+  });
+
+  return getConsents(pool, consultation.id);
+};
+
+/**
+ * 녹음 저장
+ *
+ * @param {object} params
+ * @param {number} params.consultationId
+ * @param {object|null} params.user - req.user (통화 시스템 업로드는 null)
+ * @param {string} params.source - RECORDING_SOURCES 값
+ * @param {object} params.file - multer 메모리 파일
+ * @param {number|null} [params.durationSeconds]
+ * @param {object} [params.attestedConsents] - 통화 시스템이 서명으로 전달한 양측 동의 { customer, consultant }
+ */
+const saveRecording = async ({ consultationId, user, source, file, durationSeconds = null, attestedConsents = null }) => {
+  const { consultation, party } = await requireRecordingParty(pool, consultationId, user);
+
+  if (user && !party) {
+    throw createError('상담 당사자만 녹음을 올릴 수 있습니다.', RESPONSE_CODES.AUTHORIZATION_ERROR, HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (!RECORDABLE_METHODS.includes(consultation.consultation_method)) {
+    throw createError('전화/화상 상담만 녹음을 저장할 수 있습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (![CONSULTATION_STATUS.IN_PROGRESS, CONSULTATION_STATUS.COMPLETED].includes(consultation.status)) {
+    throw createError('진행 중이거나 완료된 상담만 녹음을 저장할 수 있습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  // 앱 업로드는 업로더의 동의 값을 받지 않고, 각 당사자가 기록한 동의만 확인
+  if (!user && attestedConsents) {
+    await upsertConsent(pool, consultation.id, {
+      party: CONSULTATION_ACTOR_TYPES.CUSTOMER,
+      consented: attestedConsents.customer,
+      source
+    });
+    await upsertConsent(pool, consultation.id, {
+      party: CONSULTATION_ACTOR_TYPES.CONSULTANT,
+      consented: attestedConsents.consultant,
+      source
+    });
+  }
+
+  const consents = await getConsents(pool, consultation.id);
+
+  if (!consents.customer_consent || !consents.consultant_consent) {
+    throw createError('고객과 상담사 모두 녹음에 동의한 통화만 저장할 수 있습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const stored = await saveFile({
+    folder: `recordings/${consultation.id}`,
+    originalName: file.originalname,
+    buffer: file.buffer
+  });
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO consultation_recordings (
+        consultation_id, source, uploaded_by, file_key, original_name, mime_type, size, duration_seconds,
+        customer_consent, consultant_consent, retention_until
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW() + INTERVAL ${RECORDING_POLICY.RETENTION_DAYS} DAY)`,
+      [
+        consultation.id,
+        source,
+        user ? user.id : null,
+        stored.key,
+        (file.originalname || '').slice(0, 255),
+        file.mimetype,
+        stored.size,
+        durationSeconds,
+        consents.customer_consent ? 1 : 0,
+        consents.consultant_consent ? 1 : 0
+      ]
+    );
+
+    const [recordings] = await pool.execute(
+      `SELECT ${RECORDING_COLUMNS} FROM consultation_recordings r WHERE r.id = ?`,
+      [result.insertId]
+    );
+
+    return user ? formatRecording(recordings[0], user.id) : { ...recordings[0], playback_url: null };
+  } catch (error) {
+    await deleteFile(stored.key).catch(() => null);
+    throw error;
+  }
+};
+
+/**
+ * 상담 녹음 목록 (당사자/관리자, 요청자용 재생 URL 포함)
+ */
+const listRecordings = async (consultationId, user) => {
+  await requireRecordingParty(pool, consultationId, user);
+
+  const [recordings] = await pool.execute(
+    `SELECT ${RECORDING_COLUMNS} FROM consultation_recordings r
+     WHERE r.consultation_id = ?
+     ORDER BY r.id ASC`,
+    [consultationId]
+  );
+
+  return recordings.map(recording => formatRecording(recording, user.id));
+};
+
+/**
+ * 재생 URL 검증 후 파일 정보
+ * 서명은 발급 대상 사용자와 만료 시각을 포함하며, 만료 전이라도 녹음이 삭제되었으면 재생할 수 없습니다.
+ * @returns {Promise<{key: string, mimeType: string, size: number}>}
+ */
+const getPlaybackFile = async (recordingId, { uid, expires, signature }) => {
+  const expiresAt = parseInt(expires);
+  const expected = signPlayback(recordingId, parseInt(uid), expiresAt);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const signatureBuffer = Buffer.from(String(signature || ''), 'hex');
+
+  if (
+    !expiresAt
+    || expiresAt < Math.floor(Date.now() / 1000)
+    || expectedBuffer.length !== signatureBuffer.length
+    || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+  ) {
+    throw createError('재생 링크가 만료되었거나 유효하지 않습니다.', RESPONSE_CODES.AUTHORIZATION_ERROR, HTTP_STATUS.FORBIDDEN);
+  }
+
+  const [recordings] = await pool.execute(
+    'SELECT file_key, mime_type FROM consultation_recordings WHERE id = ? AND deleted_at IS NULL',
+    [recordingId]
+  );
+
+  if (recordings.length === 0) {
+    throw createError('녹음을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return {
+    key: recordings[0].file_key,
+    mimeType: recordings[0].mime_type,
+    size: await getFileSize(recordings[0].file_key)
+  };
+};
+
+/**
+ * 보관 기간이 지난 녹음 삭제 (파일 삭제 후 기록은 남김)
+ * 진행 중인(접수/답변) 분쟁이 있는 상담의 녹음은 결정될 때까지 보관합니다.
+ * @returns {Promise<{deleted: number, held: number, failed: number}>}
+ */
+const purgeExpiredRecordings = async () => {
+  const onHold = `EXISTS (
+       SELECT 1 FROM consultation_disputes d
+       WHERE d.consultation_id = r.consultation_id AND d.status IN (?, ?)
+     )`;
+
+  // 분쟁 보관 녹음은 조회에서 제외해 LIMIT을 채우지 않도록 함
+  const [expired] = await pool.execute(
+    `SELECT r.id, r.file_key
+     FROM consultation_recordings r
+     WHERE r.deleted_at IS NULL AND r.retention_until <= NOW()
+       AND NOT ${onHold}
+     ORDER BY r.retention_until ASC
+     LIMIT 1000`,
+    [DISPUTE_STATUS.OPEN, DISPUTE_STATUS.RESPONDED]
+  );
+
+  const [[{ held }]] = await pool.execute(
+    `SELECT COUNT(*) as held
+     FROM consultation_recordings r
+     WHERE r.deleted_at IS NULL AND r.retention_until <= NOW()
+       AND ${onHold}`,
+    [DISPUTE_STATUS.OPEN, DISPUTE_STATUS.RESPONDED]
+  );
+
+  const result = { deleted: 0, held, failed: 0 };
+
+  for (const recording of expired) {
+    try {
+      await deleteFile(recording.file_key);
+      await pool.execute(
+        `UPDATE consultation_recordings
+         SET file_key = NULL, deleted_at = NOW(), delete_reason = 'retention'
+         WHERE id = ? AND deleted_at IS NULL`,
+        [recording.id]
+      );
+      result.deleted++;
+    } catch (error) {
+      result.failed++;
+      console.error(`녹음 삭제 에러 (recording #${recording.id}):`, error);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  setRecordingConsent,
+  saveRecording,
+  listRecordings,
+  getPlaybackFile,
+  purgeExpiredRecordings
+};
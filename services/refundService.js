@@ -0,0 +1,365 @@
+const { pool } = require('../config/database');
+const { getPaymentGateway } = require('./paymentGateway');
+const { recordRingEntry } = require('./ringLedger');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  REFUND_RECOVERY_POLICY,
+  RING_LEDGER_TYPES
+} = require('../utils/constants');
+
+/**
+ * 결제 환불 서비스 (전액/부분 환불 + 링 회수)
+ *
+ * 처리 순서:
+ *   1. 결제 잠금 후 환불 가능 금액 확인, 환불 행(processing) 생성 및 환불 누적액 선반영
+ *   2. PG 결제 취소
+ *   3. 링 회수(원장 기록) 후 환불 완료 처리
+ *
+ * 회수할 링이 이미 사용된 경우 0으로 깎지 않고 음수 잔액으로 남기며,
+ * 미회수분은 payment_refunds.shortfall_rings에 기록합니다. 음수 잔액은 이후 충전으로 상계됩니다.
+ *
+ * 2~3단계 사이에 실패해 processing으로 남은 환불(PG 응답 유실, 취소 후 회수 실패)은
+ * 같은 결제의 다음 환불 요청과 주기 작업(jobs/refunds.js)에서 PG 조회 결과로 완료 또는 실패로 확정합니다.
+ */
+
+// 환불 가능한 결제 상태
+const REFUNDABLE_STATUSES = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * 환불 금액에 해당하는 회수 링 계산
+ * 남은 금액 전액 환불이면 남은 링 전부, 부분 환불이면 결제 금액 대비 비율(반올림)로 계산합니다.
+ */
+const calculateRefundRings = (payment, refundAmount) => {
+  const paymentAmount = Number(payment.payment_amount);
+  const chargeAmount = parseInt(payment.charge_amount);
+  const remainingAmount = paymentAmount - Number(payment.refunded_amount);
+  const remainingRings = chargeAmount - parseInt(payment.refunded_rings);
+
+  if (refundAmount >= remainingAmount) {
+    return remainingRings;
+  }
+
+  return Math.min(Math.round(chargeAmount * refundAmount / paymentAmount), remainingRings);
+};
+
+/**
+ * 1단계: 환불 가능 여부 확인 및 환불 행 생성
+ */
+const reserveRefund = async ({ paymentId, amount, reason, actorId }) => {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    const [payments] = await connection.execute(
+      'SELECT * FROM payments WHERE id = ? FOR UPDATE',
+      [paymentId]
+    );
+
+    if (payments.length === 0) {
+      throw createError('결제 정보를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const payment = payments[0];
+
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw createError('환불할 수 없는 결제 상태입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (!payment.pg_payment_key) {
+      throw createError('PG 결제 정보가 없는 결제입니다.', RESPONSE_CODES.PAYMENT_ERROR, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const remainingAmount = Number(payment.payment_amount) - Number(payment.refunded_amount);
+    const refundAmount = amount === null ? remainingAmount : Number(amount);
+
+    if (refundAmount <= 0 || refundAmount > remainingAmount) {
+      throw createError(
+        `환불 가능 금액은 ${remainingAmount}원 이하입니다.`,
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const refundRings = calculateRefundRings(payment, refundAmount);
+
+    const [result] = await connection.execute(
+      `INSERT INTO payment_refunds (
+        payment_id, user_id, refund_amount, refund_rings, reason, status, requested_by
+       ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [payment.id, payment.user_id, refundAmount, refundRings, reason, REFUND_STATUS.PROCESSING, actorId]
+    );
+
+    // 동시 환불 요청이 환불 가능 금액을 넘지 않도록 누적액을 먼저 반영
+    await connection.execute(
+      'UPDATE payments SET refunded_amount = refunded_amount + ?, refunded_rings = refunded_rings + ? WHERE id = ?',
+      [refundAmount, refundRings, payment.id]
+    );
+
+    await connection.commit();
+
+    return {
+      refundId: result.insertId,
+      payment,
+      refundAmount,
+      refundRings,
+      isFullRefund: refundAmount === remainingAmount
+    };
+
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * PG 취소 거절시 환불 행 실패 처리 및 선반영한 누적액 복구
+ */
+const releaseRefund = async ({ refundId, paymentId, refundAmount, refundRings, failureReason }) => {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    await connection.execute(
+      'SELECT id FROM payments WHERE id = ? FOR UPDATE',
+      [paymentId]
+    );
+
+    const [released] = await connection.execute(
+      'UPDATE payment_refunds SET status = ?, failure_reason = ? WHERE id = ? AND status = ?',
+      [REFUND_STATUS.FAILED, failureReason.substring(0, 255), refundId, REFUND_STATUS.PROCESSING]
+    );
+
+    // 이미 확정된 환불은 누적액을 다시 되돌리지 않음
+    if (released.affectedRows > 0) {
+      await connection.execute(
+        'UPDATE payments SET refunded_amount = refunded_amount - ?, refunded_rings = refunded_rings - ? WHERE id = ?',
+        [refundAmount, refundRings, paymentId]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * 3단계: 링 회수 및 환불 완료 처리
+ */
+const completeRefund = async ({ refundId, payment, refundRings, actorId }) => {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    const [payments] = await connection.execute(
+      'SELECT payment_amount, refunded_amount, status FROM payments WHERE id = ? FOR UPDATE',
+      [payment.id]
+    );
+
+    const [refunds] = await connection.execute(
+      'SELECT status FROM payment_refunds WHERE id = ? FOR UPDATE',
+      [refundId]
+    );
+
+    // 복구 작업이 먼저 확정한 환불은 링을 다시 회수하지 않음
+    if (refunds[0].status !== REFUND_STATUS.PROCESSING) {
+      await connection.commit();
+      return { paymentStatus: payments[0].status, shortfallRings: 0, balanceAfter: null };
+    }
+
+    let entry = null;
+    let shortfallRings = 0;
+
+    if (refundRings > 0) {
+      entry = await recordRingEntry(connection, {
+        userId: payment.user_id,
+        entryType: RING_LEDGER_TYPES.REFUND_CLAWBACK,
+        delta: -refundRings,
+        paymentId: payment.id,
+        actorId,
+        description: `결제 환불 (링 ${refundRings}개 회수)`,
+        preferPaymentId: payment.id,
+        allowNegative: true
+      });
+
+      // 이번 회수로 새로 생긴 음수 잔액 = 이미 사용되어 회수하지 못한 링
+      shortfallRings = Math.min(refundRings, Math.max(-entry.balance_after, 0));
+    }
+
+    const isFullyRefunded = Number(payments[0].refunded_amount) >= Number(payments[0].payment_amount);
+    const paymentStatus = isFullyRefunded ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+
+    await connection.execute(
+      'UPDATE payments SET status = ? WHERE id = ?',
+      [paymentStatus, payment.id]
+    );
+
+    await connection.execute(
+      `UPDATE payment_refunds
+       SET status = ?, shortfall_rings = ?, ledger_entry_id = ?, completed_at = NOW()
+       WHERE id = ?`,
+      [REFUND_STATUS.COMPLETED, shortfallRings, entry ? entry.id : null, refundId]
+    );
+
+    await connection.commit();
+
+    return {
+      paymentStatus,
+      shortfallRings,
+      balanceAfter: entry ? entry.balance_after : null
+    };
+
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * 처리 중으로 남은 환불 확정 (PG 조회 기준)
+ * PG의 누적 취소 금액(결제 금액 - 잔액)에서 완료된 환불을 뺀 만큼을 처리 중 환불에 요청 순서대로 배정해
+ * PG에서 취소된 환불은 링 회수 후 완료, 취소되지 않은 환불은 실패로 되돌립니다.
+ * 요청 후 RESUME_AFTER_SECONDS가 지나지 않은 환불은 아직 진행 중일 수 있어 건너뜁니다.
+ *
+ * @returns {Promise<{completed: number, failed: number}>}
+ */
+const resolveProcessingRefunds = async (paymentId) => {
+  const [payments] = await pool.execute(
+    'SELECT id, user_id, pg_payment_key FROM payments WHERE id = ?',
+    [paymentId]
+  );
+  const [refunds] = await pool.execute(
+    `SELECT id, refund_amount, refund_rings, requested_by,
+     created_at <= NOW() - INTERVAL ${REFUND_RECOVERY_POLICY.RESUME_AFTER_SECONDS} SECOND as is_resumable
+     FROM payment_refunds
+     WHERE payment_id = ? AND status = ?
+     ORDER BY id ASC`,
+    [paymentId, REFUND_STATUS.PROCESSING]
+  );
+  const result = { completed: 0, failed: 0 };
+
+  if (payments.length === 0 || refunds.length === 0 || !refunds.every(refund => refund.is_resumable)) {
+    return result;
+  }
+
+  const payment = payments[0];
+  const pgPayment = await getPaymentGateway().query({ paymentKey: payment.pg_payment_key });
+  const [[{ completedAmount }]] = await pool.execute(
+    'SELECT COALESCE(SUM(refund_amount), 0) as completedAmount FROM payment_refunds WHERE payment_id = ? AND status = ?',
+    [paymentId, REFUND_STATUS.COMPLETED]
+  );
+
+  let unmatchedAmount = Number(pgPayment.total_amount) - Number(pgPayment.balance_amount) - Number(completedAmount);
+
+  for (const refund of refunds) {
+    const refundAmount = Number(refund.refund_amount);
+
+    if (refundAmount <= unmatchedAmount) {
+      await completeRefund({ refundId: refund.id, payment, refundRings: refund.refund_rings, actorId: refund.requested_by });
+      unmatchedAmount -= refundAmount;
+      result.completed++;
+    } else {
+      await releaseRefund({
+        refundId: refund.id,
+        paymentId,
+        refundAmount,
+        refundRings: refund.refund_rings,
+        failureReason: 'PG 취소 내역 없음 (복구 작업)'
+      });
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 처리 중으로 남은 환불이 있는 결제 일괄 확정 (주기 작업)
+ * @returns {Promise<{completed: number, failed: number, errors: number}>}
+ */
+const resolveStuckRefunds = async () => {
+  const [payments] = await pool.execute(
+    `SELECT DISTINCT payment_id FROM payment_refunds
+     WHERE status = ? AND created_at <= NOW() - INTERVAL ${REFUND_RECOVERY_POLICY.RESUME_AFTER_SECONDS} SECOND
+     LIMIT 100`,
+    [REFUND_STATUS.PROCESSING]
+  );
+  const result = { completed: 0, failed: 0, errors: 0 };
+
+  for (const { payment_id: paymentId } of payments) {
+    try {
+      const resolved = await resolveProcessingRefunds(paymentId);
+      result.completed += resolved.completed;
+      result.failed += resolved.failed;
+    } catch (error) {
+      result.errors++;
+      console.error(`처리 중 환불 확정 에러 (payment ${paymentId}):`, error.message);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 결제 환불 (전액/부분)
+ *
+ * @param {object} params
+ * @param {string} params.paymentId - 결제 ID
+ * @param {number|null} [params.amount] - 환불 금액 (생략시 남은 금액 전액)
+ * @param {string} params.reason - 환불 사유 (PG 취소 사유로 전달)
+ * @param {number} params.actorId - 처리자
+ */
+const refundPayment = async ({ paymentId, amount = null, reason, actorId }) => {
+  const gateway = getPaymentGateway();
+
+  // 이전 요청에서 처리 중으로 남은 환불을 먼저 확정 (환불 가능 금액이 선반영되어 있으므로)
+  await resolveProcessingRefunds(paymentId);
+
+  const reserved = await reserveRefund({ paymentId, amount, reason, actorId });
+  const { refundId, payment, refundAmount, refundRings, isFullRefund } = reserved;
+
+  try {
+    await gateway.cancel({
+      paymentKey: payment.pg_payment_key,
+      amount: isFullRefund && Number(payment.refunded_amount) === 0 ? null : refundAmount,
+      reason
+    });
+  } catch (error) {
+    // PG에서 명시적으로 거절한 경우만 되돌림 (통신 오류는 취소 여부를 알 수 없어 processing으로 남김)
+    if (error.statusCode === HTTP_STATUS.BAD_REQUEST) {
+      await releaseRefund({ refundId, paymentId, refundAmount, refundRings, failureReason: error.message });
+    } else {
+      console.error(`환불 PG 취소 결과 미확인 (refund #${refundId}):`, error.message);
+    }
+    throw error;
+  }
+
+  // PG 취소 후 링 회수에 실패하면 processing으로 남고 복구 작업이 다시 완료 처리
+  const completed = await completeRefund({ refundId, payment, refundRings, actorId });
+
+  return {
+    refund_id: refundId,
+    payment_id: paymentId,
+    refund_amount: refundAmount,
+    refund_rings: refundRings,
+    shortfall_rings: completed.shortfallRings,
+    payment_status: completed.paymentStatus,
+    balance_after: completed.balanceAfter
+  };
+};
+
+module.exports = {
+  refundPayment,
+  resolveStuckRefunds
+};
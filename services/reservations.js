@@ -0,0 +1,733 @@
+const { pool } = require('../config/database');
+const { recordRingEntry, buildRestoreLots } = require('./ringLedger');
+const { lockConsultation, logStatusChange, transitionConsultation } = require('./consultationState');
+const { createNotification } = require('./notifications');
+const { resolveBillingPolicy, getConsultationTerms, calculateCommission } = require('./billingPolicy');
+const { assertSpendingAllowance } = require('./spendingLimits');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  RING_LEDGER_TYPES,
+  CONSULTANT_STATUS,
+  CONSULTATION_STATUS,
+  CONSULTATION_ACTOR_TYPES,
+  CONSULTATION_BILLING,
+  CONSULTATION_REQUEST_POLICY,
+  RESERVATION_STATUS,
+  RESERVATION_POLICY,
+  SPENDING_LIMIT_TYPES,
+  NOTIFICATION_TYPES
+} = require('../utils/constants');
+
+/**
+ * 상담 예약 서비스
+ * - 슬롯: 상담사 주간 가능 시간 + 날짜별 예외(휴무/추가)를 SLOT_MINUTES 단위로 나눈 KST 시간대
+ * - 예약시 슬롯 전체 과금 단위만큼 링을 홀드(차감)하고, 취소/노쇼 정책에 따라 일부 또는 전부 반환
+ * - 양측이 입장하면 일반 상담(수락 상태)으로 전환하고 홀드는 전액 반환 → 이후 연결/단위 과금은 일반 상담과 동일
+ */
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// 상담사 진행 중 상담 상태 (전환시 중복 확인)
+const ENGAGED_STATUSES = [CONSULTATION_STATUS.ACCEPTED, CONSULTATION_STATUS.IN_PROGRESS];
+
+/**
+ * 'HH:MM[:SS]' → 자정 기준 분
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * 날짜 → KST 'YYYY-MM-DD'
+ */
+const formatKstDate = (date) => new Date(new Date(date).getTime() + KST_OFFSET_MS).toISOString().split('T')[0];
+
+/**
+ * KST 날짜 + 자정 기준 분 → Date
+ */
+const toKstDateTime = (dateString, minutes) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + minutes * MINUTE_MS - KST_OFFSET_MS);
+};
+
+/**
+ * 구간 목록에서 차단 구간 제외
+ */
+const subtractInterval = (intervals, [blockStart, blockEnd]) => intervals.flatMap(([start, end]) => [
+  [start, Math.min(end, blockStart)],
+  [Math.max(start, blockEnd), end]
+].filter(([s, e]) => e > s));
+
+/**
+ * 슬롯 홀드 링 (슬롯 전체 과금 단위 × 상담료)
+ */
+const getHoldRings = (feeRate, unitSeconds = CONSULTATION_BILLING.UNIT_SECONDS) =>
+  feeRate * Math.ceil(RESERVATION_POLICY.SLOT_MINUTES * 60 / unitSeconds);
+
+/**
+ * 고객 취소 환불률 (슬롯 시작까지 남은 시간 기준)
+ */
+const getCustomerCancelRefundRate = (slotStart, now = new Date()) => {
+  const hoursBefore = (new Date(slotStart).getTime() - now.getTime()) / (60 * MINUTE_MS);
+  const rule = RESERVATION_POLICY.CUSTOMER_CANCEL_REFUND_RULES.find(r => hoursBefore >= r.minHoursBefore);
+
+  return rule ? rule.refundRate : 0;
+};
+
+/**
+ * 상담사 가능 시간 설정 조회 (주간 템플릿 + 기간 내 예외)
+ */
+const getAvailabilityRules = async (db, consultantId, fromDate, toDate) => {
+  const [templates] = await db.execute(
+    `SELECT id, day_of_week, start_time, end_time
+     FROM consultant_availability_templates
+     WHERE consultant_id = ?
+     ORDER BY day_of_week, start_time`,
+    [consultantId]
+  );
+
+  const [exceptions] = await db.execute(
+    `SELECT id, exception_date, start_time, end_time, is_available, reason
+     FROM consultant_availability_exceptions
+     WHERE consultant_id = ? AND exception_date BETWEEN ? AND ?
+     ORDER BY exception_date, start_time`,
+    [consultantId, fromDate, toDate]
+  );
+
+  return {
+    templates,
+    exceptions: exceptions.map(exception => ({
+      ...exception,
+      exception_date: typeof exception.exception_date === 'string'
+        ? exception.exception_date.slice(0, 10)
+        : formatKstDate(exception.exception_date),
+      is_available: !!exception.is_available
+    }))
+  };
+};
+
+/**
+ * 하루의 슬롯 시작 분 목록 (템플릿 + 추가 예외 - 휴무 예외)
+ */
+const buildDaySlotMinutes = (dateString, { templates, exceptions }) => {
+  const dayOfWeek = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  const dayExceptions = exceptions.filter(exception => exception.exception_date === dateString);
+
+  // 하루 전체 휴무
+  if (dayExceptions.some(exception => !exception.is_available && !exception.start_time)) {
+    return [];
+  }
+
+  let intervals = [
+    ...templates.filter(template => template.day_of_week === dayOfWeek),
+    ...dayExceptions.filter(exception => exception.is_available && exception.start_time)
+  ].map(rule => [toMinutes(rule.start_time), toMinutes(rule.end_time)]);
+
+  for (const exception of dayExceptions) {
+    if (!exception.is_available) {
+      intervals = subtractInterval(intervals, [toMinutes(exception.start_time), toMinutes(exception.end_time)]);
+    }
+  }
+
+  const slotMinutes = RESERVATION_POLICY.SLOT_MINUTES;
+  const starts = new Set();
+
+  for (const [start, end] of intervals) {
+    for (let minute = Math.ceil(start / slotMinutes) * slotMinutes; minute + slotMinutes <= end; minute += slotMinutes) {
+      starts.add(minute);
+    }
+  }
+
+  return [...starts].sort((a, b) => a - b);
+};
+
+/**
+ * 예약 가능 슬롯 조회
+ * 지난 시간, 최소 리드타임 이내, 예약 가능 기간 밖, 이미 예약된 슬롯은 제외됩니다.
+ *
+ * @param {object} db - pool 또는 커넥션
+ * @param {number} consultantId
+ * @param {object} params
+ * @param {string} [params.from] - 시작 날짜 (KST 'YYYY-MM-DD', 기본값: 오늘)
+ * @param {number} [params.days] - 조회 일수
+ * @returns {Promise<Array<{date: string, slots: Array<{slot_start: Date, slot_end: Date}>}>>}
+ */
+const getOpenSlots = async (db, consultantId, { from = null, days = 7 } = {}) => {
+  const now = new Date();
+  const fromDate = from || formatKstDate(now);
+  const dates = Array.from({ length: days }, (_, i) =>
+    formatKstDate(toKstDateTime(fromDate, 0).getTime() + i * DAY_MS)
+  );
+
+  const rules = await getAvailabilityRules(db, consultantId, dates[0], dates[dates.length - 1]);
+  const earliest = now.getTime() + RESERVATION_POLICY.MIN_LEAD_MINUTES * MINUTE_MS;
+  const latest = now.getTime() + RESERVATION_POLICY.BOOKING_HORIZON_DAYS * DAY_MS;
+
+  const [reserved] = await db.execute(
+    `SELECT slot_start FROM reservations
+     WHERE consultant_id = ? AND status = ? AND slot_start >= ? AND slot_start < ?`,
+    [
+      consultantId,
+      RESERVATION_STATUS.RESERVED,
+      toKstDateTime(dates[0], 0),
+      toKstDateTime(dates[dates.length - 1], 24 * 60)
+    ]
+  );
+  const reservedStarts = new Set(reserved.map(reservation => new Date(reservation.slot_start).getTime()));
+
+  return dates.map(date => ({
+    date,
+    slots: buildDaySlotMinutes(date, rules)
+      .map(minute => toKstDateTime(date, minute))
+      .filter(slotStart => slotStart.getTime() >= earliest &&
+        slotStart.getTime() <= latest &&
+        !reservedStarts.has(slotStart.getTime()))
+      .map(slotStart => ({
+        slot_start: slotStart,
+        slot_end: new Date(slotStart.getTime() + RESERVATION_POLICY.SLOT_MINUTES * MINUTE_MS)
+      }))
+  }));
+};
+
+/**
+ * 예약 행 잠금
+ */
+const lockReservation = async (connection, reservationId) => {
+  const [reservations] = await connection.execute(
+    'SELECT * FROM reservations WHERE id = ? FOR UPDATE',
+    [reservationId]
+  );
+
+  if (reservations.length === 0) {
+    return null;
+  }
+
+  const [consultants] = await connection.execute(
+    'SELECT user_id, name FROM consultants WHERE id = ?',
+    [reservations[0].consultant_id]
+  );
+
+  return {
+    ...reservations[0],
+    consultant_user_id: consultants.length > 0 ? consultants[0].user_id : null,
+    consultant_name: consultants.length > 0 ? consultants[0].name : null
+  };
+};
+
+/**
+ * 예약 당사자 구분 (customer / consultant, 당사자가 아니면 404)
+ */
+const getReservationParty = (reservation, userId) => {
+  if (reservation && reservation.customer_id === userId) {
+    return CONSULTATION_ACTOR_TYPES.CUSTOMER;
+  }
+
+  if (reservation && reservation.consultant_user_id && reservation.consultant_user_id === userId) {
+    return CONSULTATION_ACTOR_TYPES.CONSULTANT;
+  }
+
+  throw createError('예약을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+};
+
+const assertReserved = (reservation) => {
+  if (reservation.status !== RESERVATION_STATUS.RESERVED) {
+    throw createError('진행할 수 없는 예약 상태입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+};
+
+/**
+ * 예약 당사자 모두에게 알림
+ */
+const notifyParties = async (connection, reservation, { type, title, body }) => {
+  const data = { reservation_id: reservation.id, slot_start: reservation.slot_start };
+  const userIds = [reservation.customer_id, reservation.consultant_user_id].filter(Boolean);
+
+  for (const userId of userIds) {
+    await createNotification(connection, { userId, type, title, body, data });
+  }
+};
+
+/**
+ * 슬롯 예약 + 링 홀드
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} params
+ * @param {number} params.customerId
+ * @param {number} params.consultantId
+ * @param {Date} params.slotStart
+ * @param {string} params.consultationType
+ * @param {string} params.consultationMethod
+ */
+const createReservation = async (connection, {
+  customerId,
+  consultantId,
+  slotStart,
+  consultationType,
+  consultationMethod
+}) => {
+  // 상담사 행 잠금으로 같은 상담사의 예약을 직렬화
+  const [consultants] = await connection.execute(
+    'SELECT id, user_id, name, consultation_fee, consultant_grade, status FROM consultants WHERE id = ? FOR UPDATE',
+    [consultantId]
+  );
+
+  if (consultants.length === 0) {
+    throw createError('상담사를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const consultant = consultants[0];
+
+  if (consultant.status === CONSULTANT_STATUS.SUSPENDED) {
+    throw createError('활동이 정지된 상담사입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  if (consultant.user_id === customerId) {
+    throw createError('본인에게는 예약할 수 없습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const [openDay] = await getOpenSlots(connection, consultantId, { from: formatKstDate(slotStart), days: 1 });
+  const isOpen = openDay.slots.some(slot => slot.slot_start.getTime() === slotStart.getTime());
+
+  if (!isOpen) {
+    throw createError('예약할 수 없는 시간입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  const slotEnd = new Date(slotStart.getTime() + RESERVATION_POLICY.SLOT_MINUTES * MINUTE_MS);
+
+  const [overlaps] = await connection.execute(
+    `SELECT id FROM reservations
+     WHERE customer_id = ? AND status = ? AND slot_start < ? AND slot_end > ?`,
+    [customerId, RESERVATION_STATUS.RESERVED, slotEnd, slotStart]
+  );
+
+  if (overlaps.length > 0) {
+    throw createError('같은 시간에 다른 예약이 있습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  // 예약 시점 과금 정책 (전환된 상담에 그대로 적용)
+  const policy = await resolveBillingPolicy(connection, consultant.consultant_grade, consultationMethod);
+
+  const reservationNumber = `resv_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const holdRings = getHoldRings(consultant.consultation_fee, policy.unit_seconds);
+
+  // 홀드 링도 상담 이용 한도에서 차감 (취소/노쇼로 몰수되면 그대로 사용량으로 남음)
+  await assertSpendingAllowance(connection, customerId, SPENDING_LIMIT_TYPES.CONSULTATION, holdRings);
+
+  const hold = await recordRingEntry(connection, {
+    userId: customerId,
+    entryType: RING_LEDGER_TYPES.RESERVATION_HOLD,
+    delta: -holdRings,
+    actorId: customerId,
+    description: `상담 예약 홀드 (${reservationNumber})`
+  });
+
+  const [result] = await connection.execute(
+    `INSERT INTO reservations (
+      reservation_number, customer_id, consultant_id, slot_start, slot_end,
+      consultation_type, consultation_method, fee_rate, hold_rings, hold_ledger_entry_id,
+      billing_policy_id, billing_unit_seconds, billing_minimum_units, commission_rate
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      reservationNumber,
+      customerId,
+      consultantId,
+      slotStart,
+      slotEnd,
+      consultationType,
+      consultationMethod,
+      consultant.consultation_fee,
+      holdRings,
+      hold.id,
+      policy.policy_id,
+      policy.unit_seconds,
+      policy.minimum_units,
+      policy.commission_rate
+    ]
+  );
+
+  if (consultant.user_id) {
+    await createNotification(connection, {
+      userId: consultant.user_id,
+      type: NOTIFICATION_TYPES.RESERVATION_CREATED,
+      title: '새 상담 예약',
+      body: `${formatKstDate(slotStart)} 상담 예약이 등록되었습니다.`,
+      data: { reservation_id: result.insertId, slot_start: slotStart }
+    });
+  }
+
+  return {
+    id: result.insertId,
+    reservation_number: reservationNumber,
+    consultant: { id: consultant.id, name: consultant.name },
+    slot_start: slotStart,
+    slot_end: slotEnd,
+    fee_rate: consultant.consultation_fee,
+    hold_rings: holdRings,
+    balance_after: hold.balance_after,
+    status: RESERVATION_STATUS.RESERVED
+  };
+};
+
+/**
+ * 예약 종료 정산 (취소/노쇼)
+ * 환불분은 홀드 당시 소진한 로트 유형으로 반환하고, 몰수분의 상담사 정산 비율만큼 상담사에게 보상합니다.
+ */
+const settleReservation = async (connection, reservation, { status, refundRate, cancelledBy, reason, actorId }) => {
+  const refundRings = Math.floor(reservation.hold_rings * refundRate);
+  const compensationRings = calculateCommission(
+    reservation.hold_rings - refundRings,
+    getConsultationTerms(reservation).commissionRate
+  );
+
+  if (refundRings > 0) {
+    await recordRingEntry(connection, {
+      userId: reservation.customer_id,
+      entryType: RING_LEDGER_TYPES.RESERVATION_RELEASE,
+      delta: refundRings,
+      lots: await buildRestoreLots(connection, reservation.hold_ledger_entry_id, refundRings),
+      actorId,
+      description: `상담 예약 ${status === RESERVATION_STATUS.NO_SHOW ? '노쇼' : '취소'} 환불 (${reservation.reservation_number})`
+    });
+  }
+
+  const compensated = compensationRings > 0 && reservation.consultant_user_id ? compensationRings : 0;
+
+  if (compensated > 0) {
+    await recordRingEntry(connection, {
+      userId: reservation.consultant_user_id,
+      entryType: RING_LEDGER_TYPES.RESERVATION_COMPENSATION,
+      delta: compensated,
+      actorId,
+      description: `상담 예약 ${status === RESERVATION_STATUS.NO_SHOW ? '노쇼' : '취소'} 보상 (${reservation.reservation_number})`
+    });
+  }
+
+  await connection.execute(
+    `UPDATE reservations
+     SET status = ?, refund_rings = ?, compensation_rings = ?, cancelled_by = ?, cancel_reason = ?, cancelled_at = NOW()
+     WHERE id = ?`,
+    [status, refundRings, compensated, cancelledBy, reason, reservation.id]
+  );
+
+  return {
+    id: reservation.id,
+    status,
+    hold_rings: reservation.hold_rings,
+    refund_rings: refundRings,
+    compensation_rings: compensated
+  };
+};
+
+/**
+ * 예약 취소 (고객: 남은 시간별 환불률, 상담사: 전액 환불)
+ */
+const cancelReservation = async (connection, reservationId, { userId, reason = null }) => {
+  const reservation = await lockReservation(connection, reservationId);
+  const party = getReservationParty(reservation, userId);
+
+  assertReserved(reservation);
+
+  if (new Date(reservation.slot_start) <= new Date()) {
+    throw createError('이미 시작된 예약은 취소할 수 없습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  const refundRate = party === CONSULTATION_ACTOR_TYPES.CUSTOMER
+    ? getCustomerCancelRefundRate(reservation.slot_start)
+    : RESERVATION_POLICY.CONSULTANT_FAULT_REFUND_RATE;
+
+  const result = await settleReservation(connection, reservation, {
+    status: RESERVATION_STATUS.CANCELLED,
+    refundRate,
+    cancelledBy: party,
+    reason,
+    actorId: userId
+  });
+
+  await notifyParties(connection, reservation, {
+    type: NOTIFICATION_TYPES.RESERVATION_CANCELLED,
+    title: '상담 예약 취소',
+    body: `${party === CONSULTATION_ACTOR_TYPES.CUSTOMER ? '고객이' : '상담사가'} 상담 예약을 취소했습니다. ` +
+      `(환불 ${result.refund_rings}링)`
+  });
+
+  return result;
+};
+
+/**
+ * 예약 → 일반 상담 전환 (수락 상태로 생성, 홀드 전액 반환)
+ * 이후 /api/consultations/:id/connect로 연결하면 일반 상담과 같이 단위 과금됩니다.
+ */
+const convertReservation = async (connection, reservation) => {
+  const [[{ engaged }]] = await connection.execute(
+    `SELECT COUNT(*) as engaged FROM consultations
+     WHERE consultant_id = ? AND status IN (${ENGAGED_STATUSES.map(() => '?').join(', ')})`,
+    [reservation.consultant_id, ...ENGAGED_STATUSES]
+  );
+
+  if (engaged > 0) {
+    throw createError(
+      '상담사가 진행 중인 상담을 마친 후 시작할 수 있습니다.',
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  const [consultants] = await connection.execute(
+    'SELECT consultant_grade FROM consultants WHERE id = ?',
+    [reservation.consultant_id]
+  );
+
+  const consultationNumber = `cons_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const now = new Date();
+
+  const [result] = await connection.execute(
+    `INSERT INTO consultations (
+      consultation_id, customer_id, consultant_id, consultant_grade_at_time,
+      fee_rate_at_time, consultation_type, consultation_method,
+      consultation_date, status, requested_at, reservation_id, status_changed_at,
+      billing_policy_id, billing_unit_seconds, billing_minimum_units, commission_rate
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?)`,
+    [
+      consultationNumber,
+      reservation.customer_id,
+      reservation.consultant_id,
+      consultants[0].consultant_grade,
+      reservation.fee_rate,
+      reservation.consultation_type,
+      reservation.consultation_method,
+      formatKstDate(now),
+      CONSULTATION_STATUS.REQUESTED,
+      now,
+      reservation.id,
+      reservation.billing_policy_id,
+      reservation.billing_unit_seconds,
+      reservation.billing_minimum_units,
+      reservation.commission_rate
+    ]
+  );
+
+  await logStatusChange(connection, result.insertId, {
+    fromStatus: null,
+    toStatus: CONSULTATION_STATUS.REQUESTED,
+    actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+    actorId: null,
+    reason: `예약 상담 전환 (${reservation.reservation_number})`
+  });
+
+  // 양측이 이미 입장했으므로 호출/수락 단계를 바로 거침
+  const consultation = await lockConsultation(connection, result.insertId);
+  await transitionConsultation(connection, consultation, CONSULTATION_STATUS.RINGING, {
+    actorType: CONSULTATION_ACTOR_TYPES.SYSTEM
+  });
+  await transitionConsultation(connection, consultation, CONSULTATION_STATUS.ACCEPTED, {
+    actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+    reason: '예약 상담'
+  });
+
+  await connection.execute(
+    'UPDATE consultations SET accepted_at = NOW(), request_expires_at = ? WHERE id = ?',
+    [new Date(now.getTime() + CONSULTATION_REQUEST_POLICY.CONNECT_TIMEOUT_SECONDS * 1000), result.insertId]
+  );
+
+  await recordRingEntry(connection, {
+    userId: reservation.customer_id,
+    entryType: RING_LEDGER_TYPES.RESERVATION_RELEASE,
+    delta: reservation.hold_rings,
+    lots: await buildRestoreLots(connection, reservation.hold_ledger_entry_id, reservation.hold_rings),
+    consultationId: result.insertId,
+    description: `상담 예약 홀드 반환 (${reservation.reservation_number})`
+  });
+
+  await connection.execute(
+    'UPDATE reservations SET status = ?, refund_rings = ?, consultation_id = ? WHERE id = ?',
+    [RESERVATION_STATUS.CONVERTED, reservation.hold_rings, result.insertId, reservation.id]
+  );
+
+  await notifyParties(connection, reservation, {
+    type: NOTIFICATION_TYPES.RESERVATION_STARTED,
+    title: '예약 상담 시작',
+    body: '예약한 상담이 시작되었습니다. 상담에 연결해주세요.'
+  });
+
+  return {
+    id: result.insertId,
+    consultation_id: consultationNumber,
+    status: consultation.status
+  };
+};
+
+/**
+ * 예약 입장 (슬롯 시작 CHECK_IN_EARLY_MINUTES 전 ~ NO_SHOW_GRACE_MINUTES 후)
+ * 양측이 모두 입장하면 상담으로 전환합니다.
+ */
+const checkInReservation = async (connection, reservationId, userId) => {
+  const reservation = await lockReservation(connection, reservationId);
+  const party = getReservationParty(reservation, userId);
+
+  assertReserved(reservation);
+
+  const now = Date.now();
+  const slotStart = new Date(reservation.slot_start).getTime();
+
+  if (now < slotStart - RESERVATION_POLICY.CHECK_IN_EARLY_MINUTES * MINUTE_MS) {
+    throw createError(
+      `예약 시작 ${RESERVATION_POLICY.CHECK_IN_EARLY_MINUTES}분 전부터 입장할 수 있습니다.`,
+      RESPONSE_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  if (now > slotStart + RESERVATION_POLICY.NO_SHOW_GRACE_MINUTES * MINUTE_MS) {
+    throw createError('입장 가능 시간이 지났습니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  const column = party === CONSULTATION_ACTOR_TYPES.CUSTOMER ? 'customer_checked_in_at' : 'consultant_checked_in_at';
+
+  if (!reservation[column]) {
+    await connection.execute(`UPDATE reservations SET ${column} = NOW() WHERE id = ?`, [reservation.id]);
+    reservation[column] = new Date();
+  }
+
+  const consultation = reservation.customer_checked_in_at && reservation.consultant_checked_in_at
+    ? await convertReservation(connection, reservation)
+    : null;
+
+  return {
+    id: reservation.id,
+    status: consultation ? RESERVATION_STATUS.CONVERTED : RESERVATION_STATUS.RESERVED,
+    customer_checked_in: !!reservation.customer_checked_in_at,
+    consultant_checked_in: !!reservation.consultant_checked_in_at,
+    consultation
+  };
+};
+
+/**
+ * 예약 알림 발송 (슬롯 시작 REMINDER_MINUTES_BEFORE 전)
+ */
+const sendReservationReminders = async () => {
+  const [due] = await pool.execute(
+    `SELECT id FROM reservations
+     WHERE status = ? AND reminder_sent_at IS NULL
+     AND slot_start > NOW() AND slot_start <= DATE_ADD(NOW(), INTERVAL ? MINUTE)
+     ORDER BY slot_start ASC LIMIT 100`,
+    [RESERVATION_STATUS.RESERVED, RESERVATION_POLICY.REMINDER_MINUTES_BEFORE]
+  );
+
+  let reminded = 0;
+
+  for (const { id } of due) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const reservation = await lockReservation(connection, id);
+
+      if (!reservation || reservation.status !== RESERVATION_STATUS.RESERVED || reservation.reminder_sent_at) {
+        await connection.rollback();
+        continue;
+      }
+
+      await connection.execute('UPDATE reservations SET reminder_sent_at = NOW() WHERE id = ?', [id]);
+      await notifyParties(connection, reservation, {
+        type: NOTIFICATION_TYPES.RESERVATION_REMINDER,
+        title: '상담 예약 알림',
+        body: `예약한 상담이 곧 시작됩니다. 시작 ${RESERVATION_POLICY.CHECK_IN_EARLY_MINUTES}분 전부터 입장할 수 있습니다.`
+      });
+
+      await connection.commit();
+      reminded++;
+    } catch (error) {
+      await connection.rollback();
+      console.error(`예약 알림 발송 에러 (reservation #${id}):`, error);
+    } finally {
+      connection.release();
+    }
+  }
+
+  return reminded;
+};
+
+/**
+ * 노쇼 처리 (입장 유예 시간이 지나도록 전환되지 않은 예약)
+ * - 상담사 미입장: 상담사 귀책, 전액 환불
+ * - 상담사만 입장: 고객 노쇼, CUSTOMER_NO_SHOW_REFUND_RATE만 환불하고 몰수분은 상담사 보상
+ */
+const processReservationNoShows = async () => {
+  const [due] = await pool.execute(
+    `SELECT id FROM reservations
+     WHERE status = ? AND slot_start <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+     ORDER BY slot_start ASC LIMIT 100`,
+    [RESERVATION_STATUS.RESERVED, RESERVATION_POLICY.NO_SHOW_GRACE_MINUTES]
+  );
+
+  let noShows = 0;
+
+  for (const { id } of due) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const reservation = await lockReservation(connection, id);
+
+      if (!reservation || reservation.status !== RESERVATION_STATUS.RESERVED) {
+        await connection.rollback();
+        continue;
+      }
+
+      const consultantFault = !reservation.consultant_checked_in_at;
+      const result = await settleReservation(connection, reservation, {
+        status: RESERVATION_STATUS.NO_SHOW,
+        refundRate: consultantFault
+          ? RESERVATION_POLICY.CONSULTANT_FAULT_REFUND_RATE
+          : RESERVATION_POLICY.CUSTOMER_NO_SHOW_REFUND_RATE,
+        cancelledBy: CONSULTATION_ACTOR_TYPES.SYSTEM,
+        reason: consultantFault ? '상담사 미입장' : '고객 미입장',
+        actorId: null
+      });
+
+      await notifyParties(connection, reservation, {
+        type: NOTIFICATION_TYPES.RESERVATION_NO_SHOW,
+        title: '상담 예약 노쇼 처리',
+        body: `${consultantFault ? '상담사' : '고객'} 미입장으로 예약이 종료되었습니다. (환불 ${result.refund_rings}링)`
+      });
+
+      await connection.commit();
+      noShows++;
+    } catch (error) {
+      await connection.rollback();
+      console.error(`예약 노쇼 처리 에러 (reservation #${id}):`, error);
+    } finally {
+      connection.release();
+    }
+  }
+
+  return noShows;
+};
+
+/**
+ * 예약 기한 처리 (알림 + 노쇼)
+ * @returns {Promise<{reminded: number, noShows: number}>}
+ */
+const processReservationDeadlines = async () => ({
+  reminded: await sendReservationReminders(),
+  noShows: await processReservationNoShows()
+});
+
+module.exports = {
+  formatKstDate,
+  getHoldRings,
+  getCustomerCancelRefundRate,
+  getAvailabilityRules,
+  getOpenSlots,
+  createReservation,
+  cancelReservation,
+  checkInReservation,
+  processReservationDeadlines
+};
@@ -0,0 +1,398 @@
+const { createError } = require('../utils/helpers');
+const { RESPONSE_CODES, HTTP_STATUS, RING_LOT_TYPES, RING_LEDGER_TYPES } = require('../utils/constants');
+
+/**
+ * 링 원장 서비스
+ * users.rings를 변경하는 모든 경로는 이 모듈을 거쳐야 하며,
+ * 호출자가 연 트랜잭션(connection) 안에서 잔액 변경과 원장 기록이 함께 처리됩니다.
+ *
+ * 링 로트(ring_lots):
+ * - 모든 적립은 출처(source)와 유형(paid/bonus), 선택적 만료일을 가진 로트로 기록됩니다.
+ * - 차감은 만료일이 가까운 로트부터(보너스 우선), 그 다음 오래된 로트부터(FIFO) 소진합니다.
+ * - 잔액이 음수(환불 미회수분)인 상태에서 적립되면 음수 잔액을 먼저 상계하고 남은 만큼만 로트가 됩니다.
+ * - 불변식: 사용 가능한 로트 잔여 합계 = MAX(users.rings, 0)
+ */
+
+// 로트 소진 순서: 만료 예정 로트(만료일 오름차순, 보너스 우선) → 만료 없는 로트(오래된 순)
+const LOT_CONSUMPTION_ORDER = `expires_at IS NULL ASC, expires_at ASC, lot_type = '${RING_LOT_TYPES.BONUS}' DESC, id ASC`;
+
+/**
+ * 사용자 링 잔액 잠금 조회 (SELECT ... FOR UPDATE)
+ */
+const lockUserBalance = async (connection, userId) => {
+  const [users] = await connection.execute(
+    'SELECT id, rings FROM users WHERE id = ? FOR UPDATE',
+    [userId]
+  );
+
+  if (users.length === 0) {
+    throw createError('사용자를 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return users[0].rings;
+};
+
+/**
+ * 원장 기록 + users.rings 반영 (로트 처리는 호출자 담당)
+ */
+const writeLedgerEntry = async (connection, {
+  userId,
+  entryType,
+  delta,
+  balanceAfter,
+  paymentId = null,
+  consultationId = null,
+  transferId = null,
+  actorId = null,
+  description = null
+}) => {
+  await connection.execute(
+    'UPDATE users SET rings = ?, updated_at = NOW() WHERE id = ?',
+    [balanceAfter, userId]
+  );
+
+  const [result] = await connection.execute(
+    `INSERT INTO ring_ledger (
+      user_id, entry_type, delta, balance_after, payment_id,
+      consultation_id, transfer_id, actor_user_id, description
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      entryType,
+      delta,
+      balanceAfter,
+      paymentId,
+      consultationId,
+      transferId,
+      actorId,
+      description
+    ]
+  );
+
+  return result.insertId;
+};
+
+/**
+ * 사용 가능한 로트 잠금 조회 (소진 순서대로)
+ */
+const lockAvailableLots = async (connection, userId, { lotTypes = null, preferPaymentId = null } = {}) => {
+  let query = `SELECT id, lot_type, remaining_rings, expires_at, payment_id
+               FROM ring_lots
+               WHERE user_id = ? AND remaining_rings > 0 AND expired_at IS NULL`;
+  const params = [userId];
+
+  if (lotTypes) {
+    query += ` AND lot_type IN (${lotTypes.map(() => '?').join(', ')})`;
+    params.push(...lotTypes);
+  }
+
+  let orderBy = LOT_CONSUMPTION_ORDER;
+  if (preferPaymentId) {
+    orderBy = `payment_id <=> ? DESC, ${orderBy}`;
+    params.push(preferPaymentId);
+  }
+
+  const [lots] = await connection.execute(`${query} ORDER BY ${orderBy} FOR UPDATE`, params);
+  return lots;
+};
+
+/**
+ * 로트 차감 (소진 순서대로) - 차감하지 못한 링 수 반환
+ */
+const consumeLots = async (connection, lots, rings, ledgerEntryId) => {
+  let remaining = rings;
+
+  for (const lot of lots) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const used = Math.min(lot.remaining_rings, remaining);
+
+    await connection.execute(
+      'UPDATE ring_lots SET remaining_rings = remaining_rings - ? WHERE id = ?',
+      [used, lot.id]
+    );
+
+    await connection.execute(
+      'INSERT INTO ring_lot_consumptions (lot_id, ledger_entry_id, rings) VALUES (?, ?, ?)',
+      [lot.id, ledgerEntryId, used]
+    );
+
+    remaining -= used;
+  }
+
+  return remaining;
+};
+
+/**
+ * 링 원장 기록 + 잔액 반영
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} entry
+ * @param {number} entry.userId - 대상 사용자
+ * @param {string} entry.entryType - RING_LEDGER_TYPES 값
+ * @param {number} entry.delta - 증감 링 (출금은 음수)
+ * @param {Array<{lotType: string, rings: number, expiresInDays?: number}>} [entry.lots]
+ *   - 적립시 로트 구성 (기본값: 만료 없는 paid 로트 1개, 합계는 delta와 같아야 함)
+ * @param {string[]} [entry.lotTypes] - 차감시 사용할 수 있는 로트 유형 제한 (예: 전송은 paid만)
+ * @param {string} [entry.preferPaymentId] - 차감시 해당 결제로 적립된 로트를 먼저 소진 (환불 회수)
+ * @param {boolean} [entry.clampAtZero] - 잔액 부족시 0까지만 차감 (기존 GREATEST 동작 호환)
+ * @param {boolean} [entry.allowNegative] - 잔액 부족시에도 음수 잔액 허용
+ * @returns {Promise<{id: number, delta: number, balance_after: number}>}
+ */
+const recordRingEntry = async (connection, {
+  userId,
+  entryType,
+  delta,
+  paymentId = null,
+  consultationId = null,
+  transferId = null,
+  actorId = null,
+  description = null,
+  lots = null,
+  lotTypes = null,
+  preferPaymentId = null,
+  clampAtZero = false,
+  allowNegative = false
+}) => {
+  const currentBalance = await lockUserBalance(connection, userId);
+  const requestedDelta = parseInt(delta);
+  const references = { paymentId, consultationId, transferId, actorId, description };
+
+  if (requestedDelta >= 0) {
+    const creditLots = lots || [{ lotType: RING_LOT_TYPES.PAID, rings: requestedDelta }];
+
+    if (creditLots.reduce((sum, lot) => sum + parseInt(lot.rings), 0) !== requestedDelta) {
+      throw new Error('로트 구성 합계가 적립 링과 일치하지 않습니다.');
+    }
+
+    const balanceAfter = currentBalance + requestedDelta;
+    const entryId = await writeLedgerEntry(connection, {
+      userId,
+      entryType,
+      delta: requestedDelta,
+      balanceAfter,
+      ...references
+    });
+
+    // 음수 잔액(미회수 링)을 먼저 상계
+    let debt = Math.max(-currentBalance, 0);
+
+    for (const lot of creditLots) {
+      const rings = parseInt(lot.rings);
+      const offset = Math.min(debt, rings);
+      debt -= offset;
+
+      if (rings - offset <= 0) {
+        continue;
+      }
+
+      await connection.execute(
+        `INSERT INTO ring_lots (
+          user_id, lot_type, source, original_rings, remaining_rings,
+          expires_at, payment_id, ledger_entry_id
+         ) VALUES (?, ?, ?, ?, ?, ${lot.expiresInDays ? 'DATE_ADD(NOW(), INTERVAL ? DAY)' : '?'}, ?, ?)`,
+        [
+          userId,
+          lot.lotType,
+          entryType,
+          rings - offset,
+          rings - offset,
+          lot.expiresInDays ? parseInt(lot.expiresInDays) : null,
+          paymentId,
+          entryId
+        ]
+      );
+    }
+
+    return {
+      id: entryId,
+      delta: requestedDelta,
+      balance_after: balanceAfter
+    };
+  }
+
+  const debitRings = -requestedDelta;
+  const availableLots = await lockAvailableLots(connection, userId, { lotTypes, preferPaymentId });
+  const lotBalance = availableLots.reduce((sum, lot) => sum + lot.remaining_rings, 0);
+
+  // 유형 제한이 있으면 해당 로트 잔여분까지만 사용 가능
+  const spendable = lotTypes ? Math.min(lotBalance, Math.max(currentBalance, 0)) : Math.max(currentBalance, 0);
+
+  let appliedDelta = requestedDelta;
+  if (spendable < debitRings && !allowNegative) {
+    if (!clampAtZero) {
+      throw createError(
+        lotTypes ? '사용 가능한 링이 부족합니다.' : '링 잔액이 부족합니다.',
+        RESPONSE_CODES.VALIDATION_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    appliedDelta = -spendable;
+  }
+
+  const balanceAfter = currentBalance + appliedDelta;
+  const entryId = await writeLedgerEntry(connection, {
+    userId,
+    entryType,
+    delta: appliedDelta,
+    balanceAfter,
+    ...references
+  });
+
+  // 로트로 차감하지 못한 나머지는 음수 잔액으로 남음 (allowNegative)
+  await consumeLots(connection, availableLots, -appliedDelta, entryId);
+
+  return {
+    id: entryId,
+    delta: appliedDelta,
+    balance_after: balanceAfter
+  };
+};
+
+/**
+ * 만료된 로트 소멸 처리 (로트별 expiry 원장 기록)
+ * 일일 만료 작업(jobs/ringLotExpiry.js)에서 로트 단위로 호출합니다.
+ *
+ * @returns {Promise<{id: number, delta: number, balance_after: number}|null>} 이미 처리된 로트면 null
+ */
+const expireRingLot = async (connection, lotId) => {
+  const [lots] = await connection.execute(
+    'SELECT id, user_id, lot_type, remaining_rings FROM ring_lots WHERE id = ?',
+    [lotId]
+  );
+
+  if (lots.length === 0) {
+    return null;
+  }
+
+  // 잠금 순서: 사용자 → 로트 (차감 경로와 동일)
+  const currentBalance = await lockUserBalance(connection, lots[0].user_id);
+  const [lockedLots] = await connection.execute(
+    `SELECT id, lot_type, remaining_rings FROM ring_lots
+     WHERE id = ? AND expired_at IS NULL AND expires_at <= NOW() FOR UPDATE`,
+    [lotId]
+  );
+
+  if (lockedLots.length === 0) {
+    return null;
+  }
+
+  const lot = lockedLots[0];
+  let entry = null;
+
+  if (lot.remaining_rings > 0) {
+    const balanceAfter = currentBalance - lot.remaining_rings;
+    const entryId = await writeLedgerEntry(connection, {
+      userId: lots[0].user_id,
+      entryType: RING_LEDGER_TYPES.EXPIRY,
+      delta: -lot.remaining_rings,
+      balanceAfter,
+      description: `${lot.lot_type === RING_LOT_TYPES.BONUS ? '보너스 ' : ''}링 ${lot.remaining_rings}개 유효기간 만료`
+    });
+
+    await connection.execute(
+      'INSERT INTO ring_lot_consumptions (lot_id, ledger_entry_id, rings) VALUES (?, ?, ?)',
+      [lot.id, entryId, lot.remaining_rings]
+    );
+
+    entry = { id: entryId, delta: -lot.remaining_rings, balance_after: balanceAfter };
+  }
+
+  await connection.execute(
+    'UPDATE ring_lots SET remaining_rings = 0, expired_at = NOW() WHERE id = ?',
+    [lot.id]
+  );
+
+  return entry;
+};
+
+/**
+ * 차감 원장에서 소진한 로트 구성으로 반환 로트 구성 (예약 홀드 반환, 분쟁 환불 등)
+ * paid 로트를 먼저 반환하고, 보너스 로트는 남은 유효기간(최소 1일)을 유지합니다.
+ * 로트로 차감되지 않은 부분(음수 잔액 상계분)은 paid 로트로 반환합니다.
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {number|number[]} ledgerEntryId - 원래 차감 원장 ID (여러 건이면 합산)
+ * @param {number} rings - 반환할 링
+ * @returns {Promise<Array<{lotType: string, rings: number, expiresInDays?: number}>>} recordRingEntry의 lots
+ */
+const buildRestoreLots = async (connection, ledgerEntryId, rings) => {
+  const entryIds = [].concat(ledgerEntryId);
+  const [consumed] = entryIds.length === 0 ? [[]] : await connection.execute(
+    `SELECT l.lot_type, l.expires_at, SUM(c.rings) as rings
+     FROM ring_lot_consumptions c
+     JOIN ring_lots l ON c.lot_id = l.id
+     WHERE c.ledger_entry_id IN (${entryIds.map(() => '?').join(', ')})
+     GROUP BY l.id, l.lot_type, l.expires_at
+     ORDER BY l.lot_type = ? DESC, l.expires_at IS NULL DESC, l.expires_at DESC`,
+    [...entryIds, RING_LOT_TYPES.PAID]
+  );
+
+  const lots = [];
+  let remaining = rings;
+
+  for (const lot of consumed) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const restored = Math.min(parseInt(lot.rings), remaining);
+    const expiresInDays = lot.expires_at
+      ? Math.max(Math.ceil((new Date(lot.expires_at).getTime() - Date.now()) / (24 * 60 * 60 * 1000)), 1)
+      : undefined;
+
+    lots.push({ lotType: lot.lot_type, rings: restored, expiresInDays });
+    remaining -= restored;
+  }
+
+  if (remaining > 0) {
+    lots.push({ lotType: RING_LOT_TYPES.PAID, rings: remaining });
+  }
+
+  return lots;
+};
+
+/**
+ * 유형별 잔액 및 만료 예정 링 조회
+ *
+ * @param {object} db - pool 또는 커넥션
+ * @param {number} userId
+ * @param {number} expiringWithinDays - 만료 예정 기준 일수
+ */
+const getLotBalance = async (db, userId, expiringWithinDays) => {
+  const [lots] = await db.execute(
+    `SELECT id, lot_type, source, remaining_rings, expires_at,
+     expires_at IS NOT NULL AND expires_at <= DATE_ADD(NOW(), INTERVAL ? DAY) as is_expiring_soon
+     FROM ring_lots
+     WHERE user_id = ? AND remaining_rings > 0 AND expired_at IS NULL
+     ORDER BY ${LOT_CONSUMPTION_ORDER}`,
+    [parseInt(expiringWithinDays), userId]
+  );
+
+  const sumRings = (filter) => lots.filter(filter).reduce((sum, lot) => sum + lot.remaining_rings, 0);
+  const expiringLots = lots.filter(lot => lot.is_expiring_soon);
+
+  return {
+    paid: sumRings(lot => lot.lot_type === RING_LOT_TYPES.PAID),
+    bonus: sumRings(lot => lot.lot_type === RING_LOT_TYPES.BONUS),
+    expiringSoon: {
+      rings: sumRings(lot => lot.is_expiring_soon),
+      lots: expiringLots.map(lot => ({
+        lot_id: lot.id,
+        lot_type: lot.lot_type,
+        rings: lot.remaining_rings,
+        expires_at: lot.expires_at
+      }))
+    }
+  };
+};
+
+module.exports = {
+  lockUserBalance,
+  recordRingEntry,
+  expireRingLot,
+  buildRestoreLots,
+  getLotBalance
+};
@@ -0,0 +1,61 @@
+const { pool } = require('../config/database');
+const { createError } = require('../utils/helpers');
+const { RESPONSE_CODES, HTTP_STATUS } = require('../utils/constants');
+
+/**
+ * 링 상품 카탈로그 서비스
+ */
+
+// 현재 판매 중인 상품 조건
+const ACTIVE_PACKAGE_CONDITION = `is_active = 1
+  AND (starts_at IS NULL OR starts_at <= NOW())
+  AND (ends_at IS NULL OR ends_at > NOW())`;
+
+/**
+ * 응답용 상품 형식 (총 적립 링 포함)
+ */
+const formatPackage = (ringPackage) => ({
+  ...ringPackage,
+  total_rings: ringPackage.base_rings + ringPackage.bonus_rings,
+  is_promotion: !!ringPackage.is_promotion,
+  is_active: !!ringPackage.is_active
+});
+
+/**
+ * 현재 판매 중인 상품 목록
+ */
+const listActivePackages = async () => {
+  const [packages] = await pool.execute(
+    `SELECT id, name, description, price, base_rings, bonus_rings, is_promotion,
+     starts_at, ends_at, display_order, is_active
+     FROM ring_packages
+     WHERE ${ACTIVE_PACKAGE_CONDITION}
+     ORDER BY display_order ASC, price ASC`
+  );
+
+  return packages.map(formatPackage);
+};
+
+/**
+ * 구매 가능한 상품 조회 (판매 기간/활성 여부 확인)
+ */
+const getPurchasablePackage = async (packageId) => {
+  const [packages] = await pool.execute(
+    `SELECT id, name, price, base_rings, bonus_rings, is_promotion
+     FROM ring_packages
+     WHERE id = ? AND ${ACTIVE_PACKAGE_CONDITION}`,
+    [packageId]
+  );
+
+  if (packages.length === 0) {
+    throw createError('구매할 수 없는 링 상품입니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return formatPackage(packages[0]);
+};
+
+module.exports = {
+  formatPackage,
+  listActivePackages,
+  getPurchasablePackage
+};
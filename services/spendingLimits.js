@@ -0,0 +1,268 @@
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  CONSULTATION_STATUS,
+  RESERVATION_STATUS,
+  SPENDING_LIMIT_TYPES,
+  SPENDING_LIMIT_PERIODS,
+  SPENDING_LIMIT_SOURCES,
+  SPENDING_LIMIT_POLICY
+} = require('../utils/constants');
+
+/**
+ * 지출 한도 서비스
+ * - purchase: 링 충전 결제 금액(원) 기준, 결제 생성시 확인
+ * - consultation: 상담 차감 링 기준, 상담 시작/예약 홀드시 확인하고 단위 과금마다 남은 한도까지만 차감
+ *
+ * 유형·기간별로 본인/관리자 한도 중 낮은 값이 적용됩니다.
+ * 본인 한도 하향은 즉시, 상향/해제는 대기 시간 후 적용됩니다. 관리자 한도는 즉시 적용됩니다.
+ */
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const LIMIT_UNITS = {
+  [SPENDING_LIMIT_TYPES.PURCHASE]: '원',
+  [SPENDING_LIMIT_TYPES.CONSULTATION]: '링'
+};
+
+const LIMIT_LABELS = {
+  [SPENDING_LIMIT_TYPES.PURCHASE]: '충전',
+  [SPENDING_LIMIT_TYPES.CONSULTATION]: '상담 이용'
+};
+
+const PERIOD_LABELS = {
+  [SPENDING_LIMIT_PERIODS.DAILY]: '일일',
+  [SPENDING_LIMIT_PERIODS.MONTHLY]: '월간'
+};
+
+/**
+ * 기간 시작 시각 (KST 자정 / KST 1일 자정)
+ */
+const getPeriodStart = (period, now = new Date()) => {
+  const kstNow = new Date(now.getTime() + KST_OFFSET_MS);
+  const day = period === SPENDING_LIMIT_PERIODS.MONTHLY ? 1 : kstNow.getUTCDate();
+
+  return new Date(Date.UTC(kstNow.getUTCFullYear(), kstNow.getUTCMonth(), day) - KST_OFFSET_MS);
+};
+
+/**
+ * 대기 시간이 지난 상향/해제 예약 반영
+ */
+const applyDueLimitChanges = async (db, userId) => {
+  await db.execute(
+    `UPDATE spending_limits
+     SET amount = pending_amount, pending_amount = NULL, pending_effective_at = NULL
+     WHERE user_id = ? AND pending_effective_at IS NOT NULL AND pending_effective_at <= NOW()`,
+    [userId]
+  );
+};
+
+/**
+ * 기간 내 사용량
+ * - purchase: 대기/완료 결제 금액 - 환불 금액 (실패/취소 결제 제외)
+ * - consultation: 진행 중/완료 상담의 실제 차감 링 (단위 선불 차감 누계, 할인 제외)
+ *   + 예약 홀드 중인 링 + 예약 취소/노쇼로 몰수된 링 (전환된 예약의 홀드는 상담 과금으로 계산)
+ */
+const getUsage = async (db, userId, limitType, since) => {
+  if (limitType === SPENDING_LIMIT_TYPES.PURCHASE) {
+    const [[{ used }]] = await db.execute(
+      `SELECT COALESCE(SUM(payment_amount - COALESCE(refunded_amount, 0)), 0) as used
+       FROM payments
+       WHERE user_id = ? AND created_at >= ? AND status IN (?, ?, ?)`,
+      [userId, since, PAYMENT_STATUS.PENDING, PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED]
+    );
+    return parseInt(used);
+  }
+
+  const [[{ used }]] = await db.execute(
+    `SELECT COALESCE(SUM(amount - discount_amount), 0) as used
+     FROM consultations
+     WHERE customer_id = ? AND status IN (?, ?) AND COALESCE(end_datetime, NOW()) >= ?`,
+    [userId, CONSULTATION_STATUS.IN_PROGRESS, CONSULTATION_STATUS.COMPLETED, since]
+  );
+
+  const [[{ held }]] = await db.execute(
+    `SELECT COALESCE(SUM(CASE WHEN status = ? THEN hold_rings ELSE hold_rings - refund_rings END), 0) as held
+     FROM reservations
+     WHERE customer_id = ?
+       AND ((status = ? AND created_at >= ?) OR (status IN (?, ?) AND cancelled_at >= ?))`,
+    [
+      RESERVATION_STATUS.RESERVED,
+      userId,
+      RESERVATION_STATUS.RESERVED,
+      since,
+      RESERVATION_STATUS.CANCELLED,
+      RESERVATION_STATUS.NO_SHOW,
+      since
+    ]
+  );
+
+  return parseInt(used) + parseInt(held);
+};
+
+/**
+ * 사용자 지출 한도 설정 목록 (예약 반영 후)
+ */
+const getSpendingLimits = async (db, userId) => {
+  await applyDueLimitChanges(db, userId);
+
+  const [limits] = await db.execute(
+    `SELECT limit_type, period, source, amount, pending_amount, pending_effective_at, reason, updated_at
+     FROM spending_limits
+     WHERE user_id = ? AND (amount IS NOT NULL OR pending_effective_at IS NOT NULL)
+     ORDER BY limit_type, period, source`,
+    [userId]
+  );
+
+  return limits;
+};
+
+/**
+ * 유형별 남은 한도 계산
+ * @returns {Promise<{limit_type: string, remaining: number|null, periods: object[]}>}
+ *   remaining: 가장 작은 기간별 잔여 한도 (null: 제한 없음)
+ */
+const getSpendingAllowance = async (db, userId, limitType) => {
+  const limits = await getSpendingLimits(db, userId);
+  const periods = [];
+  let remaining = null;
+
+  for (const period of Object.values(SPENDING_LIMIT_PERIODS)) {
+    const applied = limits.filter(limit =>
+      limit.limit_type === limitType && limit.period === period && limit.amount !== null
+    );
+
+    if (applied.length === 0) {
+      continue;
+    }
+
+    const limitAmount = Math.min(...applied.map(limit => limit.amount));
+    const used = await getUsage(db, userId, limitType, getPeriodStart(period));
+    const periodRemaining = Math.max(limitAmount - used, 0);
+
+    periods.push({
+      period,
+      limit: limitAmount,
+      used,
+      remaining: periodRemaining,
+      enforced_by_admin: applied.some(limit =>
+        limit.source === SPENDING_LIMIT_SOURCES.ADMIN && limit.amount === limitAmount
+      )
+    });
+
+    remaining = remaining === null ? periodRemaining : Math.min(remaining, periodRemaining);
+  }
+
+  return {
+    limit_type: limitType,
+    unit: LIMIT_UNITS[limitType],
+    remaining,
+    periods
+  };
+};
+
+/**
+ * 지출 가능 여부 확인 (초과시 403)
+ * 결제 생성처럼 동시 요청이 가능한 경로는 lockUserBalance로 사용자 행을 잠근 뒤 호출합니다.
+ */
+const assertSpendingAllowance = async (db, userId, limitType, amount) => {
+  const allowance = await getSpendingAllowance(db, userId, limitType);
+
+  if (allowance.remaining === null || amount <= allowance.remaining) {
+    return allowance;
+  }
+
+  const exceeded = allowance.periods.find(period => amount > period.remaining);
+
+  throw createError(
+    `${PERIOD_LABELS[exceeded.period]} ${LIMIT_LABELS[limitType]} 한도를 초과합니다. ` +
+      `(남은 한도: ${exceeded.remaining}${allowance.unit})`,
+    RESPONSE_CODES.SPENDING_LIMIT_EXCEEDED,
+    HTTP_STATUS.FORBIDDEN
+  );
+};
+
+/**
+ * 지출 한도 설정
+ * 본인 한도 상향(또는 해제)은 즉시 적용하지 않고 대기 시간 후 적용되도록 예약합니다.
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} params
+ * @param {number|null} params.amount - 새 한도 (null: 해제)
+ * @returns {Promise<{amount: number|null, pending_amount: number|null, pending_effective_at: Date|null, is_pending: boolean}>}
+ */
+const setSpendingLimit = async (connection, { userId, limitType, period, source, amount, reason = null, actorId }) => {
+  await applyDueLimitChanges(connection, userId);
+
+  const [rows] = await connection.execute(
+    `SELECT id, amount FROM spending_limits
+     WHERE user_id = ? AND limit_type = ? AND period = ? AND source = ?
+     FOR UPDATE`,
+    [userId, limitType, period, source]
+  );
+
+  const current = rows.length > 0 ? rows[0].amount : null;
+  const isRaise = current !== null && (amount === null || amount > current);
+  const isPending = source === SPENDING_LIMIT_SOURCES.SELF && isRaise;
+
+  const pendingEffectiveAt = isPending
+    ? new Date(Date.now() + SPENDING_LIMIT_POLICY.RAISE_COOLING_OFF_HOURS * 60 * 60 * 1000)
+    : null;
+
+  // 하향/신규/관리자 변경은 즉시 적용하고 기존 상향 예약은 취소
+  const nextAmount = isPending ? current : amount;
+  const pendingAmount = isPending ? amount : null;
+
+  if (rows.length === 0) {
+    await connection.execute(
+      `INSERT INTO spending_limits
+       (user_id, limit_type, period, source, amount, pending_amount, pending_effective_at, reason, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, limitType, period, source, nextAmount, pendingAmount, pendingEffectiveAt, reason, actorId]
+    );
+  } else {
+    await connection.execute(
+      `UPDATE spending_limits
+       SET amount = ?, pending_amount = ?, pending_effective_at = ?, reason = ?, updated_by = ?
+       WHERE id = ?`,
+      [nextAmount, pendingAmount, pendingEffectiveAt, reason, actorId, rows[0].id]
+    );
+  }
+
+  return {
+    limit_type: limitType,
+    period,
+    source,
+    amount: nextAmount,
+    pending_amount: pendingAmount,
+    pending_effective_at: pendingEffectiveAt,
+    is_pending: isPending
+  };
+};
+
+/**
+ * 설정 화면/관리자 조회용 요약 (설정 목록 + 유형별 남은 한도)
+ */
+const getSpendingLimitSummary = async (db, userId) => {
+  const limits = await getSpendingLimits(db, userId);
+
+  return {
+    limits,
+    allowances: {
+      purchase: await getSpendingAllowance(db, userId, SPENDING_LIMIT_TYPES.PURCHASE),
+      consultation: await getSpendingAllowance(db, userId, SPENDING_LIMIT_TYPES.CONSULTATION)
+    },
+    raise_cooling_off_hours: SPENDING_LIMIT_POLICY.RAISE_COOLING_OFF_HOURS
+  };
+};
+
+module.exports = {
+  getPeriodStart,
+  getSpendingLimits,
+  getSpendingAllowance,
+  getSpendingLimitSummary,
+  assertSpendingAllowance,
+  setSpendingLimit
+};
@@ -0,0 +1,174 @@
+const { pool } = require('../config/database');
+const { lockConsultation, publishConsultationStatus } = require('./consultationState');
+const { getUnitMs, getStartDateTime, billConsultationUnits, finalizeConsultation } = require('./consultationBilling');
+const { markConsultantAway } = require('./presence');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  CONSULTATION_STATUS,
+  CONSULTATION_ACTOR_TYPES,
+  CONSULTATION_END_REASONS,
+  STALE_SESSION_POLICY,
+  ADMIN_REVIEW_STATUS,
+  TELEPHONY_CALL_STATUS,
+  TELEPHONY_POLICY
+} = require('../utils/constants');
+
+/**
+ * 방치된 상담 정리
+ * - 상담중인 상담의 활동(하트비트, 통화 기록)은 last_activity_at에 기록됩니다.
+ * - 활동이 STALE_SESSION_POLICY.IDLE_SECONDS 동안 없으면 마지막 활동 시각으로 종료/정산하고
+ *   (상담사 상태는 상담 종료와 같이 자동 복귀) 관리자 확인 대상으로 표시합니다.
+ * - 통화 시스템이 연결 중으로 추적하는 전화 상담은 CDR 종료 이벤트로 정산하므로 제외합니다
+ *   (TELEPHONY_POLICY.MAX_CALL_HOURS가 지나도 종료 이벤트가 없으면 정리 대상).
+ */
+
+/**
+ * 상담 활동 기록 (더 이전 시각으로는 되돌리지 않음)
+ */
+const recordConsultationActivity = async (db, consultationId, at = new Date()) => {
+  await db.execute(
+    `UPDATE consultations
+     SET last_activity_at = GREATEST(COALESCE(last_activity_at, ?), ?)
+     WHERE id = ? AND status = ?`,
+    [at, at, consultationId, CONSULTATION_STATUS.IN_PROGRESS]
+  );
+};
+
+/**
+ * 상담의 마지막 활동 시각 (활동 기록이 없으면 시작 시각)
+ */
+const getLastActivity = (consultation) => consultation.last_activity_at
+  ? new Date(consultation.last_activity_at)
+  : getStartDateTime(consultation);
+
+/**
+ * 방치된 상담 종료 (상담별 트랜잭션)
+ * 종료 시각은 마지막 활동 시각이며, 그때까지의 단위만 과금합니다 (이미 선불 차감한 단위는 유지).
+ * @returns {Promise<{closed: number, failed: number}>}
+ */
+const sweepStaleSessions = async () => {
+  const [stale] = await pool.execute(
+    `SELECT c.id, cs.user_id as consultant_user_id
+     FROM consultations c
+     LEFT JOIN consultants cs ON c.consultant_id = cs.id
+     WHERE c.status = ?
+       AND COALESCE(c.last_activity_at, c.start_datetime, c.status_changed_at) <= NOW() - INTERVAL ${STALE_SESSION_POLICY.IDLE_SECONDS} SECOND
+       AND NOT EXISTS (
+         SELECT 1 FROM telephony_calls t
+         WHERE t.consultation_id = c.id AND t.status = ?
+           AND t.answered_at > NOW() - INTERVAL ${TELEPHONY_POLICY.MAX_CALL_HOURS} HOUR
+       )
+     ORDER BY COALESCE(c.last_activity_at, c.start_datetime, c.status_changed_at) ASC
+     LIMIT 100`,
+    [CONSULTATION_STATUS.IN_PROGRESS, TELEPHONY_CALL_STATUS.ANSWERED]
+  );
+
+  const result = { closed: 0, failed: 0 };
+  const cutoff = new Date(Date.now() - STALE_SESSION_POLICY.IDLE_SECONDS * 1000);
+
+  for (const { id, consultant_user_id: consultantUserId } of stale) {
+    const connection = await pool.getConnection();
+    let closedNow = false;
+
+    try {
+      await connection.beginTransaction();
+
+      const consultation = await lockConsultation(connection, id);
+
+      // 잠금 전에 종료되었거나 활동이 들어온 경우 건너뜀
+      if (!consultation || consultation.status !== CONSULTATION_STATUS.IN_PROGRESS || getLastActivity(consultation) > cutoff) {
+        await connection.rollback();
+        continue;
+      }
+
+      const lastActivity = getLastActivity(consultation);
+      const durationMs = lastActivity.getTime() - getStartDateTime(consultation).getTime();
+      const dueUnits = Math.ceil(Math.max(durationMs, 0) / getUnitMs(consultation));
+
+      const billing = await billConsultationUnits(connection, consultation, { dueUnits, actorId: null });
+
+      await finalizeConsultation(connection, consultation, billing, {
+        endDateTime: billing.paid_through < lastActivity ? billing.paid_through : lastActivity,
+        actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+        actorId: null,
+        endReason: CONSULTATION_END_REASONS.STALE_SESSION
+      });
+
+      await connection.execute(
+        'UPDATE consultations SET admin_review_status = ?, admin_review_reason = ? WHERE id = ?',
+        [
+          ADMIN_REVIEW_STATUS.PENDING,
+          `마지막 활동 이후 ${STALE_SESSION_POLICY.IDLE_SECONDS}초 동안 하트비트/통화 기록 없음`,
+          id
+        ]
+      );
+
+      await connection.commit();
+      closedNow = true;
+      result.closed++;
+    } catch (error) {
+      await connection.rollback();
+      result.failed++;
+      console.error(`방치된 상담 종료 에러 (consultation #${id}):`, error);
+    } finally {
+      connection.release();
+    }
+
+    if (closedNow) {
+      await publishConsultationStatus(id).catch(error => {
+        console.error(`상담 상태 전송 에러 (consultation #${id}):`, error);
+      });
+
+      // 상담사 앱도 끊겨 있으면 대기중 대신 away로
+      if (consultantUserId) {
+        await markConsultantAway(consultantUserId).catch(error => {
+          console.error(`상담사 away 전환 에러 (user #${consultantUserId}):`, error);
+        });
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 관리자 확인 처리 (확인 대기 상태만)
+ */
+const resolveFlaggedSession = async ({ consultationId, reviewerId, note }) => {
+  const [result] = await pool.execute(
+    `UPDATE consultations
+     SET admin_review_status = ?, admin_review_note = ?, admin_reviewed_by = ?, admin_reviewed_at = NOW()
+     WHERE id = ? AND admin_review_status = ?`,
+    [ADMIN_REVIEW_STATUS.RESOLVED, note, reviewerId, consultationId, ADMIN_REVIEW_STATUS.PENDING]
+  );
+
+  if (result.affectedRows === 0) {
+    const [consultations] = await pool.execute(
+      'SELECT admin_review_status FROM consultations WHERE id = ?',
+      [consultationId]
+    );
+
+    if (consultations.length === 0 || !consultations[0].admin_review_status) {
+      throw createError('확인 대상 상담을 찾을 수 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    throw createError('이미 처리된 상담입니다.', RESPONSE_CODES.VALIDATION_ERROR, HTTP_STATUS.CONFLICT);
+  }
+
+  const [consultations] = await pool.execute(
+    `SELECT id, status, end_reason, admin_review_status, admin_review_reason, admin_review_note,
+     admin_reviewed_by, admin_reviewed_at
+     FROM consultations WHERE id = ?`,
+    [consultationId]
+  );
+
+  return consultations[0];
+};
+
+module.exports = {
+  recordConsultationActivity,
+  sweepStaleSessions,
+  resolveFlaggedSession
+};
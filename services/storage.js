@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 첨부 파일 저장소
+ * 채팅 이미지처럼 당사자만 볼 수 있는 파일을 저장합니다. 정적 경로(/uploads)로 공개되지 않으며,
+ * 조회는 권한 확인 후 createReadStream으로 전달합니다.
+ * 파일은 key(폴더/파일명)로 식별하므로 저장 위치를 바꿔도 호출자는 그대로 사용할 수 있습니다.
+ */
+
+const STORAGE_ROOT = path.resolve(process.env.STORAGE_ROOT || path.join(__dirname, '../storage'));
+
+/**
+ * key → 실제 경로 (저장소 밖 경로 차단)
+ */
+const resolveKey = (key) => {
+  const filePath = path.resolve(STORAGE_ROOT, key);
+
+  if (!filePath.startsWith(STORAGE_ROOT + path.sep)) {
+    throw new Error('잘못된 파일 경로입니다.');
+  }
+
+  return filePath;
+};
+
+/**
+ * 파일 저장
+ *
+ * @param {object} file
+ * @param {string} file.folder - 저장 폴더 (예: chat/123)
+ * @param {string} file.originalName - 원본 파일명 (확장자만 사용)
+ * @param {Buffer} file.buffer
+ * @returns {Promise<{key: string, size: number}>}
+ */
+const saveFile = async ({ folder, originalName, buffer }) => {
+  const extension = path.extname(originalName || '').toLowerCase();
+  const key = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+  const filePath = resolveKey(key);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return { key, size: buffer.length };
+};
+
+/**
+ * 파일 읽기 스트림
+ * @param {string} key
+ * @param {{start?: number, end?: number}} [range] - 부분 읽기 (바이트, end 포함)
+ */
+const createReadStream = (key, range = {}) => fs.createReadStream(resolveKey(key), range);
+
+/**
+ * 파일 크기 (바이트)
+ */
+const getFileSize = async (key) => (await fs.promises.stat(resolveKey(key))).size;
+
+/**
+ * 파일 삭제 (이미 없으면 무시)
+ */
+const deleteFile = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  saveFile,
+  createReadStream,
+  getFileSize,
+  deleteFile
+};
@@ -0,0 +1,402 @@
+const { lockConsultation, transitionConsultation } = require('./consultationState');
+const { getUnitMs, getStartDateTime, billConsultationUnits, startBilledSession, finalizeConsultation } = require('./consultationBilling');
+const { assertCanRequest, createConsultationRequest } = require('./consultationRequests');
+const { resolveBillingPolicy } = require('./billingPolicy');
+const { createError } = require('../utils/helpers');
+const {
+  RESPONSE_CODES,
+  HTTP_STATUS,
+  CONSULTANT_STATUS,
+  CONSULTATION_STATUS,
+  CONSULTATION_ACTOR_TYPES,
+  ADMIN_REVIEW_STATUS,
+  TELEPHONY_EVENT_TYPES,
+  TELEPHONY_CALL_STATUS
+} = require('../utils/constants');
+
+/**
+ * 통화 시스템 CDR 연동 ('전화' 상담)
+ * - call.started: consultation_id가 있으면 그 상담, 없으면 발신번호(고객)/수신번호(상담사)로 찾은
+ *   응답 대기 중인 상담에 연결하고, 없으면 새 상담 요청을 만듭니다. 상담할 수 없으면 reject를 반환합니다.
+ * - call.answered: 수락 → 상담중으로 전이하고 CDR 연결 시각부터 과금합니다 (상담사 상태 consulting).
+ * - call.hangup: CDR 통화 시간(duration_seconds)으로 과금/정산하고 상담을 종료합니다 (상담사 상태 waiting).
+ *   연결되지 않은 통화는 종료 사유에 따라 부재/거절/취소로 정리합니다.
+ * - 통화 시스템이 추적하는 상담은 앱의 /end, /tick 요청(앱 시각)으로 과금/종료할 수 없습니다.
+ */
+
+// 연결 전 종료 사유 → 상담 상태 (그 외는 부재)
+const UNANSWERED_STATUS_BY_CAUSE = {
+  busy: CONSULTATION_STATUS.DECLINED,
+  declined: CONSULTATION_STATUS.DECLINED,
+  caller_cancel: CONSULTATION_STATUS.CANCELLED
+};
+
+// 통화를 연결할 수 있는 상담 상태
+const LINKABLE_STATUSES = [
+  CONSULTATION_STATUS.REQUESTED,
+  CONSULTATION_STATUS.RINGING,
+  CONSULTATION_STATUS.ACCEPTED
+];
+
+/**
+ * 전화번호 정규화 (숫자만)
+ */
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+/**
+ * 통화 행 잠금
+ */
+const lockCall = async (connection, callId) => {
+  const [calls] = await connection.execute(
+    `SELECT id, call_id, consultation_id, status, started_at, answered_at
+     FROM telephony_calls WHERE call_id = ? FOR UPDATE`,
+    [callId]
+  );
+
+  return calls[0] || null;
+};
+
+/**
+ * 전화번호로 고객/상담사 찾기 (같은 번호가 여러 명이면 매칭하지 않음)
+ */
+const findByPhone = async (connection, table, columns, phone) => {
+  const normalized = normalizePhone(phone);
+
+  if (!normalized) {
+    return null;
+  }
+
+  const [rows] = await connection.execute(
+    `SELECT ${columns} FROM ${table}
+     WHERE REPLACE(REPLACE(phone, '-', ''), ' ', '') = ?
+     LIMIT 2`,
+    [normalized]
+  );
+
+  return rows.length === 1 ? rows[0] : null;
+};
+
+/**
+ * 통화 기록 생성
+ */
+const insertCall = async (connection, event, { consultationId = null, customerId = null, consultantId = null, status, rejectReason = null }) => {
+  await connection.execute(
+    `INSERT INTO telephony_calls (
+      call_id, consultation_id, customer_id, consultant_id, caller, callee, status, reject_reason, started_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      event.call_id,
+      consultationId,
+      customerId,
+      consultantId,
+      normalizePhone(event.caller) || null,
+      normalizePhone(event.callee) || null,
+      status,
+      rejectReason,
+      new Date(event.occurred_at)
+    ]
+  );
+};
+
+/**
+ * 연결 거절 결과 (통화 시스템은 reject를 받으면 통화를 끊음)
+ */
+const rejectCall = async (connection, event, reason, params = {}) => {
+  await insertCall(connection, event, { ...params, status: TELEPHONY_CALL_STATUS.REJECTED, rejectReason: reason });
+  return { outcome: 'rejected', action: 'reject', reason, consultation_id: null };
+};
+
+/**
+ * call.started - 상담 연결 또는 새 상담 요청
+ */
+const handleCallStarted = async (connection, event) => {
+  const existing = await lockCall(connection, event.call_id);
+
+  if (existing) {
+    return {
+      outcome: 'duplicate',
+      action: existing.status === TELEPHONY_CALL_STATUS.REJECTED ? 'reject' : 'connect',
+      consultation_id: existing.consultation_id
+    };
+  }
+
+  let consultation = null;
+  let request = null;
+  let customer = null;
+  let consultant = null;
+
+  if (event.consultation_id) {
+    consultation = await lockConsultation(connection, event.consultation_id);
+
+    if (!consultation) {
+      return rejectCall(connection, event, '상담을 찾을 수 없습니다.');
+    }
+  } else {
+    customer = await findByPhone(connection, 'users', 'id, nickname', event.caller);
+    consultant = await findByPhone(
+      connection,
+      'consultants',
+      'id, user_id, name, consultant_number, consultation_field, consultation_fee, consultant_grade, status',
+      event.callee
+    );
+
+    if (!customer || !consultant) {
+      return rejectCall(connection, event, '발신/수신 번호에 해당하는 고객 또는 상담사가 없습니다.', {
+        customerId: customer ? customer.id : null,
+        consultantId: consultant ? consultant.id : null
+      });
+    }
+
+    // 앱에서 먼저 요청한 전화 상담이 있으면 그 상담에 연결
+    const [pending] = await connection.execute(
+      `SELECT id FROM consultations
+       WHERE customer_id = ? AND consultant_id = ? AND consultation_method = '전화'
+         AND status IN (?, ?, ?) AND telephony_call_id IS NULL
+       ORDER BY id DESC LIMIT 1`,
+      [customer.id, consultant.id, ...LINKABLE_STATUSES]
+    );
+
+    if (pending.length > 0) {
+      consultation = await lockConsultation(connection, pending[0].id);
+    } else {
+      if (consultant.status !== CONSULTANT_STATUS.WAITING) {
+        return rejectCall(connection, event, '상담 가능한 상담사가 아닙니다.', {
+          customerId: customer.id,
+          consultantId: consultant.id
+        });
+      }
+
+      const policy = await resolveBillingPolicy(connection, consultant.consultant_grade, '전화');
+
+      try {
+        await assertCanRequest(connection, customer.id, consultant.consultation_fee * policy.minimum_units);
+      } catch (error) {
+        if (!error.statusCode) {
+          throw error;
+        }
+        return rejectCall(connection, event, error.message, { customerId: customer.id, consultantId: consultant.id });
+      }
+
+      request = await createConsultationRequest(connection, {
+        customerId: customer.id,
+        consultant,
+        consultationType: consultant.consultation_field,
+        consultationMethod: '전화',
+        policy
+      });
+      consultation = await lockConsultation(connection, request.id);
+    }
+  }
+
+  if (!LINKABLE_STATUSES.includes(consultation.status)) {
+    return rejectCall(connection, event, `'${consultation.status}' 상태의 상담에는 통화를 연결할 수 없습니다.`, {
+      customerId: consultation.customer_id,
+      consultantId: consultation.consultant_id
+    });
+  }
+
+  await connection.execute(
+    'UPDATE consultations SET telephony_call_id = ? WHERE id = ?',
+    [event.call_id, consultation.id]
+  );
+
+  await insertCall(connection, event, {
+    consultationId: consultation.id,
+    customerId: consultation.customer_id,
+    consultantId: consultation.consultant_id,
+    status: TELEPHONY_CALL_STATUS.RINGING
+  });
+
+  return {
+    outcome: request ? 'created' : 'linked',
+    action: 'connect',
+    consultation_id: consultation.id,
+    request,
+    customer,
+    consultant
+  };
+};
+
+/**
+ * 연결 전 상담을 상담중으로 전이하고 CDR 연결 시각부터 과금
+ */
+const startCallConsultation = async (connection, consultation, answeredAt) => {
+  if (consultation.status === CONSULTATION_STATUS.REQUESTED) {
+    await transitionConsultation(connection, consultation, CONSULTATION_STATUS.RINGING, {
+      actorType: CONSULTATION_ACTOR_TYPES.SYSTEM
+    });
+  }
+
+  if (consultation.status === CONSULTATION_STATUS.RINGING) {
+    await transitionConsultation(connection, consultation, CONSULTATION_STATUS.ACCEPTED, {
+      actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+      reason: '통화 연결'
+    });
+  }
+
+  await transitionConsultation(connection, consultation, CONSULTATION_STATUS.IN_PROGRESS, {
+    actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+    reason: '통화 연결'
+  });
+
+  await startBilledSession(connection, consultation, { startDateTime: answeredAt, actorId: null });
+};
+
+/**
+ * call.answered - 통화 연결 (상담 시작)
+ */
+const handleCallAnswered = async (connection, event, call) => {
+  if (call.status !== TELEPHONY_CALL_STATUS.RINGING) {
+    return { outcome: 'ignored', consultation_id: call.consultation_id };
+  }
+
+  const answeredAt = new Date(event.occurred_at);
+  const consultation = await lockConsultation(connection, call.consultation_id);
+
+  if (LINKABLE_STATUSES.includes(consultation.status)) {
+    await startCallConsultation(connection, consultation, answeredAt);
+  } else if (consultation.status === CONSULTATION_STATUS.IN_PROGRESS) {
+    // 앱이 먼저 /connect한 경우 과금 시작 시각을 CDR 연결 시각으로 맞춤
+    await connection.execute(
+      'UPDATE consultations SET start_time = ?, start_datetime = ? WHERE id = ?',
+      [answeredAt.toTimeString().split(' ')[0], answeredAt, consultation.id]
+    );
+  } else {
+    return { outcome: 'ignored', consultation_id: consultation.id };
+  }
+
+  await connection.execute(
+    'UPDATE telephony_calls SET status = ?, answered_at = ?, updated_at = NOW() WHERE id = ?',
+    [TELEPHONY_CALL_STATUS.ANSWERED, answeredAt, call.id]
+  );
+
+  return { outcome: 'started', consultation_id: consultation.id };
+};
+
+/**
+ * call.hangup - 통화 종료 (CDR 통화 시간으로 정산)
+ */
+const handleCallHangup = async (connection, event, call) => {
+  if ([TELEPHONY_CALL_STATUS.ENDED, TELEPHONY_CALL_STATUS.REJECTED].includes(call.status)) {
+    return { outcome: 'ignored', consultation_id: call.consultation_id };
+  }
+
+  const endedAt = new Date(event.occurred_at);
+  const consultation = await lockConsultation(connection, call.consultation_id);
+  let outcome = 'ignored';
+
+  if (consultation.status === CONSULTATION_STATUS.IN_PROGRESS) {
+    const startDateTime = getStartDateTime(consultation);
+    const durationMs = event.duration_seconds !== undefined && event.duration_seconds !== null
+      ? parseInt(event.duration_seconds) * 1000
+      : Math.max(endedAt.getTime() - startDateTime.getTime(), 0);
+    const callEnd = new Date(startDateTime.getTime() + durationMs);
+    const dueUnits = Math.ceil(durationMs / getUnitMs(consultation));
+
+    const billing = await billConsultationUnits(connection, consultation, { dueUnits, actorId: null });
+
+    await finalizeConsultation(connection, consultation, billing, {
+      endDateTime: billing.paid_through < callEnd ? billing.paid_through : callEnd,
+      actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+      actorId: null,
+      endReason: billing.stop_reason
+    });
+    outcome = 'completed';
+  } else if (LINKABLE_STATUSES.includes(consultation.status)) {
+    // 연결 이벤트 없이 끝난 통화는 과금하지 않음
+    const toStatus = consultation.status === CONSULTATION_STATUS.ACCEPTED
+      ? CONSULTATION_STATUS.CANCELLED
+      : UNANSWERED_STATUS_BY_CAUSE[event.hangup_cause] || CONSULTATION_STATUS.MISSED;
+
+    await transitionConsultation(connection, consultation, toStatus, {
+      actorType: CONSULTATION_ACTOR_TYPES.SYSTEM,
+      reason: `통화 종료 (${event.hangup_cause || 'no_answer'})`
+    });
+    outcome = 'not_connected';
+  } else if (consultation.status === CONSULTATION_STATUS.COMPLETED && event.duration_seconds) {
+    // 이미 정산된 상담(방치된 상담 정리 등)과 통화 시간이 한 과금 단위 이상 다르면 관리자 확인
+    const [[completed]] = await connection.execute(
+      'SELECT start_datetime, end_datetime FROM consultations WHERE id = ?',
+      [consultation.id]
+    );
+    const settledMs = new Date(completed.end_datetime).getTime() - new Date(completed.start_datetime).getTime();
+
+    if (Math.abs(parseInt(event.duration_seconds) * 1000 - settledMs) >= getUnitMs(consultation)) {
+      await connection.execute(
+        `UPDATE consultations SET admin_review_status = ?, admin_review_reason = ?
+         WHERE id = ? AND admin_review_status IS NULL`,
+        [
+          ADMIN_REVIEW_STATUS.PENDING,
+          `CDR 통화 시간(${event.duration_seconds}초)과 정산 시간(${Math.round(settledMs / 1000)}초)이 다름`,
+          consultation.id
+        ]
+      );
+      outcome = 'flagged';
+    }
+  }
+
+  await connection.execute(
+    `UPDATE telephony_calls
+     SET status = ?, ended_at = ?, duration_seconds = ?, hangup_cause = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [
+      TELEPHONY_CALL_STATUS.ENDED,
+      endedAt,
+      event.duration_seconds !== undefined && event.duration_seconds !== null ? parseInt(event.duration_seconds) : null,
+      event.hangup_cause || null,
+      call.id
+    ]
+  );
+
+  return { outcome, consultation_id: consultation.id };
+};
+
+/**
+ * CDR 이벤트 처리 (호출자의 트랜잭션)
+ *
+ * @param {object} connection - 트랜잭션이 시작된 커넥션
+ * @param {object} event - { event_type, call_id, occurred_at, caller, callee, consultation_id, duration_seconds, hangup_cause }
+ * @returns {Promise<{outcome: string, consultation_id: number|null, action?: string, reason?: string,
+ *   request?: object, customer?: object, consultant?: object}>}
+ */
+const processCallEvent = async (connection, event) => {
+  if (event.event_type === TELEPHONY_EVENT_TYPES.STARTED) {
+    return handleCallStarted(connection, event);
+  }
+
+  const call = await lockCall(connection, event.call_id);
+
+  if (!call) {
+    // call.started보다 먼저 도착한 이벤트: 시작 이벤트 처리 후 재전송되면 다시 처리
+    const error = createError('통화 시작 기록이 없습니다.', RESPONSE_CODES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    error.retryable = true;
+    throw error;
+  }
+
+  if (!call.consultation_id) {
+    return { outcome: 'ignored', consultation_id: null };
+  }
+
+  if (event.event_type === TELEPHONY_EVENT_TYPES.ANSWERED) {
+    return handleCallAnswered(connection, event, call);
+  }
+
+  return handleCallHangup(connection, event, call);
+};
+
+/**
+ * 통화 시스템이 추적 중인 상담인지 (앱 종료/하트비트 과금 차단용)
+ */
+const isTelephonyTracked = async (db, consultationId) => {
+  const [calls] = await db.execute(
+    'SELECT id FROM telephony_calls WHERE consultation_id = ? AND status IN (?, ?) LIMIT 1',
+    [consultationId, TELEPHONY_CALL_STATUS.RINGING, TELEPHONY_CALL_STATUS.ANSWERED]
+  );
+
+  return calls.length > 0;
+};
+
+module.exports = {
+  processCallEvent,
+  isTelephonyTracked
+};
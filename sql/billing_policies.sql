@@ -0,0 +1,62 @@
+-- 과금/정산 정책 (버전 관리)
+-- 정책은 버전 단위로 등록되며 등록 후에는 수정하지 않습니다. 변경은 새 버전을 등록하고,
+-- effective_from이 지난 가장 최근 버전이 새 상담에 적용됩니다.
+-- 상담은 요청 시점의 정책 버전과 과금 단위/최소 단위/정산율을 스냅샷으로 저장해, 이후 정책이 바뀌어도 정산이 재현됩니다.
+
+-- 1. 정책 버전
+CREATE TABLE IF NOT EXISTS billing_policies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  version INT NOT NULL,
+  effective_from DATETIME NOT NULL,
+  note VARCHAR(200) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_billing_policy_version (version),
+  INDEX idx_billing_policy_effective (effective_from)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 2. 등급별 규칙 (consultation_method NULL: 등급 기본값, 값이 있으면 해당 방식만 덮어씀)
+-- 방식별 규칙의 NULL 컬럼은 등급 기본값을 따릅니다. 허용 상담료는 등급 기본값에만 둡니다.
+CREATE TABLE IF NOT EXISTS billing_policy_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  policy_id INT NOT NULL,
+  consultant_grade VARCHAR(20) NOT NULL,
+  consultation_method VARCHAR(10) NULL,    -- 전화, 채팅, 화상
+  unit_seconds INT NULL,                   -- 과금 단위 (초)
+  minimum_units INT NULL,                  -- 최소 과금 단위 수 (연결시 선불)
+  allowed_fees JSON NULL,                  -- 설정 가능한 단위당 상담료 (링)
+  commission_rate DECIMAL(5,4) NULL,       -- 상담사 정산율 (상담료 대비)
+  INDEX idx_billing_policy_rules (policy_id, consultant_grade)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 3. 상담별 정책 스냅샷 (NULL: 정책 도입 전 상담, 30초 단위/70% 기준)
+ALTER TABLE consultations
+  ADD COLUMN billing_policy_id INT NULL,
+  ADD COLUMN billing_unit_seconds INT NULL,
+  ADD COLUMN billing_minimum_units INT NULL,
+  ADD COLUMN commission_rate DECIMAL(5,4) NULL;
+
+-- 4. 초기 정책 (기존 하드코딩 값)
+INSERT INTO billing_policies (version, effective_from, note)
+VALUES (1, '2020-01-01 00:00:00', '초기 정책 (30초 단위, 정산율 70%)');
+
+INSERT INTO billing_policy_rules (policy_id, consultant_grade, unit_seconds, minimum_units, allowed_fees, commission_rate)
+SELECT id, grade, 30, 1, fees, 0.7000
+FROM billing_policies
+JOIN (
+  SELECT '일반' as grade, JSON_ARRAY(1000) as fees
+  UNION ALL SELECT '파트너1', JSON_ARRAY(1000, 1200)
+  UNION ALL SELECT '파트너2', JSON_ARRAY(1000, 1200)
+  UNION ALL SELECT '파트너3', JSON_ARRAY(1000, 1200, 1300)
+  UNION ALL SELECT '파트너4', JSON_ARRAY(1000, 1200, 1300, 1500)
+  UNION ALL SELECT '파트너5', JSON_ARRAY(1000, 1200, 1300, 1500, 1600)
+  UNION ALL SELECT '파트너6', JSON_ARRAY(1000, 1200, 1300, 1500, 1600, 1800)
+) grades
+WHERE version = 1;
+
+-- 5. 예약별 정책 스냅샷 (홀드 계산, 노쇼 보상, 전환된 상담에 사용)
+ALTER TABLE reservations
+  ADD COLUMN billing_policy_id INT NULL,
+  ADD COLUMN billing_unit_seconds INT NULL,
+  ADD COLUMN billing_minimum_units INT NULL,
+  ADD COLUMN commission_rate DECIMAL(5,4) NULL;
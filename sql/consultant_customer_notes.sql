@@ -0,0 +1,15 @@
+-- 상담사 고객 메모 (CRM)
+-- 상담사별 고객 단위 메모로 여러 상담에 걸쳐 유지됩니다. 작성한 상담사 본인만 조회/수정할 수 있습니다.
+
+CREATE TABLE IF NOT EXISTS consultant_customer_notes (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  consultant_id INT NOT NULL,
+  customer_id INT NOT NULL,
+  notes TEXT NULL,
+  tags JSON NOT NULL,                  -- ["재방문", "연애운"]
+  saju_profile JSON NULL,              -- 고객이 알려준 생년월일시 {birth_date, birth_time, calendar_type, is_leap_month, gender, birth_place}
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_customer_notes (consultant_id, customer_id),
+  INDEX idx_customer_notes_updated (consultant_id, updated_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
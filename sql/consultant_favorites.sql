@@ -0,0 +1,15 @@
+-- 즐겨찾기 상담사
+-- 고객이 저장한 상담사와 대기 알림 설정. 상담사가 대기중(waiting)으로 바뀌면 알림을 켠 고객에게
+-- 알림함(notifications)으로 알리며, 같은 상담사에 대한 알림은 일정 간격(FAVORITE_POLICY) 이상 벌어집니다.
+
+CREATE TABLE IF NOT EXISTS consultant_favorites (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  consultant_id INT NOT NULL,
+  notify_when_available TINYINT(1) NOT NULL DEFAULT 0,   -- 대기 알림 수신 여부
+  last_notified_at DATETIME NULL,                        -- 마지막 대기 알림 시각
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_consultant_favorites (user_id, consultant_id),
+  INDEX idx_consultant_favorites_alert (consultant_id, notify_when_available)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
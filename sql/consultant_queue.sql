@@ -0,0 +1,17 @@
+-- 상담사 대기열
+-- 상담 중인 상담사에게 고객이 순서대로 대기하고, 상담사가 대기 상태로 돌아오면 맨 앞 고객에게 시작 제안을 보냅니다.
+
+CREATE TABLE IF NOT EXISTS consultant_queue_entries (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  consultant_id INT NOT NULL,
+  customer_id INT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting', -- waiting, offered, converted, left, expired
+  offered_at DATETIME NULL,
+  offer_expires_at DATETIME NULL,
+  consultation_id INT NULL,                      -- 전환된 상담
+  joined_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ended_at DATETIME NULL,
+  INDEX idx_queue_consultant_status (consultant_id, status, id),
+  INDEX idx_queue_customer_status (customer_id, status),
+  INDEX idx_queue_offer_expires (status, offer_expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,8 @@
+-- 상담 단위 과금
+-- 상담 시작시 첫 단위, 이후 하트비트(POST /api/consultations/:id/tick)마다 경과 단위를 선불 차감합니다.
+-- amount / discount_amount는 지금까지 차감한 단위의 누계이며, 종료시 최종 상담료가 됩니다.
+
+ALTER TABLE consultations
+  ADD COLUMN billed_units INT NOT NULL DEFAULT 0,
+  ADD COLUMN last_billed_at DATETIME NULL,
+  ADD COLUMN end_reason VARCHAR(30) NULL;     -- 자동 종료 사유 (insufficient_balance, spending_limit)
@@ -0,0 +1,26 @@
+-- 채팅 상담 메시지
+-- 메시지는 상담에 묶여 영구 보관되며, 이미지는 비공개 저장소(STORAGE_ROOT)의 키만 저장합니다.
+
+CREATE TABLE IF NOT EXISTS consultation_messages (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  consultation_id INT NOT NULL,
+  sender_user_id INT NOT NULL,
+  sender_type VARCHAR(20) NOT NULL,              -- customer, consultant
+  message_type VARCHAR(20) NOT NULL DEFAULT 'text', -- text, image
+  content TEXT NULL,
+  attachment_key VARCHAR(255) NULL,              -- services/storage.js 키
+  attachment_mime VARCHAR(100) NULL,
+  client_message_id VARCHAR(64) NULL,            -- 재전송 중복 방지
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_message_client (consultation_id, sender_user_id, client_message_id),
+  INDEX idx_message_consultation (consultation_id, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 참여자별 마지막 읽은 메시지 (읽음 표시)
+CREATE TABLE IF NOT EXISTS consultation_chat_reads (
+  consultation_id INT NOT NULL,
+  user_id INT NOT NULL,
+  last_read_message_id BIGINT NOT NULL,
+  read_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (consultation_id, user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
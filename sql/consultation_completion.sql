@@ -0,0 +1,23 @@
+-- 상담 완료 정산
+-- 상담 종료는 상담 행을 잠근 트랜잭션에서 한 번만 처리되며, 고객 차감(consultation_charge) 합계가
+-- 최종 상담료와 일치할 때만 상담사 적립(consultation_earning)을 기록합니다.
+-- 처리 중 실패하면 전체가 롤백되어 상담은 상담중으로 남고, 같은 요청으로 다시 종료할 수 있습니다.
+
+ALTER TABLE consultations
+  ADD COLUMN completed_at DATETIME NULL,
+  ADD COLUMN consultant_amount INT NULL,              -- 상담사 정산 적립 링
+  ADD COLUMN earning_ledger_entry_id BIGINT NULL;     -- 정산 적립 원장 항목 (적립액 0이면 NULL)
+
+-- 상담당 정산 적립은 한 건만 허용 (중복 적립 방지)
+ALTER TABLE ring_ledger
+  ADD COLUMN earning_consultation_id INT
+    AS (IF(entry_type = 'consultation_earning', consultation_id, NULL)) STORED,
+  ADD UNIQUE KEY uk_ring_ledger_consultation_earning (earning_consultation_id);
+
+-- 기존 완료 상담 채우기
+UPDATE consultations c
+LEFT JOIN ring_ledger rl ON rl.earning_consultation_id = c.id
+SET c.completed_at = COALESCE(c.end_datetime, c.status_changed_at),
+    c.consultant_amount = COALESCE(rl.delta, 0),
+    c.earning_ledger_entry_id = rl.id
+WHERE c.status = '완료';
@@ -0,0 +1,52 @@
+-- 상담 분쟁(환불 요청)
+-- 고객이 완료된 상담에 사유와 증빙을 접수하고, 상담사가 답변한 뒤 관리자가 전액/부분/환불 없음으로 결정합니다.
+-- 환불은 고객 적립(dispute_refund)과 상담사 회수(dispute_clawback) 원장으로 기록되며,
+-- 회수액은 결정된 달의 월별 정산(POST /api/settlements/calculate/:month)에서 차감됩니다.
+
+CREATE TABLE IF NOT EXISTS consultation_disputes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  consultation_id INT NOT NULL,
+  customer_id INT NOT NULL,
+  consultant_id INT NOT NULL,
+  reason VARCHAR(30) NOT NULL,                  -- utils/constants.js DISPUTE_REASONS
+  description TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',   -- open, responded, resolved
+  consultant_response TEXT NULL,
+  responded_at DATETIME NULL,
+  decision VARCHAR(20) NULL,                    -- full_refund, partial_refund, no_refund
+  refund_rings INT NOT NULL DEFAULT 0,          -- 고객 환불 링
+  consultant_deduction INT NOT NULL DEFAULT 0,  -- 상담사 정산 회수 링
+  refund_ledger_entry_id BIGINT NULL,
+  clawback_ledger_entry_id BIGINT NULL,
+  decision_note VARCHAR(200) NULL,
+  decided_by INT NULL,
+  decided_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_consultation_disputes_consultation (consultation_id),
+  INDEX idx_consultation_disputes_status (status, created_at),
+  INDEX idx_consultation_disputes_decided (decided_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 증빙 파일 (비공개 저장소 key, 당사자/관리자만 조회)
+CREATE TABLE IF NOT EXISTS consultation_dispute_evidence (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  dispute_id INT NOT NULL,
+  uploaded_by INT NOT NULL,
+  party VARCHAR(20) NOT NULL,                   -- customer, consultant
+  file_key VARCHAR(255) NOT NULL,
+  original_name VARCHAR(255) NULL,
+  mime_type VARCHAR(100) NULL,
+  size INT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_dispute_evidence_dispute (dispute_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 월별 정산 분쟁 차감
+ALTER TABLE monthly_settlement_snapshots
+  ADD COLUMN total_dispute_refund INT NOT NULL DEFAULT 0,
+  ADD COLUMN total_dispute_deduction INT NOT NULL DEFAULT 0,
+  ADD COLUMN dispute_details JSON NULL;
+
+ALTER TABLE monthly_settlement_summary
+  ADD COLUMN total_dispute_refund INT NOT NULL DEFAULT 0;
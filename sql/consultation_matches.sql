@@ -0,0 +1,29 @@
+-- 랜덤 매칭
+-- 고객이 분야/최대 상담료/방식을 지정하면 대기중 상담사를 가중 추첨해 상담을 요청하고,
+-- 거절/부재시 같은 매칭에서 아직 요청하지 않은 다음 후보에게 다시 요청합니다.
+
+CREATE TABLE IF NOT EXISTS consultation_matches (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  customer_id INT NOT NULL,
+  consultation_field VARCHAR(50) NOT NULL,
+  max_fee INT NOT NULL,                            -- 30초당 최대 상담료
+  consultation_method VARCHAR(10) NOT NULL,
+  user_coupon_id INT NULL,                         -- 요청마다 다시 적용 (거절/부재시 반환됨)
+  status VARCHAR(20) NOT NULL DEFAULT 'requested', -- requested, matched, failed, cancelled
+  attempts INT NOT NULL DEFAULT 0,
+  tried_consultant_ids JSON NOT NULL,              -- 이미 요청한 상담사 (다시 뽑지 않음)
+  current_consultation_id INT NULL,
+  matched_consultant_id INT NULL,
+  fail_reason VARCHAR(200) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  matched_at DATETIME NULL,
+  ended_at DATETIME NULL,
+  INDEX idx_matches_customer_status (customer_id, status),
+  INDEX idx_matches_status (status, id),
+  INDEX idx_matches_consultation (current_consultation_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 후보 상담사의 최근 부하(받은 요청 수) 계산용
+ALTER TABLE consultations
+  ADD INDEX idx_consultations_consultant_requested (consultant_id, requested_at);
@@ -0,0 +1,36 @@
+-- 통화 녹음 ('전화', '화상' 상담)
+-- 파일은 비공개 저장소(STORAGE_ROOT/recordings/<상담 ID>)에 저장되며, 보관 기간이 지나면 파일만 삭제하고 기록은 남깁니다.
+
+CREATE TABLE IF NOT EXISTS consultation_recordings (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  consultation_id INT NOT NULL,
+  source VARCHAR(20) NOT NULL,                 -- app, telephony
+  uploaded_by INT NULL,                        -- 앱 업로드 사용자 (통화 시스템은 NULL)
+  file_key VARCHAR(255) NULL,                  -- 삭제 후 NULL
+  original_name VARCHAR(255) NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size INT NOT NULL,
+  duration_seconds INT NULL,
+  customer_consent TINYINT(1) NOT NULL,
+  consultant_consent TINYINT(1) NOT NULL,
+  retention_until DATETIME NOT NULL,           -- 이후 삭제 (진행 중인 분쟁이 있으면 결정 후)
+  deleted_at DATETIME NULL,
+  delete_reason VARCHAR(20) NULL,              -- retention
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_recordings_consultation (consultation_id),
+  INDEX idx_recordings_retention (deleted_at, retention_until)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 당사자별 녹음 동의 (앱에서는 각 당사자가 본인 동의만 설정, 통화 시스템은 서명 요청으로 양측 기록)
+-- 녹음 저장은 업로드 요청의 동의 값이 아니라 이 테이블에 기록된 동의로 판단합니다.
+CREATE TABLE IF NOT EXISTS consultation_recording_consents (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  consultation_id INT NOT NULL,
+  party VARCHAR(20) NOT NULL,                  -- customer, consultant
+  consented TINYINT(1) NOT NULL,
+  source VARCHAR(20) NOT NULL,                 -- app, telephony
+  user_id INT NULL,                            -- 앱에서 설정한 당사자 (통화 시스템은 NULL)
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_recording_consents (consultation_id, party)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
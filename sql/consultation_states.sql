@@ -0,0 +1,27 @@
+-- 상담 상태 머신
+-- 요청 → 연결중 → 수락 → 상담중 → 완료
+--          ↘ 거절 / 취소 / 부재 (제한 시간 초과)
+-- 모든 상태 변경은 consultation_status_logs에 기록됩니다.
+
+-- 1. 상담 상태 컬럼 확장 (기존 '상담중', '완료' 포함)
+ALTER TABLE consultations
+  MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT '요청',
+  ADD COLUMN requested_at DATETIME NULL,
+  ADD COLUMN accepted_at DATETIME NULL,
+  ADD COLUMN request_expires_at DATETIME NULL,   -- 응답/연결 제한 시각 (요청·연결중·수락 상태에서만 사용)
+  ADD COLUMN status_changed_at DATETIME NULL,
+  ADD INDEX idx_consultations_status_expires (status, request_expires_at),
+  ADD INDEX idx_consultations_consultant_status (consultant_id, status);
+
+-- 2. 상태 변경 이력
+CREATE TABLE IF NOT EXISTS consultation_status_logs (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  consultation_id INT NOT NULL,
+  from_status VARCHAR(20) NULL,               -- NULL: 최초 생성
+  to_status VARCHAR(20) NOT NULL,
+  actor_type VARCHAR(20) NOT NULL,            -- customer, consultant, system
+  actor_user_id INT NULL,
+  reason VARCHAR(200) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_consultation_status_logs_consultation (consultation_id, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
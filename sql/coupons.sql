@@ -0,0 +1,50 @@
+-- 쿠폰/프로모션 코드
+-- services/couponService.js, routes/coupons.js 에서 사용
+
+-- 1. 쿠폰 (관리자 등록)
+CREATE TABLE IF NOT EXISTS coupons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,                    -- 대문자로 저장
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(500) NULL,
+  coupon_type VARCHAR(30) NOT NULL,             -- ring_grant, purchase_bonus, consultation_discount
+  value INT NOT NULL,                           -- 지급 링 또는 %
+  max_benefit_rings INT NULL,                   -- % 쿠폰의 최대 혜택 링
+  starts_at DATETIME NULL,
+  ends_at DATETIME NULL,                        -- 등록 및 사용 기한
+  total_limit INT NULL,                         -- 전체 등록 가능 수 (NULL이면 무제한)
+  per_user_limit INT NOT NULL DEFAULT 1,        -- 사용자별 등록 가능 수
+  redeemed_count INT NOT NULL DEFAULT 0,
+  target_new_user_days INT NULL,                -- 가입 후 N일 이내 사용자만
+  target_consultation_type VARCHAR(20) NULL,    -- 상담 할인 쿠폰 적용 분야 (타로, 신점)
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_coupons_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 2. 사용자 보유 쿠폰 (등록 내역)
+CREATE TABLE IF NOT EXISTS user_coupons (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  coupon_id INT NOT NULL,
+  user_id INT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'available', -- available, reserved, used
+  payment_id VARCHAR(64) NULL,                  -- 적용된 결제 (purchase_bonus)
+  consultation_id INT NULL,                     -- 적용된 상담 (consultation_discount)
+  benefit_rings INT NULL,                       -- 실제 적용된 혜택 링
+  redeemed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  used_at DATETIME NULL,
+  INDEX idx_user_coupons_user (user_id, status),
+  INDEX idx_user_coupons_coupon (coupon_id, user_id),
+  INDEX idx_user_coupons_payment (payment_id),
+  INDEX idx_user_coupons_consultation (consultation_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 3. 결제/상담 쿠폰 적용 정보
+ALTER TABLE payments
+  ADD COLUMN user_coupon_id BIGINT NULL AFTER bonus_amount;
+
+ALTER TABLE consultations
+  ADD COLUMN user_coupon_id BIGINT NULL,
+  ADD COLUMN discount_amount INT NOT NULL DEFAULT 0;
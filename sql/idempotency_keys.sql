@@ -0,0 +1,24 @@
+-- 금전 이동 API 멱등성 키 저장소
+-- middleware/idempotency.js 에서 사용 (Idempotency-Key 헤더)
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_method VARCHAR(10) NOT NULL,
+  request_path VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,                  -- sha256(메서드 + 경로 + 바디)
+  status VARCHAR(20) NOT NULL DEFAULT 'processing', -- processing, completed
+  response_status SMALLINT NULL,
+  response_body JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  expires_at DATETIME NOT NULL,
+  UNIQUE KEY uk_idempotency_keys_user_key (user_id, idempotency_key),
+  INDEX idx_idempotency_keys_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 만료 키 정리 (event_scheduler=ON 필요)
+-- CREATE EVENT IF NOT EXISTS ev_idempotency_keys_cleanup
+--   ON SCHEDULE EVERY 1 HOUR
+--   DO DELETE FROM idempotency_keys WHERE expires_at < NOW();
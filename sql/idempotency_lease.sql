@@ -0,0 +1,7 @@
+-- 멱등성 키 처리 중 선점 유효 시간
+-- middleware/idempotency.js: processing 상태로 IDEMPOTENCY_LEASE_SECONDS가 지난 키(프로세스 중단 등)는 같은 요청의 재시도가 다시 선점합니다.
+
+ALTER TABLE idempotency_keys
+  ADD COLUMN processing_started_at DATETIME NULL AFTER status;
+
+UPDATE idempotency_keys SET processing_started_at = created_at WHERE status = 'processing';
@@ -0,0 +1,12 @@
+-- PG 연동을 위한 payments 테이블 컬럼 추가
+-- services/paymentService.js, services/paymentGateway/* 에서 사용
+
+ALTER TABLE payments
+  ADD COLUMN pg_provider VARCHAR(20) NULL AFTER status,
+  ADD COLUMN pg_payment_key VARCHAR(200) NULL AFTER pg_provider,
+  ADD COLUMN pg_checkout_url VARCHAR(500) NULL AFTER pg_payment_key,
+  ADD COLUMN approved_at DATETIME NULL AFTER pg_checkout_url,
+  ADD COLUMN failure_reason VARCHAR(255) NULL AFTER approved_at;
+
+-- PG 결제 키로 조회 (승인/취소/조회)
+CREATE INDEX idx_payments_pg_payment_key ON payments(pg_payment_key);
@@ -0,0 +1,29 @@
+-- 결제 환불 (전액/부분) 및 링 회수 내역
+-- services/refundService.js 에서 사용
+
+-- 1. 환불 상태 추가 및 누적 환불 금액/회수 링
+ALTER TABLE payments
+  MODIFY COLUMN status ENUM('pending', 'completed', 'cancelled', 'failed', 'partially_refunded', 'refunded')
+    NOT NULL DEFAULT 'pending',
+  ADD COLUMN refunded_amount INT NOT NULL DEFAULT 0 AFTER bonus_amount,
+  ADD COLUMN refunded_rings INT NOT NULL DEFAULT 0 AFTER refunded_amount;
+
+-- 2. 환불 내역
+CREATE TABLE IF NOT EXISTS payment_refunds (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  payment_id VARCHAR(64) NOT NULL,
+  user_id INT NOT NULL,
+  refund_amount INT NOT NULL,                   -- 환불 금액 (원)
+  refund_rings INT NOT NULL,                    -- 회수 대상 링
+  shortfall_rings INT NOT NULL DEFAULT 0,       -- 이미 사용되어 음수 잔액으로 남은 링 (미회수분)
+  reason VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing', -- processing, completed, failed
+  failure_reason VARCHAR(255) NULL,
+  ledger_entry_id BIGINT NULL,
+  requested_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  INDEX idx_payment_refunds_payment (payment_id),
+  INDEX idx_payment_refunds_user (user_id, created_at),
+  INDEX idx_payment_refunds_shortfall (shortfall_rings)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
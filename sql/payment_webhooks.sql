@@ -0,0 +1,17 @@
+-- PG 결제 웹훅 수신 이력 (중복 수신 방지 및 처리 결과 추적)
+-- routes/payment-webhooks.js 에서 사용
+
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  event_id VARCHAR(100) NOT NULL,
+  event_type VARCHAR(50) NULL,
+  payment_id VARCHAR(64) NULL,
+  payload JSON NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received',   -- received, processed, rejected, error
+  result VARCHAR(255) NULL,                          -- completed, already_completed, amount_mismatch, ...
+  received_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  processed_at DATETIME NULL,
+  UNIQUE KEY uk_payment_webhook_events_event_id (event_id),
+  INDEX idx_payment_webhook_events_payment (payment_id),
+  INDEX idx_payment_webhook_events_status (status, received_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
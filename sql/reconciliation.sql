@@ -0,0 +1,53 @@
+-- 링 정산 대사(reconciliation) 및 승인형 링 조정
+-- services/reconciliation.js, routes/admin.js 에서 사용
+
+-- 1. 대사 실행 이력
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, completed, failed
+  trigger_type VARCHAR(20) NOT NULL,            -- manual, scheduled, script
+  triggered_by INT NULL,
+  total_users INT NOT NULL DEFAULT 0,
+  discrepancy_count INT NOT NULL DEFAULT 0,
+  total_difference INT NOT NULL DEFAULT 0,      -- 불일치 사용자의 (실제 - 기대) 합계
+  error_message VARCHAR(255) NULL,
+  started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME NULL,
+  INDEX idx_reconciliation_runs_started (started_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 2. 사용자별 불일치
+CREATE TABLE IF NOT EXISTS reconciliation_discrepancies (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  run_id BIGINT NOT NULL,
+  user_id INT NOT NULL,
+  actual_balance INT NOT NULL,                  -- users.rings
+  ledger_balance INT NOT NULL,                  -- SUM(ring_ledger.delta)
+  expected_balance INT NOT NULL,                -- 원천 데이터로 재계산한 잔액
+  lot_balance INT NOT NULL,                     -- 사용 가능한 로트 잔여 합계
+  difference INT NOT NULL,                      -- actual - expected
+  breakdown JSON NOT NULL,                      -- 원천별 합계
+  status VARCHAR(30) NOT NULL DEFAULT 'open',   -- open, adjustment_requested, resolved, ignored
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_reconciliation_discrepancies_run (run_id, status),
+  INDEX idx_reconciliation_discrepancies_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 3. 링 조정 요청 (요청 → 다른 관리자 승인 → 원장 기록)
+CREATE TABLE IF NOT EXISTS ring_adjustments (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  discrepancy_id BIGINT NULL,
+  delta INT NOT NULL,
+  reason VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected
+  requested_by INT NOT NULL,
+  reviewed_by INT NULL,
+  review_note VARCHAR(255) NULL,
+  ledger_entry_id BIGINT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  reviewed_at DATETIME NULL,
+  INDEX idx_ring_adjustments_status (status, created_at),
+  INDEX idx_ring_adjustments_user (user_id),
+  INDEX idx_ring_adjustments_discrepancy (discrepancy_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
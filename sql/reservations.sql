@@ -0,0 +1,74 @@
+-- 상담 예약
+-- 상담사가 주간 가능 시간과 날짜별 예외를 등록하면, 고객은 열린 슬롯을 링 홀드와 함께 예약합니다.
+-- 양측이 입장(check-in)하면 예약은 일반 상담(consultations)으로 전환되고 홀드 링은 반환됩니다.
+
+-- 1. 주간 가능 시간 (KST)
+CREATE TABLE IF NOT EXISTS consultant_availability_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  consultant_id INT NOT NULL,
+  day_of_week TINYINT NOT NULL,              -- 0(일) ~ 6(토)
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_availability_templates_consultant (consultant_id, day_of_week)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 2. 날짜별 예외 (휴무 / 추가 가능 시간)
+CREATE TABLE IF NOT EXISTS consultant_availability_exceptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  consultant_id INT NOT NULL,
+  exception_date DATE NOT NULL,
+  start_time TIME NULL,                      -- NULL: 하루 전체
+  end_time TIME NULL,
+  is_available TINYINT(1) NOT NULL DEFAULT 0, -- 0: 불가(휴무), 1: 추가 가능
+  reason VARCHAR(200) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_availability_exceptions_consultant (consultant_id, exception_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 3. 예약
+CREATE TABLE IF NOT EXISTS reservations (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  reservation_number VARCHAR(50) NOT NULL UNIQUE,
+  customer_id INT NOT NULL,
+  consultant_id INT NOT NULL,
+  slot_start DATETIME NOT NULL,
+  slot_end DATETIME NOT NULL,
+  consultation_type VARCHAR(20) NOT NULL,
+  consultation_method VARCHAR(20) NOT NULL,
+  fee_rate INT NOT NULL,                     -- 예약 시점 상담료 (30초 단위)
+  hold_rings INT NOT NULL,                   -- 홀드한 링
+  refund_rings INT NOT NULL DEFAULT 0,       -- 반환한 링 (전환시 전액)
+  compensation_rings INT NOT NULL DEFAULT 0, -- 고객 귀책 취소/노쇼시 상담사 보상 링
+  status VARCHAR(20) NOT NULL DEFAULT 'reserved', -- reserved, converted, cancelled, no_show
+  hold_ledger_entry_id BIGINT NULL,
+  customer_checked_in_at DATETIME NULL,
+  consultant_checked_in_at DATETIME NULL,
+  consultation_id INT NULL,                  -- 전환된 상담
+  cancelled_by VARCHAR(20) NULL,             -- customer, consultant, system
+  cancel_reason VARCHAR(200) NULL,
+  cancelled_at DATETIME NULL,
+  reminder_sent_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_reservations_consultant_slot (consultant_id, slot_start, status),
+  INDEX idx_reservations_customer (customer_id, slot_start),
+  INDEX idx_reservations_status_slot (status, slot_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 4. 예약에서 전환된 상담
+ALTER TABLE consultations
+  ADD COLUMN reservation_id BIGINT NULL;
+
+-- 5. 알림함 (예약 알림 등)
+CREATE TABLE IF NOT EXISTS notifications (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  notification_type VARCHAR(40) NOT NULL,
+  title VARCHAR(100) NOT NULL,
+  body VARCHAR(500) NOT NULL,
+  data JSON NULL,
+  read_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notifications_user (user_id, read_at, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,53 @@
+-- 링 원장(ring_ledger) 및 링 전송(ring_transfers) 테이블
+-- 모든 링 잔액 변경은 services/ringLedger.js를 통해 이 테이블에 기록됩니다.
+
+-- 1. 링 전송 내역
+CREATE TABLE IF NOT EXISTS ring_transfers (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  from_user_id INT NOT NULL,
+  to_user_id INT NOT NULL,
+  rings INT NOT NULL,
+  message VARCHAR(200) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_ring_transfers_from (from_user_id, created_at),
+  INDEX idx_ring_transfers_to (to_user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 2. 링 원장 (append-only)
+CREATE TABLE IF NOT EXISTS ring_ledger (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  entry_type VARCHAR(30) NOT NULL,            -- utils/constants.js RING_LEDGER_TYPES
+  delta INT NOT NULL,                          -- 증감 링 (입금 +, 출금 -)
+  balance_after INT NOT NULL,                  -- 반영 후 users.rings
+  payment_id VARCHAR(64) NULL,
+  consultation_id INT NULL,
+  transfer_id BIGINT NULL,
+  actor_user_id INT NULL,                      -- 변경을 발생시킨 사용자 (관리자 조정 포함)
+  description VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_ring_ledger_user_created (user_id, created_at DESC),
+  INDEX idx_ring_ledger_user_type (user_id, entry_type),
+  INDEX idx_ring_ledger_payment (payment_id),
+  INDEX idx_ring_ledger_consultation (consultation_id),
+  INDEX idx_ring_ledger_transfer (transfer_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 3. 원장 불변성 보장 (수정/삭제 금지)
+DELIMITER $$
+CREATE TRIGGER trg_ring_ledger_no_update BEFORE UPDATE ON ring_ledger
+FOR EACH ROW
+BEGIN
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'ring_ledger is append-only';
+END$$
+
+CREATE TRIGGER trg_ring_ledger_no_delete BEFORE DELETE ON ring_ledger
+FOR EACH ROW
+BEGIN
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'ring_ledger is append-only';
+END$$
+DELIMITER ;
+
+-- 기존 잔액 이관 (원장 도입 시점의 잔액을 조정 항목으로 1회 기록)
+-- INSERT INTO ring_ledger (user_id, entry_type, delta, balance_after, description)
+-- SELECT id, 'admin_adjustment', rings, rings, '원장 도입 시점 잔액 이관' FROM users WHERE rings <> 0;
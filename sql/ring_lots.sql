@@ -0,0 +1,39 @@
+-- 링 로트(ring_lots): 적립 단위별 출처/유형/만료일 관리
+-- services/ringLedger.js 에서 적립시 생성, 차감시 만료 임박 보너스 로트부터 소진
+-- 만료 처리는 jobs/ringLotExpiry.js (매일 실행)
+
+-- 1. 링 로트
+CREATE TABLE IF NOT EXISTS ring_lots (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  lot_type VARCHAR(10) NOT NULL,               -- paid, bonus (utils/constants.js RING_LOT_TYPES)
+  source VARCHAR(30) NOT NULL,                 -- 적립 원장 거래 유형 (purchase, transfer_in ...)
+  original_rings INT NOT NULL,
+  remaining_rings INT NOT NULL,
+  expires_at DATETIME NULL,                    -- NULL이면 만료 없음
+  expired_at DATETIME NULL,                    -- 만료 처리 시각
+  payment_id VARCHAR(64) NULL,
+  ledger_entry_id BIGINT NOT NULL,             -- 적립 원장 항목
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_ring_lots_user_available (user_id, expired_at, remaining_rings),
+  INDEX idx_ring_lots_expiry (expires_at, expired_at),
+  INDEX idx_ring_lots_payment (payment_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 2. 로트 차감 내역 (원장 항목 ↔ 로트)
+CREATE TABLE IF NOT EXISTS ring_lot_consumptions (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  lot_id BIGINT NOT NULL,
+  ledger_entry_id BIGINT NOT NULL,
+  rings INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_ring_lot_consumptions_lot (lot_id),
+  INDEX idx_ring_lot_consumptions_entry (ledger_entry_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 기존 잔액 이관 (로트 도입 시점의 양수 잔액을 만료 없는 paid 로트 1개로 기록)
+-- INSERT INTO ring_ledger (user_id, entry_type, delta, balance_after, description)
+-- SELECT id, 'admin_adjustment', 0, rings, '링 로트 도입 시점 잔액 이관' FROM users WHERE rings > 0;
+-- INSERT INTO ring_lots (user_id, lot_type, source, original_rings, remaining_rings, ledger_entry_id)
+-- SELECT l.user_id, 'paid', 'admin_adjustment', l.balance_after, l.balance_after, l.id
+-- FROM ring_ledger l WHERE l.description = '링 로트 도입 시점 잔액 이관';
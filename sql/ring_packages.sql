@@ -0,0 +1,36 @@
+-- 링 상품(패키지) 카탈로그
+-- 구매 금액과 적립 링은 클라이언트가 아닌 이 테이블 기준으로 서버에서 계산합니다.
+
+CREATE TABLE IF NOT EXISTS ring_packages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  price INT NOT NULL,                       -- 결제 금액 (원)
+  base_rings INT NOT NULL,                  -- 기본 적립 링
+  bonus_rings INT NOT NULL DEFAULT 0,       -- 보너스 링 (프로모션)
+  is_promotion TINYINT(1) NOT NULL DEFAULT 0,
+  starts_at DATETIME NULL,                  -- 판매 시작 (NULL: 제한 없음)
+  ends_at DATETIME NULL,                    -- 판매 종료 (NULL: 제한 없음)
+  display_order INT NOT NULL DEFAULT 0,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_ring_packages_active (is_active, starts_at, ends_at),
+  INDEX idx_ring_packages_order (display_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 결제에 구매 상품 정보 기록
+ALTER TABLE payments
+  ADD COLUMN package_id INT NULL AFTER charge_amount,
+  ADD COLUMN bonus_amount INT NOT NULL DEFAULT 0 AFTER package_id;
+
+-- 기본 상품 예시
+-- INSERT INTO ring_packages (name, price, base_rings, bonus_rings, display_order) VALUES
+--   ('링 10,000', 10000, 10000, 0, 1),
+--   ('링 30,000', 30000, 30000, 1500, 2),
+--   ('링 50,000', 50000, 50000, 5000, 3);
+
+-- 주말 2배 프로모션 예시
+-- INSERT INTO ring_packages (name, price, base_rings, bonus_rings, is_promotion, starts_at, ends_at, display_order)
+--   VALUES ('주말 더블 링 10,000', 10000, 10000, 10000, 1, '2025-10-04 00:00:00', '2025-10-06 00:00:00', 0);
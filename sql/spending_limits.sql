@@ -0,0 +1,29 @@
+-- 지출 한도 (본인 설정 / 관리자 적용)
+-- 같은 유형·기간에 본인/관리자 한도가 모두 있으면 더 낮은 한도가 적용됩니다.
+-- 본인 한도 상향/해제는 pending_*에 예약되고 대기 시간 후 적용됩니다.
+
+-- 1. 지출 한도
+CREATE TABLE IF NOT EXISTS spending_limits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  limit_type VARCHAR(20) NOT NULL,          -- purchase(충전 결제, 원), consultation(상담 차감, 링)
+  period VARCHAR(10) NOT NULL,              -- daily, monthly (KST)
+  source VARCHAR(10) NOT NULL,              -- self, admin
+  amount INT NULL,                          -- 현재 적용 한도 (NULL: 제한 없음)
+  pending_amount INT NULL,                  -- 예약된 상향 한도 (NULL이면 해제 예약)
+  pending_effective_at DATETIME NULL,       -- 예약 적용 시각 (NULL: 예약 없음)
+  reason VARCHAR(200) NULL,                 -- 관리자 적용 사유
+  updated_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_spending_limits (user_id, limit_type, period, source),
+  INDEX idx_spending_limits_pending (pending_effective_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 2. 한도 도달로 과금이 중단된 상담 표시
+ALTER TABLE consultations
+  ADD COLUMN spending_capped TINYINT(1) NOT NULL DEFAULT 0;
+
+-- 사용량 집계용 인덱스
+CREATE INDEX idx_payments_user_created ON payments (user_id, created_at);
+CREATE INDEX idx_consultations_customer_end ON consultations (customer_id, status, end_datetime);
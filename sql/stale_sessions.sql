@@ -0,0 +1,18 @@
+-- 방치된 상담 정리
+-- 상담중 활동(하트비트, 통화 기록)을 last_activity_at에 기록하고, 일정 시간 활동이 없으면
+-- 마지막 활동 시각으로 종료/정산한 뒤 관리자 확인 대상(admin_review_status = 'pending')으로 표시합니다.
+
+ALTER TABLE consultations
+  ADD COLUMN last_activity_at DATETIME NULL,
+  ADD COLUMN admin_review_status VARCHAR(20) NULL,      -- pending, resolved (확인 대상이 아니면 NULL)
+  ADD COLUMN admin_review_reason VARCHAR(200) NULL,
+  ADD COLUMN admin_review_note VARCHAR(200) NULL,
+  ADD COLUMN admin_reviewed_by INT NULL,
+  ADD COLUMN admin_reviewed_at DATETIME NULL,
+  ADD INDEX idx_consultations_activity (status, last_activity_at),
+  ADD INDEX idx_consultations_admin_review (admin_review_status);
+
+-- 진행 중인 상담은 시작 시각을 마지막 활동으로
+UPDATE consultations
+SET last_activity_at = COALESCE(last_billed_at, start_datetime)
+WHERE status = '상담중';
@@ -0,0 +1,46 @@
+-- 통화 시스템 CDR 연동 ('전화' 상담)
+-- routes/telephony.js, services/telephony.js 에서 사용
+-- 통화 시작/연결/종료 이벤트로 상담을 만들거나 연결하고, CDR 통화 시간으로 과금/정산합니다.
+
+CREATE TABLE IF NOT EXISTS telephony_calls (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  call_id VARCHAR(100) NOT NULL,               -- 통화 시스템의 통화 ID
+  consultation_id INT NULL,                    -- 거절된 통화는 NULL
+  customer_id INT NULL,
+  consultant_id INT NULL,
+  caller VARCHAR(30) NULL,                     -- 발신번호 (숫자만)
+  callee VARCHAR(30) NULL,                     -- 수신번호 (숫자만)
+  status VARCHAR(20) NOT NULL,                 -- ringing, answered, ended, rejected
+  reject_reason VARCHAR(200) NULL,
+  started_at DATETIME NOT NULL,
+  answered_at DATETIME NULL,
+  ended_at DATETIME NULL,
+  duration_seconds INT NULL,                   -- CDR 통화 시간 (정산 기준)
+  hangup_cause VARCHAR(30) NULL,               -- busy, declined, caller_cancel, no_answer, normal, ...
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_telephony_calls_call_id (call_id),
+  INDEX idx_telephony_calls_consultation (consultation_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- CDR 이벤트 수신 이력 (중복 수신 방지 및 처리 결과 추적)
+CREATE TABLE IF NOT EXISTS telephony_cdr_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  event_id VARCHAR(100) NOT NULL,
+  event_type VARCHAR(30) NOT NULL,             -- call.started, call.answered, call.hangup
+  call_id VARCHAR(100) NOT NULL,
+  payload JSON NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received',   -- received, processed, rejected, error
+  result VARCHAR(255) NULL,                          -- created, linked, started, completed, ...
+  response JSON NULL,                                -- 재전송시 그대로 돌려줄 처리 결과 (processed) / 오류 응답 (rejected)
+  received_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  processed_at DATETIME NULL,
+  UNIQUE KEY uk_telephony_cdr_events_event_id (event_id),
+  INDEX idx_telephony_cdr_events_call (call_id),
+  INDEX idx_telephony_cdr_events_status (status, received_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 상담에 연결된 통화
+ALTER TABLE consultations
+  ADD COLUMN telephony_call_id VARCHAR(100) NULL,
+  ADD INDEX idx_consultations_telephony_call (telephony_call_id);
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRule, getConsultationTerms, calculateCommission } = require('../services/billingPolicy');
+const { CONSULTATION_BILLING, CONSULTATION_SETTLEMENT } = require('../utils/constants');
+
+describe('calculateCommission', () => {
+  it('정산액은 내림 처리', () => {
+    assert.equal(calculateCommission(1000, 0.7), 700);
+    assert.equal(calculateCommission(999, 0.7), 699);
+    assert.equal(calculateCommission(1, 0.7), 0);
+  });
+
+  it('부동소수 오차 없이 0.01% 단위로 계산 (DB FLOOR 대사와 일치)', () => {
+    // 100 * 0.57 = 56.99999999999999 이므로 단순 곱셈은 56
+    assert.equal(calculateCommission(100, 0.57), 57);
+    assert.equal(calculateCommission(300, 0.29), 87);
+  });
+
+  it('금액이 없으면 0', () => {
+    assert.equal(calculateCommission(null, 0.7), 0);
+    assert.equal(calculateCommission(0, 0.7), 0);
+  });
+});
+
+describe('getConsultationTerms', () => {
+  it('스냅샷 값 사용 (DECIMAL 문자열 정산율 포함)', () => {
+    assert.deepEqual(
+      getConsultationTerms({ billing_unit_seconds: 60, billing_minimum_units: 3, commission_rate: '0.6500' }),
+      { unitSeconds: 60, minimumUnits: 3, commissionRate: 0.65 }
+    );
+  });
+
+  it('스냅샷이 없는 이전 상담은 기본 단위/정산율', () => {
+    assert.deepEqual(
+      getConsultationTerms({ billing_unit_seconds: null, billing_minimum_units: null, commission_rate: null }),
+      {
+        unitSeconds: CONSULTATION_BILLING.UNIT_SECONDS,
+        minimumUnits: 1,
+        commissionRate: CONSULTATION_SETTLEMENT.CONSULTANT_SHARE_RATE
+      }
+    );
+  });
+
+  it('정산율 0은 기본값으로 바꾸지 않음', () => {
+    assert.equal(getConsultationTerms({ commission_rate: '0.0000' }).commissionRate, 0);
+  });
+});
+
+describe('resolveRule', () => {
+  const rules = [
+    { consultant_grade: 'A', consultation_method: null, unit_seconds: 30, minimum_units: 1, allowed_fees: [100, 200], commission_rate: 0.7 },
+    { consultant_grade: 'A', consultation_method: '화상', unit_seconds: 60, minimum_units: null, allowed_fees: null, commission_rate: null }
+  ];
+
+  it('방식별 규칙의 NULL 값은 등급 기본값 사용', () => {
+    assert.deepEqual(resolveRule(rules, 'A', '화상'), {
+      consultant_grade: 'A',
+      consultation_method: '화상',
+      unit_seconds: 60,
+      minimum_units: 1,
+      allowed_fees: [100, 200],
+      commission_rate: 0.7
+    });
+  });
+
+  it('방식별 규칙이 없으면 기본값', () => {
+    assert.equal(resolveRule(rules, 'A', '채팅').unit_seconds, 30);
+  });
+
+  it('등급 기본 규칙이 없으면 null', () => {
+    assert.equal(resolveRule(rules, 'B'), null);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUnitMs, getDueUnits, resolveEndDateTime } = require('../services/consultationBilling');
+const { CONSULTATION_BILLING } = require('../utils/constants');
+
+const start = new Date('2026-01-01T10:00:00+09:00');
+const at = seconds => new Date(start.getTime() + seconds * 1000);
+
+describe('getUnitMs', () => {
+  it('상담 스냅샷 단위 (초 → ms)', () => {
+    assert.equal(getUnitMs({ billing_unit_seconds: 60 }), 60000);
+  });
+
+  it('스냅샷이 없으면 기본 단위', () => {
+    assert.equal(getUnitMs({}), CONSULTATION_BILLING.UNIT_SECONDS * 1000);
+  });
+});
+
+describe('getDueUnits', () => {
+  const consultation = { start_datetime: start, billing_unit_seconds: 30 };
+
+  it('시작 직후에도 첫 단위를 선불 과금', () => {
+    assert.equal(getDueUnits(consultation, at(0)), 1);
+    assert.equal(getDueUnits(consultation, at(29)), 1);
+  });
+
+  it('단위 경계를 지나면 다음 단위 과금', () => {
+    assert.equal(getDueUnits(consultation, at(30)), 2);
+    assert.equal(getDueUnits(consultation, at(95)), 4);
+  });
+
+  it('시작 전 시각은 첫 단위만', () => {
+    assert.equal(getDueUnits(consultation, at(-10)), 1);
+  });
+
+  it('start_datetime이 없으면 start_time 사용', () => {
+    assert.equal(getDueUnits({ start_time: start, billing_unit_seconds: 60 }, at(61)), 2);
+  });
+});
+
+describe('resolveEndDateTime', () => {
+  const now = at(600);
+  const consultation = { start_datetime: start, last_activity_at: at(300) };
+
+  it('범위 안의 요청 시각은 그대로 사용', () => {
+    assert.equal(resolveEndDateTime(consultation, at(400), now).getTime(), at(400).getTime());
+  });
+
+  it('마지막 활동 이전 시각은 마지막 활동으로 보정', () => {
+    assert.equal(resolveEndDateTime(consultation, at(100), now).getTime(), at(300).getTime());
+  });
+
+  it('현재 이후 시각은 현재로 보정', () => {
+    assert.equal(resolveEndDateTime(consultation, at(900), now).getTime(), now.getTime());
+  });
+
+  it('요청 시각이 없거나 잘못되면 현재', () => {
+    assert.equal(resolveEndDateTime(consultation, null, now).getTime(), now.getTime());
+    assert.equal(resolveEndDateTime(consultation, new Date('invalid'), now).getTime(), now.getTime());
+  });
+
+  it('활동 기록이 없으면 시작 시각이 하한', () => {
+    assert.equal(resolveEndDateTime({ start_datetime: start }, at(-60), now).getTime(), start.getTime());
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { transitionConsultation } = require('../services/consultationState');
+const {
+  HTTP_STATUS,
+  CONSULTANT_STATUS,
+  CONSULTATION_STATUS: S,
+  CONSULTATION_ACTOR_TYPES
+} = require('../utils/constants');
+
+// 허용 전이표 (이 표 외의 전이는 모두 409)
+const ALLOWED = {
+  [S.REQUESTED]: [S.RINGING, S.DECLINED, S.CANCELLED, S.MISSED],
+  [S.RINGING]: [S.ACCEPTED, S.DECLINED, S.CANCELLED, S.MISSED],
+  [S.ACCEPTED]: [S.IN_PROGRESS, S.CANCELLED],
+  [S.IN_PROGRESS]: [S.COMPLETED],
+  [S.DECLINED]: [],
+  [S.COMPLETED]: [],
+  [S.CANCELLED]: [],
+  [S.MISSED]: []
+};
+
+/**
+ * 트랜잭션 커넥션 (쿼리 기록, 상담 상태 UPDATE 결과와 상담사의 다른 진행 중 상담 수 지정)
+ */
+const createConnection = ({ updated = 1, engaged = 0 } = {}) => {
+  const calls = [];
+
+  return {
+    calls,
+    execute: async (sql, params) => {
+      calls.push({ sql, params });
+
+      if (sql.startsWith('UPDATE consultations SET status')) {
+        return [{ affectedRows: updated }];
+      }
+      if (sql.includes('as engaged')) {
+        return [[{ engaged }]];
+      }
+      if (sql.includes('FROM consultant_favorites')) {
+        return [[]];
+      }
+      return [{ affectedRows: 1 }];
+    }
+  };
+};
+
+const createConsultation = status => ({ id: 10, consultant_id: 3, status });
+
+const actor = { actorType: CONSULTATION_ACTOR_TYPES.SYSTEM };
+
+describe('transitionConsultation 전이표', () => {
+  for (const from of Object.values(S)) {
+    for (const to of Object.values(S)) {
+      const allowed = ALLOWED[from].includes(to);
+
+      it(`${from} → ${to}: ${allowed ? '허용' : '409'}`, async () => {
+        const connection = createConnection();
+        const consultation = createConsultation(from);
+
+        if (allowed) {
+          await transitionConsultation(connection, consultation, to, actor);
+          assert.equal(consultation.status, to);
+          assert.deepEqual(connection.calls[0].params, [to, 10, from]);
+        } else {
+          await assert.rejects(
+            transitionConsultation(connection, consultation, to, actor),
+            error => error.statusCode === HTTP_STATUS.CONFLICT
+          );
+          assert.equal(consultation.status, from);
+          assert.equal(connection.calls.length, 0);
+        }
+      });
+    }
+  }
+});
+
+describe('transitionConsultation 후속 처리', () => {
+  it('이미 다른 요청이 상태를 바꿨으면 409', async () => {
+    const connection = createConnection({ updated: 0 });
+
+    await assert.rejects(
+      transitionConsultation(connection, createConsultation(S.RINGING), S.ACCEPTED, actor),
+      error => error.statusCode === HTTP_STATUS.CONFLICT
+    );
+    assert.equal(connection.calls.length, 1);
+  });
+
+  it('상태 변경 이력 기록', async () => {
+    const connection = createConnection();
+
+    await transitionConsultation(connection, createConsultation(S.REQUESTED), S.RINGING, {
+      actorType: CONSULTATION_ACTOR_TYPES.CONSULTANT,
+      actorId: 5,
+      reason: 'test'
+    });
+
+    const log = connection.calls.find(call => call.sql.includes('INSERT INTO consultation_status_logs'));
+    assert.deepEqual(log.params, [10, S.REQUESTED, S.RINGING, CONSULTATION_ACTOR_TYPES.CONSULTANT, 5, 'test']);
+  });
+
+  it('수락하면 상담사는 consulting', async () => {
+    const connection = createConnection();
+
+    await transitionConsultation(connection, createConsultation(S.RINGING), S.ACCEPTED, actor);
+
+    const update = connection.calls.find(call => call.sql.startsWith('UPDATE consultants'));
+    assert.deepEqual(update.params, [CONSULTANT_STATUS.CONSULTING, 3]);
+  });
+
+  it('진행 중인 상담이 모두 끝나면 상담사는 waiting', async () => {
+    const connection = createConnection({ engaged: 0 });
+
+    await transitionConsultation(connection, createConsultation(S.IN_PROGRESS), S.COMPLETED, actor);
+
+    const update = connection.calls.find(call => call.sql.startsWith('UPDATE consultants'));
+    assert.deepEqual(update.params, [CONSULTANT_STATUS.WAITING, 3, CONSULTANT_STATUS.CONSULTING]);
+  });
+
+  it('다른 진행 중인 상담이 있으면 상담사 상태 유지', async () => {
+    const connection = createConnection({ engaged: 1 });
+
+    await transitionConsultation(connection, createConsultation(S.IN_PROGRESS), S.COMPLETED, actor);
+
+    assert.ok(!connection.calls.some(call => call.sql.startsWith('UPDATE consultants')));
+  });
+
+  it('시작 전 종료(거절/취소/부재)는 할인 쿠폰 반환', async () => {
+    for (const to of [S.DECLINED, S.CANCELLED, S.MISSED]) {
+      const connection = createConnection();
+
+      await transitionConsultation(connection, createConsultation(S.REQUESTED), to, actor);
+
+      assert.ok(connection.calls.some(call => call.sql.includes('UPDATE user_coupons')), to);
+    }
+  });
+
+  it('완료는 쿠폰을 반환하지 않음', async () => {
+    const connection = createConnection();
+
+    await transitionConsultation(connection, createConsultation(S.IN_PROGRESS), S.COMPLETED, actor);
+
+    assert.ok(!connection.calls.some(call => call.sql.includes('UPDATE user_coupons')));
+  });
+});
@@ -0,0 +1,214 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../config/database');
+const { idempotency, hashRequest } = require('../middleware/idempotency');
+const { HTTP_STATUS } = require('../utils/constants');
+
+/**
+ * 요청 객체 (Idempotency-Key 헤더, 로그인 사용자)
+ */
+const createRequest = ({ key = 'key-1', body = { amount: 1000 } } = {}) => ({
+  method: 'POST',
+  originalUrl: '/api/payments/pay_1/refunds?debug=1',
+  body,
+  user: { id: 7 },
+  get: name => (name === 'Idempotency-Key' ? key || undefined : undefined)
+});
+
+/**
+ * 응답 객체 (status/json/set/on 기록)
+ */
+const createResponse = () => {
+  let resolveSent;
+  const res = {
+    statusCode: HTTP_STATUS.OK,
+    headers: {},
+    body: null,
+    sent: new Promise(resolve => { resolveSent = resolve; }),
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    on() {
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      resolveSent();
+      return res;
+    }
+  };
+
+  return res;
+};
+
+/**
+ * pool.execute 대체 (실행한 쿼리 기록, 중복 키 INSERT와 저장된 키 조회 결과 지정)
+ */
+const mockPool = ({ existing = null } = {}) => {
+  const calls = [];
+
+  mock.method(pool, 'execute', async (sql, params) => {
+    calls.push({ sql, params });
+
+    if (sql.includes('INSERT INTO idempotency_keys') && existing) {
+      const error = new Error('Duplicate entry');
+      error.code = 'ER_DUP_ENTRY';
+      throw error;
+    }
+
+    if (sql.includes('SELECT request_hash')) {
+      return [[existing]];
+    }
+
+    return [{ affectedRows: 1 }];
+  });
+
+  return calls;
+};
+
+const run = async (req, res) => {
+  let nextCalled = false;
+  await idempotency()(req, res, () => { nextCalled = true; });
+  return nextCalled;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('hashRequest', () => {
+  it('바디 키 순서와 무관', () => {
+    assert.equal(
+      hashRequest('POST', '/api/payments/create', { amount: 1000, method: 'card', meta: { a: 1, b: 2 } }),
+      hashRequest('POST', '/api/payments/create', { meta: { b: 2, a: 1 }, method: 'card', amount: 1000 })
+    );
+  });
+
+  it('메서드, 경로, 바디 값이 다르면 다른 해시', () => {
+    const base = hashRequest('POST', '/api/payments/create', { amount: 1000 });
+
+    assert.notEqual(hashRequest('PUT', '/api/payments/create', { amount: 1000 }), base);
+    assert.notEqual(hashRequest('POST', '/api/rings/purchase', { amount: 1000 }), base);
+    assert.notEqual(hashRequest('POST', '/api/payments/create', { amount: 1001 }), base);
+    assert.notEqual(hashRequest('POST', '/api/payments/create', { amount: '1000' }), base);
+  });
+
+  it('배열 순서는 구분', () => {
+    assert.notEqual(
+      hashRequest('POST', '/p', { ids: [1, 2] }),
+      hashRequest('POST', '/p', { ids: [2, 1] })
+    );
+  });
+
+  it('바디가 없으면 빈 객체와 같음', () => {
+    assert.equal(hashRequest('POST', '/p', undefined), hashRequest('POST', '/p', {}));
+  });
+});
+
+describe('idempotency 미들웨어', () => {
+  it('헤더가 없으면 그대로 통과', async () => {
+    const calls = mockPool();
+
+    assert.equal(await run(createRequest({ key: null }), createResponse()), true);
+    assert.equal(calls.length, 0);
+  });
+
+  it('새 키는 선점 후 응답을 저장하고 전송', async () => {
+    const calls = mockPool();
+    const req = createRequest();
+    const res = createResponse();
+
+    assert.equal(await run(req, res), true);
+    assert.deepEqual(calls[0].params, [7, 'key-1', 'POST', '/api/payments/pay_1/refunds', hashRequest('POST', '/api/payments/pay_1/refunds', req.body)]);
+
+    res.status(HTTP_STATUS.OK).json({ success: true, data: { refund_id: 1 } });
+    await res.sent;
+
+    const saved = calls.find(call => call.sql.includes("SET status = 'completed'"));
+    assert.deepEqual(saved.params, [HTTP_STATUS.OK, JSON.stringify({ success: true, data: { refund_id: 1 } }), 7, 'key-1']);
+    assert.deepEqual(res.body, { success: true, data: { refund_id: 1 } });
+  });
+
+  it('5xx 응답은 저장하지 않고 키 삭제 (재시도 가능)', async () => {
+    const calls = mockPool();
+    const res = createResponse();
+
+    await run(createRequest(), res);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ success: false });
+    await res.sent;
+
+    assert.ok(calls.some(call => call.sql.startsWith('DELETE FROM idempotency_keys')));
+    assert.ok(!calls.some(call => call.sql.includes("SET status = 'completed'")));
+  });
+
+  it('같은 키 + 같은 요청은 저장된 응답 재전송', async () => {
+    const req = createRequest();
+    mockPool({
+      existing: {
+        request_hash: hashRequest('POST', '/api/payments/pay_1/refunds', req.body),
+        status: 'completed',
+        response_status: HTTP_STATUS.OK,
+        response_body: JSON.stringify({ success: true, data: { refund_id: 1 } }),
+        is_expired: 0,
+        is_lease_expired: 0
+      }
+    });
+    const res = createResponse();
+
+    assert.equal(await run(req, res), false);
+    assert.equal(res.statusCode, HTTP_STATUS.OK);
+    assert.equal(res.headers['Idempotent-Replayed'], 'true');
+    assert.deepEqual(res.body, { success: true, data: { refund_id: 1 } });
+  });
+
+  it('같은 키 + 다른 요청은 422', async () => {
+    mockPool({
+      existing: {
+        request_hash: hashRequest('POST', '/api/payments/pay_1/refunds', { amount: 500 }),
+        status: 'completed',
+        response_status: HTTP_STATUS.OK,
+        response_body: '{}',
+        is_expired: 0,
+        is_lease_expired: 0
+      }
+    });
+    const res = createResponse();
+
+    assert.equal(await run(createRequest(), res), false);
+    assert.equal(res.statusCode, HTTP_STATUS.UNPROCESSABLE_ENTITY);
+  });
+
+  it('선점 유효 시간 안에 처리 중인 같은 요청은 409', async () => {
+    const req = createRequest();
+    mockPool({
+      existing: {
+        request_hash: hashRequest('POST', '/api/payments/pay_1/refunds', req.body),
+        status: 'processing',
+        is_expired: 0,
+        is_lease_expired: 0
+      }
+    });
+    const res = createResponse();
+
+    assert.equal(await run(req, res), false);
+    assert.equal(res.statusCode, HTTP_STATUS.CONFLICT);
+  });
+
+  it('선점 유효 시간이 지난 처리 중 키는 같은 요청이 다시 선점', async () => {
+    const req = createRequest();
+    const calls = mockPool({
+      existing: {
+        request_hash: hashRequest('POST', '/api/payments/pay_1/refunds', req.body),
+        status: 'processing',
+        is_expired: 0,
+        is_lease_expired: 1
+      }
+    });
+
+    assert.equal(await run(req, createResponse()), true);
+    assert.ok(calls.some(call => call.sql.includes('SET processing_started_at = NOW()')));
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { pool } = require('../config/database');
+const { createSignature } = require('../middleware/signature');
+const paymentWebhookRoutes = require('../routes/payment-webhooks');
+const { HTTP_STATUS } = require('../utils/constants');
+
+const SECRET = 'test_pg_webhook_secret';
+
+/**
+ * server.js와 같은 방식으로 rawBody를 저장하는 앱
+ */
+const createApp = () => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use('/api/payments/webhook', paymentWebhookRoutes);
+  return app;
+};
+
+let server;
+let baseUrl;
+
+/**
+ * 웹훅 전송 (기본은 올바른 서명)
+ */
+const postWebhook = (payload, { timestamp = Math.floor(Date.now() / 1000), signature = null } = {}) => {
+  const rawBody = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(rawBody),
+    'X-PG-Timestamp': String(timestamp),
+    'X-PG-Signature': signature || createSignature(SECRET, timestamp, rawBody)
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}/api/payments/webhook`, { method: 'POST', headers }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { raw += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(raw) }));
+    });
+    req.on('error', reject);
+    req.end(rawBody);
+  });
+};
+
+const payload = {
+  eventId: 'evt_1',
+  eventType: 'PAYMENT_STATUS_CHANGED',
+  data: { paymentKey: 'pk_1', orderId: 'pay_1', status: 'DONE', totalAmount: 11000 }
+};
+
+before(async () => {
+  process.env.PG_WEBHOOK_SECRET = SECRET;
+  server = createApp().listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => mock.restoreAll());
+
+describe('POST /api/payments/webhook 서명 검증', () => {
+  it('서명이 다르면 401, DB 접근 없음', async () => {
+    const execute = mock.method(pool, 'execute', async () => [{ affectedRows: 1 }]);
+
+    const res = await postWebhook(payload, { signature: createSignature('wrong_secret', Math.floor(Date.now() / 1000), JSON.stringify(payload)) });
+
+    assert.equal(res.status, HTTP_STATUS.UNAUTHORIZED);
+    assert.equal(execute.mock.callCount(), 0);
+  });
+
+  it('서명 후 본문이 바뀌면 401', async () => {
+    mock.method(pool, 'execute', async () => [{ affectedRows: 1 }]);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = createSignature(SECRET, timestamp, JSON.stringify(payload));
+
+    const res = await postWebhook(
+      { ...payload, data: { ...payload.data, totalAmount: 1 } },
+      { timestamp, signature }
+    );
+
+    assert.equal(res.status, HTTP_STATUS.UNAUTHORIZED);
+  });
+
+  it('허용 범위를 벗어난 타임스탬프는 401 (재전송 공격)', async () => {
+    mock.method(pool, 'execute', async () => [{ affectedRows: 1 }]);
+
+    const res = await postWebhook(payload, { timestamp: Math.floor(Date.now() / 1000) - 600 });
+
+    assert.equal(res.status, HTTP_STATUS.UNAUTHORIZED);
+  });
+});
+
+describe('POST /api/payments/webhook 중복 수신', () => {
+  it('이미 처리된 event_id는 다시 처리하지 않고 저장된 결과 반환', async () => {
+    const execute = mock.method(pool, 'execute', async (sql) => {
+      if (sql.includes('INSERT IGNORE INTO payment_webhook_events')) {
+        return [{ affectedRows: 0 }];
+      }
+      if (sql.includes('SELECT status, result FROM payment_webhook_events')) {
+        return [[{ status: 'processed', result: 'completed' }]];
+      }
+      throw new Error(`예상하지 않은 쿼리: ${sql}`);
+    });
+
+    const res = await postWebhook(payload);
+
+    assert.equal(res.status, HTTP_STATUS.OK);
+    assert.deepEqual(res.body.data, { event_id: 'evt_1', duplicate: true, outcome: 'completed' });
+    assert.equal(execute.mock.callCount(), 2);
+  });
+
+  it('eventId나 orderId가 없으면 400', async () => {
+    mock.method(pool, 'execute', async () => [{ affectedRows: 1 }]);
+
+    const res = await postWebhook({ eventType: 'PAYMENT_STATUS_CHANGED', data: {} });
+
+    assert.equal(res.status, HTTP_STATUS.BAD_REQUEST);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRestoreLots } = require('../services/ringLedger');
+const { RING_LOT_TYPES } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 소진 로트 조회 결과만 돌려주는 커넥션 (쿼리는 기록)
+ */
+const createConnection = (consumed) => {
+  const calls = [];
+
+  return {
+    calls,
+    execute: async (sql, params) => {
+      calls.push({ sql, params });
+      return [consumed];
+    }
+  };
+};
+
+describe('buildRestoreLots', () => {
+  it('소진한 로트 순서대로 반환하고 보너스 로트는 남은 유효기간 유지', async () => {
+    const connection = createConnection([
+      { lot_type: RING_LOT_TYPES.PAID, expires_at: null, rings: '30' },
+      { lot_type: RING_LOT_TYPES.BONUS, expires_at: new Date(Date.now() + 10 * DAY_MS - 1000), rings: '50' }
+    ]);
+
+    assert.deepEqual(await buildRestoreLots(connection, 7, 60), [
+      { lotType: RING_LOT_TYPES.PAID, rings: 30, expiresInDays: undefined },
+      { lotType: RING_LOT_TYPES.BONUS, rings: 30, expiresInDays: 10 }
+    ]);
+  });
+
+  it('이미 만료된 보너스 로트는 최소 1일 유효기간', async () => {
+    const connection = createConnection([
+      { lot_type: RING_LOT_TYPES.BONUS, expires_at: new Date(Date.now() - DAY_MS), rings: '20' }
+    ]);
+
+    assert.deepEqual(await buildRestoreLots(connection, 7, 20), [
+      { lotType: RING_LOT_TYPES.BONUS, rings: 20, expiresInDays: 1 }
+    ]);
+  });
+
+  it('로트로 차감되지 않은 부분은 paid 로트로 반환', async () => {
+    const connection = createConnection([
+      { lot_type: RING_LOT_TYPES.BONUS, expires_at: null, rings: '10' }
+    ]);
+
+    assert.deepEqual(await buildRestoreLots(connection, 7, 25), [
+      { lotType: RING_LOT_TYPES.BONUS, rings: 10, expiresInDays: undefined },
+      { lotType: RING_LOT_TYPES.PAID, rings: 15 }
+    ]);
+  });
+
+  it('여러 원장 ID를 한 번에 조회', async () => {
+    const connection = createConnection([]);
+
+    await buildRestoreLots(connection, [3, 4], 10);
+
+    assert.deepEqual(connection.calls[0].params, [3, 4, RING_LOT_TYPES.PAID]);
+  });
+
+  it('원장 ID가 없으면 조회 없이 전부 paid 로트', async () => {
+    const connection = createConnection([]);
+
+    assert.deepEqual(await buildRestoreLots(connection, [], 40), [
+      { lotType: RING_LOT_TYPES.PAID, rings: 40 }
+    ]);
+    assert.equal(connection.calls.length, 0);
+  });
+});
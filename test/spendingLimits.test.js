@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPeriodStart } = require('../services/spendingLimits');
+const { SPENDING_LIMIT_PERIODS } = require('../utils/constants');
+
+describe('getPeriodStart', () => {
+  it('일일 한도는 KST 자정부터', () => {
+    assert.equal(
+      getPeriodStart(SPENDING_LIMIT_PERIODS.DAILY, new Date('2026-03-15T13:00:00+09:00')).toISOString(),
+      '2026-03-14T15:00:00.000Z'
+    );
+  });
+
+  it('UTC로는 전날이어도 KST 날짜 기준', () => {
+    // 2026-03-15 00:30 KST = 2026-03-14 15:30 UTC
+    assert.equal(
+      getPeriodStart(SPENDING_LIMIT_PERIODS.DAILY, new Date('2026-03-14T15:30:00Z')).toISOString(),
+      '2026-03-14T15:00:00.000Z'
+    );
+  });
+
+  it('월간 한도는 KST 1일 자정부터', () => {
+    assert.equal(
+      getPeriodStart(SPENDING_LIMIT_PERIODS.MONTHLY, new Date('2026-03-15T13:00:00+09:00')).toISOString(),
+      '2026-02-28T15:00:00.000Z'
+    );
+  });
+
+  it('KST로 다음 달이 된 시각은 새 달 기준', () => {
+    // 2026-04-01 08:00 KST = 2026-03-31 23:00 UTC
+    assert.equal(
+      getPeriodStart(SPENDING_LIMIT_PERIODS.MONTHLY, new Date('2026-03-31T23:00:00Z')).toISOString(),
+      '2026-03-31T15:00:00.000Z'
+    );
+  });
+});
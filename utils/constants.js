@@ -56,6 +56,414 @@ const EVENT_STATUS = {
   ENDED: 'ended'
 };
 
+// 결제 상태
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+// 환불 처리 상태
+const REFUND_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// 처리 중(processing)으로 남은 환불 복구 (PG 취소 결과 미확인, 취소 후 링 회수 실패)
+const REFUND_RECOVERY_POLICY = {
+  RESUME_AFTER_SECONDS: 60,   // 요청 후 이 시간이 지난 환불만 PG 조회로 완료/실패 확정 (진행 중인 요청 보호)
+  SWEEP_MINUTES: 5
+};
+
+// 링 원장 거래 유형
+const RING_LEDGER_TYPES = {
+  PURCHASE: 'purchase',
+  PAYMENT_CANCEL: 'payment_cancel',
+  REFUND_CLAWBACK: 'refund_clawback',
+  TRANSFER_OUT: 'transfer_out',
+  TRANSFER_IN: 'transfer_in',
+  CONSULTATION_CHARGE: 'consultation_charge',
+  CONSULTATION_EARNING: 'consultation_earning',
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  COUPON_GRANT: 'coupon_grant',
+  EXPIRY: 'expiry',
+  RESERVATION_HOLD: 'reservation_hold',
+  RESERVATION_RELEASE: 'reservation_release',
+  RESERVATION_COMPENSATION: 'reservation_compensation',
+  DISPUTE_REFUND: 'dispute_refund',
+  DISPUTE_CLAWBACK: 'dispute_clawback'
+};
+
+// 링 로트 유형 (유상 충전 / 보너스)
+const RING_LOT_TYPES = {
+  PAID: 'paid',
+  BONUS: 'bonus'
+};
+
+// 링 로트 정책
+const RING_LOT_POLICY = {
+  BONUS_EXPIRY_DAYS: 30,    // 보너스 링 유효기간
+  EXPIRING_SOON_DAYS: 7     // 만료 예정 안내 기준
+};
+
+// 링 내역 조회 필터 → 원장 거래 유형 매핑
+const RING_HISTORY_FILTERS = {
+  purchase: [RING_LEDGER_TYPES.PURCHASE],
+  consultation: [RING_LEDGER_TYPES.CONSULTATION_CHARGE, RING_LEDGER_TYPES.CONSULTATION_EARNING],
+  transfer: [RING_LEDGER_TYPES.TRANSFER_OUT, RING_LEDGER_TYPES.TRANSFER_IN],
+  refund: [RING_LEDGER_TYPES.PAYMENT_CANCEL, RING_LEDGER_TYPES.REFUND_CLAWBACK],
+  adjustment: [RING_LEDGER_TYPES.ADMIN_ADJUSTMENT],
+  coupon: [RING_LEDGER_TYPES.COUPON_GRANT],
+  expiry: [RING_LEDGER_TYPES.EXPIRY],
+  reservation: [
+    RING_LEDGER_TYPES.RESERVATION_HOLD,
+    RING_LEDGER_TYPES.RESERVATION_RELEASE,
+    RING_LEDGER_TYPES.RESERVATION_COMPENSATION
+  ]
+};
+
+// 상담사 상태 (consulting은 상담 수락/종료시 자동 전환)
+const CONSULTANT_STATUS = {
+  WAITING: 'waiting',
+  AWAY: 'away',
+  CONSULTING: 'consulting',
+  SUSPENDED: 'suspended'
+};
+
+// 상담 상태
+const CONSULTATION_STATUS = {
+  REQUESTED: '요청',
+  RINGING: '연결중',
+  ACCEPTED: '수락',
+  DECLINED: '거절',
+  IN_PROGRESS: '상담중',
+  COMPLETED: '완료',
+  CANCELLED: '취소',
+  MISSED: '부재'
+};
+
+// 상담 상태 전이 (현재 상태 → 허용되는 다음 상태)
+const CONSULTATION_TRANSITIONS = {
+  [CONSULTATION_STATUS.REQUESTED]: [
+    CONSULTATION_STATUS.RINGING,
+    CONSULTATION_STATUS.DECLINED,
+    CONSULTATION_STATUS.CANCELLED,
+    CONSULTATION_STATUS.MISSED
+  ],
+  [CONSULTATION_STATUS.RINGING]: [
+    CONSULTATION_STATUS.ACCEPTED,
+    CONSULTATION_STATUS.DECLINED,
+    CONSULTATION_STATUS.CANCELLED,
+    CONSULTATION_STATUS.MISSED
+  ],
+  [CONSULTATION_STATUS.ACCEPTED]: [
+    CONSULTATION_STATUS.IN_PROGRESS,
+    CONSULTATION_STATUS.CANCELLED
+  ],
+  [CONSULTATION_STATUS.IN_PROGRESS]: [
+    CONSULTATION_STATUS.COMPLETED
+  ],
+  [CONSULTATION_STATUS.DECLINED]: [],
+  [CONSULTATION_STATUS.COMPLETED]: [],
+  [CONSULTATION_STATUS.CANCELLED]: [],
+  [CONSULTATION_STATUS.MISSED]: []
+};
+
+// 상담 요청 제한 시간
+const CONSULTATION_REQUEST_POLICY = {
+  RING_TIMEOUT_SECONDS: 60,      // 상담사 응답 대기 (초과시 부재)
+  CONNECT_TIMEOUT_SECONDS: 120,  // 수락 후 연결 대기 (초과시 취소)
+  TIMEOUT_SWEEP_SECONDS: 15      // 만료 요청 정리 주기
+};
+
+// 상담 상태 변경 주체
+const CONSULTATION_ACTOR_TYPES = {
+  CUSTOMER: 'customer',
+  CONSULTANT: 'consultant',
+  SYSTEM: 'system'
+};
+
+// 예약 상태
+const RESERVATION_STATUS = {
+  RESERVED: 'reserved',
+  CONVERTED: 'converted',   // 상담으로 전환됨
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show'
+};
+
+// 예약 정책 (시각은 KST 기준)
+const RESERVATION_POLICY = {
+  SLOT_MINUTES: 30,              // 예약 슬롯 길이 (링 홀드 = 슬롯 내 과금 단위 × 상담료)
+  BOOKING_HORIZON_DAYS: 14,      // 예약 가능 기간
+  MIN_LEAD_MINUTES: 60,          // 최소 예약 리드타임
+  CHECK_IN_EARLY_MINUTES: 10,    // 슬롯 시작 전 입장 가능 시간
+  NO_SHOW_GRACE_MINUTES: 10,     // 슬롯 시작 후 입장 유예 (초과시 노쇼)
+  REMINDER_MINUTES_BEFORE: 60,   // 예약 알림 시점
+  // 고객 취소 환불률 (슬롯 시작까지 남은 시간 기준, 위에서부터 적용)
+  CUSTOMER_CANCEL_REFUND_RULES: [
+    { minHoursBefore: 24, refundRate: 1 },
+    { minHoursBefore: 3, refundRate: 0.5 },
+    { minHoursBefore: 0, refundRate: 0.2 }
+  ],
+  CUSTOMER_NO_SHOW_REFUND_RATE: 0,      // 고객 노쇼
+  CONSULTANT_FAULT_REFUND_RATE: 1,      // 상담사 취소/노쇼
+  JOB_INTERVAL_SECONDS: 60
+};
+
+// 상담사 대기열 상태
+const QUEUE_ENTRY_STATUS = {
+  WAITING: 'waiting',
+  OFFERED: 'offered',       // 상담 시작 제안 (OFFER_TIMEOUT_SECONDS 내 /consultations/start)
+  CONVERTED: 'converted',   // 상담 요청으로 전환
+  LEFT: 'left',
+  EXPIRED: 'expired'        // 제안 시간 초과
+};
+
+// 상담사 대기열 정책
+const QUEUE_POLICY = {
+  MAX_LENGTH: 30,                 // 상담사별 최대 대기 인원
+  OFFER_TIMEOUT_SECONDS: 60,
+  DISPATCH_SECONDS: 5,            // 제안/만료 처리 주기
+  DEFAULT_SESSION_MINUTES: 15,    // 완료 상담 이력이 없을 때 예상 대기 계산 기준
+  RECENT_SESSION_SAMPLE: 20       // 평균 상담 시간 계산 표본
+};
+
+// 실시간 접속 상태 정책
+const PRESENCE_POLICY = {
+  AWAY_GRACE_SECONDS: 30,         // 상담사 연결이 모두 끊긴 뒤 away 전환까지 재연결 대기
+  SYNC_SECONDS: 5                 // 접속 중인 사용자 잔액 변경 확인 주기
+};
+
+// 실시간 이벤트 (SSE/WebSocket)
+const REALTIME_EVENTS = {
+  READY: 'ready',
+  CONSULTANT_STATUS: 'consultant.status',
+  CONSULTATION_REQUEST: 'consultation.request',
+  CONSULTATION_STATUS: 'consultation.status',
+  BALANCE_UPDATED: 'balance.updated',
+  QUEUE_POSITION: 'queue.position',
+  QUEUE_OFFER: 'queue.offer',
+  QUEUE_OFFER_EXPIRED: 'queue.offer_expired',
+  QUEUE_UPDATED: 'queue.updated',
+  MATCH_STATUS: 'match.status',
+  CHAT_MESSAGE: 'chat.message',
+  CHAT_READ: 'chat.read',
+  CHAT_TYPING: 'chat.typing',
+  ACK: 'ack',
+  ERROR: 'error'
+};
+
+// 랜덤 매칭 상태
+const MATCH_STATUS = {
+  REQUESTED: 'requested',   // 후보 상담사에게 요청 중 (거절/무응답시 다음 후보)
+  MATCHED: 'matched',       // 상담사 수락
+  FAILED: 'failed',         // 가능한 상담사 없음 / 시도 횟수 초과
+  CANCELLED: 'cancelled'    // 고객 취소
+};
+
+// 랜덤 매칭 정책
+const MATCH_POLICY = {
+  ACCEPT_TIMEOUT_SECONDS: 20,    // 후보 상담사 응답 대기 (초과시 부재 처리 후 다음 후보)
+  MAX_ATTEMPTS: 5,               // 매칭 요청당 최대 후보 수
+  LOAD_WINDOW_MINUTES: 60,       // 최근 부하(받은 요청 수) 계산 구간
+  SWEEP_SECONDS: 5               // 진행 중인 매칭 확인 주기
+};
+
+// 채팅 메시지 유형
+const CHAT_MESSAGE_TYPES = {
+  TEXT: 'text',
+  IMAGE: 'image'
+};
+
+// 채팅 정책
+const CHAT_POLICY = {
+  MAX_TEXT_LENGTH: 2000,
+  MAX_IMAGE_BYTES: 5 * 1024 * 1024,
+  TRANSCRIPT_PREVIEW_SIZE: 50      // 상담 상세에 포함하는 최근 메시지 수
+};
+
+// 알림 유형
+const NOTIFICATION_TYPES = {
+  RESERVATION_CREATED: 'reservation_created',
+  RESERVATION_REMINDER: 'reservation_reminder',
+  RESERVATION_CANCELLED: 'reservation_cancelled',
+  RESERVATION_NO_SHOW: 'reservation_no_show',
+  RESERVATION_STARTED: 'reservation_started',
+  DISPUTE_FILED: 'dispute_filed',
+  DISPUTE_RESPONDED: 'dispute_responded',
+  DISPUTE_RESOLVED: 'dispute_resolved',
+  FAVORITE_AVAILABLE: 'favorite_available'
+};
+
+// 상담 분쟁 상태
+const DISPUTE_STATUS = {
+  OPEN: 'open',             // 고객 접수, 상담사 답변 대기
+  RESPONDED: 'responded',   // 상담사 답변 완료, 관리자 결정 대기
+  RESOLVED: 'resolved'      // 관리자 결정 (환불 처리 완료)
+};
+
+// 분쟁 사유
+const DISPUTE_REASONS = {
+  DISCONNECTED: 'disconnected',   // 연결 끊김/통화 품질
+  NOT_AS_DESCRIBED: 'not_as_described',
+  MISCONDUCT: 'misconduct',       // 상담사 불친절/부적절한 언행
+  OVERCHARGED: 'overcharged',     // 과금 오류
+  OTHER: 'other'
+};
+
+// 관리자 환불 결정
+const DISPUTE_DECISIONS = {
+  FULL_REFUND: 'full_refund',
+  PARTIAL_REFUND: 'partial_refund',
+  NO_REFUND: 'no_refund'
+};
+
+// 분쟁 정책
+const DISPUTE_POLICY = {
+  FILING_DAYS: 7,                        // 상담 종료 후 접수 가능 기간
+  MAX_EVIDENCE_FILES: 5,                 // 요청당 첨부 수
+  MAX_EVIDENCE_BYTES: 10 * 1024 * 1024
+};
+
+// 통화 녹음 정책 ('전화', '화상' 상담)
+const RECORDING_POLICY = {
+  RETENTION_DAYS: 90,                    // 보관 기간 (진행 중인 분쟁이 있으면 결정 후 삭제)
+  MAX_BYTES: 100 * 1024 * 1024,
+  PLAYBACK_URL_TTL_SECONDS: 300,         // 재생 서명 URL 유효 시간
+  PURGE_AT: { hour: 3, minute: 30 }      // 보관 기간 지난 녹음 삭제 (KST)
+};
+
+// 통화 시스템 CDR(통화 상세 기록) 이벤트
+const TELEPHONY_EVENT_TYPES = {
+  STARTED: 'call.started',     // 발신 (상담 요청 생성/연결)
+  ANSWERED: 'call.answered',   // 통화 연결 (과금 시작)
+  HANGUP: 'call.hangup'        // 통화 종료 (CDR 통화 시간으로 정산)
+};
+
+// 통화 상태
+const TELEPHONY_CALL_STATUS = {
+  RINGING: 'ringing',
+  ANSWERED: 'answered',
+  ENDED: 'ended',
+  REJECTED: 'rejected'         // 매칭 실패/상담 불가로 연결하지 않음
+};
+
+// 통화 시스템 연동 정책
+const TELEPHONY_POLICY = {
+  MAX_CALL_HOURS: 3            // 통화 중인 상담도 이 시간이 지나면 방치된 상담 정리 대상 (종료 이벤트 유실 대비)
+};
+
+// 녹음 업로드 경로
+const RECORDING_SOURCES = {
+  APP: 'app',               // 상담 당사자 앱
+  TELEPHONY: 'telephony'    // 통화 시스템 (서명 요청)
+};
+
+// 상담사 고객 메모 (CRM) 제한
+const CUSTOMER_NOTE_POLICY = {
+  MAX_NOTES_LENGTH: 5000,
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 20
+};
+
+// 즐겨찾기 상담사
+const FAVORITE_POLICY = {
+  MAX_FAVORITES: 200,
+  ALERT_COOLDOWN_MINUTES: 30   // 같은 상담사의 대기 알림 최소 간격 (상담이 이어질 때 반복 알림 방지)
+};
+
+// 상담 정산 기준 (정책 스냅샷이 없는 이전 상담용, 새 상담은 billing_policies 적용)
+const CONSULTATION_SETTLEMENT = {
+  CONSULTANT_SHARE_RATE: 0.7   // 상담사 정산율 (상담료 대비)
+};
+
+// 상담 과금 (단위 선불 차감)
+const CONSULTATION_BILLING = {
+  UNIT_SECONDS: 30,              // 과금 단위 (정책 스냅샷이 없는 이전 상담용, fee_rate_at_time = 단위당 링)
+  LOW_BALANCE_WARNING_UNITS: 4   // 잔여 단위가 이 값 이하이면 잔액 부족 경고
+};
+
+// 상담 방식
+const CONSULTATION_METHODS = {
+  PHONE: '전화',
+  CHAT: '채팅',
+  VIDEO: '화상'
+};
+
+// 상담 자동 종료 사유
+const CONSULTATION_END_REASONS = {
+  INSUFFICIENT_BALANCE: 'insufficient_balance',
+  SPENDING_LIMIT: 'spending_limit',
+  STALE_SESSION: 'stale_session'      // 하트비트/통화 기록 없이 방치되어 시스템 종료
+};
+
+// 방치된 상담 정리 (앱 비정상 종료 등으로 /end가 호출되지 않은 상담)
+const STALE_SESSION_POLICY = {
+  IDLE_SECONDS: 180,             // 마지막 활동(하트비트/통화 기록) 후 이 시간이 지나면 마지막 활동 시각으로 종료
+  SWEEP_SECONDS: 60              // 정리 주기
+};
+
+// 관리자 확인 상태 (시스템 종료된 상담 등)
+const ADMIN_REVIEW_STATUS = {
+  PENDING: 'pending',
+  RESOLVED: 'resolved'
+};
+
+// 링 조정 요청 상태 (요청자와 승인자는 달라야 함)
+const RING_ADJUSTMENT_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// 정산 대사(reconciliation) 불일치 처리 상태
+const DISCREPANCY_STATUS = {
+  OPEN: 'open',
+  ADJUSTMENT_REQUESTED: 'adjustment_requested',
+  RESOLVED: 'resolved',
+  IGNORED: 'ignored'
+};
+
+// 지출 한도 유형 (purchase: 링 충전 결제 금액(원), consultation: 상담 차감 링)
+const SPENDING_LIMIT_TYPES = {
+  PURCHASE: 'purchase',
+  CONSULTATION: 'consultation'
+};
+
+// 지출 한도 기간 (KST 기준 일/월)
+const SPENDING_LIMIT_PERIODS = {
+  DAILY: 'daily',
+  MONTHLY: 'monthly'
+};
+
+// 지출 한도 설정 주체 (self: 본인 설정, admin: 관리자 적용)
+const SPENDING_LIMIT_SOURCES = {
+  SELF: 'self',
+  ADMIN: 'admin'
+};
+
+const SPENDING_LIMIT_POLICY = {
+  RAISE_COOLING_OFF_HOURS: 72   // 본인 한도 상향/해제 적용 대기 시간
+};
+
+// 쿠폰 유형
+const COUPON_TYPES = {
+  RING_GRANT: 'ring_grant',                       // 링 지급 (value = 지급 링)
+  PURCHASE_BONUS: 'purchase_bonus',               // 다음 충전시 보너스 (value = %)
+  CONSULTATION_DISCOUNT: 'consultation_discount'  // 상담료 할인 (value = %)
+};
+
+// 사용자 보유 쿠폰 상태
+const USER_COUPON_STATUS = {
+  AVAILABLE: 'available',
+  RESERVED: 'reserved',   // 결제/상담에 적용되어 완료 대기 중
+  USED: 'used'
+};
+
 // 응답 코드
 const RESPONSE_CODES = {
   SUCCESS: 'SUCCESS',
@@ -65,7 +473,9 @@ const RESPONSE_CODES = {
   NOT_FOUND: 'NOT_FOUND',
   DUPLICATE_ERROR: 'DUPLICATE_ERROR',
   DATABASE_ERROR: 'DATABASE_ERROR',
-  SERVER_ERROR: 'SERVER_ERROR'
+  PAYMENT_ERROR: 'PAYMENT_ERROR',
+  SERVER_ERROR: 'SERVER_ERROR',
+  SPENDING_LIMIT_EXCEEDED: 'SPENDING_LIMIT_EXCEEDED'
 };
 
 // HTTP 상태 코드
@@ -77,7 +487,9 @@ const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
-  INTERNAL_SERVER_ERROR: 500
+  UNPROCESSABLE_ENTITY: 422,
+  INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502
 };
 
 // 페이지네이션 기본값
@@ -96,6 +508,54 @@ module.exports = {
   FAQ_STATUS,
   INQUIRY_STATUS,
   EVENT_STATUS,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  REFUND_RECOVERY_POLICY,
+  COUPON_TYPES,
+  USER_COUPON_STATUS,
+  CONSULTANT_STATUS,
+  CONSULTATION_STATUS,
+  CONSULTATION_TRANSITIONS,
+  CONSULTATION_REQUEST_POLICY,
+  CONSULTATION_ACTOR_TYPES,
+  RESERVATION_STATUS,
+  RESERVATION_POLICY,
+  NOTIFICATION_TYPES,
+  DISPUTE_STATUS,
+  DISPUTE_REASONS,
+  DISPUTE_DECISIONS,
+  DISPUTE_POLICY,
+  CUSTOMER_NOTE_POLICY,
+  FAVORITE_POLICY,
+  RECORDING_POLICY,
+  RECORDING_SOURCES,
+  TELEPHONY_EVENT_TYPES,
+  TELEPHONY_CALL_STATUS,
+  TELEPHONY_POLICY,
+  QUEUE_ENTRY_STATUS,
+  MATCH_STATUS,
+  MATCH_POLICY,
+  QUEUE_POLICY,
+  PRESENCE_POLICY,
+  REALTIME_EVENTS,
+  CHAT_MESSAGE_TYPES,
+  CHAT_POLICY,
+  CONSULTATION_SETTLEMENT,
+  CONSULTATION_BILLING,
+  CONSULTATION_METHODS,
+  CONSULTATION_END_REASONS,
+  STALE_SESSION_POLICY,
+  ADMIN_REVIEW_STATUS,
+  RING_ADJUSTMENT_STATUS,
+  DISCREPANCY_STATUS,
+  SPENDING_LIMIT_TYPES,
+  SPENDING_LIMIT_PERIODS,
+  SPENDING_LIMIT_SOURCES,
+  SPENDING_LIMIT_POLICY,
+  RING_LEDGER_TYPES,
+  RING_LOT_TYPES,
+  RING_LOT_POLICY,
+  RING_HISTORY_FILTERS,
   RESPONSE_CODES,
   HTTP_STATUS,
   PAGINATION
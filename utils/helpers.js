@@ -29,6 +29,16 @@ const errorResponse = (res, message = '에러 발생', code = RESPONSE_CODES.SER
   });
 };
 
+/**
+ * 비즈니스 에러 생성 (서비스 계층에서 throw, 라우트에서 errorResponse로 변환)
+ */
+const createError = (message, code = RESPONSE_CODES.VALIDATION_ERROR, statusCode = HTTP_STATUS.BAD_REQUEST) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
 /**
  * 페이지네이션 정보 생성
  */
@@ -152,6 +162,7 @@ const sanitizeInput = (input) => {
 module.exports = {
   successResponse,
   errorResponse,
+  createError,
   createPagination,
   safeJsonParse,
   safeJsonStringify,